@@ -0,0 +1,89 @@
+/*
+    Album Bar Component
+    Navigation shown above the gallery grid
+
+    - A breadcrumb showing where you are: "All images" or "All images › Holiday"
+    - A "New album" button
+
+    Structure:
+    <nav class="album-bar">
+        <ol class="album-breadcrumb">
+            <li><button>All images</button></li>
+            <li aria-current="page">Holiday</li>
+        </ol>
+        <button class="btn btn-secondary btn-small">New album</button>
+    </nav>
+*/
+
+/*
+    Factory Function: createAlbumBar
+
+    Parameters:
+    - options: Object with callbacks
+        - onBack: Called when "All images" is clicked inside an album
+        - onCreateAlbum: Called when "New album" is clicked
+
+    Returns:
+    - A DOM element (nav) - call updateAlbumBar() to show the current album
+*/
+export function createAlbumBar(options = {}) {
+    const { onBack = () => {}, onCreateAlbum = () => {} } = options;
+
+    const bar = document.createElement('nav');
+    bar.className = 'album-bar';
+    bar.setAttribute('aria-label', 'Albums');
+
+    const breadcrumb = document.createElement('ol');
+    breadcrumb.className = 'album-breadcrumb';
+
+    const newAlbumButton = document.createElement('button');
+    newAlbumButton.type = 'button';
+    newAlbumButton.className = 'btn btn-secondary btn-small';
+    newAlbumButton.textContent = 'New album';
+    newAlbumButton.addEventListener('click', onCreateAlbum);
+
+    bar.appendChild(breadcrumb);
+    bar.appendChild(newAlbumButton);
+
+    // Store the back callback so updateAlbumBar() can use it
+    bar.onBack = onBack;
+
+    updateAlbumBar(bar, null);
+    return bar;
+}
+
+/*
+    Update Album Bar
+    Rebuilds the breadcrumb for the album being viewed
+
+    Parameters:
+    - bar: The element returned by createAlbumBar()
+    - album: Name of the open album, or null for the top level
+*/
+export function updateAlbumBar(bar, album) {
+    const breadcrumb = bar.querySelector('.album-breadcrumb');
+    breadcrumb.innerHTML = '';
+
+    const rootItem = document.createElement('li');
+
+    if (album) {
+        // Inside an album, "All images" is a button that goes back
+        const backButton = document.createElement('button');
+        backButton.type = 'button';
+        backButton.className = 'album-breadcrumb-link';
+        backButton.textContent = 'All images';
+        backButton.addEventListener('click', () => bar.onBack());
+        rootItem.appendChild(backButton);
+
+        const albumItem = document.createElement('li');
+        albumItem.textContent = album;
+        albumItem.setAttribute('aria-current', 'page');
+
+        breadcrumb.appendChild(rootItem);
+        breadcrumb.appendChild(albumItem);
+    } else {
+        rootItem.textContent = 'All images';
+        rootItem.setAttribute('aria-current', 'page');
+        breadcrumb.appendChild(rootItem);
+    }
+}
@@ -0,0 +1,61 @@
+/*
+    Album Card Component
+    Shows an album in the grid as a cover image with the album's name
+
+    Clicking the card opens the album. The whole card is a <button>,
+    so it works with the keyboard (Tab + Enter) as well as the mouse.
+*/
+
+/*
+    Factory Function: createAlbumCard
+
+    Parameters:
+    - album: Object with name and coverUrl (coverUrl is null for an empty album)
+    - actions: Object with callbacks
+        - onOpen: Called with the album's name when the card is clicked
+
+    Returns:
+    - A DOM element (article) ready to be added to the grid
+*/
+export function createAlbumCard(album, actions = {}) {
+    const { name, coverUrl } = album;
+    const { onOpen = () => {} } = actions;
+
+    const card = document.createElement('article');
+    card.className = 'album-card';
+    card.dataset.album = name;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'album-card-button';
+    button.setAttribute('aria-label', `Open album ${name}`);
+    button.addEventListener('click', () => onOpen(name));
+
+    /*
+        Cover image
+        Empty albums get a placeholder instead of a broken image
+    */
+    const cover = document.createElement('div');
+    cover.className = 'image-container album-cover';
+
+    if (coverUrl) {
+        const img = document.createElement('img');
+        img.src = coverUrl;
+        img.alt = '';  // Decorative - the album name is the label
+        img.loading = 'lazy';
+        cover.appendChild(img);
+    } else {
+        cover.classList.add('album-cover-empty');
+        cover.setAttribute('aria-hidden', 'true');
+    }
+
+    const label = document.createElement('p');
+    label.className = 'album-name';
+    label.textContent = name;
+
+    button.appendChild(cover);
+    button.appendChild(label);
+    card.appendChild(button);
+
+    return card;
+}
@@ -0,0 +1,169 @@
+/*
+    Auth Panel Component
+    Sign-in controls shown in the page header
+
+    Signed out, it shows an email/password form with three choices:
+    sign in, create an account, or continue as a guest.
+    Signed in, it shows who is signed in and a "Sign out" button.
+
+    Structure:
+    <div class="auth-panel">
+        <form class="auth-form">
+            <input type="email"> <input type="password">
+            <button>Sign in</button> <button>Create account</button> <button>Continue as guest</button>
+            <p class="auth-error" role="alert"></p>
+        </form>
+        <div class="auth-user" hidden>
+            <span class="auth-user-name">Signed in as ana@example.com</span>
+            <button>Sign out</button>
+        </div>
+    </div>
+
+    The panel doesn't sign anyone in itself - it calls the callbacks it is
+    given and waits for them. While it waits, its buttons are disabled.
+    If a callback throws, the error's message is shown under the form.
+*/
+
+/*
+    Factory Function: createAuthPanel
+
+    Parameters:
+    - options: Object with callbacks (each may return a Promise)
+        - onSignIn(email, password): Called when "Sign in" is clicked
+        - onSignUp(email, password): Called when "Create account" is clicked
+        - onSignInAsGuest(): Called when "Continue as guest" is clicked
+        - onSignOut(): Called when "Sign out" is clicked
+
+    Returns:
+    - A DOM element - call updateAuthPanel() whenever the user changes
+*/
+export function createAuthPanel(options = {}) {
+    const {
+        onSignIn = () => {},
+        onSignUp = () => {},
+        onSignInAsGuest = () => {},
+        onSignOut = () => {}
+    } = options;
+
+    const panel = document.createElement('div');
+    panel.className = 'auth-panel';
+
+    /*
+        A real <form> this time (the upload form uses a div): pressing Enter
+        in either field signs in, and password managers recognise it.
+        We still stop the browser from reloading the page on submit.
+    */
+    const form = document.createElement('form');
+    form.className = 'auth-form';
+    form.setAttribute('aria-label', 'Sign in');
+
+    const emailInput = document.createElement('input');
+    emailInput.type = 'email';
+    emailInput.className = 'details-input auth-email';
+    emailInput.placeholder = 'Email';
+    emailInput.autocomplete = 'username';
+    emailInput.setAttribute('aria-label', 'Email');
+
+    const passwordInput = document.createElement('input');
+    passwordInput.type = 'password';
+    passwordInput.className = 'details-input auth-password';
+    passwordInput.placeholder = 'Password';
+    passwordInput.autocomplete = 'current-password';
+    passwordInput.setAttribute('aria-label', 'Password');
+
+    const signInButton = createButton('Sign in', 'btn btn-primary btn-small', 'submit');
+    const signUpButton = createButton('Create account', 'btn btn-secondary btn-small');
+    const guestButton = createButton('Continue as guest', 'btn btn-secondary btn-small');
+
+    const errorText = document.createElement('p');
+    errorText.className = 'auth-error';
+    errorText.setAttribute('role', 'alert');
+
+    form.append(emailInput, passwordInput, signInButton, signUpButton, guestButton, errorText);
+
+    const userInfo = document.createElement('div');
+    userInfo.className = 'auth-user';
+    userInfo.hidden = true;
+
+    const userName = document.createElement('span');
+    userName.className = 'auth-user-name';
+
+    const signOutButton = createButton('Sign out', 'btn btn-secondary btn-small');
+    userInfo.append(userName, signOutButton);
+
+    /*
+        Run one of the callbacks
+        Disables every button until it finishes, and shows its error if it fails
+    */
+    async function runAction(action) {
+        const buttons = panel.querySelectorAll('button');
+        buttons.forEach((button) => { button.disabled = true; });
+        errorText.textContent = '';
+
+        try {
+            await action();
+            passwordInput.value = '';
+        } catch (error) {
+            errorText.textContent = error.message;
+        } finally {
+            buttons.forEach((button) => { button.disabled = false; });
+        }
+    }
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        runAction(() => onSignIn(emailInput.value, passwordInput.value));
+    });
+
+    signUpButton.addEventListener('click', () => {
+        runAction(() => onSignUp(emailInput.value, passwordInput.value));
+    });
+
+    guestButton.addEventListener('click', () => runAction(onSignInAsGuest));
+    signOutButton.addEventListener('click', () => runAction(onSignOut));
+
+    panel.append(form, userInfo);
+    return panel;
+}
+
+/*
+    Small helper for the panel's buttons
+*/
+function createButton(text, className, type = 'button') {
+    const button = document.createElement('button');
+    button.type = type;
+    button.className = className;
+    button.textContent = text;
+    return button;
+}
+
+/*
+    Update Auth Panel
+    Switches between the sign-in form and the "signed in" view
+
+    Parameters:
+    - panel: The element returned by createAuthPanel()
+    - user: The signed-in user ({ uid, email, isAnonymous }), or null
+*/
+export function updateAuthPanel(panel, user) {
+    const form = panel.querySelector('.auth-form');
+    const userInfo = panel.querySelector('.auth-user');
+    const userName = panel.querySelector('.auth-user-name');
+
+    form.hidden = Boolean(user);
+    userInfo.hidden = !user;
+    panel.querySelector('.auth-error').textContent = '';
+
+    if (!user) {
+        userName.textContent = '';
+        return;
+    }
+
+    /*
+        A guest's images belong to this browser's session only -
+        once they sign out, there is no way to sign back in as them
+    */
+    userName.textContent = user.isAnonymous
+        ? 'Signed in as a guest (your images are lost when you sign out)'
+        : `Signed in as ${user.email}`;
+}
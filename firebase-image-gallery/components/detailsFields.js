@@ -0,0 +1,111 @@
+/*
+    Details Fields Component
+    The title, caption and tags inputs for an image
+
+    This small component is shared by:
+    - The upload form (details for a new image)
+    - The image card's edit form (changing details of an existing image)
+
+    Sharing one component means both places look and behave the same,
+    and any change (like a new field) only has to be made once.
+*/
+
+import { DETAILS_LIMITS } from '../js/imageDetails.js';
+
+/*
+    Factory Function: createDetailsFields
+
+    Parameters:
+    - idPrefix: Text added to the start of each input's id
+      Every id on a page must be unique, and labels find their input by id,
+      so two sets of fields need different prefixes (e.g. 'upload', 'edit-123')
+    - initial: Optional { title, caption, tags } to fill the fields with
+
+    Returns:
+    - A <fieldset> element containing the three labelled inputs
+*/
+export function createDetailsFields(idPrefix, initial = {}) {
+    const { title = '', caption = '', tags = [] } = initial;
+
+    /*
+        A fieldset groups related inputs together
+        Screen readers announce the legend when entering the group
+    */
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'details-fields';
+
+    const legend = document.createElement('legend');
+    legend.className = 'sr-only';
+    legend.textContent = 'Image details';
+    fieldset.appendChild(legend);
+
+    // Title - a single line of text
+    const titleInput = document.createElement('input');
+    titleInput.type = 'text';
+    titleInput.name = 'title';
+    titleInput.maxLength = DETAILS_LIMITS.title;
+    titleInput.placeholder = 'e.g. Sunset at the beach';
+    titleInput.value = title;
+
+    // Caption - several lines, so we use a textarea
+    const captionInput = document.createElement('textarea');
+    captionInput.name = 'caption';
+    captionInput.rows = 2;
+    captionInput.maxLength = DETAILS_LIMITS.caption;
+    captionInput.placeholder = 'Say something about this image';
+    captionInput.value = caption;
+
+    // Tags - typed as a comma-separated list
+    const tagsInput = document.createElement('input');
+    tagsInput.type = 'text';
+    tagsInput.name = 'tags';
+    tagsInput.placeholder = 'e.g. holiday, beach, family';
+    tagsInput.value = tags.join(', ');
+
+    fieldset.appendChild(createField(`${idPrefix}-title`, 'Title', titleInput));
+    fieldset.appendChild(createField(`${idPrefix}-caption`, 'Caption', captionInput));
+    fieldset.appendChild(createField(`${idPrefix}-tags`, 'Tags (comma separated)', tagsInput));
+
+    return fieldset;
+}
+
+/*
+    Helper: wrap an input with its label
+*/
+function createField(id, labelText, input) {
+    const field = document.createElement('div');
+    field.className = 'details-field';
+
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = labelText;
+
+    input.id = id;
+    input.className = 'details-input';
+
+    field.appendChild(label);
+    field.appendChild(input);
+    return field;
+}
+
+/*
+    Read the values the user typed
+    Returns { title, caption, tags } where tags is still the raw text -
+    the storage module cleans it up with parseTags() when saving
+*/
+export function getDetailsFromFields(fieldset) {
+    return {
+        title: fieldset.querySelector('[name="title"]').value,
+        caption: fieldset.querySelector('[name="caption"]').value,
+        tags: fieldset.querySelector('[name="tags"]').value
+    };
+}
+
+/*
+    Clear all the fields (e.g. after a successful upload)
+*/
+export function resetDetailsFields(fieldset) {
+    fieldset.querySelectorAll('.details-input').forEach((input) => {
+        input.value = '';
+    });
+}
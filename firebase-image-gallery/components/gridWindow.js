@@ -0,0 +1,711 @@
+/*
+    Grid Window
+    Windowed ("virtualized") rendering for the image grid
+
+    A grid with 20,000 images would normally hold 20,000 cards in the page,
+    each with its own image, buttons and listeners. Even with lazy-loaded
+    images the browser has to lay all of them out, and scrolling gets janky.
+
+    In windowed mode the grid keeps the list of images in
+    gridElement.windowing.images and only puts the cards near the viewport
+    in the page - roughly one screen above and below what is visible. The
+    rows in between are replaced by empty "spacer" elements as tall as the
+    cards they stand for, so the scrollbar still matches the whole gallery.
+    As you scroll, cards that leave the window are taken out and cards that
+    enter it are put in.
+
+    Recycling
+    Cards that leave the window are kept in a small cache (CARD_CACHE_SIZE),
+    so scrolling back up reuses them instead of building them (and loading
+    their thumbnails) again. Cards that stay in the window are never moved,
+    which keeps keyboard focus where it is.
+
+    How tall is a row?
+    Card heights are measured once they have been on screen. Rows that
+    haven't been shown yet are guessed from the average card height.
+
+    Layouts (see js/galleryLayout.js)
+    In the grid and list layouts a row is as many cards as there are
+    columns. Justified rows are worked out from the images' shapes, the
+    same way the browser wraps them. Masonry has no rows at all, so its
+    cards are placed by hand: each one is positioned at the bottom of the
+    shortest column, over a single spacer as tall as the columns.
+
+    Some cards are always kept in the page, however far away they are:
+    - The card that has keyboard focus (taking it out would lose the focus)
+    - A card whose details editor is open (taking it out would lose what was typed)
+    - Cards that are "pinned" for a moment, e.g. while showImageInGrid() highlights one
+*/
+
+import { createImageCard } from './imageCard.js';
+import { getAspectRatio, getJustifiedRows, getMasonryPositions, DEFAULT_ASPECT_RATIO } from '../js/galleryLayout.js';
+
+// Card height to assume before any card has been measured, in pixels
+const DEFAULT_CARD_HEIGHT = 360;
+
+// Height of the name, date and buttons below a card's image, before any has been measured
+const DEFAULT_INFO_HEIGHT = 100;
+
+// How many cards that left the window are kept for reuse
+const CARD_CACHE_SIZE = 120;
+
+/*
+    Enable Grid Window
+    Turns on windowed rendering for a grid (called by createImageGrid())
+
+    Parameters:
+    - gridElement: The grid DOM element
+*/
+export function enableGridWindow(gridElement) {
+    const state = {
+        images: [],              // Every image in the grid, in order
+        cards: new Map(),        // fullPath -> card that is in the page now
+        cache: new Map(),        // fullPath -> card that left the window, oldest first
+        cardImages: new WeakMap(), // card -> the image data it was built from
+        heights: new Map(),      // fullPath -> measured card height
+        infoHeights: new Map(),  // fullPath -> measured height of the card below its image
+        layoutKey: '',           // Layout and columns the heights were measured in
+        spacers: [],             // Spacer elements, reused between renders
+        pinned: new Set(),       // fullPaths whose cards must stay in the page
+        frame: null,             // A render waiting for the next animation frame
+        wasConnected: false,     // Whether the grid has been in the page yet
+        resizeObserver: null,
+        removeListeners: null
+    };
+    gridElement.windowing = state;
+    gridElement.classList.add('is-windowed');
+
+    // Scrolling, resizing the window and cards changing size all change what should be shown
+    const scheduleRender = () => scheduleGridWindowRender(gridElement);
+
+    window.addEventListener('scroll', scheduleRender, { passive: true });
+    window.addEventListener('resize', scheduleRender);
+
+    if ('ResizeObserver' in window) {
+        state.resizeObserver = new ResizeObserver(scheduleRender);
+    }
+
+    state.removeListeners = () => {
+        window.removeEventListener('scroll', scheduleRender);
+        window.removeEventListener('resize', scheduleRender);
+        if (state.resizeObserver) {
+            state.resizeObserver.disconnect();
+        }
+    };
+}
+
+/*
+    Schedule Grid Window Render
+    Renders the window on the next animation frame
+    (many scroll events in one frame only render once)
+*/
+export function scheduleGridWindowRender(gridElement) {
+    const state = gridElement.windowing;
+
+    if (state.frame === null) {
+        state.frame = requestAnimationFrame(() => renderGridWindow(gridElement));
+    }
+}
+
+/*
+    Render Grid Window
+    Puts the cards near the viewport in the page, and spacers for the rest
+
+    Parameters:
+    - gridElement: A grid with windowing enabled
+*/
+export function renderGridWindow(gridElement) {
+    const state = gridElement.windowing;
+
+    cancelAnimationFrame(state.frame);
+    state.frame = null;
+
+    // A grid that was in the page and has been taken out (e.g. on sign out) is finished with
+    if (gridElement.isConnected) {
+        state.wasConnected = true;
+    } else if (state.wasConnected) {
+        state.removeListeners();
+        return;
+    }
+
+    /*
+        Rows above the screen can turn out taller or shorter than guessed
+        when they are drawn. Scrolling by the difference keeps the first
+        card on screen exactly where it was, so nothing seems to jump
+    */
+    const anchor = findFirstVisibleCard(gridElement);
+
+    const layout = measureLayout(gridElement);
+    const nodes = layout.positions
+        ? buildMasonryNodeList(gridElement, layout)
+        : buildNodeList(gridElement, layout, findRowsToRender(gridElement, layout));
+
+    placeNodes(gridElement, nodes);
+    measureCards(gridElement);
+
+    if (anchor && anchor.card.isConnected) {
+        const shift = anchor.card.getBoundingClientRect().top - anchor.top;
+        if (Math.abs(shift) >= 1) {
+            window.scrollBy({ top: shift, behavior: 'instant' });
+        }
+    }
+}
+
+/*
+    Pin Grid Window Card
+    Makes sure an image's card is in the page, and returns it
+
+    The card is pinned until unpinGridWindowCard() is called, so scrolling
+    towards it (e.g. with scrollIntoView) doesn't take it out again
+
+    Returns:
+    - The card, or null if the image isn't in the grid
+*/
+export function pinGridWindowCard(gridElement, fullPath) {
+    const state = gridElement.windowing;
+
+    if (!state.images.some((image) => image.fullPath === fullPath)) {
+        return null;
+    }
+
+    state.pinned.add(fullPath);
+    renderGridWindow(gridElement);
+    return state.cards.get(fullPath) || null;
+}
+
+export function unpinGridWindowCard(gridElement, fullPath) {
+    gridElement.windowing.pinned.delete(fullPath);
+    scheduleGridWindowRender(gridElement);
+}
+
+/*
+    Forget Grid Window Card
+    Throws away an image's card (e.g. because the image changed), so the
+    next render builds a fresh one
+*/
+export function forgetGridWindowCard(gridElement, fullPath) {
+    const state = gridElement.windowing;
+    const card = state.cards.get(fullPath);
+
+    if (card) {
+        if (state.resizeObserver) {
+            state.resizeObserver.unobserve(card);
+        }
+        card.remove();
+        state.cards.delete(fullPath);
+    }
+    state.cache.delete(fullPath);
+}
+
+/*
+    Release Grid Window Cards
+    Moves every card in the page into the cache, e.g. before the grid is
+    emptied and rebuilt by updateImageGrid() - cards for images that are
+    still there come back instead of being built again
+*/
+export function releaseGridWindowCards(gridElement) {
+    const state = gridElement.windowing;
+
+    state.cards.forEach((card, fullPath) => cacheCard(state, fullPath, card));
+    state.cards = new Map();
+}
+
+/*
+    Change Grid Window Layout
+    Renders the window again after the grid's layout changed (see
+    setImageGridLayout() in imageGrid.js), keeping the first card on
+    screen where it was
+
+    The positions masonry gave the cards are taken off again, so the
+    cards fall back into the grid's own flow
+*/
+export function changeGridWindowLayout(gridElement) {
+    const state = gridElement.windowing;
+    const anchor = getGridAnchor(gridElement);
+
+    [...state.cards.values(), ...state.cache.values(), ...gridElement.querySelectorAll('.album-card')].forEach((node) => {
+        node.style.left = '';
+        node.style.top = '';
+        node.style.width = '';
+    });
+
+    renderGridWindow(gridElement);
+    restoreGridAnchor(gridElement, anchor);
+}
+
+/*
+    Get Grid Anchor
+    Remembers where the first visible card is on screen, so the scroll
+    position can be put back after the grid is rebuilt
+
+    Returns:
+    - { fullPath, top }, or null if no card is visible
+*/
+export function getGridAnchor(gridElement) {
+    const state = gridElement.windowing;
+
+    for (const image of state.images) {
+        const card = state.cards.get(image.fullPath);
+        if (card) {
+            const top = card.getBoundingClientRect().top;
+            if (top + card.offsetHeight > 0) {
+                return { fullPath: image.fullPath, top };
+            }
+        }
+    }
+    return null;
+}
+
+/*
+    Restore Grid Anchor
+    Scrolls so the card from getGridAnchor() is back where it was on screen
+    (if that image is gone, the page simply stays where it is)
+*/
+export function restoreGridAnchor(gridElement, anchor) {
+    if (!anchor) {
+        return;
+    }
+
+    const card = pinGridWindowCard(gridElement, anchor.fullPath);
+    if (card) {
+        window.scrollBy({ top: card.getBoundingClientRect().top - anchor.top, behavior: 'instant' });
+    }
+    unpinGridWindowCard(gridElement, anchor.fullPath);
+}
+
+/*
+    Where every item of the grid goes - everything the render needs to
+    know about the layout. The items are the leading nodes (album cards and
+    the list header, which are always in the page) followed by the images.
+
+    Returns:
+    - { leading, leadingCount, rowGap, gridTop } plus, for masonry,
+      { positions, height, columnWidth } and for the other layouts { rows }
+*/
+function measureLayout(gridElement) {
+    const state = gridElement.windowing;
+    const style = getComputedStyle(gridElement);
+    const layout = gridElement.layout || 'grid';
+
+    // The browser gives the real column widths, e.g. "320px 320px 320px"
+    const tracks = style.gridTemplateColumns && style.gridTemplateColumns !== 'none'
+        ? style.gridTemplateColumns.split(' ')
+        : [];
+
+    // The list's columns are inside each row - the rows themselves are one column
+    const columns = layout === 'list' ? 1 : Math.max(1, tracks.length);
+
+    // Cards are a different height in another layout, or with another number of columns
+    const layoutKey = `${layout}/${columns}`;
+    if (layoutKey !== state.layoutKey) {
+        state.heights.clear();
+        state.infoHeights.clear();
+        state.layoutKey = layoutKey;
+    }
+
+    const leading = getLeadingNodes(gridElement);
+    const measured = {
+        leading,
+        leadingCount: leading.length,
+        rowGap: parseFloat(style.rowGap) || 0,
+        gridTop: gridElement.getBoundingClientRect().top
+    };
+
+    if (layout === 'masonry') {
+        return { ...measured, ...measureMasonry(gridElement, style, tracks, leading) };
+    }
+    if (layout === 'justified') {
+        return { ...measured, rows: measureJustifiedRows(gridElement, style, leading) };
+    }
+    return { ...measured, rows: measureGridRows(gridElement, columns, leading) };
+}
+
+/*
+    The nodes at the start of the grid that are always in the page: the
+    album cards (unless a search has hidden them) and the list's header
+*/
+function getLeadingNodes(gridElement) {
+    const isFiltered = gridElement.classList.contains('is-filtered');
+
+    return [...gridElement.children].filter((node) => node.classList.contains('list-header')
+        || (node.classList.contains('album-card') && !isFiltered));
+}
+
+/*
+    Grid and list: row r holds the items r * columns to (r + 1) * columns - 1
+    and is as tall as its tallest card
+*/
+function measureGridRows(gridElement, columns, leading) {
+    const state = gridElement.windowing;
+    const estimate = average([...state.heights.values()], DEFAULT_CARD_HEIGHT);
+    const leadingHeights = leading.map((node) => node.offsetHeight);
+    const itemCount = leading.length + state.images.length;
+    const rows = [];
+
+    for (let first = 0; first < itemCount; first += columns) {
+        const last = Math.min(first + columns, itemCount);
+        let height = 0;
+
+        for (let item = first; item < last; item++) {
+            const image = state.images[item - leading.length];
+            height = Math.max(height, image
+                ? state.heights.get(image.fullPath) || estimate
+                : leadingHeights[item]);
+        }
+        rows.push({ first, last, height });
+    }
+
+    return rows;
+}
+
+/*
+    Justified rows: every image in a row is as tall as the row's images
+    grow to, with its name and buttons underneath
+*/
+function measureJustifiedRows(gridElement, style, leading) {
+    const state = gridElement.windowing;
+    const infoEstimate = average([...state.infoHeights.values()], DEFAULT_INFO_HEIGHT);
+    const width = gridElement.clientWidth - (parseFloat(style.paddingLeft) || 0) - (parseFloat(style.paddingRight) || 0);
+
+    // Album covers are the same shape as a grid card
+    const aspectRatios = [
+        ...leading.map(() => DEFAULT_ASPECT_RATIO),
+        ...state.images.map((image) => getAspectRatio(image))
+    ];
+
+    const rows = getJustifiedRows(aspectRatios, {
+        width,
+        rowHeight: parseFloat(style.getPropertyValue('--row-height')) || 200,
+        gap: parseFloat(style.columnGap) || 0
+    });
+
+    return rows.map(({ first, last, imageHeight }) => {
+        let height = 0;
+
+        for (let item = first; item < last; item++) {
+            const image = state.images[item - leading.length];
+            height = Math.max(height, image
+                ? imageHeight + (state.infoHeights.get(image.fullPath) || infoEstimate)
+                : leading[item].offsetHeight);
+        }
+        return { first, last, height };
+    });
+}
+
+/*
+    Masonry: where each card goes, using the grid's own columns
+    Cards are as wide as a column, so a card's height is its image
+    (the column width divided by the image's aspect ratio) plus its info
+*/
+function measureMasonry(gridElement, style, tracks, leading) {
+    const state = gridElement.windowing;
+    const infoEstimate = average([...state.infoHeights.values()], DEFAULT_INFO_HEIGHT);
+    const columnWidth = parseFloat(tracks[0]) || gridElement.clientWidth;
+    const columnGap = parseFloat(style.columnGap) || 0;
+
+    // Album cards are always in the page, so they can be measured - once they are a column wide
+    leading.forEach((node) => {
+        node.style.width = `${columnWidth}px`;
+    });
+
+    const heights = [
+        ...leading.map((node) => node.offsetHeight),
+        ...state.images.map((image) => state.heights.get(image.fullPath)
+            || columnWidth / getAspectRatio(image) + (state.infoHeights.get(image.fullPath) || infoEstimate))
+    ];
+
+    const { positions, height } = getMasonryPositions(heights, Math.max(1, tracks.length), parseFloat(style.rowGap) || 0);
+
+    // Positioned cards are placed from the grid's padding edge, so the padding is added
+    const paddingLeft = parseFloat(style.paddingLeft) || 0;
+    const paddingTop = parseFloat(style.paddingTop) || 0;
+
+    return {
+        columnWidth,
+        height,
+        positions: positions.map(({ column, top }, item) => ({
+            left: paddingLeft + column * (columnWidth + columnGap),
+            top: paddingTop + top,
+            height: heights[item]
+        }))
+    };
+}
+
+/*
+    Which rows should be in the page: those near the viewport, the rows
+    with leading nodes, and the rows of cards that must stay (see above)
+*/
+function findRowsToRender(gridElement, layout) {
+    const state = gridElement.windowing;
+    const { leadingCount, rowGap, gridTop } = layout;
+    const rows = new Set();
+
+    // One screen above and below the visible part is rendered too, so fast scrolling doesn't show gaps
+    const overscan = window.innerHeight;
+    const windowTop = -gridTop - overscan;
+    const windowBottom = -gridTop + window.innerHeight + overscan;
+    let y = 0;
+
+    layout.rows.forEach((row, index) => {
+        if (row.first < leadingCount || (y + row.height >= windowTop && y <= windowBottom)) {
+            rows.add(index);
+        }
+        y += row.height + rowGap;
+    });
+
+    const active = document.activeElement;
+    state.images.forEach((image, index) => {
+        if (mustStayInPage(state, image.fullPath, active)) {
+            rows.add(findRow(layout.rows, leadingCount + index));
+        }
+    });
+
+    return rows;
+}
+
+/*
+    The cards and spacers that should follow the leading nodes, in order
+    Each run of rows that isn't rendered becomes one spacer
+*/
+function buildNodeList(gridElement, layout, rows) {
+    const state = gridElement.windowing;
+    const { leadingCount, rowGap } = layout;
+    const nodes = [];
+    const cards = new Map();
+    let spacerCount = 0;
+    let skippedHeight = 0;
+    let skippedRows = 0;
+
+    /*
+        A spacer takes the place of several rows - and of the gaps between them
+        (the grid adds one more gap after the spacer itself)
+    */
+    const addSpacer = () => {
+        if (skippedRows === 0) {
+            return;
+        }
+        const spacer = getSpacer(state, spacerCount++);
+        spacer.style.height = `${skippedHeight + (skippedRows - 1) * rowGap}px`;
+        nodes.push(spacer);
+        skippedHeight = 0;
+        skippedRows = 0;
+    };
+
+    layout.rows.forEach((row, index) => {
+        if (!rows.has(index)) {
+            skippedHeight += row.height;
+            skippedRows++;
+            return;
+        }
+
+        addSpacer();
+
+        for (let item = Math.max(row.first, leadingCount); item < row.last; item++) {
+            const image = state.images[item - leadingCount];
+            const card = getCard(gridElement, image);
+            cards.set(image.fullPath, card);
+            nodes.push(card);
+        }
+    });
+    addSpacer();
+
+    setWindowCards(state, cards);
+    return nodes;
+}
+
+/*
+    Masonry: one spacer as tall as the columns, then the cards near the
+    viewport (and the ones that must stay), each positioned over it
+*/
+function buildMasonryNodeList(gridElement, layout) {
+    const state = gridElement.windowing;
+    const { leading, leadingCount, positions, height, columnWidth, gridTop } = layout;
+    const cards = new Map();
+
+    const spacer = getSpacer(state, 0);
+    spacer.style.height = `${height}px`;
+    const nodes = [spacer];
+
+    const place = (node, position) => {
+        node.style.left = `${position.left}px`;
+        node.style.top = `${position.top}px`;
+        node.style.width = `${columnWidth}px`;
+    };
+
+    leading.forEach((node, item) => place(node, positions[item]));
+
+    // The same window as the other layouts: one screen above and below
+    const overscan = window.innerHeight;
+    const windowTop = -gridTop - overscan;
+    const windowBottom = -gridTop + window.innerHeight + overscan;
+    const active = document.activeElement;
+
+    state.images.forEach((image, index) => {
+        const position = positions[leadingCount + index];
+        const isNear = position.top + position.height >= windowTop && position.top <= windowBottom;
+
+        if (isNear || mustStayInPage(state, image.fullPath, active)) {
+            const card = getCard(gridElement, image);
+            place(card, position);
+            cards.set(image.fullPath, card);
+            nodes.push(card);
+        }
+    });
+
+    setWindowCards(state, cards);
+    return nodes;
+}
+
+// Whether an image's card has to stay in the page wherever it is (see the top of this file)
+function mustStayInPage(state, fullPath, active) {
+    const card = state.cards.get(fullPath);
+
+    return state.pinned.has(fullPath)
+        || Boolean(card && (card.contains(active) || card.querySelector('.details-editor')));
+}
+
+// The index of the row that holds an item (rows are in order, so halve the search each time)
+function findRow(rows, item) {
+    let low = 0;
+    let high = rows.length - 1;
+
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (rows[middle].first <= item) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return low;
+}
+
+// Make these the cards in the page - the ones that aren't needed any more go to the cache
+function setWindowCards(state, cards) {
+    state.cards.forEach((card, fullPath) => {
+        if (cards.get(fullPath) !== card) {
+            cacheCard(state, fullPath, card);
+        }
+    });
+    state.cards = cards;
+}
+
+function average(values, fallback) {
+    return values.length > 0
+        ? values.reduce((total, value) => total + value, 0) / values.length
+        : fallback;
+}
+
+/*
+    Put the nodes in the page in order, straight after the leading nodes
+
+    Nodes that are already in the right order are left where they are:
+    moving an element out of the page and back makes it lose focus, so the
+    cards that stay in the window must not be touched
+*/
+function placeNodes(gridElement, nodes) {
+    const state = gridElement.windowing;
+    const active = document.activeElement;
+    const wanted = new Set(nodes);
+
+    // Take out the cards and spacers that aren't wanted any more
+    [...gridElement.children].forEach((child) => {
+        const isWindowNode = child.classList.contains('grid-spacer') || child.classList.contains('image-card');
+        if (isWindowNode && !wanted.has(child) && !child.classList.contains('loading-card')) {
+            if (state.resizeObserver) {
+                state.resizeObserver.unobserve(child);
+            }
+            child.remove();
+        }
+    });
+
+    // The first node after the leading nodes
+    let cursor = gridElement.firstElementChild;
+    while (cursor && (cursor.classList.contains('album-card') || cursor.classList.contains('list-header'))) {
+        cursor = cursor.nextElementSibling;
+    }
+
+    nodes.forEach((node) => {
+        if (node === cursor) {
+            cursor = cursor.nextElementSibling;
+            return;
+        }
+        if (!node.isConnected && state.resizeObserver && node.classList.contains('image-card')) {
+            state.resizeObserver.observe(node);
+        }
+        gridElement.insertBefore(node, cursor);
+    });
+
+    // If a card with focus had to be moved after all, give the focus back
+    if (active && active !== document.activeElement && gridElement.contains(active)) {
+        active.focus({ preventScroll: true });
+    }
+}
+
+// The first card in the page that reaches onto the screen, and where it is
+function findFirstVisibleCard(gridElement) {
+    for (let node = gridElement.firstElementChild; node; node = node.nextElementSibling) {
+        if (node.classList.contains('image-card')) {
+            const top = node.getBoundingClientRect().top;
+            if (top + node.offsetHeight > 0) {
+                return { card: node, top };
+            }
+        }
+    }
+    return null;
+}
+
+// Remember how tall each card in the page is, and how much of that is below its image
+function measureCards(gridElement) {
+    const state = gridElement.windowing;
+
+    state.cards.forEach((card, fullPath) => {
+        if (card.offsetHeight > 0) {
+            const container = card.querySelector('.image-container');
+            state.heights.set(fullPath, card.offsetHeight);
+            state.infoHeights.set(fullPath, card.offsetHeight - (container ? container.offsetHeight : 0));
+        }
+    });
+}
+
+/*
+    The card for an image: the one in the page, one from the cache, or a new one
+    A card is only reused if it was built from the same image data
+*/
+function getCard(gridElement, imageData) {
+    const state = gridElement.windowing;
+    const existing = state.cards.get(imageData.fullPath) || state.cache.get(imageData.fullPath);
+    state.cache.delete(imageData.fullPath);
+
+    if (existing && isSameImage(state.cardImages.get(existing), imageData)) {
+        return existing;
+    }
+
+    const card = createImageCard(imageData, gridElement.cardActions);
+    state.cardImages.set(card, imageData);
+    return card;
+}
+
+function isSameImage(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Keep a card that left the page, dropping the oldest once the cache is full
+function cacheCard(state, fullPath, card) {
+    state.cache.delete(fullPath);
+    state.cache.set(fullPath, card);
+
+    if (state.cache.size > CARD_CACHE_SIZE) {
+        state.cache.delete(state.cache.keys().next().value);
+    }
+}
+
+function getSpacer(state, index) {
+    if (!state.spacers[index]) {
+        const spacer = document.createElement('div');
+        spacer.className = 'grid-spacer';
+        spacer.setAttribute('aria-hidden', 'true');
+        state.spacers[index] = spacer;
+    }
+    return state.spacers[index];
+}
@@ -9,6 +9,20 @@
     4. Accessibility considerations
 */
 
+// The details editor reuses the same fields as the upload form
+import { createDetailsFields, getDetailsFromFields } from './detailsFields.js';
+import { openLightbox } from './lightbox.js';
+import { readObjectName } from '../js/objectNames.js';
+import { getAspectRatio } from '../js/galleryLayout.js';
+import { formatFileSize } from '../js/usageStats.js';
+import { SUPPORTED_IMAGE_TYPES } from '../js/imageValidation.js';
+
+/*
+    How wide a card's image is at each screen size (matches the grid in style.css)
+    The browser uses this with srcset to pick the smallest thumbnail that looks sharp
+*/
+const CARD_IMAGE_SIZES = '(min-width: 1024px) 320px, (min-width: 768px) 50vw, 100vw';
+
 /*
     Factory Function: createImageCard
 
@@ -22,23 +36,41 @@
     - Clear inputs (parameters) and outputs (DOM element)
 
     Parameters:
-    - imageData: Object containing url, name, and timestamp
+    - imageData: Object containing url, name, originalName, fullPath and uploadedAt,
+      plus optional thumbnailUrl, thumbnails, title, caption, tags, size,
+      contentType, width, height and exif (camera details, see js/exif.js)
     - imageData = {}: Default empty object if no data provided
+    - actions: Object with optional callbacks for the card's buttons
+        - onDelete: Called with imageData when the delete button is clicked
+          (a delete button is only shown if this is provided)
+        - onEditDetails: Called with (imageData, details) when edited details are saved
+          Must return a Promise - the editor stays open until it resolves
+          (an edit button is only shown if this is provided)
+        - onMove: Called with imageData when the move button is clicked
+          (a move button is only shown if this is provided)
+        - onSelect: Called with (imageData, { selected, range }) when the card's
+          checkbox is clicked - range is true when Shift was held
+          (a checkbox is only shown if this is provided)
+        - isSelected: Called with fullPath, says whether the card starts out selected
 
     Returns:
     - A DOM element (article) ready to be added to the page
 */
-export function createImageCard(imageData = {}) {
+export function createImageCard(imageData = {}, actions = {}) {
     /*
         Destructure the imageData object
         This is ES6 syntax that extracts properties into variables
 
         Example:
-        const imageData = { url: 'pic.jpg', name: 'photo', timestamp: '123' };
-        const { url, name, timestamp } = imageData;
-        // Now we have: url = 'pic.jpg', name = 'photo', timestamp = '123'
+        const imageData = { url: 'pic.jpg', name: 'photo', uploadedAt: 123 };
+        const { url, name, uploadedAt } = imageData;
+        // Now we have: url = 'pic.jpg', name = 'photo', uploadedAt = 123
     */
-    const { url, name, timestamp } = imageData;
+    const { url, thumbnailUrl = null, thumbnails = [], name, fullPath, uploadedAt, title = '', caption = '', tags = [], size = 0, contentType = null, exif = null } = imageData;
+    const { onDelete = null, onEditDetails = null, onMove = null, onSelect = null, isSelected = () => false } = actions;
+
+    // The name the user knows the file by (stored files are named with a random ID)
+    const fileName = getImageDisplayName(imageData);
 
     /*
         Create the card container
@@ -53,6 +85,22 @@ export function createImageCard(imageData = {}) {
     const card = document.createElement('article');
     card.className = 'image-card';
 
+    /*
+        Remember which image this card shows
+        data-* attributes let other code (like the grid) find this card later,
+        e.g. gridElement.querySelector('[data-full-path="images/{uid}/3f2b8c1e-7d4a-4e9b-a1c2-5b6d7e8f9a0b.jpg"]')
+    */
+    if (fullPath) {
+        card.dataset.fullPath = fullPath;
+    }
+
+    /*
+        The image's shape, as a CSS variable
+        The masonry and justified layouts use it to show the whole image
+        instead of cropping it (see js/galleryLayout.js)
+    */
+    card.style.setProperty('--aspect-ratio', String(getAspectRatio(imageData)));
+
     /*
         Create the image container
         This wrapper helps maintain aspect ratio and control image behavior
@@ -74,7 +122,7 @@ export function createImageCard(imageData = {}) {
         Alt text is read by screen readers and shown if image fails to load
         It should describe the image content
     */
-    img.alt = name || 'Gallery image';
+    img.alt = title || name || 'Gallery image';
 
     /*
         Add loading="lazy" attribute
@@ -103,8 +151,19 @@ export function createImageCard(imageData = {}) {
         Handle image load errors
         If image fails to load, show a placeholder or error state
         This prevents broken image icons from appearing
+
+        A missing thumbnail isn't the end of the story though -
+        we try the original once before giving up
     */
     img.addEventListener('error', () => {
+        if (thumbnailUrl && img.dataset.fallback !== 'original') {
+            console.warn(`Thumbnail failed for ${name}, loading the original`);
+            img.dataset.fallback = 'original';
+            img.removeAttribute('srcset');
+            img.src = url;
+            return;
+        }
+
         img.classList.remove('loading');
         img.classList.add('error');
         console.error(`Failed to load image: ${name}`);
@@ -116,9 +175,43 @@ export function createImageCard(imageData = {}) {
         // img.src = '../assets/placeholder.svg';
     });
 
-    // Set the image source
-    // This triggers the browser to start downloading the image
-    img.src = url;
+    /*
+        Set the image source
+        This triggers the browser to start downloading the image
+
+        Cards show a thumbnail when there is one - it is a fraction of the
+        original's size. srcset lists every thumbnail with its width, and
+        sizes tells the browser how wide the card is, so it can pick the
+        best one for the screen (e.g. the bigger one on high-DPI screens).
+        Images uploaded before thumbnails existed just use the original.
+    */
+    if (thumbnailUrl) {
+        if (thumbnails.length > 1) {
+            img.srcset = thumbnails.map((thumbnail) => `${thumbnail.url} ${thumbnail.width}w`).join(', ');
+            img.sizes = CARD_IMAGE_SIZES;
+        }
+        img.src = thumbnailUrl;
+    } else {
+        img.src = url;
+    }
+
+    /*
+        Clicking the image opens the full-size original in the lightbox
+        It is a real link to the original, so it still works (and can be
+        opened in a new tab) without the lightbox
+    */
+    const imageLink = document.createElement('a');
+    imageLink.className = 'image-link';
+    imageLink.href = url;
+    imageLink.setAttribute('aria-label', `View ${title || fileName} full size`);
+    imageLink.addEventListener('click', (event) => {
+        // Let Ctrl/Cmd-click open a new tab as usual
+        if (event.ctrlKey || event.metaKey || event.shiftKey) {
+            return;
+        }
+        event.preventDefault();
+        openLightbox(imageData, fileName);
+    });
 
     /*
         Create info section
@@ -130,10 +223,11 @@ export function createImageCard(imageData = {}) {
     /*
         Create and set image name
         We use a paragraph for the name (could also use h3 for heading)
+        If the user gave the image a title we show that instead of the filename
     */
     const imageName = document.createElement('p');
     imageName.className = 'image-name';
-    imageName.textContent = formatFileName(name);
+    imageName.textContent = title || fileName;
 
     /*
         Create and set metadata
@@ -141,7 +235,19 @@ export function createImageCard(imageData = {}) {
     */
     const meta = document.createElement('p');
     meta.className = 'image-meta';
-    meta.textContent = formatTimestamp(timestamp);
+    meta.textContent = formatTimestamp(uploadedAt);
+
+    /*
+        Size and type
+        Only the list layout shows these - they are its last two columns
+    */
+    const sizeText = document.createElement('p');
+    sizeText.className = 'image-size image-list-cell';
+    sizeText.textContent = size ? formatFileSize(size) : '';
+
+    const typeText = document.createElement('p');
+    typeText.className = 'image-type image-list-cell';
+    typeText.textContent = SUPPORTED_IMAGE_TYPES[contentType] || '';
 
     /*
         Assemble the component
@@ -150,21 +256,112 @@ export function createImageCard(imageData = {}) {
         Structure:
         <article class="image-card">
             <div class="image-container">
-                <img />
+                <a class="image-link"><img /></a>
+                <input type="checkbox" class="card-select">  (only if onSelect was given)
             </div>
             <div class="image-info">
                 <p class="image-name">...</p>
+                <p class="image-caption">...</p>      (only if there is a caption)
+                <ul class="image-tags">...</ul>       (only if there are tags)
                 <p class="image-meta">...</p>
+                <p class="image-size">...</p>         (list layout only)
+                <p class="image-type">...</p>         (list layout only)
+                <details class="image-exif">...</details>  (only if the camera recorded any)
+                <div class="image-actions">...</div>  (only if actions were given)
             </div>
         </article>
     */
 
-    // Add image to its container
-    imageContainer.appendChild(img);
+    // Add image (inside its link) to its container
+    imageLink.appendChild(img);
+    imageContainer.appendChild(imageLink);
 
-    // Add name and meta to info section
+    /*
+        Selection checkbox, for acting on many images at once
+        It listens for "click" rather than "change" because only the click
+        event knows whether Shift was held (Shift-click selects a range)
+    */
+    if (onSelect) {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'card-select';
+        checkbox.setAttribute('aria-label', `Select ${title || fileName}`);
+        checkbox.addEventListener('click', (event) => {
+            onSelect(imageData, { selected: checkbox.checked, range: event.shiftKey });
+        });
+        imageContainer.appendChild(checkbox);
+
+        checkbox.checked = isSelected(fullPath);
+        card.classList.toggle('is-selected', checkbox.checked);
+    }
+
+    // Add name, caption, tags and meta to info section
     info.appendChild(imageName);
+
+    if (caption) {
+        const captionText = document.createElement('p');
+        captionText.className = 'image-caption';
+        captionText.textContent = caption;
+        info.appendChild(captionText);
+    }
+
+    if (tags.length > 0) {
+        info.appendChild(createTagList(tags));
+    }
+
     info.appendChild(meta);
+    info.appendChild(sizeText);
+    info.appendChild(typeText);
+
+    if (exif) {
+        info.appendChild(createExifPanel(exif, imageData));
+    }
+
+    /*
+        Create action buttons
+        The card doesn't delete anything itself - it just tells whoever
+        created it (through the callback) that the user asked to delete.
+        This keeps the card simple and reusable.
+    */
+    if (onDelete || onEditDetails || onMove) {
+        const actionsBar = document.createElement('div');
+        actionsBar.className = 'image-actions';
+
+        if (onEditDetails) {
+            const editButton = document.createElement('button');
+            editButton.type = 'button';
+            editButton.className = 'btn btn-secondary btn-small';
+            editButton.textContent = 'Edit';
+            editButton.setAttribute('aria-label', `Edit details of ${title || fileName}`);
+            editButton.addEventListener('click', () => {
+                openDetailsEditor(card, info, imageData, onEditDetails);
+            });
+            actionsBar.appendChild(editButton);
+        }
+
+        if (onMove) {
+            const moveButton = document.createElement('button');
+            moveButton.type = 'button';
+            moveButton.className = 'btn btn-secondary btn-small';
+            moveButton.textContent = 'Move';
+            moveButton.setAttribute('aria-label', `Move ${title || fileName} to another album`);
+            moveButton.addEventListener('click', () => onMove(imageData));
+            actionsBar.appendChild(moveButton);
+        }
+
+        info.appendChild(actionsBar);
+    }
+
+    if (onDelete) {
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'btn btn-danger btn-small';
+        deleteButton.textContent = 'Delete';
+        deleteButton.setAttribute('aria-label', `Delete ${fileName}`);
+        deleteButton.addEventListener('click', () => onDelete(imageData));
+
+        info.querySelector('.image-actions').appendChild(deleteButton);
+    }
 
     // Add both sections to the card
     card.appendChild(imageContainer);
@@ -174,15 +371,190 @@ export function createImageCard(imageData = {}) {
     return card;
 }
 
+/*
+    Set Card Selected
+    Ticks or unticks a card's checkbox, and marks the card so CSS can highlight it
+
+    Parameters:
+    - card: An image card element
+    - selected: Whether the card should show as selected
+*/
+export function setCardSelected(card, selected) {
+    const checkbox = card.querySelector('.card-select');
+    if (checkbox) {
+        checkbox.checked = selected;
+    }
+    card.classList.toggle('is-selected', selected);
+}
+
+/*
+    Helper Function: createTagList
+    Shows each tag as a small "chip"
+    A list (<ul>) is used because tags are a group of related items
+*/
+function createTagList(tags) {
+    const list = document.createElement('ul');
+    list.className = 'image-tags';
+    list.setAttribute('aria-label', 'Tags');
+
+    tags.forEach((tag) => {
+        const item = document.createElement('li');
+        item.className = 'image-tag';
+        item.textContent = tag;
+        list.appendChild(item);
+    });
+
+    return list;
+}
+
+/*
+    Helper Function: createExifPanel
+    Shows the camera details in a <details> element, which the browser
+    opens and closes by itself when the summary is clicked - no JavaScript needed
+
+    A description list (<dl>) pairs each label with its value:
+    Taken / Camera / Lens / Exposure / Dimensions
+    Rows the camera didn't record are left out
+*/
+function createExifPanel(exif, imageData) {
+    const panel = document.createElement('details');
+    panel.className = 'image-exif';
+
+    const summary = document.createElement('summary');
+    summary.textContent = 'Photo details';
+
+    // "1/250 s · f/2.8 · ISO 100 · 35 mm"
+    const exposure = [
+        exif.exposureTime && `${exif.exposureTime} s`,
+        exif.fNumber && `f/${exif.fNumber}`,
+        exif.iso && `ISO ${exif.iso}`,
+        exif.focalLength && `${exif.focalLength} mm`
+    ].filter(Boolean).join(' · ');
+
+    const rows = [
+        // formatTimestamp() expects milliseconds, like the ones in filenames
+        ['Taken', exif.takenAt && formatTimestamp(Date.parse(exif.takenAt))],
+        ['Camera', exif.camera],
+        ['Lens', exif.lens],
+        ['Exposure', exposure],
+        ['Dimensions', imageData.width && imageData.height && `${imageData.width} × ${imageData.height}`]
+    ];
+
+    const list = document.createElement('dl');
+
+    rows.filter(([, value]) => value).forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const description = document.createElement('dd');
+        description.textContent = value;
+        list.appendChild(term);
+        list.appendChild(description);
+    });
+
+    panel.appendChild(summary);
+    panel.appendChild(list);
+    return panel;
+}
+
+/*
+    Helper Function: openDetailsEditor
+
+    Swaps the card's info section for an edit form with the
+    title, caption and tags fields already filled in
+
+    Saving calls onEditDetails(imageData, details). Whoever created the card
+    is responsible for saving the details and showing the updated card;
+    if saving fails, the error is shown and the editor stays open.
+*/
+function openDetailsEditor(card, info, imageData, onEditDetails) {
+    // Only one editor per card
+    if (card.querySelector('.details-editor')) {
+        return;
+    }
+
+    const editor = document.createElement('div');
+    editor.className = 'details-editor';
+
+    // Each card needs unique input ids, so we base them on the storage path
+    const idPrefix = `edit-${(imageData.fullPath || imageData.name || 'image').replace(/[^a-zA-Z0-9-]/g, '-')}`;
+    const fields = createDetailsFields(idPrefix, imageData);
+
+    const errorText = document.createElement('p');
+    errorText.className = 'details-error';
+    errorText.setAttribute('role', 'alert');
+
+    const buttons = document.createElement('div');
+    buttons.className = 'image-actions';
+
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'btn btn-secondary btn-small';
+    cancelButton.textContent = 'Cancel';
+
+    const saveButton = document.createElement('button');
+    saveButton.type = 'button';
+    saveButton.className = 'btn btn-primary btn-small';
+    saveButton.textContent = 'Save';
+
+    const closeEditor = () => {
+        editor.remove();
+        info.hidden = false;
+    };
+
+    cancelButton.addEventListener('click', closeEditor);
+
+    saveButton.addEventListener('click', async () => {
+        fields.disabled = true;
+        saveButton.disabled = true;
+        cancelButton.disabled = true;
+        saveButton.textContent = 'Saving...';
+        errorText.textContent = '';
+
+        try {
+            await onEditDetails(imageData, getDetailsFromFields(fields));
+            closeEditor();
+        } catch (error) {
+            errorText.textContent = `Could not save: ${error.message}`;
+            fields.disabled = false;
+            saveButton.disabled = false;
+            cancelButton.disabled = false;
+            saveButton.textContent = 'Save';
+        }
+    });
+
+    buttons.appendChild(cancelButton);
+    buttons.appendChild(saveButton);
+
+    editor.appendChild(fields);
+    editor.appendChild(errorText);
+    editor.appendChild(buttons);
+
+    // Hide the normal info while editing, and move focus to the first field
+    info.hidden = true;
+    card.appendChild(editor);
+    fields.querySelector('input').focus();
+}
+
+/*
+    Get Image Display Name
+    The name a card shows for an image: its original file name, or one
+    worked out from the stored name for images uploaded before that was kept
+    (the search bar matches against the same name - see js/imageSearch.js)
+*/
+export function getImageDisplayName(imageData) {
+    return imageData.originalName || formatFileName(imageData.name);
+}
+
 /*
     Helper Function: formatFileName
 
-    Cleans up the filename for display
-    - Removes timestamp prefix that we added during upload
-    - Handles long filenames gracefully
+    Cleans up the filename for display, for images that don't come with
+    an originalName
+    - Removes the timestamp prefix that older uploads were given
+    - Leaves other underscores alone ("IMG_1234.jpg" stays as it is)
 
     Example:
-    Input: "1234567890_my-vacation-photo.jpg"
+    Input: "1234567890123_my-vacation-photo.jpg"
     Output: "my-vacation-photo.jpg"
 */
 function formatFileName(filename) {
@@ -190,21 +562,8 @@ function formatFileName(filename) {
         return 'Untitled';
     }
 
-    /*
-        Remove timestamp prefix if it exists
-        Our upload function adds "timestamp_" to the beginning
-        We split by underscore and take everything after the first one
-    */
-    const parts = filename.split('_');
-
-    // If there's an underscore, remove the timestamp part
-    if (parts.length > 1) {
-        // Join the rest back together (in case filename had underscores)
-        return parts.slice(1).join('_');
-    }
-
-    // If no underscore found, return the original filename
-    return filename;
+    // readObjectName() knows what the old "timestamp_name" names look like
+    return readObjectName(filename).originalName;
 }
 
 /*
@@ -214,7 +573,7 @@ function formatFileName(filename) {
     Makes the upload date/time more user-friendly
 
     Example:
-    Input: "1234567890" (Unix timestamp in milliseconds)
+    Input: 1234567890 or "1234567890" (Unix timestamp in milliseconds)
     Output: "Oct 15, 2025 at 10:30 AM"
 */
 function formatTimestamp(timestamp) {
@@ -224,7 +583,8 @@ function formatTimestamp(timestamp) {
 
     /*
         Convert timestamp string to number
-        Timestamps are stored as strings in filenames
+        Timestamps are stored as strings in custom metadata (and were
+        in the filenames of older uploads)
         We need to convert to number for Date object
     */
     const timestampNum = parseInt(timestamp, 10);
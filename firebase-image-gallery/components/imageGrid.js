@@ -11,7 +11,20 @@
 
 // Import the imageCard component
 // This is an example of component composition - one component using another
-import { createImageCard, createLoadingCard } from './imageCard.js';
+import { createImageCard, createLoadingCard, setCardSelected } from './imageCard.js';
+import { createAlbumCard } from './albumCard.js';
+import {
+    enableGridWindow,
+    renderGridWindow,
+    scheduleGridWindowRender,
+    pinGridWindowCard,
+    unpinGridWindowCard,
+    forgetGridWindowCard,
+    releaseGridWindowCards,
+    getGridAnchor,
+    restoreGridAnchor,
+    changeGridWindowLayout
+} from './gridWindow.js';
 
 /*
     Factory Function: createImageGrid
@@ -24,6 +37,22 @@ import { createImageCard, createLoadingCard } from './imageCard.js';
         - images: Array of image data objects
         - onRefresh: Callback function to refresh the gallery
         - isLoading: Boolean indicating if data is being loaded
+        - onDeleteImage: Callback when a card's delete button is clicked
+        - onEditImageDetails: Callback when a card's edited details are saved
+          (receives imageData and { title, caption, tags }, returns a Promise)
+        - onLoadMore: Async callback that fetches the next page of images
+          and resolves with { images, hasMore }
+        - hasMore: Boolean indicating if there are more pages to load
+        - paginationMode: 'infinite' (load as you scroll) or 'button' (click "Load more")
+        - albums: Array of albums ({ name, coverUrl }) shown as cover cards before the images
+        - onOpenAlbum: Callback when an album card is clicked (receives the album name)
+        - onMoveImage: Callback when a card's move button is clicked
+        - windowed: Only keep the cards near the viewport in the page
+          (for very large galleries - see gridWindow.js)
+        - layout: 'grid', 'masonry', 'justified' or 'list' (see js/galleryLayout.js)
+          Masonry cards are placed by gridWindow.js, so masonry turns windowed on
+        - onSelectionChange: Called with the selected images' fullPaths (in grid order)
+          whenever the selection changes (cards only get a checkbox if this is provided)
 
     Returns:
     - A DOM element containing the image grid
@@ -33,7 +62,18 @@ export function createImageGrid(options = {}) {
     const {
         images = [],          // Default to empty array if no images provided
         onRefresh = null,     // Optional refresh callback
-        isLoading = false     // Default to not loading
+        isLoading = false,    // Default to not loading
+        onDeleteImage = null, // Optional delete callback for each card
+        onEditImageDetails = null, // Optional edit callback for each card
+        onLoadMore = null,    // Optional callback to fetch the next page
+        hasMore = false,      // Default to everything already loaded
+        paginationMode = 'infinite',
+        albums = [],          // Default to no album cards
+        onOpenAlbum = null,   // Optional callback to open an album
+        onMoveImage = null,   // Optional move callback for each card
+        windowed = false,     // Default to putting every card in the page
+        layout = 'grid',      // Default to cards of the same size
+        onSelectionChange = null // Optional callback - turns the checkboxes on
     } = options;
 
     /*
@@ -41,7 +81,61 @@ export function createImageGrid(options = {}) {
         This will hold all the image cards in a CSS Grid layout
     */
     const gridContainer = document.createElement('div');
-    gridContainer.className = 'image-grid';
+    gridContainer.className = `image-grid layout-${layout}`;
+
+    // The layout is kept on the element, like the callbacks below (see setImageGridLayout())
+    gridContainer.layout = layout;
+
+    /*
+        Remember the card callbacks on the grid element itself
+        updateImageGrid() and addImageToGrid() only receive the grid element,
+        so storing the callbacks here lets every card they create get the same buttons
+    */
+    gridContainer.cardActions = {
+        onDelete: onDeleteImage,
+        onEditDetails: onEditImageDetails,
+        onMove: onMoveImage
+    };
+    gridContainer.onOpenAlbum = onOpenAlbum;
+
+    /*
+        The selection is stored the same way
+        - paths: fullPaths of the selected images
+        - anchor: The image clicked last, where a Shift-click range starts
+        It is kept by fullPath rather than on the cards, because in windowed
+        mode most images have no card in the page
+    */
+    gridContainer.selection = {
+        paths: new Set(),
+        anchor: null,
+        onChange: onSelectionChange
+    };
+    if (onSelectionChange) {
+        gridContainer.cardActions.onSelect = (imageData, change) => selectFromCard(gridContainer, imageData, change);
+        gridContainer.cardActions.isSelected = (fullPath) => gridContainer.selection.paths.has(fullPath);
+    }
+
+    /*
+        Pagination state is stored the same way
+        The grid keeps track of whether more pages exist and
+        whether it is currently fetching one
+    */
+    gridContainer.pagination = {
+        onLoadMore,
+        hasMore,
+        mode: paginationMode,
+        isLoadingMore: false,
+        failed: false,
+        observer: null
+    };
+
+    /*
+        In windowed mode the grid keeps its list of images in gridContainer.windowing
+        and every function below works on that list instead of on the cards
+    */
+    if (windowed || layout === 'masonry') {
+        enableGridWindow(gridContainer);
+    }
 
     /*
         Handle different states:
@@ -53,17 +147,93 @@ export function createImageGrid(options = {}) {
     if (isLoading) {
         // Show loading state
         renderLoadingState(gridContainer);
-    } else if (images.length === 0) {
+    } else if (images.length === 0 && albums.length === 0) {
         // Show empty state
         renderEmptyState(gridContainer);
     } else {
-        // Show images
+        // Show albums first, then images
+        renderAlbums(gridContainer, albums);
+        renderListHeader(gridContainer);
         renderImages(gridContainer, images);
+        renderPaginationControls(gridContainer);
     }
 
     return gridContainer;
 }
 
+/*
+    Render Albums
+    Creates a cover card for each album
+    Album cards always come before the image cards
+*/
+function renderAlbums(container, albums) {
+    albums.forEach((album) => {
+        container.appendChild(createAlbumCard(album, {
+            onOpen: (name) => {
+                if (container.onOpenAlbum) {
+                    container.onOpenAlbum(name);
+                }
+            }
+        }));
+    });
+}
+
+/*
+    Helper: find where a new card should go at the "top" of the grid
+    That's right after the album cards - or before the sentinel if
+    there are no image cards yet
+*/
+function getFirstImageSlot(gridElement) {
+    return gridElement.querySelector('.image-card') || gridElement.querySelector('.grid-sentinel');
+}
+
+/*
+    Helper: whether the grid has any images
+    (in windowed mode they may all be off screen, with no cards in the page)
+*/
+function hasImages(gridElement) {
+    return gridElement.windowing
+        ? gridElement.windowing.images.length > 0
+        : Boolean(gridElement.querySelector('.image-card'));
+}
+
+/*
+    Render List Header
+    The column headings of the list layout: Name, Uploaded, Size, Type
+    They go after the album cards, and only while there are cards to head
+*/
+function renderListHeader(container) {
+    if (container.layout !== 'list' || container.querySelector('.list-header')) {
+        return;
+    }
+
+    const header = document.createElement('div');
+    header.className = 'list-header';
+    // Each row already reads as "name, date, size, type", so screen readers can skip the headings
+    header.setAttribute('aria-hidden', 'true');
+
+    ['', 'Name', 'Uploaded', 'Size', 'Type', ''].forEach((text, index) => {
+        const heading = document.createElement('span');
+        heading.className = `list-heading list-heading-${index}`;
+        heading.textContent = text;
+        header.appendChild(heading);
+    });
+
+    // Straight after the album cards
+    let next = container.firstElementChild;
+    while (next && next.classList.contains('album-card')) {
+        next = next.nextElementSibling;
+    }
+    container.insertBefore(header, next);
+}
+
+function removeListHeader(container) {
+    const header = container.querySelector('.list-header');
+    if (header) {
+        header.remove();
+    }
+}
+
 /*
     Render Loading State
     Shows placeholder cards while images are being fetched
@@ -123,11 +293,45 @@ function renderEmptyState(container) {
     emptyState.appendChild(message);
     emptyState.appendChild(subtext);
 
+    // Nothing left for the list's headings to head
+    removeListHeader(container);
     container.appendChild(emptyState);
 
     console.log('No images to display');
 }
 
+/*
+    Render No Matches State
+    Shown when a search finds nothing - different from the empty state,
+    because the gallery does have images, just none that match
+*/
+function renderNoMatchesState(container) {
+    if (container.querySelector('.no-matches-state')) {
+        return;
+    }
+
+    const noMatches = document.createElement('div');
+    noMatches.className = 'no-matches-state';
+
+    const message = document.createElement('p');
+    message.textContent = 'No images match your search';
+
+    const subtext = document.createElement('p');
+    subtext.className = 'no-matches-hint';
+    subtext.textContent = 'Try other words, another type or a wider date range - or clear the filters';
+
+    noMatches.appendChild(message);
+    noMatches.appendChild(subtext);
+    container.appendChild(noMatches);
+}
+
+function removeNoMatchesState(container) {
+    const noMatches = container.querySelector('.no-matches-state');
+    if (noMatches) {
+        noMatches.remove();
+    }
+}
+
 /*
     Render Images
     Creates and displays image cards for all images
@@ -136,6 +340,15 @@ function renderEmptyState(container) {
     to create a card for each image in our array
 */
 function renderImages(container, images) {
+    if (container.windowing) {
+        container.windowing.images = [...images];
+        renderGridWindow(container);
+
+        // The grid may not be in the page yet - render again once it has been laid out
+        scheduleGridWindowRender(container);
+        return;
+    }
+
     /*
         Loop through all images and create cards
         We use forEach() which is a clean way to iterate through arrays
@@ -146,7 +359,7 @@ function renderImages(container, images) {
     */
     images.forEach((imageData) => {
         // Create an image card for this image
-        const card = createImageCard(imageData);
+        const card = createImageCard(imageData, container.cardActions);
 
         // Add the card to the grid
         container.appendChild(card);
@@ -155,6 +368,112 @@ function renderImages(container, images) {
     console.log(`Displayed ${images.length} image(s)`);
 }
 
+/*
+    Render Pagination Controls
+
+    Adds a "sentinel" element after the last card. A sentinel is an
+    invisible marker: when it scrolls into view we know the user has reached
+    the end of the grid and it's time to load the next page.
+
+    How do we know when it's visible?
+    IntersectionObserver is a browser API that calls us back whenever an
+    element enters or leaves the viewport - much cheaper than listening
+    to every scroll event.
+
+    The sentinel also contains a "Load more" button, which is used in
+    'button' mode, in browsers without IntersectionObserver, and to retry
+    after a failed load.
+*/
+function renderPaginationControls(container) {
+    const pagination = container.pagination;
+    if (!pagination || !pagination.onLoadMore) {
+        return;
+    }
+
+    // Remove the old sentinel and stop watching it
+    const oldSentinel = container.querySelector('.grid-sentinel');
+    if (oldSentinel) {
+        oldSentinel.remove();
+    }
+    if (pagination.observer) {
+        pagination.observer.disconnect();
+        pagination.observer = null;
+    }
+
+    // Nothing more to load - no sentinel needed
+    if (!pagination.hasMore) {
+        return;
+    }
+
+    const sentinel = document.createElement('div');
+    sentinel.className = 'grid-sentinel';
+
+    const loadMoreButton = document.createElement('button');
+    loadMoreButton.type = 'button';
+    loadMoreButton.className = 'btn btn-secondary load-more-button';
+    loadMoreButton.textContent = pagination.failed ? 'Try again' : 'Load more images';
+    loadMoreButton.addEventListener('click', () => loadNextPage(container));
+
+    sentinel.appendChild(loadMoreButton);
+    container.appendChild(sentinel);
+
+    /*
+        In infinite mode, watch the sentinel and load automatically
+        rootMargin starts loading a little before the sentinel is actually visible
+        After a failure we wait for the user to click "Try again" instead,
+        otherwise a broken connection would retry over and over
+    */
+    if (pagination.mode === 'infinite' && !pagination.failed && 'IntersectionObserver' in window) {
+        pagination.observer = new IntersectionObserver((entries) => {
+            if (entries.some((entry) => entry.isIntersecting)) {
+                loadNextPage(container);
+            }
+        }, { rootMargin: '300px' });
+
+        pagination.observer.observe(sentinel);
+    }
+}
+
+/*
+    Load Next Page
+    Asks the parent (through onLoadMore) for the next page and appends it
+*/
+async function loadNextPage(container) {
+    const pagination = container.pagination;
+
+    // Only one page at a time
+    if (pagination.isLoadingMore || !pagination.hasMore) {
+        return;
+    }
+
+    pagination.isLoadingMore = true;
+
+    const loadMoreButton = container.querySelector('.load-more-button');
+    if (loadMoreButton) {
+        loadMoreButton.disabled = true;
+        loadMoreButton.textContent = 'Loading...';
+    }
+
+    try {
+        const { images, hasMore } = await pagination.onLoadMore();
+        appendImagesToGrid(container, images);
+        pagination.hasMore = hasMore;
+        pagination.failed = false;
+    } catch (error) {
+        console.error('Failed to load more images:', error);
+        pagination.failed = true;
+    } finally {
+        pagination.isLoadingMore = false;
+
+        /*
+            Re-create the sentinel at the new end of the grid
+            Observing a fresh sentinel makes IntersectionObserver check it
+            straight away, so if it is still on screen the next page loads too
+        */
+        renderPaginationControls(container);
+    }
+}
+
 /*
     Update Grid Function
     Updates an existing grid with new data
@@ -165,28 +484,167 @@ function renderImages(container, images) {
     Parameters:
     - gridElement: The existing grid DOM element to update
     - images: New array of image data
+    - options: Optional settings
+        - hasMore: Whether more pages can be loaded after these images
+        - albums: Album cards to show before the images
 */
-export function updateImageGrid(gridElement, images) {
+export function updateImageGrid(gridElement, images, options = {}) {
+    /*
+        In windowed mode, remember which card is at the top of the screen
+        (and which element has focus), and keep the cards for reuse
+    */
+    const anchor = gridElement.windowing ? getGridAnchor(gridElement) : null;
+    const focused = document.activeElement;
+    if (gridElement.windowing) {
+        releaseGridWindowCards(gridElement);
+        gridElement.windowing.images = [];
+    }
+
     /*
         Clear all existing content
         innerHTML = '' removes all child elements
         This is simpler than manually removing each child
     */
     gridElement.innerHTML = '';
+    gridElement.classList.remove('is-filtered');
+
+    if (gridElement.pagination && 'hasMore' in options) {
+        gridElement.pagination.hasMore = options.hasMore;
+        gridElement.pagination.failed = false;
+    }
 
     /*
         Re-render based on new data
         Same logic as createImageGrid, but updating existing element
     */
-    if (images.length === 0) {
+    const { albums = [] } = options;
+
+    if (images.length === 0 && albums.length === 0) {
         renderEmptyState(gridElement);
     } else {
+        renderAlbums(gridElement, albums);
+        renderListHeader(gridElement);
         renderImages(gridElement, images);
+        renderPaginationControls(gridElement);
     }
 
+    // Scroll back to the same card, and give focus back to a card that is still there
+    if (gridElement.windowing) {
+        restoreGridAnchor(gridElement, anchor);
+        if (focused && focused !== document.activeElement && gridElement.contains(focused)) {
+            focused.focus({ preventScroll: true });
+        }
+    }
+
+    pruneSelection(gridElement);
+
     console.log('Grid updated');
 }
 
+/*
+    Reorder Image Grid Function
+    Puts the image cards in a new order (e.g. after the sort changed)
+
+    Cards that are already on screen are moved, not rebuilt (see
+    placeImageCards()), so their images don't load again
+
+    Parameters:
+    - gridElement: The existing grid DOM element
+    - images: The images to show, in their new order
+    - options: Optional settings
+        - hasMore: Whether more pages can be loaded after these images
+*/
+export function reorderImageGrid(gridElement, images, options = {}) {
+    // Showing the whole gallery again after a search
+    gridElement.classList.remove('is-filtered');
+    removeNoMatchesState(gridElement);
+
+    placeImageCards(gridElement, images);
+
+    if (gridElement.pagination && 'hasMore' in options) {
+        gridElement.pagination.hasMore = options.hasMore;
+        gridElement.pagination.failed = false;
+    }
+    renderPaginationControls(gridElement);
+
+    if (!hasImages(gridElement) && !gridElement.querySelector('.album-card')) {
+        renderEmptyState(gridElement);
+    }
+
+    console.log(`Reordered ${images.length} image(s)`);
+}
+
+/*
+    Filter Image Grid Function
+    Shows only the images that match a search, in the given order
+
+    Works like reorderImageGrid(), except that:
+    - Album cards are hidden (the search is inside the album on screen)
+    - No more pages are loaded - the matches are every matching image
+    - No matches shows "No images match" rather than "No images yet"
+
+    Parameters:
+    - gridElement: The existing grid DOM element
+    - images: The matching images, in order
+*/
+export function filterImageGrid(gridElement, images) {
+    gridElement.classList.add('is-filtered');
+    placeImageCards(gridElement, images);
+
+    if (gridElement.pagination) {
+        gridElement.pagination.hasMore = false;
+    }
+    renderPaginationControls(gridElement);
+
+    if (images.length === 0) {
+        renderNoMatchesState(gridElement);
+    } else {
+        removeNoMatchesState(gridElement);
+    }
+}
+
+/*
+    Helper: make the grid's image cards match a list of images, in order
+
+    Cards that are already on screen are moved, not rebuilt, so their
+    images don't load again and an open details editor keeps what was
+    typed. Only images without a card get a new one, and cards for images
+    that aren't in the list are removed.
+*/
+function placeImageCards(gridElement, images) {
+    const emptyState = gridElement.querySelector('.empty-state');
+    if (emptyState) {
+        emptyState.remove();
+    }
+    renderListHeader(gridElement);
+
+    // The window reuses cards by fullPath in the same way
+    if (gridElement.windowing) {
+        gridElement.windowing.images = [...images];
+        renderGridWindow(gridElement);
+        pruneSelection(gridElement);
+        return;
+    }
+
+    const cards = [...gridElement.querySelectorAll('.image-card')];
+    const cardsByPath = new Map(cards.map((card) => [card.dataset.fullPath, card]));
+
+    /*
+        appendChild() on a card that is already in the grid moves it to the end,
+        so appending every card in the new order leaves them sorted
+        (album cards stay in front, and renderPaginationControls() puts the sentinel back last)
+    */
+    images.forEach((imageData) => {
+        const card = cardsByPath.get(imageData.fullPath) || createImageCard(imageData, gridElement.cardActions);
+        cardsByPath.delete(imageData.fullPath);
+        gridElement.appendChild(card);
+    });
+
+    // Whatever is left over isn't part of the new order
+    cardsByPath.forEach((card) => card.remove());
+    pruneSelection(gridElement);
+}
+
 /*
     Add Image to Grid Function
     Adds a single new image to existing grid
@@ -208,17 +666,26 @@ export function addImageToGrid(gridElement, imageData) {
         // Remove empty state message
         gridElement.innerHTML = '';
     }
+    removeNoMatchesState(gridElement);
+    renderListHeader(gridElement);
+
+    if (gridElement.windowing) {
+        gridElement.windowing.images.unshift(imageData);
+        renderGridWindow(gridElement);
+        console.log(`Added new image: ${imageData.name}`);
+        return;
+    }
 
     /*
         Create card for the new image
         We could add it at the beginning or end
         Adding at beginning (prepend) shows newest images first
     */
-    const card = createImageCard(imageData);
+    const card = createImageCard(imageData, gridElement.cardActions);
 
-    // Add to the beginning of the grid (newest first)
+    // Add to the beginning of the images (newest first), after any album cards
     // Alternative: gridElement.appendChild(card) would add to end
-    gridElement.insertBefore(card, gridElement.firstChild);
+    gridElement.insertBefore(card, getFirstImageSlot(gridElement));
 
     console.log(`Added new image: ${imageData.name}`);
 
@@ -229,6 +696,334 @@ export function addImageToGrid(gridElement, imageData) {
     */
 }
 
+/*
+    Append Images to Grid Function
+    Adds a page of images after the existing cards
+
+    Parameters:
+    - gridElement: The existing grid DOM element
+    - images: Array of image data to add to the end
+*/
+export function appendImagesToGrid(gridElement, images) {
+    if (images.length === 0) {
+        return;
+    }
+
+    const emptyState = gridElement.querySelector('.empty-state');
+    if (emptyState) {
+        emptyState.remove();
+    }
+    renderListHeader(gridElement);
+
+    if (gridElement.windowing) {
+        gridElement.windowing.images.push(...images);
+        renderGridWindow(gridElement);
+        console.log(`Appended ${images.length} image(s)`);
+        return;
+    }
+
+    // New cards go before the sentinel so it always stays last
+    const sentinel = gridElement.querySelector('.grid-sentinel');
+
+    images.forEach((imageData) => {
+        gridElement.insertBefore(createImageCard(imageData, gridElement.cardActions), sentinel);
+    });
+
+    console.log(`Appended ${images.length} image(s)`);
+}
+
+/*
+    Remove Image from Grid Function
+    Removes the card for one image without touching the others
+
+    Parameters:
+    - gridElement: The existing grid DOM element
+    - fullPath: Storage path of the image whose card should be removed
+
+    Returns:
+    - The position the card had in the grid (or -1 if it wasn't found)
+      This lets callers put the card back in the same place, e.g. for "undo"
+*/
+export function removeImageFromGrid(gridElement, fullPath) {
+    let index;
+
+    if (gridElement.windowing) {
+        const { images } = gridElement.windowing;
+        index = images.findIndex((image) => image.fullPath === fullPath);
+        if (index === -1) {
+            return -1;
+        }
+        images.splice(index, 1);
+        forgetGridWindowCard(gridElement, fullPath);
+        renderGridWindow(gridElement);
+    } else {
+        const cards = [...gridElement.querySelectorAll('.image-card')];
+        index = cards.findIndex((card) => card.dataset.fullPath === fullPath);
+        if (index === -1) {
+            return -1;
+        }
+        cards[index].remove();
+    }
+
+    // Show the empty state (or "no matches" during a search) if that was the last card
+    if (gridElement.classList.contains('is-filtered') && !hasImages(gridElement)) {
+        renderNoMatchesState(gridElement);
+    } else if (!hasImages(gridElement) && !gridElement.querySelector('.album-card')) {
+        renderEmptyState(gridElement);
+    }
+
+    pruneSelection(gridElement);
+
+    console.log(`Removed image: ${fullPath}`);
+    return index;
+}
+
+/*
+    Update Image in Grid Function
+    Replaces the card for one image with a fresh card built from new data
+    (e.g. after its title or tags were edited)
+
+    Parameters:
+    - gridElement: The existing grid DOM element
+    - imageData: The updated image data (matched to its card by fullPath)
+*/
+export function updateImageInGrid(gridElement, imageData) {
+    if (gridElement.windowing) {
+        const { images } = gridElement.windowing;
+        const index = images.findIndex((image) => image.fullPath === imageData.fullPath);
+        if (index !== -1) {
+            images[index] = imageData;
+            forgetGridWindowCard(gridElement, imageData.fullPath);
+            renderGridWindow(gridElement);
+        }
+        return;
+    }
+
+    const cards = [...gridElement.querySelectorAll('.image-card')];
+    const oldCard = cards.find((card) => card.dataset.fullPath === imageData.fullPath);
+
+    if (!oldCard) {
+        return;
+    }
+
+    oldCard.replaceWith(createImageCard(imageData, gridElement.cardActions));
+}
+
+/*
+    Is Image Being Edited
+    Whether an image's card has its details editor open
+    (replacing the card would throw away what the user has typed)
+*/
+export function isImageBeingEdited(gridElement, fullPath) {
+    const cards = [...gridElement.querySelectorAll('.image-card')];
+    const card = cards.find((item) => item.dataset.fullPath === fullPath);
+
+    return Boolean(card && card.querySelector('.details-editor'));
+}
+
+/*
+    Show Image in Grid
+    Scrolls an image's card into view and highlights it for a moment
+
+    Returns:
+    - true if the card is in the grid, false if it isn't loaded
+*/
+export function showImageInGrid(gridElement, fullPath) {
+    // In windowed mode the card may not be in the page - pin it there while it is highlighted
+    const card = gridElement.windowing
+        ? pinGridWindowCard(gridElement, fullPath)
+        : [...gridElement.querySelectorAll('.image-card')].find((item) => item.dataset.fullPath === fullPath);
+
+    if (!card) {
+        return false;
+    }
+
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    // Restart the highlight animation if it is already running
+    card.classList.remove('is-highlighted');
+    void card.offsetWidth;
+    card.classList.add('is-highlighted');
+    card.addEventListener('animationend', () => {
+        card.classList.remove('is-highlighted');
+        if (gridElement.windowing) {
+            unpinGridWindowCard(gridElement, fullPath);
+        }
+    }, { once: true });
+
+    return true;
+}
+
+/*
+    Insert Image into Grid Function
+    Like addImageToGrid, but puts the card at a specific position
+
+    Parameters:
+    - gridElement: The existing grid DOM element
+    - imageData: Data for the image to insert
+    - index: Position for the new card (0 = first)
+*/
+export function insertImageIntoGrid(gridElement, imageData, index) {
+    const emptyState = gridElement.querySelector('.empty-state');
+    if (emptyState) {
+        gridElement.innerHTML = '';
+    }
+    removeNoMatchesState(gridElement);
+    renderListHeader(gridElement);
+
+    if (gridElement.windowing) {
+        gridElement.windowing.images.splice(index, 0, imageData);
+        renderGridWindow(gridElement);
+        return;
+    }
+
+    const card = createImageCard(imageData, gridElement.cardActions);
+
+    // An index past the end adds the card after the last one (but before the sentinel)
+    const cards = gridElement.querySelectorAll('.image-card');
+    gridElement.insertBefore(card, cards[index] || gridElement.querySelector('.grid-sentinel'));
+}
+
+/*
+    Set Image Grid Layout
+    Switches an existing grid to another layout, keeping its cards
+
+    The first card on screen stays where it is, so switching doesn't
+    lose your place in a long gallery
+
+    Parameters:
+    - gridElement: The existing grid DOM element
+    - layout: 'grid', 'masonry', 'justified' or 'list' (see js/galleryLayout.js)
+
+    Masonry cards are placed by gridWindow.js. A grid created without
+    windowing has no one to place them, so it shows masonry as a grid of
+    uncropped images instead.
+*/
+export function setImageGridLayout(gridElement, layout) {
+    gridElement.classList.remove(`layout-${gridElement.layout}`);
+    gridElement.classList.add(`layout-${layout}`);
+    gridElement.layout = layout;
+
+    // Only lists have headings, and only above cards (not the loading or empty state)
+    const hasCards = !gridElement.querySelector('.empty-state, .loading-card');
+    if (layout === 'list' && hasCards) {
+        renderListHeader(gridElement);
+    } else {
+        removeListHeader(gridElement);
+    }
+
+    if (gridElement.windowing) {
+        changeGridWindowLayout(gridElement);
+    }
+
+    console.log(`Grid layout: ${layout}`);
+}
+
+/*
+    Get Grid Selection
+    The fullPaths of the selected images, in the order the grid shows them
+
+    Parameters:
+    - gridElement: The existing grid DOM element
+
+    Returns:
+    - Array of fullPaths (empty if nothing is selected)
+*/
+export function getGridSelection(gridElement) {
+    const { paths } = gridElement.selection;
+    return getImagePaths(gridElement).filter((fullPath) => paths.has(fullPath));
+}
+
+/*
+    Select All In Grid
+    Selects every image in the grid (every page loaded so far)
+*/
+export function selectAllInGrid(gridElement) {
+    setSelection(gridElement, getImagePaths(gridElement));
+}
+
+/*
+    Clear Grid Selection
+    Unselects every image
+*/
+export function clearGridSelection(gridElement) {
+    setSelection(gridElement, []);
+}
+
+/*
+    Helper: the fullPaths of the grid's images, in order
+    In windowed mode most of them have no card in the page, so the list of
+    images is used instead of the cards
+*/
+function getImagePaths(gridElement) {
+    if (gridElement.windowing) {
+        return gridElement.windowing.images.map((image) => image.fullPath);
+    }
+    return [...gridElement.querySelectorAll('.image-card')].map((card) => card.dataset.fullPath);
+}
+
+/*
+    Helper: a card's checkbox was clicked
+
+    A plain click selects or unselects that one image. A Shift-click gives
+    every image between the one clicked last and this one the same state
+    as this checkbox - the way file managers and email inboxes work.
+*/
+function selectFromCard(gridElement, imageData, { selected, range }) {
+    const selection = gridElement.selection;
+    const paths = getImagePaths(gridElement);
+    const from = range && selection.anchor ? paths.indexOf(selection.anchor) : -1;
+    const to = paths.indexOf(imageData.fullPath);
+
+    const changed = from !== -1 && to !== -1
+        ? paths.slice(Math.min(from, to), Math.max(from, to) + 1)
+        : [imageData.fullPath];
+
+    const next = new Set(selection.paths);
+    changed.forEach((fullPath) => (selected ? next.add(fullPath) : next.delete(fullPath)));
+
+    selection.anchor = imageData.fullPath;
+    setSelection(gridElement, [...next]);
+}
+
+/*
+    Helper: replace the selection, update the cards and tell the app
+*/
+function setSelection(gridElement, paths) {
+    const selection = gridElement.selection;
+    selection.paths = new Set(paths);
+
+    if (selection.paths.size === 0) {
+        selection.anchor = null;
+    }
+
+    // Cards kept for reuse in windowed mode must show the right state when they come back
+    const cachedCards = gridElement.windowing ? [...gridElement.windowing.cache.values()] : [];
+    [...gridElement.querySelectorAll('.image-card'), ...cachedCards].forEach((card) => {
+        setCardSelected(card, selection.paths.has(card.dataset.fullPath));
+    });
+
+    if (selection.onChange) {
+        selection.onChange(getGridSelection(gridElement));
+    }
+}
+
+/*
+    Helper: forget selected images that are no longer in the grid
+    (deleted, moved, or left out of a search)
+*/
+function pruneSelection(gridElement) {
+    const { paths } = gridElement.selection;
+    if (paths.size === 0) {
+        return;
+    }
+
+    const remaining = getImagePaths(gridElement).filter((fullPath) => paths.has(fullPath));
+    if (remaining.length !== paths.size) {
+        setSelection(gridElement, remaining);
+    }
+}
+
 /*
     Create Grid with Refresh Button
     Alternative version that includes a refresh button
@@ -236,7 +1031,7 @@ export function addImageToGrid(gridElement, imageData) {
     Useful for manual refreshing of the gallery
 */
 export function createImageGridWithRefresh(options = {}) {
-    const { images = [], onRefresh, isLoading = false } = options;
+    const { onRefresh } = options;
 
     // Create wrapper for grid and controls
     const wrapper = document.createElement('div');
@@ -259,7 +1054,7 @@ export function createImageGridWithRefresh(options = {}) {
     }
 
     // Create and add the grid
-    const grid = createImageGrid({ images, onRefresh, isLoading });
+    const grid = createImageGrid(options);
     wrapper.appendChild(grid);
 
     return wrapper;
@@ -277,7 +1072,7 @@ export function getGridStats(gridElement) {
     const hasEmptyState = gridElement.querySelector('.empty-state') !== null;
 
     return {
-        totalImages: imageCards.length,
+        totalImages: gridElement.windowing ? gridElement.windowing.images.length : imageCards.length,
         isLoading: loadingCards.length > 0,
         isEmpty: hasEmptyState,
         element: gridElement
@@ -290,8 +1085,8 @@ export function getGridStats(gridElement) {
     // Create a new grid
     const grid = createImageGrid({
         images: [
-            { url: 'pic1.jpg', name: 'Photo 1', timestamp: '1234567890' },
-            { url: 'pic2.jpg', name: 'Photo 2', timestamp: '1234567891' }
+            { url: 'pic1.jpg', name: 'Photo 1', uploadedAt: 1234567890 },
+            { url: 'pic2.jpg', name: 'Photo 2', uploadedAt: 1234567891 }
         ],
         isLoading: false
     });
@@ -301,10 +1096,36 @@ export function getGridStats(gridElement) {
     const newImages = [...]; // array of image data
     updateImageGrid(grid, newImages);
 
+    // Grid that loads more pages as the user scrolls
+    const pagedGrid = createImageGrid({
+        images: firstPage,
+        hasMore: true,
+        onLoadMore: async () => {
+            const page = await fetchNextPage();
+            return { images: page.images, hasMore: page.nextPageToken !== null };
+        }
+    });
+
     // Add single image
-    const newImage = { url: 'pic3.jpg', name: 'Photo 3', timestamp: '1234567892' };
+    const newImage = { url: 'pic3.jpg', name: 'Photo 3', fullPath: 'images/pic3.jpg', uploadedAt: 1234567892 };
     addImageToGrid(grid, newImage);
 
+    // Remove it again, then put it back where it was
+    const position = removeImageFromGrid(grid, 'images/pic3.jpg');
+    insertImageIntoGrid(grid, newImage, position);
+
+    // Show the same images as a list
+    setImageGridLayout(grid, 'list');
+
+    // Grid with checkboxes, for acting on many images at once
+    const selectableGrid = createImageGrid({
+        images: firstPage,
+        onSelectionChange: (fullPaths) => console.log(`${fullPaths.length} selected`)
+    });
+    selectAllInGrid(selectableGrid);
+    const selected = getGridSelection(selectableGrid);   // ['images/pic1.jpg', ...]
+    clearGridSelection(selectableGrid);
+
     // Get statistics
     const stats = getGridStats(grid);
     console.log(`Total images: ${stats.totalImages}`);
@@ -0,0 +1,72 @@
+/*
+    Layout Switch Component
+    A row of buttons for choosing how the gallery lays out its cards:
+    grid, masonry, justified rows or list
+
+    The layouts themselves are listed in js/galleryLayout.js. This component
+    only shows them and reports which one was picked.
+
+    The pressed button is marked with aria-pressed, so screen readers
+    announce which layout is on ("Grid, toggle button, pressed").
+
+    Structure:
+    <div class="layout-switch" role="group" aria-label="Layout">
+        <button type="button" aria-pressed="true">Grid</button>
+        <button type="button" aria-pressed="false">Masonry</button>
+        ...
+    </div>
+*/
+
+import { LAYOUT_OPTIONS } from '../js/galleryLayout.js';
+
+/*
+    Factory Function: createLayoutSwitch
+
+    Parameters:
+    - options:
+        - value: The id of the layout to show as chosen
+        - onChange: Called with the id of the layout the user picks
+
+    Returns:
+    - A DOM element (div)
+*/
+export function createLayoutSwitch(options = {}) {
+    const { value = LAYOUT_OPTIONS[0].id, onChange = () => {} } = options;
+
+    const layoutSwitch = document.createElement('div');
+    layoutSwitch.className = 'layout-switch';
+    layoutSwitch.setAttribute('role', 'group');
+    layoutSwitch.setAttribute('aria-label', 'Layout');
+
+    LAYOUT_OPTIONS.forEach((option) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-secondary btn-small layout-button';
+        button.dataset.layout = option.id;
+        button.textContent = option.label;
+        button.setAttribute('aria-pressed', String(option.id === value));
+
+        button.addEventListener('click', () => {
+            // Picking the layout that is already on changes nothing
+            if (button.getAttribute('aria-pressed') === 'true') {
+                return;
+            }
+            setLayoutSwitchValue(layoutSwitch, option.id);
+            onChange(option.id);
+        });
+
+        layoutSwitch.appendChild(button);
+    });
+
+    return layoutSwitch;
+}
+
+/*
+    Set Layout Switch Value
+    Shows a layout as chosen, without calling onChange
+*/
+export function setLayoutSwitchValue(layoutSwitch, id) {
+    layoutSwitch.querySelectorAll('.layout-button').forEach((button) => {
+        button.setAttribute('aria-pressed', String(button.dataset.layout === id));
+    });
+}
@@ -0,0 +1,98 @@
+/*
+    Lightbox Component
+    Shows one image at full size on top of the page
+
+    Cards in the grid show small thumbnails to save bandwidth. The lightbox
+    is where the full-size original is loaded, and it has a download link
+    for the original too.
+
+    Like the move dialog, this uses the HTML <dialog> element:
+    - showModal() opens it on top of the page and traps keyboard focus inside
+    - The Escape key closes it
+    - Screen readers announce it as a dialog
+*/
+
+/*
+    Function: openLightbox
+
+    Parameters:
+    - imageData: The image object from the gallery (needs url and originalName,
+      title and caption are shown if the image has them)
+    - displayName: The name to show when the image has no title
+*/
+export function openLightbox(imageData, displayName = imageData.originalName || imageData.name) {
+    const { url, title = '', caption = '' } = imageData;
+
+    const dialog = document.createElement('dialog');
+    dialog.className = 'lightbox';
+    dialog.setAttribute('aria-label', title || displayName);
+
+    const figure = document.createElement('figure');
+    figure.className = 'lightbox-figure';
+
+    // The full-size original - only loaded now that someone wants to see it
+    const img = document.createElement('img');
+    img.className = 'lightbox-image';
+    img.src = url;
+    img.alt = title || displayName;
+
+    const figcaption = document.createElement('figcaption');
+    figcaption.className = 'lightbox-caption';
+
+    const heading = document.createElement('p');
+    heading.className = 'image-name';
+    heading.textContent = title || displayName;
+    figcaption.appendChild(heading);
+
+    if (caption) {
+        const captionText = document.createElement('p');
+        captionText.className = 'image-caption';
+        captionText.textContent = caption;
+        figcaption.appendChild(captionText);
+    }
+
+    figure.appendChild(img);
+    figure.appendChild(figcaption);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'image-actions';
+
+    /*
+        Download link for the original
+        The download attribute only works for same-origin URLs - for
+        Firebase URLs the browser opens the image in a new tab instead,
+        where it can be saved
+    */
+    const downloadLink = document.createElement('a');
+    downloadLink.className = 'btn btn-secondary btn-small';
+    downloadLink.href = url;
+    downloadLink.download = displayName;
+    downloadLink.target = '_blank';
+    downloadLink.rel = 'noopener';
+    downloadLink.textContent = 'Download original';
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'btn btn-primary btn-small';
+    closeButton.textContent = 'Close';
+    closeButton.addEventListener('click', () => dialog.close());
+
+    buttons.appendChild(downloadLink);
+    buttons.appendChild(closeButton);
+
+    dialog.appendChild(figure);
+    dialog.appendChild(buttons);
+
+    // Clicking the dark backdrop (outside the content) closes the lightbox too
+    dialog.addEventListener('click', (event) => {
+        if (event.target === dialog) {
+            dialog.close();
+        }
+    });
+
+    // 'close' fires however the lightbox was closed (button, backdrop or Escape)
+    dialog.addEventListener('close', () => dialog.remove());
+
+    document.body.appendChild(dialog);
+    dialog.showModal();
+}
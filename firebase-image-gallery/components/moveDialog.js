@@ -0,0 +1,91 @@
+/*
+    Move Dialog Component
+    Asks the user which album an image should be moved to
+
+    Uses the HTML <dialog> element, which gives us a proper modal for free:
+    - showModal() opens it on top of the page and traps keyboard focus inside
+    - The Escape key closes it
+    - Screen readers announce it as a dialog
+*/
+
+/*
+    Function: chooseAlbum
+
+    Opens the dialog and waits for the user's choice
+
+    Parameters:
+    - options:
+        - albums: Array of album names to choose from
+        - currentAlbum: The album the image is in now (null for the top level)
+        - title: Heading text for the dialog
+
+    Returns:
+    - A Promise that resolves with:
+        - { album } with the chosen album name (null for the top level), or
+        - null if the user canceled
+*/
+export function chooseAlbum(options = {}) {
+    const { albums = [], currentAlbum = null, title = 'Move to album' } = options;
+
+    return new Promise((resolve) => {
+        const dialog = document.createElement('dialog');
+        dialog.className = 'move-dialog';
+
+        const heading = document.createElement('h2');
+        heading.className = 'form-title';
+        heading.textContent = title;
+
+        const label = document.createElement('label');
+        label.htmlFor = 'move-dialog-album';
+        label.textContent = 'Album:';
+
+        /*
+            The select's values are album names
+            The top level uses an empty string, because option values are always strings
+        */
+        const select = document.createElement('select');
+        select.id = 'move-dialog-album';
+        select.className = 'details-input';
+        select.appendChild(new Option('No album (top level)', ''));
+        albums.forEach((name) => select.appendChild(new Option(name, name)));
+        select.value = currentAlbum || '';
+
+        const buttons = document.createElement('div');
+        buttons.className = 'image-actions';
+
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'btn btn-secondary btn-small';
+        cancelButton.textContent = 'Cancel';
+
+        const moveButton = document.createElement('button');
+        moveButton.type = 'button';
+        moveButton.className = 'btn btn-primary btn-small';
+        moveButton.textContent = 'Move';
+
+        buttons.appendChild(cancelButton);
+        buttons.appendChild(moveButton);
+
+        dialog.appendChild(heading);
+        dialog.appendChild(label);
+        dialog.appendChild(select);
+        dialog.appendChild(buttons);
+
+        let result = null;
+
+        cancelButton.addEventListener('click', () => dialog.close());
+        moveButton.addEventListener('click', () => {
+            result = { album: select.value || null };
+            dialog.close();
+        });
+
+        // 'close' fires however the dialog was closed (buttons or Escape)
+        dialog.addEventListener('close', () => {
+            dialog.remove();
+            resolve(result);
+        });
+
+        document.body.appendChild(dialog);
+        dialog.showModal();
+    });
+}
@@ -0,0 +1,86 @@
+/*
+    New Images Pill Component
+    A small floating button that says new images have arrived at the top of the gallery
+
+    Live updates (see js/liveUpdates.js) add new images to the top of the
+    grid. If the user has scrolled down they won't see them appear, so the
+    pill tells them how many arrived and takes them back up when clicked.
+    It hides itself once the top of the grid is back in view.
+
+    Structure:
+    <button class="new-images-pill">↑ 3 new images</button>
+*/
+
+/*
+    Factory Function: createNewImagesPill
+
+    Parameters:
+    - options:
+        - getTarget: Returns the element to scroll to (the grid) - it can
+          change, e.g. after signing in again, so it is looked up each time
+
+    Returns:
+    - A DOM element (button), hidden until showNewImages() is called
+*/
+export function createNewImagesPill(options = {}) {
+    const { getTarget = () => null } = options;
+
+    const pill = document.createElement('button');
+    pill.type = 'button';
+    pill.className = 'new-images-pill';
+    pill.hidden = true;
+
+    // How many new images the user hasn't seen yet
+    pill.newImageCount = 0;
+    pill.getTarget = getTarget;
+
+    pill.addEventListener('click', () => {
+        const target = getTarget();
+        if (target) {
+            target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+        resetNewImagesPill(pill);
+    });
+
+    // Scrolling back up by hand counts as seeing them too
+    window.addEventListener('scroll', () => {
+        if (!pill.hidden && isTopInView(getTarget())) {
+            resetNewImagesPill(pill);
+        }
+    }, { passive: true });
+
+    return pill;
+}
+
+/*
+    Show New Images
+    Adds to the count, unless the top of the grid is already in view
+    (then the user can see the new images for themselves)
+
+    Parameters:
+    - pill: The element returned by createNewImagesPill()
+    - count: How many images were just added to the top of the grid
+*/
+export function showNewImages(pill, count) {
+    if (count <= 0 || isTopInView(pill.getTarget())) {
+        return;
+    }
+
+    pill.newImageCount += count;
+    pill.textContent = `↑ ${pill.newImageCount} new image${pill.newImageCount === 1 ? '' : 's'}`;
+    pill.hidden = false;
+}
+
+/*
+    Reset New Images Pill
+    Hides the pill and starts counting from zero again
+*/
+export function resetNewImagesPill(pill) {
+    pill.newImageCount = 0;
+    pill.hidden = true;
+}
+
+// Whether the top edge of an element is on screen (or above nothing at all)
+function isTopInView(element) {
+    return !element || element.getBoundingClientRect().top >= 0;
+}
@@ -0,0 +1,47 @@
+/*
+    Offline Indicator Component
+    A banner that says when the browser has lost its connection
+
+    The browser fires "offline" and "online" events on window when the
+    connection drops or comes back, and navigator.onLine says which it is now.
+    (onLine can be true on a network with no internet, but when it says
+    false we can be sure there is no connection.)
+
+    Structure:
+    <div class="offline-indicator" role="status">
+        You're offline - showing saved images. Uploads will start when you reconnect.
+    </div>
+*/
+
+/*
+    Factory Function: createOfflineIndicator
+
+    Parameters:
+    - options: Object with callbacks
+        - onOnline: Called when the connection comes back
+        - onOffline: Called when the connection drops
+
+    Returns:
+    - A DOM element that shows and hides itself
+*/
+export function createOfflineIndicator(options = {}) {
+    const { onOnline = () => {}, onOffline = () => {} } = options;
+
+    const indicator = document.createElement('div');
+    indicator.className = 'offline-indicator';
+    indicator.setAttribute('role', 'status');
+    indicator.textContent = "You're offline - showing saved images. Uploads will start when you reconnect.";
+    indicator.hidden = navigator.onLine !== false;
+
+    window.addEventListener('offline', () => {
+        indicator.hidden = false;
+        onOffline();
+    });
+
+    window.addEventListener('online', () => {
+        indicator.hidden = true;
+        onOnline();
+    });
+
+    return indicator;
+}
@@ -0,0 +1,191 @@
+/*
+    Search Bar Component
+    A search box and filters above the gallery grid
+
+    - A search box that filters as you type (names, titles, captions and tags)
+    - A file type filter
+    - An upload date range (from / to)
+    - A "Clear" button and the number of matching images
+
+    Which images match is worked out in js/imageSearch.js. This component
+    only collects the filters and reports them through onChange.
+
+    Structure:
+    <form class="search-bar" role="search">
+        <input type="search" class="search-input" />
+        <label>Type <select class="search-type">...</select></label>
+        <label>From <input type="date" class="search-from" /></label>
+        <label>To <input type="date" class="search-to" /></label>
+        <button type="reset">Clear</button>
+        <p class="search-count">12 of 340 images shown</p>
+    </form>
+*/
+
+import { SUPPORTED_IMAGE_TYPES } from '../js/imageValidation.js';
+
+/*
+    Wait this long after the last key press before searching,
+    so typing "holiday" searches once instead of seven times
+*/
+const SEARCH_DELAY = 200;
+
+/*
+    Factory Function: createSearchBar
+
+    Parameters:
+    - options:
+        - onChange: Called with the filters ({ text, contentType, from, to })
+          whenever one of them changes
+
+    Returns:
+    - A DOM element (form)
+*/
+export function createSearchBar(options = {}) {
+    const { onChange = () => {} } = options;
+
+    const bar = document.createElement('form');
+    bar.className = 'search-bar';
+    bar.setAttribute('role', 'search');
+
+    bar.searchState = {
+        onChange,
+        timer: null // A search waiting for SEARCH_DELAY
+    };
+
+    const searchLabel = document.createElement('label');
+    searchLabel.className = 'sr-only';
+    searchLabel.htmlFor = 'gallery-search';
+    searchLabel.textContent = 'Search images';
+
+    const searchInput = document.createElement('input');
+    searchInput.type = 'search';
+    searchInput.id = 'gallery-search';
+    searchInput.className = 'details-input search-input';
+    searchInput.placeholder = 'Search names, titles, captions and tags';
+    searchInput.autocomplete = 'off';
+
+    const typeSelect = document.createElement('select');
+    typeSelect.className = 'details-input search-type';
+    typeSelect.appendChild(new Option('All types', ''));
+    Object.entries(SUPPORTED_IMAGE_TYPES).forEach(([contentType, label]) => {
+        typeSelect.appendChild(new Option(label, contentType));
+    });
+
+    const fromInput = document.createElement('input');
+    fromInput.type = 'date';
+    fromInput.className = 'details-input search-from';
+
+    const toInput = document.createElement('input');
+    toInput.type = 'date';
+    toInput.className = 'details-input search-to';
+
+    const clearButton = document.createElement('button');
+    clearButton.type = 'reset';
+    clearButton.className = 'btn btn-secondary btn-small';
+    clearButton.textContent = 'Clear';
+
+    // Announced by screen readers whenever the number changes
+    const count = document.createElement('p');
+    count.className = 'search-count';
+    count.setAttribute('role', 'status');
+
+    bar.appendChild(searchLabel);
+    bar.appendChild(searchInput);
+    bar.appendChild(createFilterLabel('Type', typeSelect));
+    bar.appendChild(createFilterLabel('From', fromInput));
+    bar.appendChild(createFilterLabel('To', toInput));
+    bar.appendChild(clearButton);
+    bar.appendChild(count);
+
+    // Typing waits for a pause; the other filters apply straight away
+    searchInput.addEventListener('input', () => {
+        clearTimeout(bar.searchState.timer);
+        bar.searchState.timer = setTimeout(() => reportFilters(bar), SEARCH_DELAY);
+    });
+    [typeSelect, fromInput, toInput].forEach((input) => {
+        input.addEventListener('change', () => reportFilters(bar));
+    });
+
+    // Enter searches at once instead of reloading the page
+    bar.addEventListener('submit', (event) => {
+        event.preventDefault();
+        reportFilters(bar);
+    });
+
+    // The browser empties the inputs just after the "reset" event, so report afterwards
+    bar.addEventListener('reset', () => {
+        setTimeout(() => reportFilters(bar), 0);
+    });
+
+    return bar;
+}
+
+/*
+    Get Search Filters
+    The filters as they are in the search bar right now
+
+    Returns:
+    - { text, contentType, from, to } - '' for anything not set
+*/
+export function getSearchFilters(bar) {
+    const from = bar.querySelector('.search-from').value;
+    const to = bar.querySelector('.search-to').value;
+
+    return {
+        text: bar.querySelector('.search-input').value,
+        contentType: bar.querySelector('.search-type').value,
+        // A range entered back to front still means the days in between
+        from: from && to && from > to ? to : from,
+        to: from && to && from > to ? from : to
+    };
+}
+
+/*
+    Reset Search Bar
+    Empties every filter without calling onChange
+    (e.g. when another album is opened, or someone else signs in)
+*/
+export function resetSearchBar(bar) {
+    clearTimeout(bar.searchState.timer);
+    bar.querySelector('.search-input').value = '';
+    bar.querySelector('.search-type').value = '';
+    bar.querySelector('.search-from').value = '';
+    bar.querySelector('.search-to').value = '';
+    setSearchCount(bar, null);
+}
+
+/*
+    Set Search Count
+    Shows how many images match
+
+    Parameters:
+    - bar: The element returned by createSearchBar()
+    - matchCount: How many images match (null to show nothing, when no filter is set)
+    - total: How many images were searched
+*/
+export function setSearchCount(bar, matchCount, total = 0) {
+    const count = bar.querySelector('.search-count');
+
+    count.textContent = matchCount === null
+        ? ''
+        : `${matchCount} of ${total} ${total === 1 ? 'image' : 'images'} shown`;
+}
+
+/*
+    Call onChange with the current filters
+*/
+function reportFilters(bar) {
+    clearTimeout(bar.searchState.timer);
+    bar.searchState.onChange(getSearchFilters(bar));
+}
+
+/*
+    A small label with a filter input inside it
+*/
+function createFilterLabel(text, input) {
+    const label = document.createElement('label');
+    label.className = 'search-filter';
+    label.appendChild(document.createTextNode(`${text} `));
+    label.appendChild(input);
+    return label;
+}
@@ -0,0 +1,276 @@
+/*
+    Selection Bar Component
+    Shows how many images are selected, with buttons that act on all of them:
+    download as a ZIP, move to an album, add or remove tags, and delete
+
+    The bar floats at the bottom of the screen (position: fixed), so the
+    buttons are at hand while more images are picked further down.
+
+    Which images are selected is kept by the grid (see getGridSelection() in
+    imageGrid.js). This component only shows the count and reports which
+    button was clicked - the app does the work.
+
+    While an action runs, a "job" below the buttons lists every image with its
+    own status, so it's clear which ones worked and which failed (and why).
+    Several jobs can be listed at once, e.g. a delete that is still running
+    when a download starts.
+
+    Structure:
+    <section class="selection-bar">
+        <div class="selection-bar-controls">
+            <p class="selection-count">3 images selected</p>
+            <div class="selection-actions">
+                <button data-action="select-all">Select all</button> ...
+            </div>
+        </div>
+        <div class="bulk-jobs">
+            <section class="bulk-job" data-status="running">
+                <p class="bulk-job-summary">Deleting 3 images: 1 of 3 done</p>
+                <ul class="bulk-job-list">
+                    <li class="bulk-row" data-status="done">...</li>
+                </ul>
+                <button>Dismiss</button>
+            </section>
+        </div>
+    </section>
+*/
+
+/*
+    The buttons, in the order they are shown
+    [action, label, style] - the action is what onAction is called with
+*/
+const SELECTION_ACTIONS = [
+    ['select-all', 'Select all', 'btn-secondary'],
+    ['clear', 'Clear', 'btn-secondary'],
+    ['download', 'Download ZIP', 'btn-secondary'],
+    ['move', 'Move', 'btn-secondary'],
+    ['add-tags', 'Add tags', 'btn-secondary'],
+    ['remove-tags', 'Remove tags', 'btn-secondary'],
+    ['delete', 'Delete', 'btn-danger']
+];
+
+/*
+    Factory Function: createSelectionBar
+
+    Parameters:
+    - options:
+        - onAction: Called with the action of the button that was clicked:
+          'select-all', 'clear', 'download', 'move', 'add-tags', 'remove-tags' or 'delete'
+
+    Returns:
+    - A DOM element (section) - hidden until something is selected
+*/
+export function createSelectionBar(options = {}) {
+    const { onAction = () => {} } = options;
+
+    const bar = document.createElement('section');
+    bar.className = 'selection-bar';
+    bar.setAttribute('aria-label', 'Selected images');
+
+    // Stored on the element, like the upload queue's state
+    bar.selectionState = {
+        count: 0
+    };
+
+    const controls = document.createElement('div');
+    controls.className = 'selection-bar-controls';
+
+    // aria-live makes screen readers announce the count when it changes
+    const count = document.createElement('p');
+    count.className = 'selection-count';
+    count.setAttribute('aria-live', 'polite');
+
+    const actions = document.createElement('div');
+    actions.className = 'image-actions selection-actions';
+
+    SELECTION_ACTIONS.forEach(([action, label, style]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn ${style} btn-small`;
+        button.dataset.action = action;
+        button.textContent = label;
+        button.addEventListener('click', () => onAction(action));
+        actions.appendChild(button);
+    });
+
+    controls.appendChild(count);
+    controls.appendChild(actions);
+
+    const jobs = document.createElement('div');
+    jobs.className = 'bulk-jobs';
+
+    bar.appendChild(controls);
+    bar.appendChild(jobs);
+
+    setSelectionCount(bar, 0);
+
+    return bar;
+}
+
+/*
+    Set Selection Count
+    Shows how many images are selected (the buttons are hidden at 0)
+*/
+export function setSelectionCount(bar, count) {
+    bar.selectionState.count = count;
+    bar.querySelector('.selection-count').textContent = `${count} ${count === 1 ? 'image' : 'images'} selected`;
+    bar.querySelector('.selection-bar-controls').hidden = count === 0;
+    updateBarVisibility(bar);
+}
+
+/*
+    Reset Selection Bar
+    Hides the bar and removes every job (e.g. when another user signs in -
+    the jobs list the previous user's images)
+*/
+export function resetSelectionBar(bar) {
+    bar.querySelectorAll('.bulk-job').forEach((job) => job.remove());
+    setSelectionCount(bar, 0);
+}
+
+/*
+    Add Bulk Job
+    Lists the items an action is about to work on, all "Waiting..."
+
+    Parameters:
+    - bar: The element returned by createSelectionBar()
+    - job:
+        - label: What is being done, e.g. 'Deleting 3 images'
+        - workingText: An item's status while it is worked on, e.g. 'Deleting...'
+        - items: Array of { id, name } - id is used with setBulkItemStatus()
+
+    Returns:
+    - The job element, for setBulkItemStatus() and finishBulkJob()
+*/
+export function addBulkJob(bar, { label, workingText, items }) {
+    const job = document.createElement('section');
+    job.className = 'bulk-job';
+    job.dataset.status = 'running';
+    job.setAttribute('aria-label', label);
+
+    job.jobState = {
+        label,
+        workingText,
+        statuses: new Map(items.map((item) => [item.id, 'waiting'])),
+        rows: new Map(),
+        note: ''
+    };
+
+    const summary = document.createElement('p');
+    summary.className = 'bulk-job-summary';
+    summary.setAttribute('aria-live', 'polite');
+
+    const list = document.createElement('ul');
+    list.className = 'bulk-job-list';
+
+    items.forEach((item) => {
+        const row = document.createElement('li');
+        row.className = 'bulk-row';
+        row.dataset.status = 'waiting';
+
+        const name = document.createElement('p');
+        name.className = 'bulk-row-name';
+        name.textContent = item.name;
+
+        const status = document.createElement('p');
+        status.className = 'bulk-row-status';
+        status.textContent = 'Waiting...';
+
+        row.appendChild(name);
+        row.appendChild(status);
+        list.appendChild(row);
+        job.jobState.rows.set(item.id, row);
+    });
+
+    // Only shown once every item has finished
+    const dismissButton = document.createElement('button');
+    dismissButton.type = 'button';
+    dismissButton.className = 'btn btn-secondary btn-small bulk-job-dismiss';
+    dismissButton.textContent = 'Dismiss';
+    dismissButton.setAttribute('aria-label', `Dismiss: ${label}`);
+    dismissButton.hidden = true;
+    dismissButton.addEventListener('click', () => {
+        job.remove();
+        updateBarVisibility(bar);
+    });
+
+    job.appendChild(summary);
+    job.appendChild(list);
+    job.appendChild(dismissButton);
+
+    bar.querySelector('.bulk-jobs').appendChild(job);
+    updateJobSummary(job);
+    updateBarVisibility(bar);
+
+    return job;
+}
+
+/*
+    Set Bulk Item Status
+
+    Parameters:
+    - job: The element returned by addBulkJob()
+    - id: The item's id
+    - status: 'waiting', 'working', 'done' or 'failed'
+    - error: Why the item failed (only for 'failed')
+*/
+export function setBulkItemStatus(job, id, status, error = null) {
+    const { statuses, rows, workingText } = job.jobState;
+    const row = rows.get(id);
+    if (!row) {
+        return;
+    }
+
+    const texts = {
+        waiting: 'Waiting...',
+        working: workingText,
+        done: 'Done',
+        failed: `Failed: ${error ? error.message : 'unknown error'}`
+    };
+
+    statuses.set(id, status);
+    row.dataset.status = status;
+    row.querySelector('.bulk-row-status').textContent = texts[status];
+    updateJobSummary(job);
+}
+
+/*
+    Finish Bulk Job
+    Marks the job as over and shows its Dismiss button
+
+    Parameters:
+    - job: The element returned by addBulkJob()
+    - note: Optional sentence added to the summary, e.g. 'Saved gallery.zip'
+*/
+export function finishBulkJob(job, note = '') {
+    job.dataset.status = 'finished';
+    job.jobState.note = note;
+    job.querySelector('.bulk-job-dismiss').hidden = false;
+    updateJobSummary(job);
+}
+
+/*
+    Update the "Deleting 5 images: 3 of 5 done · 1 failed" line of a job
+*/
+function updateJobSummary(job) {
+    const { label, statuses, note } = job.jobState;
+    const values = [...statuses.values()];
+    const count = (status) => values.filter((value) => value === status).length;
+
+    const parts = [`${label}: ${count('done')} of ${values.length} done`];
+    if (count('failed') > 0) {
+        parts.push(`${count('failed')} failed`);
+    }
+    if (note) {
+        parts.push(note);
+    }
+
+    job.querySelector('.bulk-job-summary').textContent = parts.join(' · ');
+}
+
+/*
+    The bar is only shown while something is selected or a job is listed
+*/
+function updateBarVisibility(bar) {
+    bar.hidden = bar.selectionState.count === 0 && !bar.querySelector('.bulk-job');
+}
@@ -0,0 +1,60 @@
+/*
+    Sort Toolbar Component
+    Lets the user choose the order of the gallery: newest, oldest,
+    name A–Z or Z–A, largest or smallest
+
+    The sorts themselves are listed in js/gallerySort.js. This component
+    only shows them and reports which one was picked.
+
+    Structure:
+    <div class="sort-toolbar">
+        <label for="gallery-sort">Sort by</label>
+        <select id="gallery-sort">
+            <option value="newest">Newest first</option>
+            ...
+        </select>
+    </div>
+*/
+
+import { SORT_OPTIONS } from '../js/gallerySort.js';
+
+/*
+    Factory Function: createSortToolbar
+
+    Parameters:
+    - options:
+        - value: The id of the sort to show as chosen
+        - onChange: Called with the id of the sort the user picks
+
+    Returns:
+    - A DOM element (div)
+*/
+export function createSortToolbar(options = {}) {
+    const { value = SORT_OPTIONS[0].id, onChange = () => {} } = options;
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'sort-toolbar';
+
+    const label = document.createElement('label');
+    label.htmlFor = 'gallery-sort';
+    label.textContent = 'Sort by';
+
+    const select = document.createElement('select');
+    select.id = 'gallery-sort';
+    select.className = 'details-input sort-select';
+
+    SORT_OPTIONS.forEach((option) => {
+        const item = document.createElement('option');
+        item.value = option.id;
+        item.textContent = option.label;
+        select.appendChild(item);
+    });
+
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+
+    toolbar.appendChild(label);
+    toolbar.appendChild(select);
+    return toolbar;
+}
+
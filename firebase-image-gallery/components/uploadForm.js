@@ -11,23 +11,38 @@
 */
 
 /*
-    Import Firebase helper functions
-    These were created in firebaseConfig.js
-    We use them here to upload files and validate them
+    Import helpers
+    The upload queue validates, resizes and uploads the chosen files
+    (using the functions in storage.js)
 */
-import { uploadFile, validateImageFile } from '../js/firebaseConfig.js';
+import { SUPPORTED_IMAGE_TYPES } from '../js/imageValidation.js';
+import { createDetailsFields, getDetailsFromFields, resetDetailsFields } from './detailsFields.js';
+import { createUploadQueue, addFilesToQueue, destroyUploadQueue } from './uploadQueue.js';
+import { createUploadPreview, setUploadPreviewFiles, getUploadPreviewRotations, clearUploadPreview } from './uploadPreview.js';
+
+/*
+    Where the "remove location" choice is remembered between visits
+    It is on unless the user has turned it off
+*/
+const STRIP_LOCATION_KEY = 'gallery-strip-location';
 
 /*
     Factory Function: createUploadForm
 
     Creates a form for uploading images to Firebase Storage
-    Includes file validation, progress tracking, and error handling
+    Any number of files can be chosen - they are added to an upload queue,
+    which validates them, uploads a few at a time and shows each one's progress
 
     Parameters:
     - options: Object with configuration
-        - onUploadSuccess: Callback when upload completes successfully
-        - onUploadError: Callback when upload fails
-        - storage: Firebase storage instance (not used directly here but passed through)
+        - onUploadSuccess: Callback when a file's upload completes (called once per file)
+        - onUploadError: Callback when a file's upload fails (called once per file)
+        - onShowExisting: Callback with the gallery's copy when the user picks
+          "Go to existing" for a duplicate file
+        - concurrency: How many files upload at the same time (default 3)
+        - resize: What to do with images over the size limit
+            - mode: 'auto' (shrink them, the default), 'ask' (ask first) or 'off' (reject them)
+            - maxDimension, quality, minQuality: See RESIZE_DEFAULTS in js/imageProcessing.js
 
     Returns:
     - A DOM element containing the complete upload form
@@ -40,8 +55,12 @@ export function createUploadForm(options = {}) {
     */
     const {
         onUploadSuccess = () => {},
-        onUploadError = () => {}
+        onUploadError = () => {},
+        onShowExisting = () => {},
+        concurrency,
+        resize = {}
     } = options;
+    const resizeMode = resize.mode || 'auto';
 
     /*
         Create form container
@@ -57,7 +76,7 @@ export function createUploadForm(options = {}) {
     */
     const title = document.createElement('h2');
     title.className = 'form-title';
-    title.textContent = 'Upload Image';
+    title.textContent = 'Upload Images';
 
     /*
         Create form description
@@ -65,7 +84,19 @@ export function createUploadForm(options = {}) {
     */
     const description = document.createElement('p');
     description.className = 'form-description';
-    description.textContent = 'Select an image file to upload to your gallery (JPEG, PNG, GIF, or WebP, max 5MB)';
+    const typeNames = Object.values(SUPPORTED_IMAGE_TYPES).join(', ');
+    description.textContent = resizeMode === 'off'
+        ? `Select one or more image files to upload to your gallery (${typeNames}, max 5MB)`
+        : `Select one or more image files to upload to your gallery (${typeNames}, max 5MB - bigger photos are shrunk to fit)`;
+
+    /*
+        Create sign-in notice
+        Only shown while nobody is signed in (see setUploadFormEnabled())
+    */
+    const signInNotice = document.createElement('p');
+    signInNotice.className = 'form-description upload-signin-notice';
+    signInNotice.textContent = 'Sign in to upload images.';
+    signInNotice.hidden = true;
 
     /*
         Create file input wrapper
@@ -81,7 +112,7 @@ export function createUploadForm(options = {}) {
     */
     const label = document.createElement('label');
     label.className = 'file-input-label';
-    label.textContent = 'Choose Image:';
+    label.textContent = 'Choose Images:';
     label.htmlFor = 'file-input'; // Links label to input
 
     /*
@@ -91,101 +122,134 @@ export function createUploadForm(options = {}) {
         Important attributes:
         - type="file": Creates a file picker
         - accept="image/*": Only shows image files in picker
+        - multiple: Lets the user choose several files at once
         - id: Links to label for accessibility
     */
     const fileInput = document.createElement('input');
     fileInput.type = 'file';
     fileInput.id = 'file-input';
     fileInput.accept = 'image/*'; // Only accept image files
+    fileInput.multiple = true;
     fileInput.className = 'file-input';
-    fileInput.setAttribute('aria-label', 'Choose image file to upload');
+    fileInput.setAttribute('aria-label', 'Choose image files to upload');
+
+    /*
+        Create the album picker
+        Lets the user choose which album the images are uploaded into
+        The list of albums is filled in later with setUploadFormAlbums()
+    */
+    const albumWrapper = document.createElement('div');
+    albumWrapper.className = 'details-field album-picker';
+
+    const albumLabel = document.createElement('label');
+    albumLabel.htmlFor = 'upload-album';
+    albumLabel.textContent = 'Album:';
+
+    const albumSelect = document.createElement('select');
+    albumSelect.id = 'upload-album';
+    albumSelect.className = 'details-input album-select';
+    albumSelect.appendChild(new Option('No album (top level)', ''));
+
+    albumWrapper.appendChild(albumLabel);
+    albumWrapper.appendChild(albumSelect);
+
+    /*
+        Create the optional details fields
+        Title, caption and tags are saved with each image as custom metadata
+    */
+    const detailsFields = createDetailsFields('upload');
+
+    /*
+        Create the privacy setting
+        Photos from phones usually contain the exact place they were taken.
+        When this is ticked, that (and the camera's serial number, owner
+        name and so on) is removed from the file before it is uploaded.
+        Only JPEG, PNG and WebP files can be cleaned (see js/exif.js), so
+        the label says so. The choice is remembered in localStorage
+    */
+    const privacyWrapper = document.createElement('label');
+    privacyWrapper.className = 'upload-privacy';
+
+    const stripLocationInput = document.createElement('input');
+    stripLocationInput.type = 'checkbox';
+    stripLocationInput.className = 'strip-location-input';
+    stripLocationInput.checked = localStorage.getItem(STRIP_LOCATION_KEY) !== 'false';
+
+    stripLocationInput.addEventListener('change', () => {
+        localStorage.setItem(STRIP_LOCATION_KEY, String(stripLocationInput.checked));
+    });
+
+    privacyWrapper.appendChild(stripLocationInput);
+    privacyWrapper.appendChild(document.createTextNode(' Remove location and other identifying camera data from JPEG, PNG and WebP photos'));
 
     /*
         Create upload button
-        This triggers the upload process
+        This adds the chosen files to the upload queue
         Initially disabled until a file is selected
     */
     const uploadButton = document.createElement('button');
     uploadButton.type = 'button'; // Prevents form submission
     uploadButton.className = 'btn btn-primary';
-    uploadButton.textContent = 'Upload Image';
+    uploadButton.textContent = 'Upload Images';
     uploadButton.disabled = true; // Disabled until file is selected
-    uploadButton.setAttribute('aria-label', 'Upload selected image');
+    uploadButton.setAttribute('aria-label', 'Upload selected images');
 
     /*
-        Create progress container
-        Shows upload progress with a progress bar
-        Hidden by default, shown when upload starts
+        Create selection text
+        Tells the user what they have chosen
     */
-    const progressContainer = document.createElement('div');
-    progressContainer.className = 'progress-container';
-
-    const progressBarWrapper = document.createElement('div');
-    progressBarWrapper.className = 'progress-bar-wrapper';
-
-    const progressBar = document.createElement('div');
-    progressBar.className = 'progress-bar';
-    progressBar.setAttribute('role', 'progressbar');
-    progressBar.setAttribute('aria-valuenow', '0');
-    progressBar.setAttribute('aria-valuemin', '0');
-    progressBar.setAttribute('aria-valuemax', '100');
+    const selectionText = document.createElement('p');
+    selectionText.className = 'progress-text';
+    selectionText.textContent = 'No files selected';
 
-    const progressText = document.createElement('p');
-    progressText.className = 'progress-text';
-    progressText.textContent = 'Ready to upload';
+    /*
+        Create the preview
+        Shows the chosen images, with buttons to turn any that are the wrong way up
+    */
+    const uploadPreview = createUploadPreview();
 
-    // Assemble progress elements
-    progressBarWrapper.appendChild(progressBar);
-    progressContainer.appendChild(progressBarWrapper);
-    progressContainer.appendChild(progressText);
+    /*
+        Create the upload queue
+        Each file gets its own row with progress, pause, resume and cancel
+    */
+    const uploadQueue = createUploadQueue({
+        concurrency,
+        resize,
+        onUploadSuccess,
+        onUploadError,
+        onShowExisting
+    });
 
     /*
         Event Handler: File Input Change
-        Fires when user selects a file
+        Fires when user selects files
 
-        This handler:
-        1. Gets the selected file
-        2. Validates it
-        3. Enables/disables upload button
-        4. Shows validation errors if any
+        Checking each file is left to the upload queue, which reads every
+        file's contents (and resizes big ones) just before uploading it
     */
-    fileInput.addEventListener('change', (event) => {
+    fileInput.addEventListener('change', () => {
         /*
-            Get the selected file
+            Get the selected files
             event.target.files is a FileList (array-like object)
-            [0] gets the first file (we only allow single file selection)
+            Array.from() turns it into a real array
         */
-        const file = event.target.files[0];
+        const files = Array.from(fileInput.files);
+        setUploadPreviewFiles(uploadPreview, files);
 
         // Check if a file was actually selected
-        if (!file) {
+        if (files.length === 0) {
             uploadButton.disabled = true;
-            progressText.textContent = 'No file selected';
+            selectionText.textContent = 'No files selected';
             return;
         }
 
-        console.log('File selected:', file.name);
+        console.log(`Files selected: ${files.length}`);
 
-        /*
-            Validate the file
-            Our validateImageFile function checks:
-            - File type (must be an image)
-            - File size (must be under 5MB)
-        */
-        const validation = validateImageFile(file);
-
-        if (validation.valid) {
-            // File is valid - enable upload button
-            uploadButton.disabled = false;
-            progressText.textContent = `Ready to upload: ${file.name}`;
-            progressText.style.color = 'var(--text-color)';
-        } else {
-            // File is invalid - show error and keep button disabled
-            uploadButton.disabled = true;
-            progressText.textContent = `Error: ${validation.error}`;
-            progressText.style.color = 'var(--error-color)';
-            console.warn('⚠️ File validation failed:', validation.error);
-        }
+        uploadButton.disabled = false;
+        uploadButton.textContent = files.length === 1 ? 'Upload Image' : `Upload ${files.length} Images`;
+        selectionText.textContent = files.length === 1
+            ? `Ready to upload: ${files[0].name}`
+            : `Ready to upload ${files.length} files`;
     });
 
     /*
@@ -193,149 +257,40 @@ export function createUploadForm(options = {}) {
         Fires when user clicks the upload button
 
         This handler:
-        1. Gets the selected file
-        2. Validates it again (for safety)
-        3. Starts the upload
-        4. Tracks upload progress
-        5. Handles success or error
+        1. Gets the selected files
+        2. Adds them to the upload queue with the details, album, privacy
+           setting and any rotations chosen in the preview
+        3. Resets the form so more files can be chosen straight away
+
+        The queue calls onUploadSuccess for each file as it finishes,
+        so the gallery fills in while the rest are still uploading
     */
-    uploadButton.addEventListener('click', async () => {
-        // Get the file
-        const file = fileInput.files[0];
+    uploadButton.addEventListener('click', () => {
+        const files = Array.from(fileInput.files);
 
-        // Safety check - should always have a file here since button is disabled otherwise
-        if (!file) {
+        // Safety check - should always have files here since button is disabled otherwise
+        if (files.length === 0) {
             console.error('No file selected');
             return;
         }
 
-        // Double-check validation
-        const validation = validateImageFile(file);
-        if (!validation.valid) {
-            progressText.textContent = `Error: ${validation.error}`;
-            progressText.style.color = 'var(--error-color)';
-            return;
-        }
+        console.log(`Queueing ${files.length} files for upload`);
 
-        console.log('Starting upload:', file.name);
+        addFilesToQueue(uploadQueue, files, {
+            details: getDetailsFromFields(detailsFields),
+            // An empty value means "no album"
+            album: albumSelect.value || null,
+            stripLocation: stripLocationInput.checked,
+            rotations: getUploadPreviewRotations(uploadPreview)
+        });
 
-        /*
-            Disable controls during upload
-            This prevents users from:
-            - Selecting a new file while uploading
-            - Clicking upload button multiple times
-        */
-        fileInput.disabled = true;
+        // Reset file input, preview, details and button
+        fileInput.value = '';
+        clearUploadPreview(uploadPreview);
+        resetDetailsFields(detailsFields);
         uploadButton.disabled = true;
-        uploadButton.textContent = 'Uploading...';
-
-        // Show progress container
-        progressContainer.classList.add('active');
-
-        /*
-            Progress callback function
-            Called multiple times during upload with progress percentage
-
-            Parameters:
-            - progress: Number from 0-100 representing percentage complete
-        */
-        const onProgress = (progress) => {
-            // Update progress bar width
-            progressBar.style.width = `${progress}%`;
-
-            // Update ARIA attribute for screen readers
-            progressBar.setAttribute('aria-valuenow', progress);
-
-            // Update progress text
-            progressText.textContent = `Uploading: ${progress}%`;
-
-            console.log(`Upload progress: ${progress}%`);
-        };
-
-        /*
-            Error callback function
-            Called if upload fails for any reason
-
-            Parameters:
-            - error: Error object with message
-        */
-        const onError = (error) => {
-            console.error('Upload failed:', error);
-
-            // Update UI to show error
-            progressText.textContent = `Error: ${error.message}`;
-            progressText.style.color = 'var(--error-color)';
-
-            // Reset controls
-            fileInput.disabled = false;
-            uploadButton.disabled = false;
-            uploadButton.textContent = 'Upload Image';
-
-            // Hide progress bar after a delay
-            setTimeout(() => {
-                progressContainer.classList.remove('active');
-                progressBar.style.width = '0%';
-            }, 3000);
-
-            // Call parent error callback
-            onUploadError(error);
-        };
-
-        /*
-            Success callback function
-            Called when upload completes successfully
-
-            Parameters:
-            - data: Object with url, name, fullPath, timestamp
-        */
-        const onComplete = (data) => {
-            console.log('Upload complete:', data);
-
-            // Update UI to show success
-            progressBar.style.width = '100%';
-            progressText.textContent = 'Upload complete!';
-            progressText.style.color = 'var(--success-color)';
-
-            // Call parent success callback
-            // This typically adds the image to the gallery
-            onUploadSuccess(data);
-
-            /*
-                Reset the form after successful upload
-                Allows user to upload another image
-                We wait 2 seconds so user can see success message
-            */
-            setTimeout(() => {
-                // Reset file input
-                fileInput.value = '';
-                fileInput.disabled = false;
-
-                // Reset button
-                uploadButton.disabled = true;
-                uploadButton.textContent = 'Upload Image';
-
-                // Hide progress
-                progressContainer.classList.remove('active');
-                progressBar.style.width = '0%';
-                progressText.textContent = 'Ready to upload';
-                progressText.style.color = 'var(--text-color)';
-            }, 2000);
-        };
-
-        /*
-            Start the upload!
-            Call our uploadFile function from firebaseConfig.js
-            Pass the file and our three callback functions
-
-            This function handles all the Firebase Storage complexity
-            We just provide callbacks to respond to different events
-        */
-        try {
-            uploadFile(file, onProgress, onError, onComplete);
-        } catch (error) {
-            console.error('Upload error:', error);
-            onError(error);
-        }
+        uploadButton.textContent = 'Upload Images';
+        selectionText.textContent = 'No files selected';
     });
 
     /*
@@ -347,14 +302,85 @@ export function createUploadForm(options = {}) {
 
     formContainer.appendChild(title);
     formContainer.appendChild(description);
+    formContainer.appendChild(signInNotice);
     formContainer.appendChild(fileInputWrapper);
+    formContainer.appendChild(uploadPreview);
+    formContainer.appendChild(albumWrapper);
+    formContainer.appendChild(detailsFields);
+    formContainer.appendChild(privacyWrapper);
     formContainer.appendChild(uploadButton);
-    formContainer.appendChild(progressContainer);
+    formContainer.appendChild(selectionText);
+    formContainer.appendChild(uploadQueue);
 
     // Return the complete form
     return formContainer;
 }
 
+/*
+    Set Upload Form Albums
+    Fills the album picker with the albums that exist
+
+    Parameters:
+    - formElement: The element returned by createUploadForm()
+    - albums: Array of album names
+    - selectedAlbum: Album to pre-select (e.g. the one being viewed), or null
+*/
+export function setUploadFormAlbums(formElement, albums, selectedAlbum = null) {
+    const albumSelect = formElement.querySelector('.album-select');
+    if (!albumSelect) {
+        return;
+    }
+
+    // Keep the first option ("No album") and rebuild the rest
+    while (albumSelect.options.length > 1) {
+        albumSelect.remove(1);
+    }
+
+    albums.forEach((name) => albumSelect.appendChild(new Option(name, name)));
+    albumSelect.value = selectedAlbum && albums.includes(selectedAlbum) ? selectedAlbum : '';
+}
+
+/*
+    Set Upload Form Enabled
+    Turns file choosing on or off, e.g. while nobody is signed in
+
+    Uploads already in the queue are left alone - they keep their
+    pause and cancel buttons either way
+
+    Parameters:
+    - formElement: The element returned by createUploadForm()
+    - enabled: Whether files can be chosen
+*/
+export function setUploadFormEnabled(formElement, enabled) {
+    const fileInput = formElement.querySelector('.file-input');
+
+    // Forget any files that were chosen but not queued yet
+    if (!enabled && fileInput.files.length > 0) {
+        fileInput.value = '';
+        fileInput.dispatchEvent(new Event('change'));
+    }
+
+    fileInput.disabled = !enabled;
+    formElement.classList.toggle('is-disabled', !enabled);
+    formElement.querySelector('.upload-signin-notice').hidden = enabled;
+}
+
+/*
+    Destroy Upload Form
+    Call this when the form is taken out of the page for good: its upload
+    queue cancels what is left and stops listening to the window
+    (see destroyUploadQueue())
+
+    Parameters:
+    - formElement: The element returned by createUploadForm()
+*/
+export function destroyUploadForm(formElement) {
+    const queue = formElement.querySelector('.upload-queue');
+    if (queue) {
+        destroyUploadQueue(queue);
+    }
+}
+
 /*
     Alternative: Drag and Drop Upload Form
     Enhanced version with drag-and-drop functionality
@@ -401,11 +427,12 @@ export function createDragDropUploadForm(options = {}) {
             const files = e.dataTransfer.files;
             const fileInput = form.querySelector('.file-input');
 
-            // Assign dropped files to file input
-            if (files.length > 0) {
+            // Assign all the dropped files to file input (it accepts multiple files)
+            // unless the form is turned off (see setUploadFormEnabled())
+            if (files.length > 0 && !fileInput.disabled) {
                 fileInput.files = files;
 
-                // Trigger change event to run validation
+                // Trigger change event so the form sees the new selection
                 fileInput.dispatchEvent(new Event('change', { bubbles: true }));
             }
         });
@@ -0,0 +1,172 @@
+/*
+    Upload Preview Component
+    Shows the chosen images before they are uploaded, with buttons to rotate them
+
+    The browser turns each preview the way its EXIF orientation says, so
+    what you see here is what will be uploaded (the queue redraws sideways
+    photos upright - see orientFile() in uploadQueue.js). If a photo is
+    still the wrong way up, the rotate buttons turn it a quarter at a time.
+    The preview itself is only turned with CSS; the real rotation happens
+    just before the file is uploaded.
+
+    Previews are made with object URLs (URL.createObjectURL), which let an
+    <img> show a File straight from the user's disk without uploading it.
+    Each one holds on to the file's memory until it is revoked, so they are
+    revoked as soon as the preview is cleared.
+
+    Structure:
+    <section class="upload-preview">
+        <ul class="upload-preview-list">
+            <li class="upload-preview-item">
+                <div class="upload-preview-frame"><img /></div>
+                <p class="upload-preview-name">photo.jpg</p>
+                <div class="image-actions">
+                    <button>↺</button> <button>↻</button>
+                </div>
+            </li>
+        </ul>
+        <p class="upload-preview-more">and 8 more</p>
+    </section>
+*/
+
+import { canResize } from '../js/imageProcessing.js';
+
+/*
+    How many images get a preview
+    Decoding hundreds of big photos at once would make the page crawl;
+    the rest are uploaded the way they are
+*/
+export const PREVIEW_LIMIT = 12;
+
+/*
+    Factory Function: createUploadPreview
+
+    Returns:
+    - A DOM element (section), hidden until files are given to setUploadPreviewFiles()
+*/
+export function createUploadPreview() {
+    const preview = document.createElement('section');
+    preview.className = 'upload-preview';
+    preview.setAttribute('aria-label', 'Chosen images');
+    preview.hidden = true;
+
+    // One { file, url, quarterTurns } per previewed file
+    preview.previewItems = [];
+
+    const list = document.createElement('ul');
+    list.className = 'upload-preview-list';
+
+    const more = document.createElement('p');
+    more.className = 'upload-preview-more';
+
+    preview.appendChild(list);
+    preview.appendChild(more);
+    return preview;
+}
+
+/*
+    Set Upload Preview Files
+    Replaces the previews with the given files (an empty array hides the preview)
+
+    Parameters:
+    - preview: The element returned by createUploadPreview()
+    - files: Array of File objects
+*/
+export function setUploadPreviewFiles(preview, files) {
+    clearUploadPreview(preview);
+
+    const list = preview.querySelector('.upload-preview-list');
+
+    files.slice(0, PREVIEW_LIMIT).forEach((file) => {
+        const item = { file, url: URL.createObjectURL(file), quarterTurns: 0 };
+        preview.previewItems.push(item);
+        list.appendChild(createPreviewItem(item));
+    });
+
+    const hiddenCount = files.length - PREVIEW_LIMIT;
+    preview.querySelector('.upload-preview-more').textContent = hiddenCount > 0 ? `and ${hiddenCount} more` : '';
+    preview.hidden = files.length === 0;
+}
+
+/*
+    Get Upload Preview Rotations
+
+    Returns:
+    - A Map from File to how many quarter turns clockwise the user chose
+      (only files that were turned are included)
+*/
+export function getUploadPreviewRotations(preview) {
+    return new Map(preview.previewItems
+        .filter((item) => item.quarterTurns % 4 !== 0)
+        .map((item) => [item.file, item.quarterTurns]));
+}
+
+/*
+    Clear Upload Preview
+    Removes every preview and frees the object URLs
+*/
+export function clearUploadPreview(preview) {
+    preview.previewItems.forEach((item) => URL.revokeObjectURL(item.url));
+    preview.previewItems = [];
+    preview.querySelector('.upload-preview-list').replaceChildren();
+    preview.querySelector('.upload-preview-more').textContent = '';
+    preview.hidden = true;
+}
+
+/*
+    Build the preview for one file
+*/
+function createPreviewItem(item) {
+    const { file, url } = item;
+
+    const element = document.createElement('li');
+    element.className = 'upload-preview-item';
+
+    const frame = document.createElement('div');
+    frame.className = 'upload-preview-frame';
+
+    const img = document.createElement('img');
+    img.src = url;
+    img.alt = `Preview of ${file.name}`;
+    frame.appendChild(img);
+
+    const name = document.createElement('p');
+    name.className = 'upload-preview-name';
+    name.textContent = file.name;
+
+    element.appendChild(frame);
+    element.appendChild(name);
+
+    // GIFs (and images in browsers without canvas support) can't be redrawn, so they can't be turned
+    if (!canResize(file)) {
+        return element;
+    }
+
+    const rotate = (turns) => {
+        item.quarterTurns += turns;
+        img.style.transform = `rotate(${item.quarterTurns * 90}deg)`;
+    };
+
+    const buttons = document.createElement('div');
+    buttons.className = 'image-actions';
+
+    const rotateLeftButton = document.createElement('button');
+    rotateLeftButton.type = 'button';
+    rotateLeftButton.className = 'btn btn-secondary btn-small';
+    rotateLeftButton.textContent = '↺';
+    rotateLeftButton.setAttribute('aria-label', `Rotate ${file.name} left`);
+    rotateLeftButton.addEventListener('click', () => rotate(-1));
+
+    const rotateRightButton = document.createElement('button');
+    rotateRightButton.type = 'button';
+    rotateRightButton.className = 'btn btn-secondary btn-small';
+    rotateRightButton.textContent = '↻';
+    rotateRightButton.setAttribute('aria-label', `Rotate ${file.name} right`);
+    rotateRightButton.addEventListener('click', () => rotate(1));
+
+    buttons.appendChild(rotateLeftButton);
+    buttons.appendChild(rotateRightButton);
+    element.appendChild(buttons);
+
+    return element;
+}
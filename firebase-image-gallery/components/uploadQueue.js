@@ -0,0 +1,851 @@
+/*
+    Upload Queue Component
+    Uploads many files, a few at a time, with a progress row for each
+
+    Why not upload everything at once?
+    Starting 50 uploads together splits the connection 50 ways, so nothing
+    finishes for a long time, and a slow phone may run out of memory.
+    Instead a fixed number of files (the "concurrency") upload at once and
+    the rest wait their turn. As soon as one finishes, the next one starts.
+
+    Each row shows the file's progress and has buttons to pause, resume
+    or cancel it. Before a file is uploaded it is validated, and resized
+    if it is over the size limit.
+
+    While the browser is offline, nothing new starts and running uploads
+    are paused. When the connection comes back they carry on by themselves.
+
+    Each file remembers who added it, and is uploaded into that user's
+    gallery even if it only starts after they have signed out. The app
+    destroys the queue when the user changes, which cancels what is left.
+
+    Every file is fingerprinted with SHA-256 (see js/contentHash.js) before
+    it is uploaded. If the gallery already has the same file - or the same
+    file is further up the queue, which is easy to do when dragging in a
+    folder - the row stops and asks: skip it, upload it anyway, or go to the
+    copy that is already there.
+
+    The camera details (EXIF) are read from the file the user chose, and
+    saved with the upload (see js/exif.js). When the "remove location"
+    setting is on, the GPS position and other identifying blocks are cut
+    out of the bytes before they are sent.
+
+    Photos are also turned upright before uploading: sideways pixels with
+    an EXIF orientation tag (as phones save them), or a photo the user
+    turned with the rotate buttons, are redrawn the right way up (see
+    orientImage() in js/imageProcessing.js).
+
+    Structure:
+    <section class="upload-queue">
+        <p class="upload-queue-summary">Uploaded 2 of 5</p>
+        <ul class="upload-queue-list">
+            <li class="upload-row" data-status="uploading">...</li>
+        </ul>
+        <button>Clear finished</button>
+    </section>
+*/
+
+import {
+    uploadFile,
+    validateImageFile,
+    getValidationMessage,
+    findImageByContentHash,
+    getStorageUser,
+    MAX_FILE_SIZE
+} from '../js/storage.js';
+import { canResize, resizeToFit, orientImage } from '../js/imageProcessing.js';
+import { withDetectedType } from '../js/imageValidation.js';
+import { hashFile } from '../js/contentHash.js';
+import { readExif, copyExif, stripIdentifyingMetadata } from '../js/exif.js';
+import { formatFileSize } from '../js/usageStats.js';
+
+/*
+    How many files upload at the same time unless told otherwise
+*/
+export const DEFAULT_CONCURRENCY = 3;
+
+/*
+    Statuses a file moves through:
+    waiting -> preparing -> uploading (<-> paused) -> finishing -> done
+    Any of them can end in failed or canceled instead
+    A duplicate stops at "duplicate" until the user decides: skipped, or back to waiting
+*/
+const FINISHED_STATUSES = ['done', 'failed', 'canceled', 'skipped'];
+
+/*
+    Factory Function: createUploadQueue
+
+    Parameters:
+    - options: Object with configuration
+        - concurrency: How many files upload at once (default 3)
+        - resize: Settings for images over the size limit (see createUploadForm)
+        - onUploadSuccess: Called with the image data each time a file finishes
+        - onUploadError: Called with the error each time a file fails
+        - onShowExisting: Called with the gallery's copy of a duplicate when
+          the user chooses "Go to existing"
+
+    Returns:
+    - A DOM element (section) - add files with addFilesToQueue()
+*/
+export function createUploadQueue(options = {}) {
+    const {
+        concurrency = DEFAULT_CONCURRENCY,
+        resize = {},
+        onUploadSuccess = () => {},
+        onUploadError = () => {},
+        onShowExisting = () => {}
+    } = options;
+
+    const queue = document.createElement('section');
+    queue.className = 'upload-queue';
+    queue.setAttribute('aria-label', 'Uploads');
+    queue.hidden = true;  // Nothing to show until files are added
+
+    // aria-live makes screen readers announce the summary when it changes
+    const summary = document.createElement('p');
+    summary.className = 'upload-queue-summary';
+    summary.setAttribute('aria-live', 'polite');
+
+    const list = document.createElement('ul');
+    list.className = 'upload-queue-list';
+
+    const clearButton = document.createElement('button');
+    clearButton.type = 'button';
+    clearButton.className = 'btn btn-secondary btn-small';
+    clearButton.textContent = 'Clear finished';
+    clearButton.addEventListener('click', () => clearFinished(queue));
+
+    queue.appendChild(summary);
+    queue.appendChild(list);
+    queue.appendChild(clearButton);
+
+    /*
+        Store the queue's state on the element, like the grid does
+        - entries: Every file in the list, in order
+        - waiting: Files that haven't started yet
+        - running: How many files are being prepared or uploaded right now
+        - hashing: Settles once the last file added has been hashed
+        - removeListeners: Removes the online/offline listeners (see destroyUploadQueue())
+    */
+    queue.queueState = {
+        entries: [],
+        waiting: [],
+        running: 0,
+        hashing: Promise.resolve(),
+        concurrency: Math.max(1, concurrency),
+        resize,
+        onUploadSuccess,
+        onUploadError,
+        onShowExisting,
+        removeListeners: null
+    };
+
+    // Kept so destroyUploadQueue() can remove them again
+    const handleOffline = () => pauseForOffline(queue);
+    const handleOnline = () => resumeAfterOffline(queue);
+
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener('online', handleOnline);
+
+    queue.queueState.removeListeners = () => {
+        window.removeEventListener('offline', handleOffline);
+        window.removeEventListener('online', handleOnline);
+    };
+
+    return queue;
+}
+
+/*
+    Destroy Upload Queue
+    Cancels every file that hasn't finished, and stops the queue listening
+    for the connection going and coming back. Call this when the queue is
+    taken out of the page for good (e.g. when another user signs in) -
+    otherwise the window keeps the listeners (and the whole queue) alive.
+
+    A file that is already finishing (its bytes are sent) can't be canceled,
+    so it is still saved in the gallery of the user who added it.
+
+    Parameters:
+    - queue: The element returned by createUploadQueue()
+*/
+export function destroyUploadQueue(queue) {
+    const state = queue.queueState;
+
+    state.entries.forEach((entry) => cancelEntry(queue, entry));
+    state.waiting = [];
+
+    if (state.removeListeners) {
+        state.removeListeners();
+        state.removeListeners = null;
+    }
+}
+
+/*
+    Add Files To Queue
+
+    Parameters:
+    - queue: The element returned by createUploadQueue()
+    - files: Array of File objects
+    - uploadOptions: { details, album, stripLocation } used for every one of these files,
+      plus rotations: a Map from File to how many quarter turns (clockwise) to rotate it
+*/
+export function addFilesToQueue(queue, files, uploadOptions = {}) {
+    const state = queue.queueState;
+    const list = queue.querySelector('.upload-queue-list');
+    const { rotations = new Map(), ...sharedOptions } = uploadOptions;
+    const uid = getUploadingUser();
+
+    files.forEach((file) => {
+        const entry = {
+            file,
+            uid,                 // Who added the file - it goes into their gallery
+            uploadOptions: sharedOptions,
+            quarterTurns: rotations.get(file) || 0,
+            status: 'waiting',
+            progress: 0,
+            note: '',
+            task: null,
+            pausedForOffline: false,
+            prepared: null,      // { file, note } once checked (and resized)
+            contentHash: null,   // SHA-256 of the chosen file
+            hashing: null,       // Promise that settles once contentHash is known
+            exif: null,          // Camera details from the chosen file
+            duplicateOf: null,   // { image } or { entry } when it is a duplicate
+            row: null
+        };
+
+        entry.row = createQueueRow(queue, entry);
+        list.appendChild(entry.row);
+
+        /*
+            Hashed as soon as it is added, so findDuplicate() can wait for every
+            earlier file's hash. One file at a time, in order - hashing reads the
+            whole file, and fifty big photos at once could run out of memory
+        */
+        entry.hashing = state.hashing.then(() => hashEntry(entry));
+        state.hashing = entry.hashing;
+
+        state.entries.push(entry);
+        state.waiting.push(entry);
+        setEntryStatus(queue, entry, 'waiting', 'Waiting...');
+    });
+
+    queue.hidden = false;
+    startNextUploads(queue);
+}
+
+/*
+    The signed-in user's id, or null if nobody is signed in
+*/
+function getUploadingUser() {
+    try {
+        return getStorageUser();
+    } catch (error) {
+        return null;
+    }
+}
+
+/*
+    The browser knows when it has no connection at all
+*/
+function isOffline() {
+    return navigator.onLine === false;
+}
+
+/*
+    Start as many waiting files as the concurrency limit allows
+    Called whenever files are added, whenever one finishes and when the connection comes back
+*/
+function startNextUploads(queue) {
+    const state = queue.queueState;
+
+    // Offline - leave everything waiting until the "online" event
+    if (isOffline()) {
+        state.waiting.forEach((entry) => setEntryStatus(queue, entry, 'waiting', 'Waiting for connection...'));
+        return;
+    }
+
+    while (state.running < state.concurrency && state.waiting.length > 0) {
+        const entry = state.waiting.shift();
+        state.running++;
+
+        runEntry(queue, entry)
+            .catch((error) => {
+                // Something went wrong outside the upload itself - don't leave the row hanging
+                console.error(`Could not upload ${entry.file.name}:`, error);
+                if (entry.status !== 'canceled') {
+                    setEntryStatus(queue, entry, 'failed', `Error: ${error.message}`);
+                    state.onUploadError(new Error(`${entry.file.name}: ${error.message}`));
+                }
+            })
+            .finally(() => {
+                state.running--;
+                startNextUploads(queue);
+            });
+    }
+}
+
+/*
+    Prepare and upload one file
+    Resolves when the file is done, has failed or was canceled -
+    or is a duplicate waiting for the user to choose what to do
+*/
+async function runEntry(queue, entry) {
+    const state = queue.queueState;
+
+    if (!entry.uid) {
+        setEntryStatus(queue, entry, 'failed', 'Error: Sign in to upload images');
+        state.onUploadError(new Error(`${entry.file.name}: Sign in to upload images`));
+        return;
+    }
+
+    // "Upload anyway" sends a duplicate back through here, already prepared
+    if (!entry.prepared) {
+        setEntryStatus(queue, entry, 'preparing', 'Checking...');
+        const prepared = await prepareFile(entry.file, state.resize, (text) => {
+            setEntryStatus(queue, entry, 'preparing', text);
+        });
+
+        // The cancel button may have been pressed while we were busy
+        if (entry.status === 'canceled') {
+            return;
+        }
+
+        if (prepared.error) {
+            setEntryStatus(queue, entry, 'failed', `Error: ${prepared.error}`);
+            state.onUploadError(new Error(`${entry.file.name}: ${prepared.error}`));
+            return;
+        }
+
+        // Read before resizing or stripping could have removed it
+        entry.exif = await readExif(entry.file);
+
+        try {
+            prepared.file = await orientFile(prepared.file, entry.quarterTurns, state.resize, (text) => {
+                setEntryStatus(queue, entry, 'preparing', text);
+            });
+
+            if (entry.uploadOptions.stripLocation) {
+                prepared.file = await stripIdentifyingMetadata(prepared.file);
+            }
+        } catch (error) {
+            // Better not to upload at all than to upload the location (or a sideways photo) by mistake
+            setEntryStatus(queue, entry, 'failed', `Error: ${error.message}`);
+            state.onUploadError(new Error(`${entry.file.name}: ${error.message}`));
+            return;
+        }
+
+        if (entry.status === 'canceled') {
+            return;
+        }
+
+        entry.prepared = prepared;
+
+        setEntryStatus(queue, entry, 'preparing', 'Checking for duplicates...');
+        entry.duplicateOf = await findDuplicate(queue, entry);
+
+        if (entry.status === 'canceled') {
+            return;
+        }
+
+        // Wait for the user to choose - this frees the slot for the next file
+        if (entry.duplicateOf) {
+            setEntryStatus(queue, entry, 'duplicate', describeDuplicate(entry.duplicateOf));
+            return;
+        }
+    }
+
+    const prepared = entry.prepared;
+    entry.note = prepared.note ? ` (${prepared.note})` : '';
+    setEntryStatus(queue, entry, 'uploading', `Uploading: 0%${entry.note}`);
+
+    await new Promise((resolve) => {
+        const onProgress = (progress) => {
+            entry.progress = progress;
+            updateRowProgress(entry);
+
+            // After the bytes are sent, thumbnails are made - that can't be paused
+            if (progress === 100) {
+                setEntryStatus(queue, entry, 'finishing', 'Finishing...');
+            } else if (entry.status === 'uploading') {
+                setEntryStatus(queue, entry, 'uploading', `Uploading: ${progress}%${entry.note}`);
+            }
+        };
+
+        const onError = (error) => {
+            if (error.code === 'storage/canceled') {
+                setEntryStatus(queue, entry, 'canceled', 'Canceled');
+            } else {
+                setEntryStatus(queue, entry, 'failed', `Error: ${error.message}`);
+                state.onUploadError(error);
+            }
+            resolve();
+        };
+
+        const onComplete = (data) => {
+            entry.progress = 100;
+            updateRowProgress(entry);
+            setEntryStatus(queue, entry, 'done', `Uploaded${entry.note}`);
+            state.onUploadSuccess(data);
+            resolve();
+        };
+
+        // A temporary problem - storage.js will try again by itself after a short wait
+        const onRetry = ({ attempt, maxAttempts, delay }) => {
+            entry.progress = 0;
+            updateRowProgress(entry);
+            setEntryStatus(queue, entry, 'uploading',
+                `Connection problem - retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1} of ${maxAttempts})`);
+        };
+
+        // stripLocation has already been applied to the file
+        const { stripLocation, ...uploadOptions } = entry.uploadOptions;
+
+        entry.task = uploadFile(prepared.file, onProgress, onError, onComplete, {
+            ...uploadOptions,
+            onRetry,
+            contentHash: entry.contentHash,
+            exif: entry.exif,
+            // A resized copy has a new extension - keep the name the user chose
+            originalName: entry.file.name,
+            uid: entry.uid
+        });
+    });
+}
+
+/*
+    Orient File
+
+    Redraws a photo with upright pixels when its EXIF orientation says it
+    is stored sideways or upside down, or when the user rotated it in the
+    preview. The camera details are copied into the new file with the
+    orientation reset, so nothing turns it a second time.
+
+    Encoding again can make a photo a little bigger; if that takes it over
+    the size limit it is shrunk to fit (the original was under the limit,
+    so this happens whatever the resize setting is).
+
+    Parameters:
+    - file: The prepared (validated, maybe resized) file
+    - quarterTurns: Extra quarter turns clockwise chosen by the user
+    - resize: { mode, ...resizeToFit options } (see createUploadForm)
+    - onStatus: Called with a short status text while working
+
+    Returns:
+    - The file to upload (the same file if it was already upright,
+      or if this browser can't redraw images)
+*/
+async function orientFile(file, quarterTurns, resize, onStatus) {
+    const exif = await readExif(file);
+    const orientation = exif ? exif.orientation : 1;
+
+    if ((orientation === 1 && quarterTurns % 4 === 0) || !canResize(file)) {
+        return file;
+    }
+
+    onStatus('Turning upright...');
+    let oriented = await copyExif(file, await orientImage(file, quarterTurns));
+
+    if (oriented.size > MAX_FILE_SIZE) {
+        const { mode, ...resizeOptions } = resize;
+        oriented = (await resizeToFit(oriented, { ...resizeOptions, maxBytes: MAX_FILE_SIZE })).file;
+    }
+
+    return oriented;
+}
+
+/*
+    Hash the file the user chose (not the resized copy, so choosing the
+    same photo again always matches) and keep it as entry.contentHash
+
+    Hashing can fail (e.g. on a page that isn't https://) - the hash then stays null
+*/
+async function hashEntry(entry) {
+    try {
+        entry.contentHash = await hashFile(entry.file);
+    } catch (error) {
+        console.warn(`Could not hash ${entry.file.name}, so it can't be checked for duplicates:`, error);
+    }
+}
+
+/*
+    Find Duplicate
+
+    Looks for a file with the same hash:
+    1. Further up this queue - the same file added twice
+    2. In the gallery, in any album
+
+    Files are prepared side by side, so an earlier file may not be hashed
+    yet when this one is checked. Every earlier file's hash is waited for
+    first - otherwise two copies dropped in together would both upload.
+
+    Hashing or searching can fail. That only means we can't warn about
+    duplicates, so the upload goes ahead
+
+    Returns:
+    - { entry } or { image } describing the earlier copy, or null
+*/
+async function findDuplicate(queue, entry) {
+    const { entries } = queue.queueState;
+    const earlierEntries = entries.slice(0, entries.indexOf(entry));
+
+    await Promise.all([entry.hashing, ...earlierEntries.map((other) => other.hashing)]);
+
+    if (!entry.contentHash) {
+        return null;
+    }
+
+    const earlierEntry = earlierEntries
+        .find((other) => other.contentHash === entry.contentHash &&
+            !['failed', 'canceled', 'skipped'].includes(other.status));
+
+    if (earlierEntry) {
+        return { entry: earlierEntry };
+    }
+
+    try {
+        const image = await findImageByContentHash(entry.contentHash, entry.uid);
+        return image ? { image } : null;
+    } catch (error) {
+        console.warn(`Could not check ${entry.file.name} for duplicates:`, error);
+        return null;
+    }
+}
+
+/*
+    The status text for a duplicate, e.g.
+    'Already in your gallery as "Beach" (album "Holiday")'
+*/
+function describeDuplicate(duplicateOf) {
+    if (duplicateOf.entry) {
+        return `Same file as "${duplicateOf.entry.file.name}" above`;
+    }
+
+    const { image } = duplicateOf;
+    const where = image.album ? ` (album "${image.album}")` : '';
+    return `Already in your gallery as "${image.title || image.originalName}"${where}`;
+}
+
+/*
+    The user's answer to a duplicate
+    - skip: Don't upload it
+    - upload: Upload it anyway (it goes back to the end of the line)
+    - show: Don't upload it, and show the copy that is already in the gallery
+*/
+function resolveDuplicate(queue, entry, choice) {
+    const state = queue.queueState;
+
+    if (entry.status !== 'duplicate') {
+        return;
+    }
+
+    if (choice === 'upload') {
+        setEntryStatus(queue, entry, 'waiting', 'Waiting...');
+        state.waiting.push(entry);
+        startNextUploads(queue);
+        return;
+    }
+
+    setEntryStatus(queue, entry, 'skipped', 'Skipped - duplicate');
+    if (choice === 'show') {
+        state.onShowExisting(entry.duplicateOf.image);
+    }
+}
+
+/*
+    Validate a file, and shrink it if it is only too big
+
+    Parameters:
+    - file: The File the user chose
+    - resize: { mode, ...resizeToFit options } (see createUploadForm)
+    - onStatus: Called with a short status text while working
+
+    Returns:
+    - { file, note } with the file to upload (note describes any resizing), or
+    - { error } with a message for the user
+*/
+async function prepareFile(file, resize, onStatus) {
+    const { mode: resizeMode = 'auto', ...resizeOptions } = resize;
+
+    /*
+        Validate the file
+        Our validateImageFile function reads the start of the file and checks:
+        - File type (must really be an image, whatever its name says)
+        - Size in pixels (must not be huge)
+        - File size (must be under 5MB)
+    */
+    const validation = await validateImageFile(file);
+
+    // Valid - use the type found in the file, in case the browser got it wrong
+    if (validation.valid) {
+        return { file: withDetectedType(file, validation.type) };
+    }
+
+    const validationMessage = getValidationMessage(validation);
+
+    // Anything other than "too big" can't be fixed by resizing
+    if (validation.code !== 'validation/file-too-large' || resizeMode === 'off') {
+        return { error: validationMessage };
+    }
+
+    const imageFile = withDetectedType(file, validation.type);
+    if (!canResize(imageFile)) {
+        return { error: validationMessage };
+    }
+
+    if (resizeMode === 'ask' &&
+        !window.confirm(`"${file.name}" is ${formatFileSize(file.size)}, over the ${formatFileSize(MAX_FILE_SIZE)} limit. Shrink it to fit?`)) {
+        return { error: validationMessage };
+    }
+
+    // This can take a second or two for a big photo
+    onStatus('Resizing...');
+
+    try {
+        const result = await resizeToFit(imageFile, { ...resizeOptions, maxBytes: MAX_FILE_SIZE });
+        console.log(`Resized ${file.name} at quality ${result.quality}`);
+
+        // Describe the before/after sizes so the user knows what happened
+        return {
+            file: result.file,
+            note: `resized from ${formatFileSize(file.size)} to ${formatFileSize(result.file.size)}, ` +
+                `${result.originalWidth}×${result.originalHeight} → ${result.width}×${result.height}`
+        };
+    } catch (error) {
+        console.error('Resize failed:', error);
+        return { error: `${validationMessage}, and it could not be resized (${error.message})` };
+    }
+}
+
+/*
+    Build the row for one file
+
+    Structure:
+    <li class="upload-row" data-status="uploading">
+        <p class="upload-row-name">photo.jpg</p>
+        <div class="progress-bar-wrapper"><div class="progress-bar"></div></div>
+        <p class="upload-row-status">Uploading: 40%</p>
+        <div class="image-actions">
+            <button>Pause</button> <button>Cancel</button>
+        </div>
+    </li>
+*/
+function createQueueRow(queue, entry) {
+    const row = document.createElement('li');
+    row.className = 'upload-row';
+
+    const name = document.createElement('p');
+    name.className = 'upload-row-name';
+    name.textContent = entry.file.name;
+
+    const progressBarWrapper = document.createElement('div');
+    progressBarWrapper.className = 'progress-bar-wrapper';
+
+    const progressBar = document.createElement('div');
+    progressBar.className = 'progress-bar';
+    progressBar.setAttribute('role', 'progressbar');
+    progressBar.setAttribute('aria-label', `Upload progress for ${entry.file.name}`);
+    progressBar.setAttribute('aria-valuenow', '0');
+    progressBar.setAttribute('aria-valuemin', '0');
+    progressBar.setAttribute('aria-valuemax', '100');
+    progressBarWrapper.appendChild(progressBar);
+
+    const status = document.createElement('p');
+    status.className = 'upload-row-status';
+
+    const buttons = document.createElement('div');
+    buttons.className = 'image-actions';
+
+    // One button that switches between "Pause" and "Resume"
+    const pauseButton = document.createElement('button');
+    pauseButton.type = 'button';
+    pauseButton.className = 'btn btn-secondary btn-small upload-row-pause';
+    pauseButton.addEventListener('click', () => togglePause(queue, entry));
+
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'btn btn-danger btn-small upload-row-cancel';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.setAttribute('aria-label', `Cancel upload of ${entry.file.name}`);
+    cancelButton.addEventListener('click', () => cancelEntry(queue, entry));
+
+    buttons.appendChild(pauseButton);
+    buttons.appendChild(cancelButton);
+
+    // Only shown while the row waits for an answer about a duplicate
+    const duplicateButtons = document.createElement('div');
+    duplicateButtons.className = 'image-actions upload-row-duplicate';
+
+    [
+        ['skip', 'Skip', 'btn-secondary'],
+        ['upload', 'Upload anyway', 'btn-secondary'],
+        ['show', 'Go to existing', 'btn-primary']
+    ].forEach(([choice, label, style]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn ${style} btn-small`;
+        button.dataset.choice = choice;
+        button.textContent = label;
+        button.setAttribute('aria-label', `${label}: ${entry.file.name}`);
+        button.addEventListener('click', () => resolveDuplicate(queue, entry, choice));
+        duplicateButtons.appendChild(button);
+    });
+
+    row.appendChild(name);
+    row.appendChild(progressBarWrapper);
+    row.appendChild(status);
+    row.appendChild(duplicateButtons);
+    row.appendChild(buttons);
+
+    return row;
+}
+
+/*
+    Pause a running upload, or resume a paused one
+*/
+function togglePause(queue, entry) {
+    if (!entry.task) {
+        return;
+    }
+
+    if (entry.status === 'uploading') {
+        entry.task.pause();
+        setEntryStatus(queue, entry, 'paused', `Paused at ${entry.progress}%`);
+    } else if (entry.status === 'paused') {
+        entry.pausedForOffline = false;
+        entry.task.resume();
+        setEntryStatus(queue, entry, 'uploading', `Uploading: ${entry.progress}%${entry.note}`);
+    }
+}
+
+/*
+    The connection dropped: pause every running upload
+    pausedForOffline marks the ones we paused, so we only resume those
+    (not uploads the user paused on purpose)
+*/
+function pauseForOffline(queue) {
+    queue.queueState.entries
+        .filter((entry) => entry.status === 'uploading' && entry.task)
+        .forEach((entry) => {
+            entry.task.pause();
+            entry.pausedForOffline = true;
+            setEntryStatus(queue, entry, 'paused', `Paused at ${entry.progress}% - waiting for connection`);
+        });
+}
+
+/*
+    The connection is back: resume what we paused and start what was waiting
+*/
+function resumeAfterOffline(queue) {
+    const state = queue.queueState;
+
+    state.entries
+        .filter((entry) => entry.pausedForOffline)
+        .forEach((entry) => {
+            entry.pausedForOffline = false;
+            if (entry.status === 'paused') {
+                entry.task.resume();
+                setEntryStatus(queue, entry, 'uploading', `Uploading: ${entry.progress}%${entry.note}`);
+            }
+        });
+
+    state.waiting.forEach((entry) => setEntryStatus(queue, entry, 'waiting', 'Waiting...'));
+    startNextUploads(queue);
+}
+
+/*
+    Cancel a file, whatever stage it is at
+*/
+function cancelEntry(queue, entry) {
+    const state = queue.queueState;
+
+    if (entry.status === 'waiting' || entry.status === 'duplicate') {
+        // Not started yet - just take it out of the line
+        state.waiting = state.waiting.filter((waitingEntry) => waitingEntry !== entry);
+        setEntryStatus(queue, entry, 'canceled', 'Canceled');
+    } else if (entry.status === 'preparing') {
+        // runEntry() checks for this once preparing is done
+        setEntryStatus(queue, entry, 'canceled', 'Canceled');
+    } else if (entry.task && (entry.status === 'uploading' || entry.status === 'paused')) {
+        // The upload's onError is called with 'storage/canceled', which updates the row
+        entry.task.cancel();
+    }
+}
+
+/*
+    Update a file's status and everything on screen that depends on it
+*/
+function setEntryStatus(queue, entry, status, text) {
+    entry.status = status;
+
+    const row = entry.row;
+    row.dataset.status = status;
+    row.querySelector('.upload-row-status').textContent = text;
+
+    // Pause/Resume only makes sense while bytes are being sent
+    const pauseButton = row.querySelector('.upload-row-pause');
+    pauseButton.hidden = status !== 'uploading' && status !== 'paused';
+    pauseButton.textContent = status === 'paused' ? 'Resume' : 'Pause';
+    pauseButton.setAttribute('aria-label', `${pauseButton.textContent} upload of ${entry.file.name}`);
+
+    row.querySelector('.upload-row-cancel').hidden = FINISHED_STATUSES.includes(status) || status === 'finishing';
+
+    /*
+        The duplicate choices - "Go to existing" only when the copy is in the
+        gallery (a copy further up the queue may not be uploaded yet)
+    */
+    const duplicateButtons = row.querySelector('.upload-row-duplicate');
+    duplicateButtons.hidden = status !== 'duplicate';
+    duplicateButtons.querySelector('[data-choice="show"]').hidden = !(entry.duplicateOf && entry.duplicateOf.image);
+
+    updateSummary(queue);
+}
+
+function updateRowProgress(entry) {
+    const progressBar = entry.row.querySelector('.progress-bar');
+    progressBar.style.width = `${entry.progress}%`;
+    progressBar.setAttribute('aria-valuenow', entry.progress);
+}
+
+/*
+    Update the "Uploaded 2 of 5" line above the rows
+*/
+function updateSummary(queue) {
+    const { entries } = queue.queueState;
+    const count = (status) => entries.filter((entry) => entry.status === status).length;
+
+    const parts = [`Uploaded ${count('done')} of ${entries.length}`];
+    if (count('failed') > 0) {
+        parts.push(`${count('failed')} failed`);
+    }
+    if (count('canceled') > 0) {
+        parts.push(`${count('canceled')} canceled`);
+    }
+    if (count('duplicate') > 0) {
+        parts.push(`${count('duplicate')} already uploaded - choose what to do`);
+    }
+    if (count('skipped') > 0) {
+        parts.push(`${count('skipped')} skipped`);
+    }
+
+    queue.querySelector('.upload-queue-summary').textContent = parts.join(' · ');
+}
+
+/*
+    Remove the rows of files that are done, failed or canceled
+    The queue hides itself again once it is empty
+*/
+function clearFinished(queue) {
+    const state = queue.queueState;
+
+    state.entries = state.entries.filter((entry) => {
+        if (FINISHED_STATUSES.includes(entry.status)) {
+            entry.row.remove();
+            return false;
+        }
+        return true;
+    });
+
+    queue.hidden = state.entries.length === 0;
+    updateSummary(queue);
+}
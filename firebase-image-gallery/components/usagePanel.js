@@ -0,0 +1,347 @@
+/*
+    Usage Panel Component
+    Shows how much storage the gallery uses and what it is made of
+
+    - The total size, number of images and average size
+    - How much of the storage limit (quota) is used, with a warning near or over it
+    - A breakdown by file type and by the month images were uploaded
+    - The largest images, each a link to the image in the gallery, so the
+      biggest space-wasters are one click away when cleaning up
+
+    The numbers come from loadUsage() (see js/usageStats.js). They are
+    loaded when someone signs in - so the warning shows up straight away -
+    and again when the panel is opened after the gallery has changed.
+
+    Structure:
+    <details class="usage-panel">
+        <summary>Storage usage <span class="usage-badge">85%</span></summary>
+        <div class="usage-body">
+            <p class="usage-status">Loading...</p>
+            <div class="usage-content">
+                <p class="usage-total">...</p>
+                <div class="usage-quota"><progress /> <span>...</span></div>
+                <p class="usage-warning">...</p>
+                <label class="usage-quota-setting">Warn above <input /> GB</label>
+                <h3>By type</h3> <table class="usage-table">...</table>
+                <h3>By month</h3> <table class="usage-table">...</table>
+                <h3>Largest images</h3> <ol class="usage-largest">...</ol>
+            </div>
+            <button>Refresh</button>
+        </div>
+    </details>
+*/
+
+import { formatFileSize, getUsageQuota, setUsageQuota } from '../js/usageStats.js';
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+/*
+    Wait this long after the gallery changes before loading the numbers again,
+    so uploading 50 files doesn't read the whole index 50 times
+*/
+const REFRESH_DELAY = 2000;
+
+/*
+    Factory Function: createUsagePanel
+
+    Parameters:
+    - options:
+        - loadUsage: Returns a Promise for the summary from summarizeUsage()
+        - onShowImage: Called with an image when one of the largest images is clicked
+
+    Returns:
+    - A DOM element (details), hidden until resetUsagePanel() turns it on
+*/
+export function createUsagePanel(options = {}) {
+    const { loadUsage = async () => null, onShowImage = () => {} } = options;
+
+    const panel = document.createElement('details');
+    panel.className = 'usage-panel';
+    panel.hidden = true;
+
+    panel.usageState = {
+        loadUsage,
+        onShowImage,
+        isStale: true,   // The gallery changed since the numbers were loaded
+        timer: null,     // A refresh waiting for REFRESH_DELAY
+        generation: 0    // Goes up on every load, so an old, slow load can't overwrite a newer one
+    };
+
+    const summary = document.createElement('summary');
+    summary.textContent = 'Storage usage ';
+
+    const badge = document.createElement('span');
+    badge.className = 'usage-badge';
+    badge.hidden = true;
+    summary.appendChild(badge);
+
+    const body = document.createElement('div');
+    body.className = 'usage-body';
+
+    const status = document.createElement('p');
+    status.className = 'usage-status';
+    status.setAttribute('role', 'status');
+
+    const content = document.createElement('div');
+    content.className = 'usage-content';
+    content.hidden = true;
+
+    const refreshButton = document.createElement('button');
+    refreshButton.type = 'button';
+    refreshButton.className = 'btn btn-secondary btn-small';
+    refreshButton.textContent = 'Refresh';
+    refreshButton.addEventListener('click', () => loadUsagePanel(panel));
+
+    body.appendChild(status);
+    body.appendChild(content);
+    body.appendChild(refreshButton);
+
+    panel.appendChild(summary);
+    panel.appendChild(body);
+
+    // Opening the panel after the gallery changed loads the new numbers
+    panel.addEventListener('toggle', () => {
+        if (panel.open && panel.usageState.isStale) {
+            loadUsagePanel(panel);
+        }
+    });
+
+    return panel;
+}
+
+/*
+    Reset Usage Panel
+    Forgets the numbers (they belonged to the previous user) and, if
+    someone is signed in, loads theirs
+
+    Parameters:
+    - panel: The element returned by createUsagePanel()
+    - enabled: Whether someone is signed in
+*/
+export function resetUsagePanel(panel, enabled) {
+    const state = panel.usageState;
+
+    clearTimeout(state.timer);
+    state.generation++;
+    state.isStale = true;
+
+    panel.querySelector('.usage-content').hidden = true;
+    panel.querySelector('.usage-badge').hidden = true;
+    panel.hidden = !enabled;
+    panel.open = false;
+
+    if (enabled) {
+        loadUsagePanel(panel);
+    }
+}
+
+/*
+    Mark Usage Stale
+    Call when images are uploaded, deleted or moved. An open panel
+    reloads after a short wait; a closed one reloads when it is next opened
+*/
+export function markUsageStale(panel) {
+    const state = panel.usageState;
+    state.isStale = true;
+
+    if (panel.open && !panel.hidden) {
+        clearTimeout(state.timer);
+        state.timer = setTimeout(() => loadUsagePanel(panel), REFRESH_DELAY);
+    }
+}
+
+/*
+    Load the numbers and show them
+*/
+async function loadUsagePanel(panel) {
+    const state = panel.usageState;
+    const status = panel.querySelector('.usage-status');
+    const generation = ++state.generation;
+
+    clearTimeout(state.timer);
+    state.isStale = false;
+    status.textContent = 'Adding up your storage...';
+
+    try {
+        const usage = await state.loadUsage();
+
+        // Someone signed out, or a newer load started, while this one was running
+        if (generation !== state.generation) {
+            return;
+        }
+
+        status.textContent = '';
+        renderUsage(panel, usage);
+    } catch (error) {
+        if (generation === state.generation) {
+            state.isStale = true;
+            status.textContent = `Could not load storage usage: ${error.message}`;
+        }
+    }
+}
+
+/*
+    Fill the panel with a summary from summarizeUsage()
+*/
+function renderUsage(panel, usage) {
+    const content = panel.querySelector('.usage-content');
+    const { quota } = usage;
+    content.replaceChildren();
+
+    const total = document.createElement('p');
+    total.className = 'usage-total';
+    total.textContent = usage.imageCount === 0
+        ? 'No images yet'
+        : `${formatFileSize(usage.totalBytes)} in ${usage.imageCount} ${usage.imageCount === 1 ? 'image' : 'images'} · ` +
+          `${formatFileSize(usage.averageBytes)} on average`;
+    content.appendChild(total);
+
+    content.appendChild(createQuotaBar(usage));
+
+    /*
+        Warn near or over the limit
+        The badge in the summary shows it even while the panel is closed
+    */
+    const badge = panel.querySelector('.usage-badge');
+    badge.hidden = !quota.isNear;
+    badge.textContent = quota.isOver ? 'Over limit' : `${Math.floor(quota.ratio * 100)}%`;
+    badge.classList.toggle('is-over', quota.isOver);
+
+    if (quota.isNear) {
+        const warning = document.createElement('p');
+        warning.className = 'usage-warning';
+        warning.setAttribute('role', 'alert');
+        warning.textContent = quota.isOver
+            ? `You are over your ${formatFileSize(quota.bytes)} limit by ${formatFileSize(usage.totalBytes - quota.bytes)}. ` +
+              'The largest images are listed below - click one to find it.'
+            : `You have used ${Math.floor(quota.ratio * 100)}% of your ${formatFileSize(quota.bytes)} limit.`;
+        content.appendChild(warning);
+    }
+
+    content.appendChild(createQuotaSetting(panel));
+
+    if (usage.imageCount > 0) {
+        content.appendChild(createHeading('By type'));
+        content.appendChild(createUsageTable(usage.byType.map((type) => [type.label, type.count, type.bytes])));
+
+        content.appendChild(createHeading('By month'));
+        content.appendChild(createUsageTable(usage.byMonth.map((month) => [formatMonth(month.month), month.count, month.bytes])));
+
+        content.appendChild(createHeading('Largest images'));
+        content.appendChild(createLargestList(panel, usage.largest));
+    }
+
+    content.hidden = false;
+}
+
+/*
+    A bar showing how much of the quota is used
+    <progress> is the browser's built-in bar - screen readers announce it as a percentage
+*/
+function createQuotaBar(usage) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'usage-quota';
+
+    const bar = document.createElement('progress');
+    bar.max = 1;
+    bar.value = Math.min(1, usage.quota.ratio);
+    bar.setAttribute('aria-label', 'Share of the storage limit used');
+
+    const text = document.createElement('span');
+    text.textContent = `${formatFileSize(usage.totalBytes)} of ${formatFileSize(usage.quota.bytes)}`;
+
+    wrapper.classList.toggle('is-near', usage.quota.isNear);
+    wrapper.classList.toggle('is-over', usage.quota.isOver);
+    wrapper.appendChild(bar);
+    wrapper.appendChild(text);
+    return wrapper;
+}
+
+/*
+    The "Warn above ... GB" setting
+    Saved with setUsageQuota() when changed, then the numbers are compared again
+*/
+function createQuotaSetting(panel) {
+    const label = document.createElement('label');
+    label.className = 'usage-quota-setting';
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'details-input';
+    input.min = '0.1';
+    input.step = '0.1';
+    input.value = String(Math.round((getUsageQuota() / BYTES_PER_GB) * 10) / 10);
+
+    input.addEventListener('change', () => {
+        const gigabytes = Number(input.value);
+        if (gigabytes > 0) {
+            setUsageQuota(gigabytes * BYTES_PER_GB);
+            loadUsagePanel(panel);
+        }
+    });
+
+    label.appendChild(document.createTextNode('Warn above '));
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(' GB'));
+    return label;
+}
+
+function createHeading(text) {
+    const heading = document.createElement('h3');
+    heading.className = 'usage-heading';
+    heading.textContent = text;
+    return heading;
+}
+
+/*
+    A table with one row per group: name, number of images, size
+*/
+function createUsageTable(rows) {
+    const table = document.createElement('table');
+    table.className = 'usage-table';
+
+    rows.forEach(([name, count, bytes]) => {
+        const row = table.insertRow();
+        row.insertCell().textContent = name;
+        row.insertCell().textContent = `${count} ${count === 1 ? 'image' : 'images'}`;
+        row.insertCell().textContent = formatFileSize(bytes);
+    });
+
+    return table;
+}
+
+/*
+    The largest images, each a button that finds the image in the gallery
+*/
+function createLargestList(panel, images) {
+    const list = document.createElement('ol');
+    list.className = 'usage-largest';
+
+    images.forEach((image) => {
+        const item = document.createElement('li');
+
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.className = 'usage-image-link';
+        link.textContent = image.title || image.originalName || image.name;
+        link.addEventListener('click', () => panel.usageState.onShowImage(image));
+
+        const where = image.album ? ` in "${image.album}"` : '';
+        item.appendChild(link);
+        item.appendChild(document.createTextNode(` ${formatFileSize(image.size || 0)}${where}`));
+        list.appendChild(item);
+    });
+
+    return list;
+}
+
+/*
+    "2024-07" -> "July 2024"
+*/
+function formatMonth(month) {
+    if (!month) {
+        return 'Unknown';
+    }
+    const [year, monthNumber] = month.split('-').map(Number);
+    return new Date(year, monthNumber - 1, 1).toLocaleString('en-US', { month: 'long', year: 'numeric' });
+}
@@ -0,0 +1,174 @@
+/*
+    Firebase Storage Adapter
+    Stores images in Firebase Storage (the real cloud backend)
+
+    This adapter translates the app's storage adapter interface
+    (see js/storage.js) into calls to the Firebase modular SDK:
+
+    - upload      -> uploadBytesResumable
+    - list        -> list (one page) or listAll (everything)
+    - getURL      -> getDownloadURL
+    - remove      -> deleteObject
+    - getMetadata -> getMetadata
+    - updateMetadata -> updateMetadata
+    - download    -> getBlob
+*/
+
+import { initializeFirebase, loadFirebaseModule, getEmulator } from '../firebaseConfig.js';
+
+/*
+    Convert Firebase's metadata object into the plain shape the app uses
+    Firebase returns extra fields (bucket, md5Hash, ...) we don't need
+*/
+function toMetadata(metadata) {
+    return {
+        name: metadata.name,
+        fullPath: metadata.fullPath,
+        size: metadata.size,
+        contentType: metadata.contentType,
+        timeCreated: metadata.timeCreated,
+        updated: metadata.updated,
+        customMetadata: { ...(metadata.customMetadata || {}) }
+    };
+}
+
+/*
+    Factory Function: createFirebaseAdapter
+
+    Loads the Firebase SDK, connects to Firebase Storage and
+    returns a storage adapter that uses it
+
+    Returns:
+    - A Promise for a storage adapter
+*/
+export async function createFirebaseAdapter() {
+    const app = await initializeFirebase();
+
+    /*
+        Load the Storage functions we need
+        - getStorage: Gives us access to Firebase Storage for file uploads
+        - ref: Creates references to storage locations (like file paths)
+        - uploadBytesResumable: Uploads files with progress tracking
+        - getDownloadURL: Gets the public URL of uploaded files
+        - list: Lists one page of files in a storage location
+        - listAll: Lists all files in a storage location
+        - deleteObject: Removes a file
+        - getMetadata: Reads size, type and custom metadata of a file
+        - updateMetadata: Changes the custom metadata of an existing file
+        - getBlob: Downloads a file's contents
+          (the bucket needs a CORS configuration for this to work in the browser,
+          see https://firebase.google.com/docs/storage/web/download-files#cors_configuration)
+        - connectStorageEmulator: Sends every request to the local Storage emulator instead
+    */
+    const {
+        getStorage,
+        ref,
+        uploadBytesResumable,
+        getDownloadURL,
+        list,
+        listAll,
+        deleteObject,
+        getMetadata,
+        updateMetadata,
+        getBlob,
+        connectStorageEmulator
+    } = await loadFirebaseModule('firebase-storage');
+
+    // Get a reference to Firebase Storage
+    const storage = getStorage(app);
+
+    /*
+        In the dev environment, files go to the Storage emulator on this
+        computer (started with "firebase emulators:start") - nothing is
+        uploaded to the real project. This must happen before the first request
+    */
+    const emulator = getEmulator('storage');
+    if (emulator) {
+        connectStorageEmulator(storage, emulator.host, emulator.port);
+        console.log(`Using the Storage emulator at ${emulator.host}:${emulator.port}`);
+    }
+
+    return {
+        name: 'firebase',
+
+        upload(path, file, { metadata, onProgress = () => {} } = {}) {
+            /*
+                Start the upload using uploadBytesResumable
+                "Resumable" means if the upload fails, it can be continued from where it stopped
+                This is better than uploadBytes for larger files or slower connections
+            */
+            const uploadTask = uploadBytesResumable(ref(storage, path), file, metadata);
+
+            /*
+                Turn Firebase's three observer callbacks into one Promise
+                - 'state_changed' snapshots report progress
+                - the error observer rejects
+                - the complete observer resolves with the stored metadata
+            */
+            const promise = new Promise((resolve, reject) => {
+                uploadTask.on(
+                    'state_changed',
+                    (snapshot) => {
+                        onProgress({
+                            bytesTransferred: snapshot.bytesTransferred,
+                            totalBytes: snapshot.totalBytes,
+                            state: snapshot.state
+                        });
+                    },
+                    reject,
+                    () => resolve(toMetadata(uploadTask.snapshot.metadata))
+                );
+            });
+
+            return {
+                promise,
+                pause: () => uploadTask.pause(),
+                resume: () => uploadTask.resume(),
+                cancel: () => uploadTask.cancel()
+            };
+        },
+
+        async list(prefix, { maxResults, pageToken } = {}) {
+            /*
+                listAll() returns every file and subfolder in the location
+                list() returns one page at a time, plus a nextPageToken
+                that tells Firebase where the next page starts
+
+                Both results contain:
+                - items: array of file references
+                - prefixes: array of subfolder references
+            */
+            const folderRef = ref(storage, prefix);
+            const result = maxResults
+                ? await list(folderRef, pageToken ? { maxResults, pageToken } : { maxResults })
+                : await listAll(folderRef);
+
+            return {
+                items: result.items.map((item) => ({ name: item.name, fullPath: item.fullPath })),
+                prefixes: result.prefixes.map((folder) => ({ name: folder.name, fullPath: folder.fullPath })),
+                nextPageToken: result.nextPageToken || null
+            };
+        },
+
+        getURL(path) {
+            return getDownloadURL(ref(storage, path));
+        },
+
+        remove(path) {
+            return deleteObject(ref(storage, path));
+        },
+
+        async getMetadata(path) {
+            return toMetadata(await getMetadata(ref(storage, path)));
+        },
+
+        async updateMetadata(path, { customMetadata }) {
+            // Firebase merges the new custom metadata into the existing values
+            return toMetadata(await updateMetadata(ref(storage, path), { customMetadata }));
+        },
+
+        download(path) {
+            return getBlob(ref(storage, path));
+        }
+    };
+}
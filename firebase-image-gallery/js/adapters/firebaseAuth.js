@@ -0,0 +1,103 @@
+/*
+    Firebase Auth Provider
+    Signs users in with Firebase Authentication
+
+    This provider translates the app's auth provider interface
+    (see js/auth.js) into calls to the Firebase modular SDK:
+
+    - signIn             -> signInWithEmailAndPassword
+    - signUp             -> createUserWithEmailAndPassword
+    - signInAnonymously  -> signInAnonymously
+    - signOut            -> signOut
+    - onAuthStateChanged -> onAuthStateChanged
+
+    Firebase remembers the signed-in user between visits by itself
+*/
+
+import { initializeFirebase, loadFirebaseModule, getEmulator } from '../firebaseConfig.js';
+
+/*
+    Convert Firebase's User object into the plain shape the app uses
+    Firebase's User has many more fields (tokens, providers, ...) we don't need
+*/
+function toUser(user) {
+    if (!user) {
+        return null;
+    }
+    return {
+        uid: user.uid,
+        email: user.email,
+        isAnonymous: user.isAnonymous
+    };
+}
+
+/*
+    Factory Function: createFirebaseAuth
+
+    Loads the Firebase Auth SDK and returns an auth provider that uses it
+
+    Returns:
+    - A Promise for an auth provider
+*/
+export async function createFirebaseAuth() {
+    const app = await initializeFirebase();
+
+    /*
+        Load the Auth functions we need
+        - getAuth: Gives us access to Firebase Authentication
+        - signInWithEmailAndPassword / createUserWithEmailAndPassword: Email accounts
+        - signInAnonymously: A "guest" account with no email or password
+        - signOut: Ends the session
+        - onAuthStateChanged: Tells us whenever the signed-in user changes
+        - connectAuthEmulator: Signs in against the local Auth emulator instead
+    */
+    const {
+        getAuth,
+        signInWithEmailAndPassword,
+        createUserWithEmailAndPassword,
+        signInAnonymously,
+        signOut,
+        onAuthStateChanged,
+        connectAuthEmulator
+    } = await loadFirebaseModule('firebase-auth');
+
+    const auth = getAuth(app);
+
+    // Unlike the other emulators, the Auth emulator is given as a URL
+    const emulator = getEmulator('auth');
+    if (emulator) {
+        connectAuthEmulator(auth, `http://${emulator.host}:${emulator.port}`);
+        console.log(`Using the Auth emulator at ${emulator.host}:${emulator.port}`);
+    }
+
+    return {
+        name: 'firebase',
+
+        getCurrentUser() {
+            return toUser(auth.currentUser);
+        },
+
+        onAuthStateChanged(callback) {
+            return onAuthStateChanged(auth, (user) => callback(toUser(user)));
+        },
+
+        async signIn(email, password) {
+            const credential = await signInWithEmailAndPassword(auth, email, password);
+            return toUser(credential.user);
+        },
+
+        async signUp(email, password) {
+            const credential = await createUserWithEmailAndPassword(auth, email, password);
+            return toUser(credential.user);
+        },
+
+        async signInAnonymously() {
+            const credential = await signInAnonymously(auth);
+            return toUser(credential.user);
+        },
+
+        signOut() {
+            return signOut(auth);
+        }
+    };
+}
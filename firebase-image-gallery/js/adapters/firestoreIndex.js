@@ -0,0 +1,156 @@
+/*
+    Firestore Image Index
+    Keeps the image index in Cloud Firestore
+
+    Each user's records live in their own collection:
+    users/{uid}/images/{id}   - one document per image
+    users/{uid}               - the user's index status (e.g. when it was last reconciled)
+
+    Document ids can't contain "/", so the id is the image's fullPath
+    with its slashes encoded: "images%2F{uid}%2F3f2b8c1e-7d4a-4e9b-a1c2-5b6d7e8f9a0b.jpg"
+
+    Queries that filter by album and sort by another field need a
+    "composite index" in Firestore - one for each sort field and direction.
+    They are listed in firestore.indexes.json; see the README for how to create them.
+*/
+
+import { initializeFirebase, loadFirebaseModule, getEmulator } from '../firebaseConfig.js';
+
+/*
+    Factory Function: createFirestoreIndex
+
+    Loads the Firestore SDK, connects to the project's database and
+    returns an index provider that uses it
+
+    Returns:
+    - A Promise for an index provider (see js/imageIndex.js for the interface)
+*/
+export async function createFirestoreIndex() {
+    const app = await initializeFirebase();
+
+    /*
+        Load the Firestore functions we need
+        - initializeFirestore: Connects to the database
+        - collection / doc: References to a collection or a single document
+        - setDoc / deleteDoc / getDoc: Write, delete and read one document
+        - getDocs + query: Run a query and get the matching documents
+        - where / orderBy / limit / startAfter: The parts a query is built from
+        - onSnapshot: Runs a query and runs it again whenever its results change
+        - connectFirestoreEmulator: Uses the local Firestore emulator instead
+    */
+    const {
+        initializeFirestore,
+        collection,
+        doc,
+        setDoc,
+        deleteDoc,
+        getDoc,
+        getDocs,
+        query,
+        where,
+        orderBy,
+        limit,
+        startAfter,
+        onSnapshot,
+        connectFirestoreEmulator
+    } = await loadFirebaseModule('firebase-firestore');
+
+    // Fields left undefined are skipped instead of causing an error
+    const db = initializeFirestore(app, { ignoreUndefinedProperties: true });
+
+    const emulator = getEmulator('firestore');
+    if (emulator) {
+        connectFirestoreEmulator(db, emulator.host, emulator.port);
+        console.log(`Using the Firestore emulator at ${emulator.host}:${emulator.port}`);
+    }
+
+    const imagesCollection = (uid) => collection(db, 'users', uid, 'images');
+    const imageDoc = (uid, fullPath) => doc(db, 'users', uid, 'images', encodeURIComponent(fullPath));
+
+    // The filter and sort order shared by query() and watch()
+    const filterAndSort = (album, orderField, direction) => [
+        ...(album !== undefined ? [where('album', '==', album)] : []),
+        orderBy(orderField, direction)
+    ];
+
+    return {
+        name: 'firestore',
+
+        async save(uid, record) {
+            await setDoc(imageDoc(uid, record.fullPath), record);
+        },
+
+        async remove(uid, fullPath) {
+            await deleteDoc(imageDoc(uid, fullPath));
+        },
+
+        /*
+            The cursor is the last document of the previous page (startAfter() needs it)
+            Equal values are ordered by document id, which Firestore does by itself
+        */
+        async query(uid, { album, orderBy: orderField = 'uploadedAt', direction = 'desc', limit: pageSize = null, cursor = null } = {}) {
+            const constraints = filterAndSort(album, orderField, direction);
+
+            if (cursor) {
+                constraints.push(startAfter(cursor));
+            }
+            // Ask for one extra document - if it comes back, there is another page
+            if (pageSize) {
+                constraints.push(limit(pageSize + 1));
+            }
+
+            const snapshot = await getDocs(query(imagesCollection(uid), ...constraints));
+            const hasMore = pageSize !== null && snapshot.docs.length > pageSize;
+            const docs = hasMore ? snapshot.docs.slice(0, pageSize) : snapshot.docs;
+
+            return {
+                records: docs.map((document) => document.data()),
+                nextCursor: hasMore ? docs[docs.length - 1] : null
+            };
+        },
+
+        /*
+            Firestore keeps the query open and sends the new results whenever
+            a matching document is added, changed or deleted - by anyone
+
+            While offline, Firestore answers from what it happens to have
+            cached, which may be only part of the results. Those answers are
+            skipped so the gallery doesn't think every other image was deleted
+        */
+        watch(uid, { album, orderBy: orderField = 'uploadedAt', direction = 'desc', limit: pageSize = null } = {}, callback) {
+            const constraints = filterAndSort(album, orderField, direction);
+            if (pageSize) {
+                constraints.push(limit(pageSize));
+            }
+
+            return onSnapshot(
+                query(imagesCollection(uid), ...constraints),
+                (snapshot) => {
+                    if (!snapshot.metadata.fromCache) {
+                        callback(snapshot.docs.map((document) => document.data()));
+                    }
+                },
+                (error) => console.warn('Stopped watching the image index:', error)
+            );
+        },
+
+        // Firestore indexes single fields by itself, so this needs no composite index
+        async findByContentHash(uid, contentHash) {
+            const snapshot = await getDocs(query(
+                imagesCollection(uid),
+                where('contentHash', '==', contentHash),
+                limit(1)
+            ));
+            return snapshot.empty ? null : snapshot.docs[0].data();
+        },
+
+        async getStatus(uid) {
+            const snapshot = await getDoc(doc(db, 'users', uid));
+            return snapshot.exists() ? snapshot.data().imageIndex || null : null;
+        },
+
+        async setStatus(uid, status) {
+            await setDoc(doc(db, 'users', uid), { imageIndex: status }, { merge: true });
+        }
+    };
+}
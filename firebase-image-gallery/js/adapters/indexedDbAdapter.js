@@ -0,0 +1,154 @@
+/*
+    IndexedDB Storage Adapter
+    Stores uploaded images in the browser's IndexedDB database
+
+    IndexedDB is a database built into every modern browser. Unlike the
+    in-memory adapter, images saved here survive page reloads, so the team
+    can develop offline with a gallery that behaves like the real thing.
+
+    Note: the data only lives in this browser on this computer
+*/
+
+import {
+    createStorageError,
+    buildMetadata,
+    mergeCustomMetadata,
+    listFromPaths,
+    createSimulatedUpload
+} from './localBackend.js';
+
+const DATABASE_NAME = 'firebase-image-gallery';
+const DATABASE_VERSION = 1;
+const OBJECT_STORE = 'objects';
+
+/*
+    Helper: requestToPromise
+    IndexedDB was designed before Promises existed, so it uses
+    onsuccess/onerror events. Wrapping a request in a Promise lets us
+    use async/await like everywhere else in the app.
+*/
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/*
+    Open (and if needed create) the database
+    onupgradeneeded runs the first time, or whenever DATABASE_VERSION changes
+*/
+function openDatabase() {
+    const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(OBJECT_STORE)) {
+            // Each record is { fullPath, blob, metadata }, keyed by fullPath
+            db.createObjectStore(OBJECT_STORE, { keyPath: 'fullPath' });
+        }
+    };
+
+    return requestToPromise(request);
+}
+
+/*
+    Factory Function: createIndexedDbAdapter
+
+    Parameters:
+    - options: Object with configuration
+        - tickDelay: Milliseconds between simulated upload progress updates
+
+    Returns:
+    - A Promise for a storage adapter (see js/storage.js for the adapter interface)
+*/
+export async function createIndexedDbAdapter(options = {}) {
+    const { tickDelay = 30 } = options;
+
+    if (typeof indexedDB === 'undefined') {
+        throw createStorageError('storage/unsupported', 'IndexedDB is not available in this browser.');
+    }
+
+    const db = await openDatabase();
+
+    // Object URLs we have handed out, so they can be reused and released
+    const urls = new Map();
+
+    /*
+        Run one operation inside a transaction
+        mode is 'readonly' for reads and 'readwrite' for changes
+    */
+    function withStore(mode, operation) {
+        const transaction = db.transaction(OBJECT_STORE, mode);
+        return requestToPromise(operation(transaction.objectStore(OBJECT_STORE)));
+    }
+
+    async function getRecord(path) {
+        const record = await withStore('readonly', (store) => store.get(path));
+        if (!record) {
+            throw createStorageError('storage/object-not-found', `Object '${path}' does not exist.`);
+        }
+        return record;
+    }
+
+    // Forget a path's object URL when the object is deleted or overwritten (like the memory adapter)
+    function releaseURL(path) {
+        if (urls.has(path)) {
+            URL.revokeObjectURL(urls.get(path));
+            urls.delete(path);
+        }
+    }
+
+    return {
+        name: 'indexeddb',
+
+        upload(path, file, { metadata, onProgress } = {}) {
+            return createSimulatedUpload(file, {
+                onProgress,
+                tickDelay,
+                onFinish: async () => {
+                    const stored = buildMetadata(path, file, metadata);
+                    await withStore('readwrite', (store) => store.put({ fullPath: path, blob: file, metadata: stored }));
+                    releaseURL(path);
+                    return stored;
+                }
+            });
+        },
+
+        async list(prefix, options = {}) {
+            const paths = await withStore('readonly', (store) => store.getAllKeys());
+            return listFromPaths(paths, prefix, options);
+        },
+
+        async getURL(path) {
+            if (!urls.has(path)) {
+                const { blob } = await getRecord(path);
+                urls.set(path, URL.createObjectURL(blob));
+            }
+            return urls.get(path);
+        },
+
+        async remove(path) {
+            await getRecord(path);
+            await withStore('readwrite', (store) => store.delete(path));
+            releaseURL(path);
+        },
+
+        async getMetadata(path) {
+            const { metadata } = await getRecord(path);
+            return metadata;
+        },
+
+        async updateMetadata(path, { customMetadata }) {
+            const record = await getRecord(path);
+            record.metadata = mergeCustomMetadata(record.metadata, customMetadata);
+            await withStore('readwrite', (store) => store.put(record));
+            return record.metadata;
+        },
+
+        async download(path) {
+            const { blob } = await getRecord(path);
+            return blob;
+        }
+    };
+}
@@ -0,0 +1,165 @@
+/*
+    Local Auth Provider
+    Pretend sign-in for the memory and IndexedDB storage backends
+
+    It behaves like Firebase Authentication (same methods, same error codes)
+    so the gallery can be tried without a Firebase project, but it is NOT
+    secure: accounts are kept in the browser itself, and anyone with access
+    to the browser can read them. Never use it to protect real data.
+
+    - With persist: true, accounts and the signed-in user are saved in
+      localStorage, so they survive a reload (used with the IndexedDB backend)
+    - Otherwise they live in memory and are gone on reload (used in demo mode,
+      where the images are gone on reload too)
+*/
+
+const ACCOUNTS_KEY = 'gallery-local-accounts';
+const SESSION_KEY = 'gallery-local-session';
+
+/*
+    The shortest password Firebase accepts - we use the same rule
+*/
+const MIN_PASSWORD_LENGTH = 6;
+
+/*
+    Create an error with a Firebase-style code like 'auth/invalid-email'
+*/
+function createAuthError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/*
+    A tiny stand-in for localStorage that forgets everything on reload
+*/
+function createMemoryStore() {
+    const values = new Map();
+    return {
+        getItem: (key) => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: (key) => values.delete(key)
+    };
+}
+
+/*
+    Passwords are never stored as typed - only a SHA-256 hash of them
+    (mixed with the email, so two accounts with the same password look different)
+*/
+async function hashPassword(email, password) {
+    const bytes = new TextEncoder().encode(`${email}:${password}`);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/*
+    Check an email and password the way Firebase does
+    Emails are compared in lower case, so "Ana@Example.com" is the same account as "ana@example.com"
+*/
+function checkCredentials(email, password) {
+    const normalizedEmail = (email || '').trim().toLowerCase();
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+        throw createAuthError('auth/invalid-email', 'The email address is badly formatted.');
+    }
+    if (!password) {
+        throw createAuthError('auth/missing-password', 'A password is required.');
+    }
+    return normalizedEmail;
+}
+
+/*
+    Factory Function: createLocalAuth
+
+    Parameters:
+    - options: Object with configuration
+        - persist: Save accounts and the session in localStorage (default false)
+
+    Returns:
+    - An auth provider (see js/auth.js for the provider interface)
+*/
+export function createLocalAuth(options = {}) {
+    const { persist = false } = options;
+    const store = persist ? window.localStorage : createMemoryStore();
+    const listeners = new Set();
+
+    const readJson = (key, fallback) => JSON.parse(store.getItem(key) || 'null') || fallback;
+
+    let currentUser = readJson(SESSION_KEY, null);
+
+    // Remember the new user and tell everyone who is listening
+    function setCurrentUser(user) {
+        currentUser = user;
+        if (user) {
+            store.setItem(SESSION_KEY, JSON.stringify(user));
+        } else {
+            store.removeItem(SESSION_KEY);
+        }
+        listeners.forEach((callback) => callback(currentUser));
+        return user;
+    }
+
+    return {
+        name: 'local',
+
+        getCurrentUser() {
+            return currentUser;
+        },
+
+        /*
+            Like Firebase, the callback is called once straight away
+            (on the next tick) with whoever is signed in, then after every change
+        */
+        onAuthStateChanged(callback) {
+            listeners.add(callback);
+            Promise.resolve().then(() => {
+                if (listeners.has(callback)) {
+                    callback(currentUser);
+                }
+            });
+            return () => listeners.delete(callback);
+        },
+
+        async signIn(email, password) {
+            const normalizedEmail = checkCredentials(email, password);
+            const account = readJson(ACCOUNTS_KEY, {})[normalizedEmail];
+
+            // Like Firebase, don't reveal whether it was the email or the password that was wrong
+            if (!account || account.passwordHash !== await hashPassword(normalizedEmail, password)) {
+                throw createAuthError('auth/invalid-credential', 'The email or password is incorrect.');
+            }
+
+            return setCurrentUser({ uid: account.uid, email: normalizedEmail, isAnonymous: false });
+        },
+
+        async signUp(email, password) {
+            const normalizedEmail = checkCredentials(email, password);
+            const accounts = readJson(ACCOUNTS_KEY, {});
+
+            if (password.length < MIN_PASSWORD_LENGTH) {
+                throw createAuthError('auth/weak-password', `Password should be at least ${MIN_PASSWORD_LENGTH} characters.`);
+            }
+            if (accounts[normalizedEmail]) {
+                throw createAuthError('auth/email-already-in-use', 'The email address is already in use.');
+            }
+
+            const uid = crypto.randomUUID();
+            accounts[normalizedEmail] = { uid, passwordHash: await hashPassword(normalizedEmail, password) };
+            store.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
+
+            return setCurrentUser({ uid, email: normalizedEmail, isAnonymous: false });
+        },
+
+        async signInAnonymously() {
+            // Signing in as a guest again keeps the same guest, like Firebase does
+            if (currentUser && currentUser.isAnonymous) {
+                return currentUser;
+            }
+            return setCurrentUser({ uid: crypto.randomUUID(), email: null, isAnonymous: true });
+        },
+
+        async signOut() {
+            setCurrentUser(null);
+        }
+    };
+}
@@ -0,0 +1,226 @@
+/*
+    Local Backend Helpers
+    Shared building blocks for the storage adapters that keep images in the browser
+    (the in-memory adapter and the IndexedDB adapter)
+
+    These helpers make a local backend behave like Firebase Storage:
+    - Errors carry the same "storage/..." codes Firebase uses
+    - Uploads report progress in chunks and can be paused, resumed or canceled
+    - Listing a folder returns files and subfolders the same way listAll() does
+
+    Because the local adapters look like Firebase from the outside, the rest of
+    the app (and its error handling) works the same whichever backend is chosen
+*/
+
+/*
+    Create an error that looks like a Firebase Storage error
+    Firebase errors have a "code" property such as 'storage/object-not-found'
+    Using the same codes means one error handler works for every backend
+*/
+export function createStorageError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/*
+    Build the metadata object for a stored file
+    The shape matches the subset of Firebase's FullMetadata that the app uses
+*/
+export function buildMetadata(fullPath, file, metadata = {}) {
+    const now = new Date().toISOString();
+
+    return {
+        name: fullPath.split('/').pop(),
+        fullPath: fullPath,
+        size: file.size,
+        contentType: metadata.contentType || file.type || 'application/octet-stream',
+        timeCreated: now,
+        updated: now,
+        customMetadata: { ...(metadata.customMetadata || {}) }
+    };
+}
+
+/*
+    Merge new custom metadata into a stored file's metadata
+    This copies Firebase's updateMetadata() rules:
+    - New keys are added and existing keys are overwritten
+    - A key set to null is removed
+*/
+export function mergeCustomMetadata(metadata, customMetadata = {}) {
+    const merged = { ...metadata.customMetadata };
+
+    Object.entries(customMetadata).forEach(([key, value]) => {
+        if (value === null) {
+            delete merged[key];
+        } else {
+            merged[key] = String(value);
+        }
+    });
+
+    return { ...metadata, customMetadata: merged, updated: new Date().toISOString() };
+}
+
+/*
+    List one "folder" from a flat collection of paths
+
+    Storage backends don't really have folders - every object just has a path
+    like "images/holiday/beach.jpg". A folder listing is worked out by looking at
+    which paths start with the prefix:
+    - "images/beach.jpg" is a file directly inside "images/"
+    - "images/holiday/beach.jpg" means "images/holiday" is a subfolder
+
+    Paging works like Firebase's list():
+    - maxResults: How many files to return (all of them if not given)
+    - pageToken: The nextPageToken from the previous page
+
+    Our page token is simply the path of the last file on the previous page.
+    Because the files are sorted by path, the next page starts right after it.
+
+    Returns { items, prefixes, nextPageToken } where items and prefixes are
+    arrays of { name, fullPath } and nextPageToken is null on the last page
+*/
+export function listFromPaths(paths, prefix, { maxResults, pageToken } = {}) {
+    // Make sure the prefix ends with a slash so "images" doesn't match "images2/"
+    const folder = prefix.endsWith('/') ? prefix : `${prefix}/`;
+
+    const items = [];
+    const prefixNames = new Set();
+
+    paths.forEach((path) => {
+        if (!path.startsWith(folder)) {
+            return;
+        }
+
+        const rest = path.slice(folder.length);
+        const slashIndex = rest.indexOf('/');
+
+        if (slashIndex === -1) {
+            items.push({ name: rest, fullPath: path });
+        } else {
+            prefixNames.add(rest.slice(0, slashIndex));
+        }
+    });
+
+    // Firebase returns listings in path order, so we do the same
+    items.sort((a, b) => (a.fullPath < b.fullPath ? -1 : a.fullPath > b.fullPath ? 1 : 0));
+
+    // Subfolders are only reported with the first page
+    const prefixes = pageToken ? [] : [...prefixNames].sort().map((name) => ({
+        name: name,
+        fullPath: `${folder}${name}`
+    }));
+
+    if (!maxResults) {
+        return { items, prefixes, nextPageToken: null };
+    }
+
+    const remaining = pageToken ? items.filter((item) => item.fullPath > pageToken) : items;
+    const page = remaining.slice(0, maxResults);
+    const nextPageToken = remaining.length > maxResults ? page[page.length - 1].fullPath : null;
+
+    return { items: page, prefixes, nextPageToken };
+}
+
+/*
+    Simulated Resumable Upload
+
+    Local backends save a file almost instantly, which would make the progress
+    bar useless during development. This helper "uploads" the file in chunks on
+    a timer so progress, pause, resume and cancel all behave like a real upload.
+
+    Parameters:
+    - file: The File or Blob being uploaded
+    - options:
+        - onProgress: Receives { bytesTransferred, totalBytes, state }
+        - chunkSize: Bytes "sent" per tick
+        - tickDelay: Milliseconds between ticks
+        - onFinish: Async function that actually stores the file and
+          returns its metadata once every chunk has been "sent"
+
+    Returns an upload task: { promise, pause(), resume(), cancel() }
+*/
+export function createSimulatedUpload(file, options = {}) {
+    const {
+        onProgress = () => {},
+        chunkSize = 256 * 1024,
+        tickDelay = 30,
+        onFinish
+    } = options;
+
+    const totalBytes = file.size;
+    let bytesTransferred = 0;
+    let state = 'running';
+    let timer = null;
+    let settle = null;
+
+    const promise = new Promise((resolve, reject) => {
+        settle = { resolve, reject };
+    });
+
+    function report() {
+        onProgress({ bytesTransferred, totalBytes, state });
+    }
+
+    async function finish() {
+        state = 'success';
+        report();
+
+        try {
+            settle.resolve(await onFinish());
+        } catch (error) {
+            state = 'error';
+            settle.reject(error);
+        }
+    }
+
+    function tick() {
+        timer = null;
+        if (state !== 'running') {
+            return;
+        }
+
+        bytesTransferred = Math.min(totalBytes, bytesTransferred + chunkSize);
+
+        if (bytesTransferred >= totalBytes) {
+            finish();
+            return;
+        }
+
+        report();
+        timer = setTimeout(tick, tickDelay);
+    }
+
+    // Start on the next tick so callers can attach handlers first
+    timer = setTimeout(tick, 0);
+
+    return {
+        promise,
+
+        pause() {
+            if (state !== 'running') return false;
+            state = 'paused';
+            clearTimeout(timer);
+            timer = null;
+            report();
+            return true;
+        },
+
+        resume() {
+            if (state !== 'paused') return false;
+            state = 'running';
+            report();
+            timer = setTimeout(tick, tickDelay);
+            return true;
+        },
+
+        cancel() {
+            if (state !== 'running' && state !== 'paused') return false;
+            state = 'canceled';
+            clearTimeout(timer);
+            timer = null;
+            settle.reject(createStorageError('storage/canceled', 'User canceled the upload.'));
+            return true;
+        }
+    };
+}
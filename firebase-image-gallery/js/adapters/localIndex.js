@@ -0,0 +1,149 @@
+/*
+    Local Image Index
+    Keeps the image index in a JavaScript Map, for the memory and IndexedDB backends
+
+    Watchers are only told about changes made in this page - other tabs
+    have their own copy of the index.
+
+    The index only lives as long as the page. That is on purpose: the
+    local backends hand out object URLs ("blob:..."), which stop working
+    when the page is closed, so a saved index would be full of broken URLs.
+    Instead app.js rebuilds the index from storage after each sign-in
+    (see js/indexReconciliation.js) - quick, because storage is local too.
+*/
+
+/*
+    Compare two strings the way Firestore does: character codes, in order.
+    localeCompare() would follow the browser's language rules instead
+    ("é" next to "e", punctuation ignored), so the order on screen would
+    not match the order of the index's pages.
+    Ties are broken like Firestore too: by document id, which is the
+    fullPath with its slashes encoded (see js/adapters/firestoreIndex.js)
+*/
+const compareText = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+/*
+    Compare two records for sorting
+    Equal values are ordered by fullPath, so the order never changes between pages
+*/
+function compareRecords(a, b, orderBy, direction) {
+    const valueA = a[orderBy];
+    const valueB = b[orderBy];
+    let result = 0;
+
+    if (valueA !== valueB) {
+        result = typeof valueA === 'string'
+            ? compareText(valueA, valueB)
+            : (valueA || 0) - (valueB || 0);
+    }
+    if (result === 0) {
+        result = compareText(encodeURIComponent(a.fullPath), encodeURIComponent(b.fullPath));
+    }
+    return direction === 'asc' ? result : -result;
+}
+
+/*
+    Factory Function: createLocalIndex
+
+    Returns:
+    - An index provider (see js/imageIndex.js for the provider interface)
+*/
+export function createLocalIndex() {
+    /*
+        One Map of records per user, keyed by fullPath
+        users: uid -> Map(fullPath -> record)
+    */
+    const users = new Map();
+    const statuses = new Map();
+
+    // Everyone watching a query: { uid, options, callback }
+    const watchers = new Set();
+
+    function getRecords(uid) {
+        if (!users.has(uid)) {
+            users.set(uid, new Map());
+        }
+        return users.get(uid);
+    }
+
+    // Hand out copies so callers can't change the stored records by accident
+    const copyRecord = (record) => ({
+        ...record,
+        thumbnails: record.thumbnails.map((thumbnail) => ({ ...thumbnail })),
+        tags: [...record.tags],
+        exif: record.exif ? { ...record.exif } : null
+    });
+
+    /*
+        The cursor is simply the position where the next page starts
+    */
+    function runQuery(uid, { album, orderBy = 'uploadedAt', direction = 'desc', limit = null, cursor = null } = {}) {
+        const matching = Array.from(getRecords(uid).values())
+            .filter((record) => album === undefined || record.album === album)
+            .sort((a, b) => compareRecords(a, b, orderBy, direction));
+
+        const start = cursor || 0;
+        const end = limit ? start + limit : matching.length;
+
+        return {
+            records: matching.slice(start, end).map(copyRecord),
+            nextCursor: end < matching.length ? end : null
+        };
+    }
+
+    // Tell the user's watchers that something changed (they each re-run their query)
+    function notifyWatchers(uid) {
+        watchers.forEach((watcher) => {
+            if (watcher.uid === uid) {
+                watcher.callback(runQuery(uid, watcher.options).records);
+            }
+        });
+    }
+
+    return {
+        name: 'local',
+
+        async save(uid, record) {
+            getRecords(uid).set(record.fullPath, copyRecord(record));
+            notifyWatchers(uid);
+        },
+
+        async remove(uid, fullPath) {
+            if (getRecords(uid).delete(fullPath)) {
+                notifyWatchers(uid);
+            }
+        },
+
+        async query(uid, options) {
+            return runQuery(uid, options);
+        },
+
+        watch(uid, options, callback) {
+            const watcher = { uid, options: { ...options, cursor: null }, callback };
+            watchers.add(watcher);
+
+            // Like Firestore, report the current records straight away (on the next tick)
+            Promise.resolve().then(() => {
+                if (watchers.has(watcher)) {
+                    callback(runQuery(uid, watcher.options).records);
+                }
+            });
+
+            return () => watchers.delete(watcher);
+        },
+
+        async findByContentHash(uid, contentHash) {
+            const match = Array.from(getRecords(uid).values())
+                .find((record) => record.contentHash === contentHash);
+            return match ? copyRecord(match) : null;
+        },
+
+        async getStatus(uid) {
+            return statuses.get(uid) || null;
+        },
+
+        async setStatus(uid, status) {
+            statuses.set(uid, { ...status });
+        }
+    };
+}
@@ -0,0 +1,127 @@
+/*
+    In-Memory Storage Adapter
+    Keeps uploaded images in a JavaScript Map for as long as the page is open
+
+    Useful for:
+    - Demos without any Firebase credentials
+    - Developing offline
+    - Testing components against a fake backend (nothing is saved anywhere)
+
+    Everything is lost when the page is reloaded
+*/
+
+import {
+    createStorageError,
+    buildMetadata,
+    mergeCustomMetadata,
+    listFromPaths,
+    createSimulatedUpload
+} from './localBackend.js';
+
+/*
+    Factory Function: createMemoryAdapter
+
+    Parameters:
+    - options: Object with configuration
+        - initialObjects: Array of { fullPath, file, metadata } to start with
+          (handy for seeding a fake gallery in tests or demos)
+        - tickDelay: Milliseconds between simulated upload progress updates
+
+    Returns:
+    - A storage adapter (see js/storage.js for the adapter interface)
+*/
+export function createMemoryAdapter(options = {}) {
+    const { initialObjects = [], tickDelay = 30 } = options;
+
+    /*
+        All stored objects, keyed by their full path
+        Each value is { blob, metadata }
+    */
+    const objects = new Map();
+
+    /*
+        Object URLs we have handed out, keyed by full path
+        We keep them so the same image always gets the same URL
+        and so we can release them when an object is deleted
+    */
+    const urls = new Map();
+
+    initialObjects.forEach(({ fullPath, file, metadata }) => {
+        objects.set(fullPath, { blob: file, metadata: buildMetadata(fullPath, file, metadata) });
+    });
+
+    // Hand out copies so callers can't change the stored metadata by accident
+    function copyMetadata(metadata) {
+        return { ...metadata, customMetadata: { ...metadata.customMetadata } };
+    }
+
+    function getObject(path) {
+        const object = objects.get(path);
+        if (!object) {
+            throw createStorageError('storage/object-not-found', `Object '${path}' does not exist.`);
+        }
+        return object;
+    }
+
+    /*
+        Forget the object URL handed out for a path (if any)
+        Called when the object is deleted or overwritten - the old URL
+        would keep showing the old bytes, and keep them in memory
+    */
+    function releaseURL(path) {
+        if (urls.has(path)) {
+            URL.revokeObjectURL(urls.get(path));
+            urls.delete(path);
+        }
+    }
+
+    return {
+        name: 'memory',
+
+        upload(path, file, { metadata, onProgress } = {}) {
+            return createSimulatedUpload(file, {
+                onProgress,
+                tickDelay,
+                onFinish: async () => {
+                    const stored = buildMetadata(path, file, metadata);
+                    releaseURL(path);
+                    objects.set(path, { blob: file, metadata: stored });
+                    return stored;
+                }
+            });
+        },
+
+        async list(prefix, options = {}) {
+            return listFromPaths([...objects.keys()], prefix, options);
+        },
+
+        async getURL(path) {
+            const { blob } = getObject(path);
+
+            if (!urls.has(path)) {
+                urls.set(path, URL.createObjectURL(blob));
+            }
+            return urls.get(path);
+        },
+
+        async remove(path) {
+            getObject(path);
+            objects.delete(path);
+            releaseURL(path);
+        },
+
+        async getMetadata(path) {
+            return copyMetadata(getObject(path).metadata);
+        },
+
+        async updateMetadata(path, { customMetadata }) {
+            const object = getObject(path);
+            object.metadata = mergeCustomMetadata(object.metadata, customMetadata);
+            return copyMetadata(object.metadata);
+        },
+
+        async download(path) {
+            return getObject(path).blob;
+        }
+    };
+}
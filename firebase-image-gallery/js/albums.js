@@ -0,0 +1,264 @@
+/*
+    Albums
+    Group images into albums, where each album is a storage "folder"
+
+    Storage has no real folders - a file's path simply contains slashes.
+    An album called "holiday" is every file whose path starts with
+    "images/{uid}/holiday/" (each user's gallery is the folder named after
+    their user id). This file builds album features on top of the
+    storage module:
+
+    - Listing albums (the subfolders of the user's folder)
+    - Creating an album
+    - Moving an image from one album to another
+
+    Why is there a ".album" file in each album?
+    A folder only exists while something is inside it. When an album is
+    created it is still empty, so we save a tiny marker file in it to keep
+    it alive. Files starting with a dot are never shown in the gallery.
+*/
+
+import {
+    getStorageAdapter,
+    getAlbumPath,
+    getAlbumFromPath,
+    getImageData,
+    getThumbnailPath,
+    getThumbnailSizes,
+    removeThumbnails,
+    addImageToIndex,
+    removeImageFromIndex,
+    THUMBNAILS_FOLDER
+} from './storage.js';
+
+const ALBUM_MARKER = '.album';
+
+/*
+    Album names become part of a storage path, so some characters aren't allowed:
+    - "/" would create a folder inside the album
+    - "#", "?", "[", "]", "*" have special meanings in Firebase Storage paths
+*/
+const FORBIDDEN_CHARACTERS = /[/#?[\]*\\]/;
+const MAX_ALBUM_NAME_LENGTH = 50;
+
+/*
+    Folder names the app uses for its own purposes
+    These can't be used as album names
+    - thumbs: Where the thumbnails of top-level images are kept
+*/
+export const RESERVED_FOLDER_NAMES = [THUMBNAILS_FOLDER];
+
+/*
+    Validate Album Name
+    Checks a name the user typed before we create an album with it
+
+    Returns:
+    - { valid: true, name } with the cleaned-up name, or
+    - { valid: false, error } with a message to show the user
+*/
+export function validateAlbumName(rawName = '') {
+    const name = rawName.trim();
+
+    if (!name) {
+        return { valid: false, error: 'Please enter an album name' };
+    }
+    if (name.length > MAX_ALBUM_NAME_LENGTH) {
+        return { valid: false, error: `Album names can be at most ${MAX_ALBUM_NAME_LENGTH} characters` };
+    }
+    if (FORBIDDEN_CHARACTERS.test(name)) {
+        return { valid: false, error: 'Album names cannot contain / \\ # ? [ ] or *' };
+    }
+    if (name.startsWith('.') || RESERVED_FOLDER_NAMES.includes(name.toLowerCase())) {
+        return { valid: false, error: `"${name}" cannot be used as an album name` };
+    }
+
+    return { valid: true, name };
+}
+
+/*
+    List Albums
+
+    Returns every album with a cover image, ready to show as album cards:
+    [{ name, fullPath, coverUrl }]
+
+    The cover is simply the first image in the album (or null if it is empty),
+    shown as its smallest thumbnail when it has one.
+    Only one small page is listed per album, so this stays fast
+    no matter how many images each album holds.
+*/
+export async function listAlbums() {
+    try {
+        const adapter = getStorageAdapter();
+        const { prefixes } = await adapter.list(getAlbumPath(null));
+
+        const albums = prefixes.filter((folder) => !RESERVED_FOLDER_NAMES.includes(folder.name));
+
+        return await Promise.all(albums.map(async (folder) => {
+            // Two items is enough: the marker file sorts first, then the first image
+            const { items } = await adapter.list(getAlbumPath(folder.name), { maxResults: 2 });
+            const cover = items.find((item) => !item.name.startsWith('.'));
+
+            return {
+                name: folder.name,
+                fullPath: folder.fullPath,
+                coverUrl: cover ? await getCoverUrl(adapter, cover.fullPath) : null
+            };
+        }));
+    } catch (error) {
+        console.error('Error listing albums:', error);
+        throw error; // Re-throw so calling code can handle it
+    }
+}
+
+/*
+    Get the URL to show for an album's cover image
+    The smallest thumbnail if there is one, otherwise the original
+*/
+async function getCoverUrl(adapter, fullPath) {
+    const { customMetadata } = await adapter.getMetadata(fullPath);
+    const [smallestSize] = getThumbnailSizes(customMetadata).sort((a, b) => a - b);
+
+    if (smallestSize) {
+        try {
+            return await adapter.getURL(getThumbnailPath(fullPath, smallestSize));
+        } catch (error) {
+            console.warn(`Thumbnail missing for ${fullPath}, using the original`);
+        }
+    }
+    return adapter.getURL(fullPath);
+}
+
+/*
+    Create Album
+
+    Parameters:
+    - rawName: The name the user typed
+
+    Returns:
+    - The new album: { name, fullPath, coverUrl }
+
+    Throws an Error with a friendly message if the name isn't allowed
+*/
+export async function createAlbum(rawName) {
+    const validation = validateAlbumName(rawName);
+    if (!validation.valid) {
+        throw new Error(validation.error);
+    }
+
+    const { name } = validation;
+    const marker = new Blob([JSON.stringify({ createdAt: Date.now() })], { type: 'application/json' });
+
+    await getStorageAdapter().upload(`${getAlbumPath(name)}${ALBUM_MARKER}`, marker, {
+        metadata: { contentType: 'application/json' }
+    }).promise;
+
+    console.log(`Created album: ${name}`);
+
+    return { name, fullPath: getAlbumPath(name).slice(0, -1), coverUrl: null };
+}
+
+/*
+    Move Image
+
+    Storage can't rename or move files, so moving is done in four steps:
+    1. Download the file
+    2. Upload it to the new album (keeping its name and metadata)
+    3. Add the copy to the image index
+    4. Delete the original and its index record - only after the copy
+       is saved and listed, so a failure half-way never loses the image
+
+    The image's thumbnails are copied the same way. A thumbnail that
+    can't be copied is left out, and the image shows its original instead.
+    If the image itself can't be copied, the thumbnails already copied are
+    deleted again, so nothing is left behind in the target album.
+
+    Parameters:
+    - image: The image object from the gallery
+    - targetAlbum: Album to move into (null for the top level)
+
+    Returns:
+    - The image object for its new location
+*/
+export async function moveImage(image, targetAlbum = null) {
+    const adapter = getStorageAdapter();
+    const currentAlbum = getAlbumFromPath(image.fullPath);
+
+    if (currentAlbum === targetAlbum) {
+        return image;
+    }
+
+    try {
+        const fileName = image.fullPath.split('/').pop();
+        const newPath = `${getAlbumPath(targetAlbum)}${fileName}`;
+
+        const [blob, metadata] = await Promise.all([
+            adapter.download(image.fullPath),
+            adapter.getMetadata(image.fullPath)
+        ]);
+
+        const thumbnailSizes = getThumbnailSizes(metadata.customMetadata);
+        const customMetadata = { ...metadata.customMetadata };
+        let copiedSizes = [];
+
+        if (thumbnailSizes.length > 0) {
+            copiedSizes = await copyThumbnails(adapter, image.fullPath, newPath, thumbnailSizes);
+            customMetadata.thumbnails = copiedSizes.join(',');
+        }
+
+        let newImage;
+        try {
+            await adapter.upload(newPath, blob, {
+                metadata: { contentType: metadata.contentType, customMetadata }
+            }).promise;
+            newImage = await getImageData(newPath);
+        } catch (error) {
+            // Nothing has been deleted yet - just take away the unfinished copy
+            await removeThumbnails(adapter, newPath, copiedSizes);
+            await adapter.remove(newPath).catch(() => {});
+            throw error;
+        }
+
+        // The copy is a new file, but the image was still uploaded when the original was
+        const movedImage = { ...newImage, uploadedAt: image.uploadedAt || newImage.uploadedAt };
+        await addImageToIndex(movedImage);
+
+        await adapter.remove(image.fullPath);
+        await removeThumbnails(adapter, image.fullPath, thumbnailSizes);
+        await removeImageFromIndex(image.fullPath);
+
+        console.log(`Moved ${image.fullPath} to ${newPath}`);
+
+        return movedImage;
+    } catch (error) {
+        console.error('Error moving image:', error);
+        throw error; // Re-throw so calling code can handle it
+    }
+}
+
+/*
+    Copy an image's thumbnails to the thumbs/ folder of its new location
+
+    Returns:
+    - The sizes that were copied successfully
+*/
+async function copyThumbnails(adapter, fromPath, toPath, sizes) {
+    const copied = await Promise.all(sizes.map(async (size) => {
+        try {
+            const thumbnailPath = getThumbnailPath(fromPath, size);
+            const [blob, metadata] = await Promise.all([
+                adapter.download(thumbnailPath),
+                adapter.getMetadata(thumbnailPath)
+            ]);
+
+            await adapter.upload(getThumbnailPath(toPath, size), blob, {
+                metadata: { contentType: metadata.contentType }
+            }).promise;
+            return size;
+        } catch (error) {
+            console.warn(`Could not copy ${size}px thumbnail of ${fromPath}:`, error);
+            return null;
+        }
+    }));
+
+    return copied.filter((size) => size !== null);
+}
@@ -13,14 +13,123 @@ as it currently exists the firebase config components are multi-line and the ima
 are written on one line.
 */
 // Firebase configuration and utilities
+import { isFirebaseConfigured, getConfigProblems } from './firebaseConfig.js';
+import { loadRuntimeConfig } from './runtimeConfig.js';
+// Storage backend and image helpers
 import {
-    storage,
-    isFirebaseConfigured,
-    listAllImages
-} from './firebaseConfig.js';
+    STORAGE_BACKENDS,
+    createStorageAdapter,
+    setStorageAdapter,
+    setStorageUser,
+    getAlbumPath,
+    getAlbumFromPath,
+    listImagesPage,
+    updateImageDetails,
+    downloadImage,
+    deleteImage
+} from './storage.js';
+// Image index (a database of every image, for fast sorted listing)
+import { createImageIndex, setImageIndex } from './imageIndex.js';
+import { isImageIndexReady, reconcileImageIndex } from './indexReconciliation.js';
+// Sign-in (each user has their own private gallery)
+import {
+    createAuthProvider,
+    setAuthProvider,
+    onAuthChange,
+    signIn,
+    signUp,
+    signInAsGuest,
+    signOut
+} from './auth.js';
 // UI Components
-import { createUploadForm } from '../components/uploadForm.js';
-import { createImageGrid, addImageToGrid, updateImageGrid } from '../components/imageGrid.js';
+import { createUploadForm, setUploadFormAlbums, setUploadFormEnabled, destroyUploadForm } from '../components/uploadForm.js';
+import {
+    createImageGrid,
+    updateImageGrid,
+    removeImageFromGrid,
+    insertImageIntoGrid,
+    updateImageInGrid,
+    isImageBeingEdited,
+    showImageInGrid,
+    reorderImageGrid,
+    filterImageGrid,
+    setImageGridLayout,
+    getGridSelection,
+    selectAllInGrid,
+    clearGridSelection
+} from '../components/imageGrid.js';
+import { getImageDisplayName } from '../components/imageCard.js';
+import { openLightbox } from '../components/lightbox.js';
+import { createAlbumBar, updateAlbumBar } from '../components/albumBar.js';
+import { createSortToolbar } from '../components/sortToolbar.js';
+import { createLayoutSwitch } from '../components/layoutSwitch.js';
+import { createSearchBar, resetSearchBar, setSearchCount } from '../components/searchBar.js';
+import { chooseAlbum } from '../components/moveDialog.js';
+import {
+    createSelectionBar,
+    setSelectionCount,
+    resetSelectionBar,
+    addBulkJob,
+    setBulkItemStatus,
+    finishBulkJob
+} from '../components/selectionBar.js';
+import { createAuthPanel, updateAuthPanel } from '../components/authPanel.js';
+import { createOfflineIndicator } from '../components/offlineIndicator.js';
+import { createNewImagesPill, showNewImages, resetNewImagesPill } from '../components/newImagesPill.js';
+import { createUsagePanel, resetUsagePanel, markUsageStale } from '../components/usagePanel.js';
+// Storage usage (totals from the image index)
+import { loadUsageStats } from './usageStats.js';
+// Offline support (saved listings and the service worker)
+import {
+    loadCachedListing,
+    saveCachedListing,
+    clearOfflineCache,
+    registerServiceWorker
+} from './offlineCache.js';
+// Live updates (changes made in other tabs and on other devices)
+import { watchGallery, diffImageListing } from './liveUpdates.js';
+// Sorting (the order the gallery is shown in)
+import { getGallerySort, setGallerySort, sortImages, findSortedIndex } from './gallerySort.js';
+import { getGalleryLayout, setGalleryLayout } from './galleryLayout.js';
+// Search (filtering the album on screen by text, type and upload date)
+import { EMPTY_FILTERS, isFilterActive, filterImages } from './imageSearch.js';
+// Albums (storage folders under images/)
+import { listAlbums, createAlbum, moveImage } from './albums.js';
+// Acting on many selected images at once
+import { runBulkAction } from './bulkActions.js';
+import { createZip } from './zip.js';
+import { getExtensionForType } from './objectNames.js';
+import { parseTags } from './imageDetails.js';
+/*
+    How long (in milliseconds) the user has to undo a delete
+    before the image is actually removed from storage
+*/
+const UNDO_DELETE_DELAY = 6000;
+
+/*
+    Deletes that are waiting for their undo window to run out
+    Maps an image's fullPath to { timer, restoreImage }
+*/
+const pendingDeletes = new Map();
+
+/*
+    Stops watching the index for changes (see startLiveUpdates())
+    null while nothing is being watched
+*/
+let stopLiveUpdates = null;
+
+/*
+    The request loading every image of the album for a search (see loadSearchPool())
+    null while nothing is loading
+*/
+let searchPoolRequest = null;
+
+/*
+    Counts calls to loadAndDisplayImages(), so a load can tell whether a
+    newer one has started since - only the newest load may finish loading
+*/
+let latestLoad = 0;
+
 /*
 Declan: 
 The appState object holds the current state of the application using four different properties.
@@ -28,236 +137,1741 @@ It can be used to tell us what is the app is currently doing. initially this obj
 empty array and null values as placeholders for the gridElement and uploadFormElement.
 */
 const appState = {
+    backend: null,           // Name of the storage backend in use ('firebase', 'memory' or 'indexeddb')
+    user: undefined,         // The signed-in user ({ uid, email, isAnonymous }), null if signed out (undefined until we know)
     images: [],              // Array of all images currently loaded
+    nextPageToken: null,     // Token for the next page of images (null when everything is loaded)
     isLoading: false,        // Whether we're currently loading data
+    currentAlbum: null,      // Name of the album being viewed (null for the top level)
+    albums: [],              // Array of all albums ({ name, fullPath, coverUrl })
+    sort: null,              // The order images are shown in (one of SORT_OPTIONS, see js/gallerySort.js)
+    layout: null,            // How the cards are laid out (one of LAYOUT_OPTIONS, see js/galleryLayout.js)
+    filters: { ...EMPTY_FILTERS }, // The search bar's text and filters (see js/imageSearch.js)
+    searchPool: null,        // Every image of the album, in sort order, while a search is active (null otherwise)
     gridElement: null,       // Reference to the grid DOM element
-    uploadFormElement: null  // Reference to the upload form DOM element
+    uploadFormElement: null, // Reference to the upload form DOM element
+    albumBarElement: null,   // Reference to the album navigation bar
+    sortToolbarElement: null, // Reference to the "Sort by" toolbar
+    searchBarElement: null,  // Reference to the search box and filters
+    selectionBarElement: null, // Reference to the bar with the selected images' buttons
+    authPanelElement: null,  // Reference to the sign-in panel in the header
+    newImagesPillElement: null, // Reference to the "N new images" button
+    usagePanelElement: null  // Reference to the storage usage panel
 };
 /*
-Declan: 
-This function initializes the app. it is an asynchronous function allowing the code to execute
-while waiting for information from other functions such as loadAndDisplayImages.
+Declan: 
+This function initializes the app. it is an asynchronous function allowing the code to execute
+while waiting for information from other functions such as loadAndDisplayImages.
+*/
+async function initializeApp() {
+    console.log('Initializing Firebase Image Gallery...');
+
+    appState.backend = getSelectedBackend();
+
+    // Lets the page (and the images it has shown) open without a network next time
+    registerServiceWorker();
+
+/*
+Declan: 
+This if statements checks that firebase is properly configured using the isFireBaseConfigured function
+imported from firebaseConfig. If firebase is not properly configured it will exit the function and
+display an error to the user
+*/
+    if (appState.backend === 'firebase') {
+        // The Firebase settings come from config.json (see js/runtimeConfig.js)
+        await loadRuntimeConfig();
+
+        if (!isFirebaseConfigured()) {
+            showConfigurationError(getConfigProblems());
+            return; // Stop here - can't proceed without Firebase
+        }
+    }
+
+/*
+Declan: 
+This section is for the creation and rendering of the different components. It creates the upload form
+and a variable to store the uploaded container element.
+*/
+/*
+Declan: 
+This section creates an uploadForm variable and uses the constructor function 'createUploadForm' from
+uploadForm.js to assign an object to the variable. The objects properties are in the form of two callbacks
+for functions created further down this page and a storage property that is assigned the 'storage' module 
+import from firebaseConfig.
+*/
+    try {
+        // Connect to the chosen storage backend before anything tries to use it
+        setStorageAdapter(await createStorageAdapter(appState.backend));
+        setAuthProvider(await createAuthProvider(appState.backend));
+        setImageIndex(await createImageIndex(appState.backend));
+
+        // The sign-in panel lives in the page header
+        const header = document.querySelector('.header');
+        if (header) {
+            appState.authPanelElement = createAuthPanel({
+                onSignIn: signIn,
+                onSignUp: signUp,
+                onSignInAsGuest: signInAsGuest,
+                onSignOut: handleSignOut
+            });
+            header.appendChild(appState.authPanelElement);
+        }
+
+        // Create upload form with callbacks
+        const uploadForm = createGalleryUploadForm();
+
+/*
+Declan: 
+This creates the upload container variable and assigns it to the element with the id 'upload-container'
+It only does this if that element exists in the DOM
+*/
+        const uploadContainer = document.getElementById('upload-container');
+        if (uploadContainer) {
+            uploadContainer.appendChild(uploadForm);
+            appState.uploadFormElement = uploadForm;
+            // Turned on once someone is signed in (see handleAuthStateChanged())
+            setUploadFormEnabled(uploadForm, false);
+            console.log('Upload form created');
+        }
+
+        // The offline banner sits just above the status messages
+        const statusElement = document.getElementById('status-message');
+        if (statusElement) {
+            const offlineIndicator = createOfflineIndicator({ onOnline: handleBackOnline });
+            statusElement.parentNode.insertBefore(offlineIndicator, statusElement);
+        }
+
+        // The order the user chose last time (see js/gallerySort.js)
+        appState.sort = getGallerySort();
+
+        // And the layout (see js/galleryLayout.js)
+        appState.layout = getGalleryLayout();
+
+        // Album navigation sits above the grid
+        const gridContainer = document.getElementById('image-grid-container');
+        if (gridContainer) {
+            appState.albumBarElement = createAlbumBar({
+                onBack: () => openAlbum(null),
+                onCreateAlbum: handleCreateAlbum
+            });
+            appState.albumBarElement.hidden = true;
+            gridContainer.parentNode.insertBefore(appState.albumBarElement, gridContainer);
+
+            // Then the search bar and the sort toolbar, between the album bar and the grid
+            appState.searchBarElement = createSearchBar({ onChange: handleSearchChange });
+            appState.searchBarElement.hidden = true;
+            gridContainer.parentNode.insertBefore(appState.searchBarElement, gridContainer);
+
+            appState.sortToolbarElement = createSortToolbar({
+                value: appState.sort.id,
+                onChange: handleSortChange
+            });
+            appState.sortToolbarElement.hidden = true;
+            gridContainer.parentNode.insertBefore(appState.sortToolbarElement, gridContainer);
+
+            // The layout buttons share the toolbar, at its start
+            appState.sortToolbarElement.prepend(createLayoutSwitch({
+                value: appState.layout.id,
+                onChange: handleLayoutChange
+            }));
+
+            // The selected images' buttons float at the bottom of the screen (hidden until something is selected)
+            appState.selectionBarElement = createSelectionBar({ onAction: handleSelectionAction });
+            gridContainer.parentNode.insertBefore(appState.selectionBarElement, gridContainer);
+
+            // Floats over the page, so where it sits in the document doesn't matter
+            appState.newImagesPillElement = createNewImagesPill({
+                getTarget: () => appState.gridElement
+            });
+            gridContainer.parentNode.insertBefore(appState.newImagesPillElement, gridContainer);
+        }
+        // Storage usage sits between the status messages and the gallery
+        const usageContainer = document.getElementById('usage-container');
+        if (usageContainer) {
+            appState.usagePanelElement = createUsagePanel({
+                loadUsage: () => loadUsageStats(),
+                onShowImage: showExistingImage
+            });
+            usageContainer.appendChild(appState.usagePanelElement);
+        }
+
+        /*
+            Images can only be loaded once we know whose gallery to show
+            handleAuthStateChanged() runs as soon as the provider knows who is
+            signed in (even if nobody is), and again every time that changes
+        */
+        onAuthChange(handleAuthStateChanged);
+
+        console.log('Application initialized successfully');
+
+    } catch (error) {
+        console.error('Application initialization failed:', error);
+        showStatusMessage('Failed to initialize application. Please refresh the page.', 'error');
+    }
+}
+
+/*
+    Handle Auth State Changed
+
+    Called with the signed-in user whenever someone signs in or out
+    (and once at startup). Everything on screen belonged to the previous
+    user, so the gallery is reset and loaded again for the new one.
+
+    Parameters:
+    - user: The signed-in user ({ uid, email, isAnonymous }), or null
+*/
+async function handleAuthStateChanged(user) {
+    // The provider may report the same user again (e.g. when a session is refreshed)
+    if (appState.user !== undefined && (user && user.uid) === (appState.user && appState.user.uid)) {
+        return;
+    }
+
+    endLiveUpdates();
+
+    // The first call is at startup - the form on screen is still new then
+    if (appState.user !== undefined && appState.uploadFormElement) {
+        replaceUploadForm();
+    }
+
+    appState.user = user;
+    setStorageUser(user ? user.uid : null);
+
+    appState.currentAlbum = null;
+    appState.images = [];
+    appState.nextPageToken = null;
+    appState.albums = [];
+    resetSearch();
+
+    if (appState.authPanelElement) {
+        updateAuthPanel(appState.authPanelElement, user);
+    }
+    if (appState.uploadFormElement) {
+        setUploadFormEnabled(appState.uploadFormElement, Boolean(user));
+        setUploadFormAlbums(appState.uploadFormElement, []);
+    }
+    if (appState.albumBarElement) {
+        updateAlbumBar(appState.albumBarElement, null);
+        appState.albumBarElement.hidden = !user;
+    }
+    if (appState.sortToolbarElement) {
+        appState.sortToolbarElement.hidden = !user;
+    }
+    if (appState.searchBarElement) {
+        appState.searchBarElement.hidden = !user;
+    }
+    if (appState.selectionBarElement) {
+        resetSelectionBar(appState.selectionBarElement);
+    }
+
+    if (appState.usagePanelElement) {
+        resetUsagePanel(appState.usagePanelElement, false);
+    }
+
+    showSignedOutMessage(!user);
+
+    if (user) {
+        console.log(`Signed in as ${user.isAnonymous ? 'a guest' : user.email}`);
+        await prepareImageIndex();
+        await loadAndDisplayImages();
+
+        // The index is ready now - add up this user's storage (and warn if it is near the limit)
+        if (appState.usagePanelElement && appState.user === user) {
+            resetUsagePanel(appState.usagePanelElement, true);
+        }
+    } else {
+        console.log('Signed out');
+    }
+}
+
+/*
+    Create the upload form, with the app's callbacks
+*/
+function createGalleryUploadForm() {
+    return createUploadForm({
+        onUploadSuccess: handleUploadSuccess,
+        onUploadError: handleUploadError,
+        onShowExisting: showExistingImage
+    });
+}
+
+/*
+    Replace Upload Form
+    Puts a new upload form in place of the old one when the user changes:
+    the old form's queue lists the previous user's files. The old form is
+    destroyed, which cancels its unfinished uploads and stops its queue
+    listening to the window.
+*/
+function replaceUploadForm() {
+    const oldForm = appState.uploadFormElement;
+    const uploadForm = createGalleryUploadForm();
+
+    oldForm.replaceWith(uploadForm);
+    destroyUploadForm(oldForm);
+    appState.uploadFormElement = uploadForm;
+}
+
+/*
+    Show or hide the "sign in to see your images" message
+    While it is shown, the grid is removed - it held the previous user's images
+*/
+function showSignedOutMessage(show) {
+    const gridContainer = document.getElementById('image-grid-container');
+    if (!gridContainer) {
+        return;
+    }
+
+    const existingMessage = gridContainer.querySelector('.signed-out-state');
+    if (existingMessage) {
+        existingMessage.remove();
+    }
+
+    if (!show) {
+        return;
+    }
+
+    if (appState.gridElement) {
+        appState.gridElement.remove();
+        appState.gridElement = null;
+    }
+
+    const message = document.createElement('div');
+    message.className = 'empty-state signed-out-state';
+    message.innerHTML = `
+        <div class="empty-state-icon">🔒</div>
+        <h3>Sign in to see your gallery</h3>
+        <p>Your images are private - sign in above, or continue as a guest</p>
+    `;
+    gridContainer.appendChild(message);
+}
+
+/*
+    Prepare Image Index
+
+    The gallery is listed from the image index, so the first time a user
+    signs in, their index is built from the images already in storage
+    (e.g. ones uploaded before the index existed)
+
+    A failure is reported but doesn't stop the gallery loading - it just
+    won't show the images that are missing from the index yet
+*/
+async function prepareImageIndex() {
+    // Building the index needs the server - try again next time the user signs in
+    if (navigator.onLine === false) {
+        return;
+    }
+
+    try {
+        if (await isImageIndexReady()) {
+            return;
+        }
+
+        showStatusMessage('Indexing your images...', 'info');
+        const { added } = await reconcileImageIndex();
+
+        if (added > 0) {
+            showStatusMessage(`Indexed ${added} existing image(s)`, 'success');
+        }
+    } catch (error) {
+        console.error('Image index could not be prepared:', error);
+        showStatusMessage('Some older images may be missing. Run rebuildImageIndex() in the console to retry.', 'error');
+    }
+}
+
+/*
+    Rebuild Image Index
+    Brings the index back in line with storage, then reloads the gallery
+    Handy after changing files in the Firebase console
+*/
+async function rebuildImageIndex() {
+    showStatusMessage('Rebuilding image index...', 'info');
+
+    try {
+        const { added, removed } = await reconcileImageIndex();
+        showStatusMessage(`Image index rebuilt: ${added} added, ${removed} removed`, 'success');
+        await loadAndDisplayImages();
+    } catch (error) {
+        console.error('Rebuilding the image index failed:', error);
+        showStatusMessage(`Could not rebuild the image index: ${error.message}`, 'error');
+    }
+}
+
+/*
+    Handle Sign Out
+
+    Deletes waiting for their undo window are finished first - after
+    signing out we would no longer be allowed to delete the files
+*/
+async function handleSignOut() {
+    const { uid } = appState.user;
+
+    await flushPendingDeletes();
+    await signOut();
+
+    // The next person to use this browser shouldn't see this user's saved images
+    await clearOfflineCache(uid);
+}
+
+/*
+    Handle Back Online
+    The gallery on screen may be a saved copy, so load the latest version
+    (the upload queue restarts its own uploads)
+*/
+function handleBackOnline() {
+    showStatusMessage('Back online', 'success', 2000);
+
+    if (appState.user) {
+        loadAndDisplayImages();
+    }
+}
+
+/*
+    Start every delete that is still waiting for its undo window
+*/
+function flushPendingDeletes() {
+    const deletes = [];
+    pendingDeletes.forEach(({ timer, restoreImage }, fullPath) => {
+        clearTimeout(timer);
+        deletes.push(commitDelete(fullPath, restoreImage));
+    });
+    return Promise.all(deletes);
+}
+
+/*
+    Choose the Storage Backend
+
+    The gallery can store images in Firebase, in memory, or in the browser's
+    IndexedDB database (see js/storage.js). The backend is picked from:
+    1. The ?backend= query parameter, e.g. index.html?backend=memory
+    2. The last backend chosen with the query parameter (saved in localStorage)
+    3. Firebase, if nothing else was chosen
+
+    Returns:
+    - One of STORAGE_BACKENDS
+*/
+function getSelectedBackend() {
+    const requested = new URLSearchParams(window.location.search).get('backend');
+
+    if (STORAGE_BACKENDS.includes(requested)) {
+        localStorage.setItem('gallery-backend', requested);
+        return requested;
+    }
+
+    const remembered = localStorage.getItem('gallery-backend');
+    return STORAGE_BACKENDS.includes(remembered) ? remembered : 'firebase';
+}
+
+/*
+    Load and Display Images
+
+    Fetches the first page of images and displays them in the grid
+    This is called:
+    - During initial app load
+    - After manual refresh (if implemented)
+    - Optionally after each upload (we add single images instead for better UX)
+
+    The last page seen is saved on the device (see js/offlineCache.js), so it
+    is shown straight away while the server is asked for the latest images,
+    and is still shown if the server can't be reached
+*/
+/*
+Declan: 
+This function gets the images from firebase storage and renders them on the page.
+it is called in the above function that runs on DOM load.
+*/
+async function loadAndDisplayImages() {
+    /*
+    Declan: 
+    A message is logged to the console to inform the user that the images are laoding
+    the appState object is updated to reflect the the images are loading my changing the
+    isLoading property to true
+    */
+    console.log('Loading images from Firebase...');
+
+    appState.isLoading = true;
+    const load = ++latestLoad;
+    let shownFromCache = false;
+
+    // The listing is about to be replaced - watch again once it has loaded
+    endLiveUpdates();
+    /*
+        Only the first page of images is fetched here
+        More pages are fetched by handleLoadMore() as the user scrolls,
+        so a gallery with thousands of images still appears quickly
+    */
+    try {
+        const album = appState.currentAlbum;
+        const user = appState.user;
+        const sort = appState.sort;
+
+        // Show the saved copy first - no more pages can be loaded from it, so hasMore is false
+        const cached = usesOfflineCache() ? await loadCachedListing(user.uid, album) : null;
+        if (cached && album === appState.currentAlbum && user === appState.user) {
+            // It may have been saved while another sort was chosen
+            displayImages({ album, images: sortImages(cached.images, sort), nextPageToken: null, albums: cached.albums });
+            shownFromCache = true;
+        }
+
+        // No point waiting for the server - the "online" event loads the gallery again
+        if (shownFromCache && navigator.onLine === false) {
+            showStatusMessage("You're offline - showing the images saved on this device", 'info');
+            return;
+        }
+
+        // The album list is needed everywhere (cover cards, upload form, move dialog)
+        const [{ images, nextPageToken }, albums] = await Promise.all([
+            listImagesPage({ album, orderBy: sort.orderBy, direction: sort.direction }),
+            listAlbums()
+        ]);
+
+        // The user may have opened another album, changed the sort (or signed out) while we were waiting,
+        // or a newer load (e.g. a refresh) has started
+        if (load !== latestLoad || album !== appState.currentAlbum || user !== appState.user || sort !== appState.sort) {
+            return;
+        }
+
+        /*
+        Declan: 
+        The appState object is updated again, changing the isLoading property back to false
+        to show that it is finished loading.
+        */
+        appState.isLoading = false;
+        displayImages({ album, images, nextPageToken, albums });
+
+        if (usesOfflineCache()) {
+            saveCachedListing(user.uid, album, { images, albums });
+        }
+
+        /*
+            A search was active (e.g. the gallery was refreshed while searching)
+            Search the fresh images instead of watching the first page
+        */
+        if (isFilterActive(appState.filters)) {
+            appState.searchPool = null;
+            if (await loadSearchPool()) {
+                showSearchResults();
+            }
+        } else {
+            startLiveUpdates();
+        }
+
+        /*
+        Declan: 
+        Upon an image upload a message is displayed to the user telling them how many images were loaded
+        */
+        if (images.length > 0) {
+            showStatusMessage(`Loaded ${images.length} image(s)`, 'success');
+        }
+    /*
+    Declan: 
+    If the listAllImages function is unsuccesful the following code will run.
+    The relevant error will be displayed to the user in the console, along with text informing them
+    that the app failed to load images. An image grid element will still be created and the appstates
+    gridElement property will be updated to hold a new imageGrid object with an empty array. This empty image grid
+    will then be placed inside the image-grid-container element so that the UI renders correctly.
+    */
+    } catch (error) {
+        console.error('Failed to load images:', error);
+
+        // A newer load has taken over - it decides what is shown
+        if (load !== latestLoad) {
+            return;
+        }
+
+        // The saved copy is already on screen - just say it may be out of date
+        if (shownFromCache) {
+            showStatusMessage("Couldn't reach the server - showing the images saved on this device", 'info');
+            return;
+        }
+
+        // Show error message to user
+        showStatusMessage('Failed to load images. Please check your Firebase configuration.', 'error');
+
+        // Still create an empty grid so UI isn't broken (unless the user has signed out)
+        const gridContainer = document.getElementById('image-grid-container');
+        if (gridContainer && !appState.gridElement && appState.user) {
+            appState.gridElement = createImageGrid({
+                images: [],
+                isLoading: false,
+                onDeleteImage: handleDeleteRequest,
+                onEditImageDetails: handleEditDetails,
+                onLoadMore: handleLoadMore,
+                onOpenAlbum: openAlbum,
+                onMoveImage: handleMoveRequest,
+                onSelectionChange: handleSelectionChange,
+                windowed: true,
+                layout: appState.layout.id
+            });
+            gridContainer.appendChild(appState.gridElement);
+        }
+    } finally {
+        // A newer load is still running - it clears the flag when it is done
+        if (load === latestLoad) {
+            appState.isLoading = false;
+        }
+    }
+}
+
+/*
+    Display Images
+
+    Puts one page of images (and the album list) into appState and on screen
+    Used for both the saved copy and the fresh listing from the server
+
+    Parameters:
+    - listing: { album, images, nextPageToken, albums }
+*/
+function displayImages({ album, images, nextPageToken, albums }) {
+    appState.albums = albums;
+    if (appState.uploadFormElement) {
+        setUploadFormAlbums(appState.uploadFormElement, albums.map((item) => item.name), album);
+    }
+
+    // Album cover cards are only shown at the top level
+    const albumCards = album ? [] : albums;
+    /*
+    Declan: 
+    The appState object is updated again, assigning the new image array to the 'images' property
+    */
+    appState.images = images;
+    appState.nextPageToken = nextPageToken;
+
+    /*
+    Declan: 
+    A gridContainer variable is created and assigned to the HTML element with the id 'image-grid-container'
+    */
+    const gridContainer = document.getElementById('image-grid-container');
+    /*
+    Declan: 
+    This section executes if the image-grid-container element does not exist and creates a new grid.
+    It uses the createImageGrid constructor function to create an image grid object and assign it
+    to the gridElement property in the appState object. It also uploads the appState object to reflect
+    that it has finished loading. It then uses the appendChild function to place the new grid element
+    into the image grid container. It then logs to the user whether the image grid was created or updated.
+    */
+    if (gridContainer) {
+        if (!appState.gridElement) {
+            appState.gridElement = createImageGrid({
+                images: images,
+                isLoading: false,
+                onDeleteImage: handleDeleteRequest,
+                onEditImageDetails: handleEditDetails,
+                onLoadMore: handleLoadMore,
+                hasMore: nextPageToken !== null,
+                albums: albumCards,
+                onOpenAlbum: openAlbum,
+                onMoveImage: handleMoveRequest,
+                onSelectionChange: handleSelectionChange,
+                windowed: true,
+                layout: appState.layout.id
+            });
+            gridContainer.appendChild(appState.gridElement);
+            console.log('Image grid created');
+        } else {
+            updateImageGrid(appState.gridElement, images, {
+                hasMore: nextPageToken !== null,
+                albums: albumCards
+            });
+            console.log('Image grid updated');
+        }
+    }
+}
+
+/*
+    Start Live Updates
+
+    Watches the first page of the album on screen, so images uploaded,
+    deleted or edited somewhere else (another tab, another device) show up
+    without reloading. See js/liveUpdates.js.
+*/
+function startLiveUpdates() {
+    endLiveUpdates();
+
+    const album = appState.currentAlbum;
+    const user = appState.user;
+    const sort = appState.sort;
+
+    stopLiveUpdates = watchGallery({ album, orderBy: sort.orderBy, direction: sort.direction }, (latestImages) => {
+        // Late results for an album, user or sort that is no longer on screen
+        if (album !== appState.currentAlbum || user !== appState.user || sort !== appState.sort) {
+            return;
+        }
+        applyLiveUpdate(latestImages);
+    });
+}
+
+/*
+    Stop watching for changes, and forget about any unseen new images
+*/
+function endLiveUpdates() {
+    if (stopLiveUpdates) {
+        stopLiveUpdates();
+        stopLiveUpdates = null;
+    }
+    if (appState.newImagesPillElement) {
+        resetNewImagesPill(appState.newImagesPillElement);
+    }
+}
+
+/*
+    Apply Live Update
+
+    Changes only the cards that differ between the gallery on screen and
+    the latest first page - the rest of the grid (and the scroll position)
+    is left alone
+
+    Parameters:
+    - latestImages: The first page of images, as the index has it now
+*/
+function applyLiveUpdate(latestImages) {
+    /*
+        Images waiting for their undo window are off the screen but still in
+        the index - they must not come back
+    */
+    const visibleLatest = latestImages.filter((image) => !pendingDeletes.has(image.fullPath));
+    const sort = appState.sort;
+    const { added, removed, updated } = diffImageListing(appState.images, visibleLatest, {
+        orderBy: sort.orderBy,
+        direction: sort.direction
+    });
+
+    if (added.length === 0 && removed.length === 0 && updated.length === 0) {
+        return;
+    }
+
+    if (appState.usagePanelElement) {
+        markUsageStale(appState.usagePanelElement);
+    }
+
+    const removedPaths = new Set(removed);
+    appState.images = appState.images.filter((image) => !removedPaths.has(image.fullPath));
+
+    updated.forEach((image) => {
+        // Don't throw away what the user is typing - their own save updates the card
+        if (appState.gridElement && isImageBeingEdited(appState.gridElement, image.fullPath)) {
+            return;
+        }
+        const index = appState.images.findIndex((item) => item.fullPath === image.fullPath);
+        appState.images[index] = image;
+        if (appState.gridElement) {
+            updateImageInGrid(appState.gridElement, image);
+        }
+    });
+
+    added.forEach(({ image, index }) => {
+        appState.images.splice(index, 0, image);
+    });
+
+    if (appState.gridElement) {
+        removed.forEach((fullPath) => removeImageFromGrid(appState.gridElement, fullPath));
+        added.forEach(({ image, index }) => insertImageIntoGrid(appState.gridElement, image, index));
+    }
+
+    if (appState.newImagesPillElement) {
+        showNewImages(appState.newImagesPillElement, added.length);
+    }
+
+    console.log(`Live update: ${added.length} added, ${removed.length} removed, ${updated.length} updated`);
+}
+
+/*
+    Only the Firebase backend uses the offline cache
+    The local backends keep everything on the device already, and the
+    object URLs they hand out stop working when the page is closed
+*/
+function usesOfflineCache() {
+    return appState.backend === 'firebase';
+}
+
+/*
+    Handle Load More
+
+    Called by the image grid when the user scrolls to the end of it
+    Fetches the next page of images and adds them to appState
+
+    Returns:
+    - { images, hasMore } for the grid to display
+*/
+async function handleLoadMore() {
+    const album = appState.currentAlbum;
+    const user = appState.user;
+    const sort = appState.sort;
+    const page = await listImagesPage({
+        album,
+        pageToken: appState.nextPageToken,
+        orderBy: sort.orderBy,
+        direction: sort.direction
+    });
+
+    /*
+        Another album was opened, the sort changed, a search started (or another
+        user signed in) while this page loaded - it no longer belongs here
+    */
+    if (album !== appState.currentAlbum || user !== appState.user || sort !== appState.sort || appState.searchPool) {
+        return { images: [], hasMore: appState.nextPageToken !== null };
+    }
+
+    /*
+        Images uploaded during this visit were already added to the grid in
+        their sorted place, so skip them if they turn up again in a later page
+    */
+    const shownPaths = new Set(appState.images.map((image) => image.fullPath));
+    const images = page.images.filter((image) => !shownPaths.has(image.fullPath));
+
+    appState.images.push(...images);
+    appState.nextPageToken = page.nextPageToken;
+
+    return { images, hasMore: page.nextPageToken !== null };
+}
+
+/*
+    Handle Upload Success
+
+    Called when an image is successfully uploaded
+    This is passed as a callback to the upload form component
+
+    Parameters:
+    - imageData: Object containing { url, name, originalName, uploadedAt, fullPath }
+*/
+/*
+Declan: 
+This function is used to handle successful image uploads, it takes the imageData variable as a paramater
+the image data variable is created in imageCard.js and holds url, name, and timestamp properties. The function
+logs a message to the console containing these properties on successful upload.
+*/
+function handleUploadSuccess(imageData) {
+    console.log('Upload successful, updating gallery...', imageData);
+
+    /*
+        An upload that was already finishing when the user changed still
+        completes, but its image belongs to the user who started it -
+        don't show it to anyone else
+    */
+    if (!appState.user || !imageData.fullPath.startsWith(getAlbumPath(null))) {
+        return;
+    }
+
+    if (appState.usagePanelElement) {
+        markUsageStale(appState.usagePanelElement);
+    }
+
+    /*
+        The image went into a different album from the one on screen,
+        so there is no card to add - just tell the user where it went
+    */
+    if (imageData.album !== appState.currentAlbum) {
+        showStatusMessage(`Image uploaded to ${imageData.album ? `album "${imageData.album}"` : 'the top level'}`, 'success');
+        return;
+    }
+
+    /*
+        During a search the image joins the images being searched, and
+        its card is only shown if it matches
+    */
+    if (appState.searchPool) {
+        if (!appState.searchPool.some((image) => image.fullPath === imageData.fullPath)) {
+            appState.searchPool.splice(findSortedIndex(appState.searchPool, imageData, appState.sort), 0, imageData);
+        }
+        showSearchResults();
+        showStatusMessage('Image uploaded successfully!', 'success');
+        return;
+    }
+
+    // Live updates often get there first and have already shown the card
+    const alreadyShown = appState.images.some((image) => image.fullPath === imageData.fullPath);
+
+    /*
+        The new image goes where the chosen sort puts it. If that is after
+        the last loaded image and more pages are still to come, it belongs
+        on one of those pages - it will show up when they are loaded
+    */
+    const index = findSortedIndex(appState.images, imageData, appState.sort);
+    const isOnLaterPage = index === appState.images.length && appState.nextPageToken !== null;
+
+    if (!alreadyShown && !isOnLaterPage) {
+        appState.images.splice(index, 0, imageData);
+        if (appState.gridElement) {
+            insertImageIntoGrid(appState.gridElement, imageData, index);
+        }
+    }
+    /*
+    Declan: 
+    Message is deisplayed to the console showing successful upload
+    */
+    showStatusMessage('Image uploaded successfully!', 'success');
+}
+/*
+    Show Existing Image
+
+    Called when the user chooses "Go to existing" for a duplicate upload
+    Opens the image's album and scrolls to its card. If the card isn't
+    loaded (it is further down than the first page), the image is opened
+    in the lightbox instead
+
+    Parameters:
+    - image: The gallery's copy of the file
+*/
+async function showExistingImage(image) {
+    if (image.album !== appState.currentAlbum) {
+        await openAlbum(image.album);
+    }
+
+    if (!appState.gridElement || !showImageInGrid(appState.gridElement, image.fullPath)) {
+        openLightbox(image, image.title || image.originalName);
+    }
+}
+/*
+Declan: 
+This function is used to handle an upload error, the specific error object encountered is passed as a parameter
+into the function in order to display it to the user in the console
+*/
+function handleUploadError(error) {
+    console.error('Upload failed:', error);
+
+    // Show error message to user
+    showStatusMessage(`Upload failed: ${error.message}`, 'error');
+}
+/*
+    Handle Delete Request
+
+    Called when the delete button on an image card is clicked
+
+    Deleting is permanent, so we:
+    1. Ask the user to confirm
+    2. Remove the card from the grid and appState straight away
+    3. Wait UNDO_DELETE_DELAY milliseconds, showing an "Undo" button
+    4. Only then remove the file from storage
+
+    Parameters:
+    - imageData: The image whose delete button was clicked
+*/
+function handleDeleteRequest(imageData) {
+    const { fullPath } = imageData;
+
+    const confirmed = window.confirm('Delete this image? You will have a few seconds to undo.');
+    if (!confirmed) {
+        return;
+    }
+
+    const restoreImage = takeImageOffScreen(imageData);
+
+    // Start the countdown - the file is only deleted when the timer fires
+    const timer = setTimeout(() => commitDelete(fullPath, restoreImage), UNDO_DELETE_DELAY);
+    pendingDeletes.set(fullPath, { timer, restoreImage });
+    updateSearchCount();
+
+    showStatusMessage('Image deleted.', 'info', UNDO_DELETE_DELAY, {
+        label: 'Undo',
+        onClick: () => {
+            const pending = pendingDeletes.get(fullPath);
+            if (!pending) return; // Too late - already deleted
+
+            clearTimeout(pending.timer);
+            pendingDeletes.delete(fullPath);
+            pending.restoreImage();
+            showStatusMessage('Delete undone', 'success', 2000);
+        }
+    });
+}
+
+/*
+    Take Image Off Screen
+    Removes an image from appState and the grid, remembering where it was
+    so "undo" can put it back in the same place
+
+    Parameters:
+    - imageData: The image to remove
+
+    Returns:
+    - A function that puts the image back exactly where it was
+      (when several images are taken off, put them back in the reverse order).
+      It returns whether the image went back on screen
+
+    The positions only mean something in the album they were taken from.
+    If another album is open (or nobody is signed in) by the time the image
+    is put back, nothing is put on screen - the image is still in storage,
+    so it shows up again the next time its album is opened.
+*/
+function takeImageOffScreen(imageData) {
+    const { fullPath } = imageData;
+
+    const stateIndex = appState.images.findIndex((image) => image.fullPath === fullPath);
+    if (stateIndex !== -1) {
+        appState.images.splice(stateIndex, 1);
+    }
+
+    const gridIndex = appState.gridElement
+        ? removeImageFromGrid(appState.gridElement, fullPath)
+        : -1;
+
+    return () => {
+        if (!appState.user || getAlbumFromPath(fullPath) !== appState.currentAlbum) {
+            return false;
+        }
+        if (stateIndex !== -1) {
+            appState.images.splice(stateIndex, 0, imageData);
+        }
+        if (appState.gridElement && gridIndex !== -1) {
+            insertImageIntoGrid(appState.gridElement, imageData, gridIndex);
+        }
+        updateSearchCount();
+        return true;
+    };
+}
+
+/*
+    Open Album
+
+    Switches the gallery to show one album (or the top level)
+    and reloads the grid for it
+
+    Parameters:
+    - album: Name of the album to open, or null for the top level
+*/
+async function openAlbum(album) {
+    appState.currentAlbum = album;
+    appState.nextPageToken = null;
+
+    // A search only covers the album it was typed in
+    resetSearch();
+
+    if (appState.albumBarElement) {
+        updateAlbumBar(appState.albumBarElement, album);
+    }
+
+    await loadAndDisplayImages();
+}
+
+/*
+    Handle Sort Change
+
+    Called when a sort is picked in the toolbar. The images already on
+    screen are sorted straight away, so the cards move at once. Then the
+    first page is loaded again in the new order - the newest 24 images
+    sorted by name are not the 24 images that come first by name - and the
+    cards are moved (or added and removed) to match it.
+
+    During a search every image of the album is already loaded, so
+    sorting them in the browser is all that's needed.
+
+    Parameters:
+    - sortId: The id of one of SORT_OPTIONS (see js/gallerySort.js)
+*/
+async function handleSortChange(sortId) {
+    const sort = setGallerySort(sortId);
+    appState.sort = sort;
+
+    if (!appState.user) {
+        return;
+    }
+
+    if (appState.searchPool) {
+        appState.searchPool = sortImages(appState.searchPool, sort);
+        showSearchResults();
+        return;
+    }
+
+    endLiveUpdates();
+
+    appState.images = sortImages(appState.images, sort);
+    if (appState.gridElement) {
+        reorderImageGrid(appState.gridElement, appState.images);
+    }
+
+    await reloadFirstPage();
+}
+
+/*
+    Handle Layout Change
+
+    Called when a layout button is clicked. Only how the cards are laid
+    out changes - the same images stay loaded, so nothing is fetched again.
+
+    Parameters:
+    - layoutId: The id of one of LAYOUT_OPTIONS (see js/galleryLayout.js)
+*/
+function handleLayoutChange(layoutId) {
+    appState.layout = setGalleryLayout(layoutId);
+
+    if (appState.gridElement) {
+        setImageGridLayout(appState.gridElement, appState.layout.id);
+    }
+}
+
+/*
+    Reload First Page
+
+    Loads the first page of the album again in the chosen sort and moves
+    the cards to match it, then starts watching it for changes
+    (after the sort changes, and when a search is cleared)
+*/
+async function reloadFirstPage() {
+    endLiveUpdates();
+
+    const album = appState.currentAlbum;
+    const user = appState.user;
+    const sort = appState.sort;
+    const isStale = () => album !== appState.currentAlbum || user !== appState.user
+        || sort !== appState.sort || appState.searchPool !== null;
+
+    try {
+        const { images, nextPageToken } = await listImagesPage({
+            album,
+            orderBy: sort.orderBy,
+            direction: sort.direction
+        });
+
+        // Another sort was picked, a search started (or an album opened) while this page loaded
+        if (isStale()) {
+            return;
+        }
+
+        // Images waiting for their undo window stay off the screen
+        appState.images = images.filter((image) => !pendingDeletes.has(image.fullPath));
+        appState.nextPageToken = nextPageToken;
+
+        if (appState.gridElement) {
+            reorderImageGrid(appState.gridElement, appState.images, { hasMore: nextPageToken !== null });
+        }
+    } catch (error) {
+        console.error('Failed to reload the gallery:', error);
+
+        if (isStale()) {
+            return;
+        }
+
+        /*
+            Keep the images already on screen (sorted), but the next page
+            would continue from a different listing - so no more pages
+            until the gallery is loaded again
+        */
+        appState.images = sortImages(appState.images, sort);
+        appState.nextPageToken = null;
+        if (appState.gridElement) {
+            reorderImageGrid(appState.gridElement, appState.images, { hasMore: false });
+        }
+        showStatusMessage("Couldn't reload the gallery - only the images already shown are listed", 'error');
+        return;
+    }
+
+    startLiveUpdates();
+}
+
+/*
+    Handle Search Change
+
+    Called by the search bar whenever the text or a filter changes
+
+    The first search loads every image of the album from the index (one
+    query) and keeps them in appState.searchPool. Every change after that
+    filters the same images again, so typing doesn't cost more reads.
+    Live updates are paused meanwhile - they only watch the first page.
+
+    Clearing every filter goes back to the normal gallery, one page at a time.
+
+    Parameters:
+    - filters: { text, contentType, from, to } (see js/imageSearch.js)
+*/
+async function handleSearchChange(filters) {
+    appState.filters = filters;
+
+    if (!appState.user) {
+        return;
+    }
+
+    if (isFilterActive(filters)) {
+        if (appState.searchPool || await loadSearchPool()) {
+            showSearchResults();
+        }
+        return;
+    }
+
+    if (appState.searchPool) {
+        appState.searchPool = null;
+        if (appState.searchBarElement) {
+            setSearchCount(appState.searchBarElement, null);
+        }
+        await reloadFirstPage();
+    }
+}
+
+/*
+    Load Search Pool
+
+    Loads every image of the album on screen, in the chosen sort, into appState.searchPool
+
+    Returns:
+    - A Promise for whether the search results should be shown now
+      (false if it failed, or the search was cleared or another album
+      opened while the images loaded)
+*/
+async function loadSearchPool() {
+    const album = appState.currentAlbum;
+    const user = appState.user;
+
+    endLiveUpdates();
+
+    // Typing quickly asks several times - they all wait for the same request
+    if (!searchPoolRequest) {
+        searchPoolRequest = listImagesPage({
+            album,
+            pageSize: null,
+            orderBy: appState.sort.orderBy,
+            direction: appState.sort.direction
+        });
+    }
+    const request = searchPoolRequest;
+
+    try {
+        const { images } = await request;
+
+        if (album !== appState.currentAlbum || user !== appState.user) {
+            return false;
+        }
+        if (!appState.searchPool) {
+            // The sort may have changed while the images loaded
+            appState.searchPool = sortImages(images, appState.sort);
+        }
+    } catch (error) {
+        console.error('Failed to load images for the search:', error);
+
+        if (album === appState.currentAlbum && user === appState.user) {
+            showStatusMessage(`Couldn't search the gallery: ${error.message}`, 'error');
+            startLiveUpdates();
+        }
+        return false;
+    } finally {
+        if (searchPoolRequest === request) {
+            searchPoolRequest = null;
+        }
+    }
+
+    // Every filter was cleared while the images loaded - the normal gallery is still on screen
+    if (!isFilterActive(appState.filters)) {
+        appState.searchPool = null;
+        startLiveUpdates();
+        return false;
+    }
+
+    return true;
+}
+
+/*
+    Show Search Results
+
+    Filters appState.searchPool with the current filters and shows the
+    matches - cards already on screen are moved rather than rebuilt
+*/
+function showSearchResults() {
+    const pool = appState.searchPool.filter((image) => !pendingDeletes.has(image.fullPath));
+    const matches = filterImages(pool, appState.filters);
+
+    appState.images = matches;
+    appState.nextPageToken = null;
+
+    if (appState.gridElement) {
+        filterImageGrid(appState.gridElement, matches);
+    }
+    updateSearchCount();
+}
+
+/*
+    Update the "12 of 340 images shown" count after images were
+    deleted, restored or moved during a search
+*/
+function updateSearchCount() {
+    if (!appState.searchPool || !appState.searchBarElement) {
+        return;
+    }
+
+    const total = appState.searchPool.filter((image) => !pendingDeletes.has(image.fullPath)).length;
+    setSearchCount(appState.searchBarElement, appState.images.length, total);
+}
+
+/*
+    Reset Search
+    Empties the search bar and forgets the search (without reloading anything)
+*/
+function resetSearch() {
+    appState.filters = { ...EMPTY_FILTERS };
+    appState.searchPool = null;
+    searchPoolRequest = null;
+
+    if (appState.searchBarElement) {
+        resetSearchBar(appState.searchBarElement);
+    }
+}
+
+/*
+    Handle Create Album
+    Asks for a name, creates the album and opens it
+*/
+async function handleCreateAlbum() {
+    const name = window.prompt('Name for the new album:');
+    if (name === null) {
+        return; // User canceled
+    }
+
+    try {
+        const album = await createAlbum(name);
+        showStatusMessage(`Album "${album.name}" created`, 'success', 2000);
+        await openAlbum(album.name);
+    } catch (error) {
+        console.error('Create album failed:', error);
+        showStatusMessage(`Could not create album: ${error.message}`, 'error');
+    }
+}
+
+/*
+    Handle Move Request
+
+    Called when the move button on an image card is clicked
+    Asks which album to move to, moves the file and removes the card,
+    because the image no longer belongs to the album being viewed
 */
-async function initializeApp() {
-    console.log('Initializing Firebase Image Gallery...');
+async function handleMoveRequest(imageData) {
+    const choice = await chooseAlbum({
+        albums: appState.albums.map((album) => album.name),
+        currentAlbum: imageData.album
+    });
+
+    if (!choice || choice.album === imageData.album) {
+        return; // Canceled, or nothing to move
+    }
+
+    showStatusMessage('Moving image...', 'info');
+
+    try {
+        await moveImage(imageData, choice.album);
+
+        if (appState.usagePanelElement) {
+            markUsageStale(appState.usagePanelElement);
+        }
+        forgetMovedImage(imageData.fullPath);
+
+        showStatusMessage(`Image moved to ${choice.album ? `album "${choice.album}"` : 'the top level'}`, 'success');
+    } catch (error) {
+        console.error('Move failed:', error);
+        showStatusMessage(`Could not move image: ${error.message}`, 'error');
+    }
+}
 
 /*
-Declan: 
-This if statements checks that firebase is properly configured using the isFireBaseConfigured function
-imported from firebaseConfig. If firebase is not properly configured it will exit the function and
-display an error to the user
+    Forget Moved Image
+    The image now belongs to another album, so its card is removed and
+    it is taken out of appState (and out of the search)
 */
-    if (!isFirebaseConfigured()) {
-        showConfigurationError();
-        return; // Stop here - can't proceed without Firebase
+function forgetMovedImage(fullPath) {
+    appState.images = appState.images.filter((image) => image.fullPath !== fullPath);
+    if (appState.searchPool) {
+        appState.searchPool = appState.searchPool.filter((image) => image.fullPath !== fullPath);
+    }
+    if (appState.gridElement) {
+        removeImageFromGrid(appState.gridElement, fullPath);
     }
+    updateSearchCount();
+}
 
 /*
-Declan: 
-This section is for the creation and rendering of the different components. It creates the upload form
-and a variable to store the uploaded container element.
+    Handle Edit Details
+
+    Called when the user saves new details in an image card's editor
+    Saves them to storage, then updates appState and the card
+
+    Parameters:
+    - imageData: The image being edited
+    - details: The new { title, caption, tags }
+
+    Errors are re-thrown so the editor can show them and stay open
 */
+async function handleEditDetails(imageData, details) {
+    const updatedImage = await updateImageDetails(imageData, details);
+    showUpdatedImage(updatedImage);
+
+    showStatusMessage('Image details saved', 'success', 2000);
+}
+
 /*
-Declan: 
-This section creates an uploadForm variable and uses the constructor function 'createUploadForm' from
-uploadForm.js to assign an object to the variable. The objects properties are in the form of two callbacks
-for functions created further down this page and a storage property that is assigned the 'storage' module 
-import from firebaseConfig.
+    Show Updated Image
+    Puts an image's new details into appState and rebuilds its card
 */
-    try {
-        // Create upload form with callbacks
-        const uploadForm = createUploadForm({
-            onUploadSuccess: handleUploadSuccess,
-            onUploadError: handleUploadError,
-            storage: storage
-        });
+function showUpdatedImage(updatedImage) {
+    const index = appState.images.findIndex((image) => image.fullPath === updatedImage.fullPath);
+    if (index !== -1) {
+        appState.images[index] = updatedImage;
+    }
+
+    // The card stays even if it no longer matches the search - until the search changes
+    if (appState.searchPool) {
+        appState.searchPool = appState.searchPool.map((image) => (image.fullPath === updatedImage.fullPath ? updatedImage : image));
+    }
+
+    if (appState.gridElement) {
+        updateImageInGrid(appState.gridElement, updatedImage);
+    }
+}
 
 /*
-Declan: 
-This creates the upload container variable and assigns it to the element with the id 'upload-container'
-It only does this if that element exists in the DOM
+    Commit Delete
+    Actually removes the file from storage once the undo window has passed
+    If that fails, the image is put back so the gallery matches storage again
 */
-        const uploadContainer = document.getElementById('upload-container');
-        if (uploadContainer) {
-            uploadContainer.appendChild(uploadForm);
-            appState.uploadFormElement = uploadForm;
-            console.log('Upload form created');
+async function commitDelete(fullPath, restoreImage) {
+    pendingDeletes.delete(fullPath);
+
+    try {
+        await deleteImage(fullPath);
+
+        if (appState.searchPool) {
+            appState.searchPool = appState.searchPool.filter((image) => image.fullPath !== fullPath);
         }
+        if (appState.usagePanelElement) {
+            markUsageStale(appState.usagePanelElement);
+        }
+    } catch (error) {
+        console.error('Delete failed:', error);
+        restoreImage();
+        showStatusMessage(`Could not delete image: ${error.message}`, 'error');
+    }
+}
+
 /*
-Declan: 
-The function loadAndDisplayImages is called, found further down this page. the await keyword is used
-so that the function stops executing until the promise is recieved from this function.
+    Handle Selection Change
+    Called by the grid whenever images are selected or unselected
+
+    Parameters:
+    - fullPaths: The selected images' paths, in grid order
 */
-        await loadAndDisplayImages();
+function handleSelectionChange(fullPaths) {
+    if (appState.selectionBarElement) {
+        setSelectionCount(appState.selectionBarElement, fullPaths.length);
+    }
+}
+
 /*
-Declan: 
-Upon the success of loading and displaying images a message is logged to the console to inform the user
+    Handle Selection Action
+    Called when a button in the selection bar is clicked
+
+    Parameters:
+    - action: 'select-all', 'clear', 'download', 'move', 'add-tags', 'remove-tags' or 'delete'
 */
-        console.log('Application initialized successfully');
+function handleSelectionAction(action) {
+    const grid = appState.gridElement;
+    if (!grid) {
+        return;
+    }
 
-    } catch (error) {
-        console.error('Application initialization failed:', error);
-        showStatusMessage('Failed to initialize application. Please refresh the page.', 'error');
+    if (action === 'select-all') {
+        selectAllInGrid(grid);
+        return;
+    }
+    if (action === 'clear') {
+        clearGridSelection(grid);
+        return;
     }
+
+    // The image objects of the selected cards, in the order they are shown
+    const selectedPaths = new Set(getGridSelection(grid));
+    const images = appState.images.filter((image) => selectedPaths.has(image.fullPath));
+    if (images.length === 0) {
+        return;
+    }
+
+    const handlers = {
+        download: handleBulkDownload,
+        move: handleBulkMove,
+        'add-tags': (selected) => handleBulkTags(selected, 'add'),
+        'remove-tags': (selected) => handleBulkTags(selected, 'remove'),
+        delete: handleBulkDelete
+    };
+    handlers[action](images);
 }
 
 /*
-    Load and Display Images
+    Run Bulk Job
 
-    Fetches all images from Firebase Storage and displays them in the grid
-    This is called:
-    - During initial app load
-    - After manual refresh (if implemented)
-    - Optionally after each upload (we add single images instead for better UX)
+    Runs an action on each image, a few at a time (see js/bulkActions.js),
+    and lists every image in the selection bar with its own status meanwhile.
+    One image failing doesn't stop the others.
+
+    Parameters:
+    - images: The images to work on
+    - text: { label, workingText } for the list, e.g.
+      { label: 'Deleting 3 images', workingText: 'Deleting...' }
+    - action: Async function called with each image
+
+    Returns:
+    - { job, succeeded, failed } - call finishBulkJob(job) once everything is done
 */
+async function runBulkJob(images, { label, workingText }, action) {
+    const job = addBulkJob(appState.selectionBarElement, {
+        label,
+        workingText,
+        items: images.map((image) => ({ id: image.fullPath, name: getImageDisplayName(image) }))
+    });
+
+    const { succeeded, failed } = await runBulkAction(images, action, {
+        onItemStatus: (image, status, error) => setBulkItemStatus(job, image.fullPath, status, error)
+    });
+
+    return { job, succeeded, failed };
+}
+
 /*
-Declan: 
-This function gets the images from firebase storage and renders them on the page.
-it is called in the above function that runs on DOM load.
+    Handle Bulk Delete
+
+    Deletes the selected images the same way one image is deleted
+    (see handleDeleteRequest()): one confirmation, the cards disappear
+    straight away, and one "Undo" brings them all back. Once the undo
+    window has passed, the files are deleted with a status for each one.
+    Like a single delete, images are only put back on screen while their
+    album is still the one open (see takeImageOffScreen()).
 */
-async function loadAndDisplayImages() {
-    /*
-    Declan: 
-    A message is logged to the console to inform the user that the images are laoding
-    the appState object is updated to reflect the the images are loading my changing the
-    isLoading property to true
-    */
-    console.log('Loading images from Firebase...');
+function handleBulkDelete(images) {
+    const description = `${images.length} ${images.length === 1 ? 'image' : 'images'}`;
 
-    appState.isLoading = true;
-    /*
-    Declan: 
-    This section fetches all the images from firebase storage using the listAllImages function
-    imported from firebaseConfig. It assigns the images as an
-    array of image objects with a url, a name, and a timestamp to the 'images' variable.
-    the await keyword again pauses the current function until listAllImages executes.
-    */
-    try {
-        const images = await listAllImages();
-        /*
-        Declan: 
-        The appState object is updated again, assigning the new image array to the 'images' property
-        and changing the isLoading property back to false to show that it is finished loading.
-        */
-        appState.images = images;
-        appState.isLoading = false;
+    const confirmed = window.confirm(`Delete ${description}? You will have a few seconds to undo.`);
+    if (!confirmed) {
+        return;
+    }
 
-        /*
-        Declan: 
-        A gridContainer variable is created and assigned to the HTML element with the id 'image-grid-container'
-        */
-        const gridContainer = document.getElementById('image-grid-container');
-        /*
-        Declan: 
-        This section executes if the image-grid-container element does not exist and creates a new grid.
-        It uses the createImageGrid constructor function to create an image grid object and assign it
-        to the gridElement property in the appState object. It also uploads the appState object to reflect
-        that it has finished loading. It then uses the appendChild function to place the new grid element
-        into the image grid container. It then logs to the user whether the image grid was created or updated.
-        */
-        if (gridContainer) {
-            if (!appState.gridElement) {
-                appState.gridElement = createImageGrid({
-                    images: images,
-                    isLoading: false
-                });
-                gridContainer.appendChild(appState.gridElement);
-                console.log('Image grid created');
-            } else {
-                updateImageGrid(appState.gridElement, images);
-                console.log('Image grid updated');
-            }
-        }
+    // Taken off in the order they are shown, so putting them back in reverse returns each to its place
+    const removed = images.map((image) => ({ image, restoreImage: takeImageOffScreen(image) }));
 
-        /*
-        Declan: 
-        Upon an image upload a message is displayed to the user telling them how many images were loaded
-        */
-        if (images.length > 0) {
-            showStatusMessage(`Loaded ${images.length} image(s)`, 'success');
-        }
-    /*
-    Declan: 
-    If the listAllImages function is unsuccesful the following code will run.
-    The relevant error will be displayed to the user in the console, along with text informing them
-    that the app failed to load images. An image grid element will still be created and the appstates
-    gridElement property will be updated to hold a new imageGrid object with an empty array. This empty image grid
-    will then be placed inside the image-grid-container element so that the UI renders correctly.
-    */
-    } catch (error) {
-        console.error('Failed to load images:', error);
-        appState.isLoading = false;
+    // One countdown for all of them
+    const timer = setTimeout(() => commitBulkDelete(removed), UNDO_DELETE_DELAY);
+    removed.forEach(({ image, restoreImage }) => pendingDeletes.set(image.fullPath, { timer, restoreImage }));
+    updateSearchCount();
 
-        // Show error message to user
-        showStatusMessage('Failed to load images. Please check your Firebase configuration.', 'error');
+    showStatusMessage(`${description} deleted.`, 'info', UNDO_DELETE_DELAY, {
+        label: 'Undo',
+        onClick: () => {
+            const waiting = removed.filter(({ image }) => pendingDeletes.has(image.fullPath));
+            if (waiting.length === 0) return; // Too late - already deleted
 
-        // Still create an empty grid so UI isn't broken
-        const gridContainer = document.getElementById('image-grid-container');
-        if (gridContainer && !appState.gridElement) {
-            appState.gridElement = createImageGrid({
-                images: [],
-                isLoading: false
+            clearTimeout(timer);
+            waiting.reverse().forEach(({ image, restoreImage }) => {
+                pendingDeletes.delete(image.fullPath);
+                restoreImage();
             });
-            gridContainer.appendChild(appState.gridElement);
+            showStatusMessage('Delete undone', 'success', 2000);
         }
+    });
+}
+
+/*
+    Commit Bulk Delete
+    Removes the files once the undo window has passed
+    Images that fail to delete are put back, like commitDelete() does for one image
+*/
+async function commitBulkDelete(removed) {
+    // Deletes started by flushPendingDeletes() (or undone) aren't ours any more
+    const waiting = removed.filter(({ image }) => pendingDeletes.has(image.fullPath));
+    if (waiting.length === 0) {
+        return;
+    }
+    waiting.forEach(({ image }) => pendingDeletes.delete(image.fullPath));
+
+    const { job, succeeded, failed } = await runBulkJob(
+        waiting.map(({ image }) => image),
+        { label: `Deleting ${waiting.length} ${waiting.length === 1 ? 'image' : 'images'}`, workingText: 'Deleting...' },
+        (image) => deleteImage(image.fullPath)
+    );
+
+    const deletedPaths = new Set(succeeded.map(({ item }) => item.fullPath));
+    if (appState.searchPool) {
+        appState.searchPool = appState.searchPool.filter((image) => !deletedPaths.has(image.fullPath));
+    }
+    if (deletedPaths.size > 0 && appState.usagePanelElement) {
+        markUsageStale(appState.usagePanelElement);
+    }
+
+    // Last first, so each one goes back to its own place
+    const failedPaths = new Set(failed.map(({ item }) => item.fullPath));
+    const putBack = waiting
+        .filter(({ image }) => failedPaths.has(image.fullPath))
+        .reverse()
+        .map(({ restoreImage }) => restoreImage());
+
+    // Another album may be open by now - then they are only back in their own album
+    let note = '';
+    if (failed.length > 0) {
+        note = putBack.every(Boolean) ? 'Images that failed are back in the gallery' : 'Images that failed were not deleted';
     }
+    finishBulkJob(job, note);
 }
+
 /*
-    Handle Upload Success
+    Handle Bulk Move
+    Asks for an album once, then moves the selected images into it one by one
+    Each card is removed as soon as its image has moved
+*/
+async function handleBulkMove(images) {
+    const choice = await chooseAlbum({
+        albums: appState.albums.map((album) => album.name),
+        currentAlbum: appState.currentAlbum
+    });
 
-    Called when an image is successfully uploaded
-    This is passed as a callback to the upload form component
+    if (!choice) {
+        return; // Canceled
+    }
+
+    // Images that are already in that album have nothing to move
+    const toMove = images.filter((image) => image.album !== choice.album);
+    if (toMove.length === 0) {
+        return;
+    }
+
+    // They are on their way out - don't leave them selected for another action
+    if (appState.gridElement) {
+        clearGridSelection(appState.gridElement);
+    }
+
+    const destination = choice.album ? `album "${choice.album}"` : 'the top level';
+    const { job, succeeded } = await runBulkJob(
+        toMove,
+        { label: `Moving ${toMove.length} ${toMove.length === 1 ? 'image' : 'images'} to ${destination}`, workingText: 'Moving...' },
+        async (image) => {
+            await moveImage(image, choice.album);
+            forgetMovedImage(image.fullPath);
+        }
+    );
+
+    if (succeeded.length > 0 && appState.usagePanelElement) {
+        markUsageStale(appState.usagePanelElement);
+    }
+    finishBulkJob(job);
+}
+
+/*
+    Handle Bulk Tags
+    Asks for tags and adds them to (or removes them from) every selected image
+    Images whose tags wouldn't change are left alone, so nothing is saved for them
 
     Parameters:
-    - imageData: Object containing { url, name, timestamp, fullPath }
+    - images: The selected images
+    - mode: 'add' or 'remove'
 */
+async function handleBulkTags(images, mode) {
+    const adding = mode === 'add';
+    const description = `${images.length} ${images.length === 1 ? 'image' : 'images'}`;
+
+    const answer = window.prompt(adding
+        ? `Tags to add to ${description} (separate tags with commas):`
+        : `Tags to remove from ${description} (separate tags with commas):`);
+    if (answer === null) {
+        return; // User canceled
+    }
+
+    const tags = parseTags(answer);
+    if (tags.length === 0) {
+        return;
+    }
+
+    // Tags are compared ignoring upper/lower case, like parseTags() does
+    const keys = new Set(tags.map((tag) => tag.toLowerCase()));
+
+    const { job } = await runBulkJob(
+        images,
+        { label: `${adding ? 'Adding' : 'Removing'} "${tags.join(', ')}" ${adding ? 'to' : 'from'} ${description}`, workingText: 'Saving...' },
+        async (image) => {
+            const currentTags = image.tags || [];
+            // parseTags() drops repeats and keeps to the limit on the number of tags
+            const newTags = adding
+                ? parseTags([...currentTags, ...tags].join(','))
+                : currentTags.filter((tag) => !keys.has(tag.toLowerCase()));
+
+            if (newTags.join(',') === currentTags.join(',')) {
+                return;
+            }
+
+            const updatedImage = await updateImageDetails(image, {
+                title: image.title,
+                caption: image.caption,
+                tags: newTags
+            });
+            showUpdatedImage(updatedImage);
+        }
+    );
+
+    finishBulkJob(job);
+}
+
 /*
-Declan: 
-This function is used to handle successful image uploads, it takes the imageData variable as a paramater
-the image data variable is created in imageCard.js and holds url, name, and timestamp properties. The function
-logs a message to the console containing these properties on successful upload.
+    Handle Bulk Download
+    Downloads the selected images' originals and saves them as one ZIP file
+    Images that fail to download are left out of the ZIP (and listed as failed)
 */
-function handleUploadSuccess(imageData) {
-    console.log('Upload successful, updating gallery...', imageData);
+async function handleBulkDownload(images) {
+    const { job, succeeded } = await runBulkJob(
+        images,
+        { label: `Downloading ${images.length} ${images.length === 1 ? 'image' : 'images'}`, workingText: 'Downloading...' },
+        async (image) => new Uint8Array(await (await downloadImage(image.fullPath)).arrayBuffer())
+    );
 
-    /*
-    Declan: 
-    the unshift() function is used to add the new imageData object to the beginning of the images array,
-    stored in the images property of the appState function.
-    */
-    appState.images.unshift(imageData);
+    if (succeeded.length === 0) {
+        finishBulkJob(job, 'Nothing to save');
+        return;
+    }
 
-    /*
-    Declan: 
-    If the gridElement property of the appState object exists, the addImageToGrid function imported from imageGrid.js
-    is used to add the new imageData object to the gridElement property of the appState object
-    */
-    if (appState.gridElement) {
-        addImageToGrid(appState.gridElement, imageData);
+    try {
+        const zip = createZip(succeeded.map(({ item, result }) => ({
+            name: getZipEntryName(item),
+            data: result,
+            lastModified: item.uploadedAt ? new Date(item.uploadedAt) : undefined
+        })));
+
+        const fileName = `${appState.currentAlbum || 'gallery'}.zip`;
+        saveFile(zip, fileName);
+        finishBulkJob(job, `Saved ${fileName}`);
+    } catch (error) {
+        console.error('Creating the ZIP failed:', error);
+        finishBulkJob(job, `Could not create the ZIP: ${error.message}`);
     }
-    /*
-    Declan: 
-    Message is deisplayed to the console showing successful upload
-    */
-    showStatusMessage('Image uploaded successfully!', 'success');
 }
+
 /*
-Declan: 
-This function is used to handle an upload error, the specific error object encountered is passed as a parameter
-into the function in order to display it to the user in the console
+    The name an image gets inside a downloaded ZIP
+    Its display name, with the image's extension added when it doesn't
+    already end in it (a title, or a name saved without one) - without it
+    the unpacked file won't open. The extension comes from the original
+    name or the stored name, otherwise from the image's type.
+    createZip() makes the name safe to unpack.
 */
-function handleUploadError(error) {
-    console.error('Upload failed:', error);
+function getZipEntryName(image) {
+    const name = getImageDisplayName(image);
+    const fileName = [image.originalName, image.name].find((candidate) => /\.[a-z0-9]+$/i.test(candidate || ''));
+    const extension = fileName ? fileName.split('.').pop() : getExtensionForType(image.contentType);
 
-    // Show error message to user
-    showStatusMessage(`Upload failed: ${error.message}`, 'error');
+    if (!extension || name.toLowerCase().endsWith(`.${extension.toLowerCase()}`)) {
+        return name;
+    }
+    return `${name}.${extension}`;
 }
+
+/*
+    Save a Blob as a file on the user's computer
+    A link with the download attribute saves the file instead of opening it.
+    The object URL is released a little later - revoking it straight away can
+    cancel the download in some browsers.
+*/
+function saveFile(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
 /*
 Declan: 
 The showStatusMessage function is used to display messages to the user. It takes a message string,
 a type, and a duration as parameters in order to display all the relevant information to the user.
+An optional action ({ label, onClick }) adds a button to the message, e.g. "Undo".
 */
-function showStatusMessage(message, type = 'info', duration = 5000) {
+function showStatusMessage(message, type = 'info', duration = 5000, action = null) {
     const statusElement = document.getElementById('status-message');
 
     if (!statusElement) {
@@ -272,6 +1886,22 @@ function showStatusMessage(message, type = 'info', duration = 5000) {
 
     statusElement.textContent = message;
 
+    /*
+        Add the action button if one was requested
+        Clicking it runs the action and hides the message
+    */
+    if (action) {
+        const actionButton = document.createElement('button');
+        actionButton.type = 'button';
+        actionButton.className = 'status-action';
+        actionButton.textContent = action.label;
+        actionButton.addEventListener('click', () => {
+            statusElement.classList.remove('show');
+            action.onClick();
+        });
+        statusElement.appendChild(actionButton);
+    }
+
     statusElement.classList.add(type);
 
     statusElement.classList.add('show');
@@ -293,7 +1923,7 @@ Declan:
 This function is used to display a configuration error in the form of a new element that is added to the DOM.
 This new element contains instrucitons for the user to fix their firebase configuration.
 */
-function showConfigurationError() {
+function showConfigurationError(problems = []) {
     /*
     Declan: 
     creates a mainContent variable targeting the element with the class main-content
@@ -322,23 +1952,41 @@ function showConfigurationError() {
         <div style="flex: 1;">
             <h3 style="margin-bottom: 0.5rem;">Firebase Not Configured</h3>
             <p style="margin-bottom: 0.5rem;">
-                Please configure Firebase before using this application.
+                Please fix these settings before using this application:
             </p>
+            <ul class="config-problems" style="margin: 1rem 0; padding-left: 1.5rem; text-align: left;"></ul>
             <ol style="margin: 1rem 0; padding-left: 1.5rem; text-align: left;">
                 <li>Go to <a href="https://console.firebase.google.com/" target="_blank"
                     style="color: inherit; text-decoration: underline;">Firebase Console</a></li>
                 <li>Create a new project (or select an existing one)</li>
                 <li>Enable Firebase Storage in your project</li>
                 <li>Get your configuration values from Project Settings</li>
-                <li>Update the values in <code>js/firebaseConfig.js</code></li>
+                <li>Put them in <code>config.json</code> (copy <code>config.example.json</code> to start)</li>
                 <li>Refresh this page</li>
             </ol>
             <p style="font-size: 0.9rem; opacity: 0.9;">
                 See README.md for detailed setup instructions.
+                To try the gallery without Firebase, open
+                <a href="?backend=memory" style="color: inherit; text-decoration: underline;">demo mode</a>
+                or <a href="?backend=indexeddb" style="color: inherit; text-decoration: underline;">offline mode</a>.
             </p>
         </div>
     `;
 
+    /*
+        One line per problem, e.g. "firebase.apiKey: is missing"
+        textContent (not innerHTML) because the messages repeat values from the configuration
+    */
+    const problemList = errorContainer.querySelector('.config-problems');
+    problems.forEach(({ field, message }) => {
+        const item = document.createElement('li');
+        const fieldName = document.createElement('code');
+        fieldName.textContent = field;
+        item.appendChild(fieldName);
+        item.appendChild(document.createTextNode(` ${message}`));
+        problemList.appendChild(item);
+    });
+
     /*
     Declan: 
     the error container is then added to the DOM
@@ -397,7 +2045,7 @@ function getAppState() {
     return {
         ...appState,
         imageCount: appState.images.length,
-        isConfigured: isFirebaseConfigured()
+        isConfigured: appState.backend !== 'firebase' || isFirebaseConfigured()
     };
 }
 /*
@@ -406,6 +2054,7 @@ These functions can be manually called by the user in the console in order to vi
 USeful for troubleshooting and debugging
 */
 window.refreshGallery = refreshGallery;
+window.rebuildImageIndex = rebuildImageIndex;
 window.appState = getAppState;
 /*
 Declan: 
@@ -415,6 +2064,14 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log('DOM loaded, starting initialization...');
     initializeApp();
 });
+/*
+    If the page is closed while deletes are waiting for their undo window,
+    start them now so the user's deletes aren't silently forgotten
+    (this is best effort - the browser may close before they finish)
+*/
+window.addEventListener('pagehide', () => {
+    flushPendingDeletes();
+});
 /*
 Declan: 
 Handler for unexpected errors, prompting the user to refresh the page and displaying error information.
@@ -439,9 +2096,20 @@ Export the functions for usage within other modules or for testing purposes
 export {
     initializeApp,
     loadAndDisplayImages,
+    handleLoadMore,
+    openAlbum,
+    handleCreateAlbum,
+    handleMoveRequest,
     handleUploadSuccess,
     handleUploadError,
+    showExistingImage,
+    handleDeleteRequest,
+    handleEditDetails,
+    handleAuthStateChanged,
+    handleSignOut,
+    handleBackOnline,
     showStatusMessage,
     refreshGallery,
+    rebuildImageIndex,
     getAppState
 };
@@ -0,0 +1,169 @@
+/*
+    Auth Module
+    Signing in, signing up and signing out
+
+    Every user gets a private gallery: their images are stored under
+    "images/{uid}/", where uid is the unique id their account was given.
+    The storage module only ever lists and uploads inside that folder
+    (see setStorageUser() in js/storage.js).
+
+    Just like storage, the app doesn't talk to Firebase directly but to an
+    "auth provider" with these methods:
+
+    - name: A short label such as 'firebase' or 'local'
+    - getCurrentUser()
+        Returns the signed-in user, or null
+    - onAuthStateChanged(callback)
+        Calls callback(user) once with the current user, then after every
+        sign in or sign out. Returns a function that stops listening
+    - signIn(email, password) / signUp(email, password)
+        Resolve with the user
+    - signInAnonymously()
+        Signs in as a guest with no email or password. Resolves with the user
+    - signOut()
+
+    Users are plain objects: { uid, email, isAnonymous }
+    (email is null for guests)
+
+    Available providers (see js/adapters/):
+    - firebase: Firebase Authentication (used with the firebase storage backend)
+    - local:    Pretend accounts kept in the browser (used with the other backends)
+*/
+
+import { createFirebaseAuth } from './adapters/firebaseAuth.js';
+import { createLocalAuth } from './adapters/localAuth.js';
+
+/*
+    The provider currently in use
+    This is set once at startup by initializeApp() in app.js
+*/
+let activeProvider = null;
+
+/*
+    Create the auth provider that goes with a storage backend
+
+    Parameters:
+    - backend: One of STORAGE_BACKENDS (see js/storage.js)
+
+    Returns:
+    - A Promise for the provider
+*/
+export async function createAuthProvider(backend) {
+    switch (backend) {
+        case 'firebase':
+            return createFirebaseAuth();
+        case 'memory':
+            return createLocalAuth();
+        case 'indexeddb':
+            // Images survive a reload here, so the accounts that own them must too
+            return createLocalAuth({ persist: true });
+        default:
+            throw new Error(`Unknown storage backend: ${backend}`);
+    }
+}
+
+/*
+    Choose which provider the functions below will use
+*/
+export function setAuthProvider(provider) {
+    activeProvider = provider;
+    console.log(`Using '${provider.name}' sign-in`);
+}
+
+/*
+    Get the provider currently in use
+    Throws if initializeApp() hasn't chosen one yet
+*/
+export function getAuthProvider() {
+    if (!activeProvider) {
+        throw new Error('No sign-in provider selected. Call setAuthProvider() first.');
+    }
+    return activeProvider;
+}
+
+/*
+    Friendly messages for auth error codes (every provider uses Firebase's codes)
+    The full list is in the Firebase docs: "AuthErrorCodes"
+*/
+const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-email': 'Please enter a valid email address.',
+    'auth/missing-password': 'Please enter your password.',
+    'auth/weak-password': 'Please choose a password with at least 6 characters.',
+    'auth/email-already-in-use': 'There is already an account with this email. Try signing in instead.',
+    'auth/invalid-credential': 'The email or password is incorrect.',
+    'auth/user-not-found': 'The email or password is incorrect.',
+    'auth/wrong-password': 'The email or password is incorrect.',
+    'auth/user-disabled': 'This account has been disabled.',
+    'auth/too-many-requests': 'Too many attempts. Please wait a moment and try again.',
+    'auth/network-request-failed': 'Could not reach the server. Check your internet connection.',
+    'auth/operation-not-allowed': 'This way of signing in is not enabled. Check the Firebase Authentication settings.',
+    'auth/admin-restricted-operation': 'Guest sign-in is not enabled. Check the Firebase Authentication settings.'
+};
+
+/*
+    Turn an auth error into a message for the user
+*/
+export function getAuthErrorMessage(error) {
+    return AUTH_ERROR_MESSAGES[error.code] || error.message || 'Sign-in failed. Please try again.';
+}
+
+/*
+    Run a provider method and turn any error into a friendly one
+    The code is kept so callers can still tell errors apart
+*/
+async function withFriendlyErrors(action) {
+    try {
+        return await action();
+    } catch (error) {
+        console.error('Auth error:', error);
+
+        const friendlyError = new Error(getAuthErrorMessage(error));
+        friendlyError.code = error.code;
+        throw friendlyError;
+    }
+}
+
+/*
+    Sign In / Sign Up / Sign In As Guest / Sign Out
+
+    Each resolves once the provider is done. The app doesn't use the
+    returned user to update the page - onAuthChange() callbacks do that,
+    so the page also updates when Firebase restores a session by itself.
+
+    Errors have a message ready to show the user
+*/
+export function signIn(email, password) {
+    return withFriendlyErrors(() => getAuthProvider().signIn(email, password));
+}
+
+export function signUp(email, password) {
+    return withFriendlyErrors(() => getAuthProvider().signUp(email, password));
+}
+
+export function signInAsGuest() {
+    return withFriendlyErrors(() => getAuthProvider().signInAnonymously());
+}
+
+export function signOut() {
+    return withFriendlyErrors(() => getAuthProvider().signOut());
+}
+
+/*
+    Get the signed-in user, or null
+*/
+export function getCurrentUser() {
+    return getAuthProvider().getCurrentUser();
+}
+
+/*
+    Listen for sign in and sign out
+
+    Parameters:
+    - callback: Called with the user (or null) now and after every change
+
+    Returns:
+    - A function that stops listening
+*/
+export function onAuthChange(callback) {
+    return getAuthProvider().onAuthStateChanged(callback);
+}
@@ -0,0 +1,78 @@
+/*
+    Bulk Actions
+    Runs one action (delete, move, download...) on many items, a few at a time
+
+    Like the upload queue (components/uploadQueue.js), only a fixed number of
+    items are worked on at once, and the next one starts as soon as one
+    finishes. Each item reports its own status, and one item failing doesn't
+    stop the others - at the end the caller gets both lists and can show
+    which items worked and which didn't.
+
+    Statuses an item moves through:
+    waiting -> working -> done (or failed)
+*/
+
+/*
+    How many items are worked on at the same time unless told otherwise
+*/
+export const DEFAULT_BULK_CONCURRENCY = 3;
+
+/*
+    Run Bulk Action
+
+    Parameters:
+    - items: The items to work on (e.g. image objects)
+    - action: Async function called with each item - its result is kept,
+      and throwing marks that item as failed
+    - options:
+        - concurrency: How many items are worked on at once (default 3)
+        - onItemStatus: Called with (item, status, error) each time an item's
+          status changes (error is only given when it failed)
+
+    Returns:
+    - A Promise for { succeeded, failed }, in the order of items:
+        - succeeded: Array of { item, result }
+        - failed: Array of { item, error }
+
+    Example:
+    const { failed } = await runBulkAction(images, (image) => deleteImage(image.fullPath));
+*/
+export async function runBulkAction(items, action, options = {}) {
+    const { concurrency = DEFAULT_BULK_CONCURRENCY, onItemStatus = () => {} } = options;
+
+    const outcomes = new Array(items.length);
+    let next = 0;
+
+    items.forEach((item) => onItemStatus(item, 'waiting'));
+
+    /*
+        Each worker takes the next item that hasn't been started, until none
+        are left. Running `concurrency` workers side by side keeps that many
+        items in progress at any moment.
+    */
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next;
+            next += 1;
+            const item = items[index];
+
+            onItemStatus(item, 'working');
+            try {
+                outcomes[index] = { item, result: await action(item) };
+                onItemStatus(item, 'done');
+            } catch (error) {
+                console.error('Bulk action failed for one item:', error);
+                outcomes[index] = { item, error };
+                onItemStatus(item, 'failed', error);
+            }
+        }
+    };
+
+    const workers = Math.min(Math.max(1, concurrency), items.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    return {
+        succeeded: outcomes.filter((outcome) => !('error' in outcome)),
+        failed: outcomes.filter((outcome) => 'error' in outcome)
+    };
+}
@@ -0,0 +1,39 @@
+/*
+    Content Hash
+    A fingerprint of a file's bytes, used to spot the same image being uploaded twice
+
+    Every upload gets a new name (see uploadFile() in js/storage.js), so two
+    copies of the same photo can't be told apart by name. Instead we run the
+    file's bytes through SHA-256, which turns any file into a 64-character
+    hex string. Identical files always give the same string, and it is
+    practically impossible for two different files to share one.
+
+    The hash is saved in the image's custom metadata (contentHash) and in
+    its index record, so the gallery can ask "do I already have this file?"
+    before uploading it.
+
+    crypto.subtle (the Web Crypto API) is built into the browser, but only
+    works on secure pages: https:// or localhost.
+*/
+
+/*
+    Hash File
+
+    Parameters:
+    - file: A File or Blob
+
+    Returns:
+    - A Promise for the SHA-256 hash as lowercase hex, e.g. "9f86d081884c7d65..."
+*/
+export async function hashFile(file) {
+    if (!globalThis.crypto || !crypto.subtle) {
+        throw new Error('This browser can only hash files on https:// or localhost pages');
+    }
+
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+
+    // Each byte becomes two hex digits: 0x0f -> "0f"
+    return Array.from(new Uint8Array(digest))
+        .map((byte) => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
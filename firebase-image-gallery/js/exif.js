@@ -0,0 +1,615 @@
+/*
+    EXIF
+    Reads the camera information stored inside JPEG photos, and removes the private parts
+
+    What is EXIF?
+    Cameras and phones write extra information into every photo: when it was
+    taken, the camera and lens, the exposure settings, which way up the
+    camera was held - and often where it was taken (GPS coordinates) and the
+    camera's serial number. It lives in an "APP1" block near the start of a
+    JPEG file, laid out like a tiny TIFF file: a list of numbered "tags",
+    each with a value.
+
+    readExif() picks out the interesting tags before uploading, so they can
+    be saved as custom metadata and shown on the image's card.
+
+    stripIdentifyingMetadata() rewrites the file without the EXIF block (and
+    the other blocks that can hold a location or a name: XMP, IPTC and
+    comments), keeping only the orientation so the photo still displays the
+    right way up. Only the bytes before the picture data are touched.
+
+    copyExif() puts the EXIF block back into a photo that has been redrawn
+    upright (see orientImage() in js/imageProcessing.js), with the
+    orientation reset to 1 ("already upright") so it isn't turned twice.
+
+    Only JPEG is read - it is what cameras and phones save. PNG and WebP
+    files can carry the same data though (e.g. screenshots and edited
+    photos), so stripIdentifyingMetadata() cleans those as well. Images that
+    go through a canvas (thumbnails, resized uploads) lose all EXIF anyway.
+*/
+
+import { getExtensionForType } from './objectNames.js';
+
+/*
+    How much of the file we read to find the EXIF block
+    A JPEG block can be at most 64KB, and EXIF comes first, so this is plenty
+*/
+const EXIF_SEARCH_BYTES = 256 * 1024;
+
+// The tags we read, by number (from the EXIF specification)
+const TAGS = {
+    make: 0x010F,
+    model: 0x0110,
+    orientation: 0x0112,
+    exifPointer: 0x8769,
+    gpsPointer: 0x8825,
+    exposureTime: 0x829A,
+    fNumber: 0x829D,
+    iso: 0x8827,
+    dateTimeOriginal: 0x9003,
+    offsetTimeOriginal: 0x9011,
+    focalLength: 0x920A,
+    lensMake: 0xA433,
+    lensModel: 0xA434
+};
+
+// How many bytes one value of each TIFF type takes (BYTE, ASCII, SHORT, LONG, RATIONAL, UNDEFINED, SLONG, SRATIONAL)
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/*
+    Blocks that can identify the photographer or the place
+    - APP1: EXIF (GPS, serial numbers, owner name) and XMP (which can repeat all of that)
+    - APP13: IPTC (photographer, location names, keywords)
+    - COM: Free-text comments
+*/
+const IDENTIFYING_MARKERS = [0xE1, 0xED, 0xFE];
+
+/*
+    PNG chunks that can identify the photographer or the place
+    - eXIf: The same EXIF data a JPEG has
+    - tEXt, zTXt, iTXt: Text (plain, compressed, international) - XMP lives in iTXt
+*/
+const PNG_IDENTIFYING_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt'];
+
+/*
+    The fields saved in custom metadata, and the key each is saved under
+    The "exif" prefix keeps them apart from the title/caption/tags keys
+*/
+const METADATA_KEYS = {
+    takenAt: 'exifTakenAt',
+    camera: 'exifCamera',
+    lens: 'exifLens',
+    exposureTime: 'exifExposureTime',
+    fNumber: 'exifFNumber',
+    iso: 'exifIso',
+    focalLength: 'exifFocalLength'
+};
+
+/*
+    List the blocks ("segments") at the start of a JPEG
+
+    Each segment starts with 0xFF and a marker byte, then a two-byte length.
+    The list stops at SOS (start of scan), where the picture data begins.
+
+    Returns:
+    - { segments: [{ marker, start, end }], dataStart } or null if this isn't a JPEG
+*/
+function listJpegSegments(bytes) {
+    if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+        return null;
+    }
+
+    const segments = [];
+    let offset = 2;
+
+    while (offset + 4 <= bytes.length) {
+        if (bytes[offset] !== 0xFF) {
+            return null;
+        }
+
+        const marker = bytes[offset + 1];
+
+        // Padding bytes - just move on
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+
+        // Start of scan: everything from here on is picture data
+        if (marker === 0xDA) {
+            return { segments, dataStart: offset };
+        }
+
+        const end = offset + 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+        segments.push({ marker, start: offset, end });
+        offset = end;
+    }
+
+    // Ran out of bytes before the picture data (only part of the file was read)
+    return { segments, dataStart: null };
+}
+
+// Whether a segment is the EXIF block: APP1 starting with "Exif\0\0"
+function isExifSegment(bytes, segment) {
+    return segment.marker === 0xE1 &&
+        String.fromCharCode(...bytes.subarray(segment.start + 4, segment.start + 10)) === 'Exif\0\0';
+}
+
+/*
+    Read the tags of one IFD ("image file directory" - a list of tags)
+
+    Parameters:
+    - view: A DataView over the TIFF data
+    - offset: Where the IFD starts, counted from the start of the TIFF data
+    - littleEndian: The byte order given at the start of the TIFF data
+
+    Returns:
+    - A Map from tag number to its value (numbers, [numerator, denominator] pairs or text)
+*/
+function readIfd(view, offset, littleEndian) {
+    const tags = new Map();
+    const count = view.getUint16(offset, littleEndian);
+
+    for (let index = 0; index < count; index++) {
+        const entry = offset + 2 + index * 12;
+        const tag = view.getUint16(entry, littleEndian);
+        const type = view.getUint16(entry + 2, littleEndian);
+        const valueCount = view.getUint32(entry + 4, littleEndian);
+        const size = TYPE_SIZES[type];
+
+        if (!size) {
+            continue;
+        }
+
+        // Values of 4 bytes or less are stored in the entry itself, bigger ones elsewhere
+        const valueOffset = size * valueCount <= 4 ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+        tags.set(tag, readValue(view, valueOffset, type, valueCount, littleEndian));
+    }
+
+    return tags;
+}
+
+// Read a tag's value - only the first one for number types, which is all we need
+function readValue(view, offset, type, count, littleEndian) {
+    switch (type) {
+        case 2: {
+            const characters = [];
+            for (let index = 0; index < count; index++) {
+                characters.push(view.getUint8(offset + index));
+            }
+            return String.fromCharCode(...characters).replace(/\0+$/, '').trim();
+        }
+        case 3:
+            return view.getUint16(offset, littleEndian);
+        case 4:
+            return view.getUint32(offset, littleEndian);
+        case 9:
+            return view.getInt32(offset, littleEndian);
+        case 5:
+            return [view.getUint32(offset, littleEndian), view.getUint32(offset + 4, littleEndian)];
+        case 10:
+            return [view.getInt32(offset, littleEndian), view.getInt32(offset + 4, littleEndian)];
+        default:
+            return view.getUint8(offset);
+    }
+}
+
+// A [numerator, denominator] pair as a number (null if it can't be worked out)
+const fromRational = (value) => (Array.isArray(value) && value[1] ? value[0] / value[1] : null);
+
+// Round to at most one decimal place: 2.8, 35, 4.2
+const roundToTenth = (value) => Math.round(value * 10) / 10;
+
+/*
+    Turn an EXIF date ("2024:07:14 18:30:05") into "2024-07-14T18:30:05",
+    adding the time zone ("+02:00") when the camera recorded one
+*/
+function toIsoDate(dateTime, offsetTime) {
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(dateTime || '');
+    if (!match || match[1] === '0000') {
+        return null;
+    }
+    const [, year, month, day, hour, minute, second] = match;
+    const zone = /^[+-]\d{2}:\d{2}$/.test(offsetTime || '') ? offsetTime : '';
+    return `${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`;
+}
+
+// "Apple" + "iPhone 15" -> "Apple iPhone 15", but "Canon" + "Canon EOS R6" -> "Canon EOS R6"
+function joinMakeAndModel(make, model) {
+    if (!model) {
+        return make || null;
+    }
+    if (!make || model.toLowerCase().startsWith(make.toLowerCase())) {
+        return model;
+    }
+    return `${make} ${model}`;
+}
+
+/*
+    Parse the EXIF block of a JPEG
+
+    Parameters:
+    - bytes: The start of the file (at least up to the end of the EXIF block)
+
+    Returns:
+    - The fields described in readExif(), or null if there is no EXIF block
+*/
+export function parseExif(bytes) {
+    const jpeg = listJpegSegments(bytes);
+    const segment = jpeg && jpeg.segments.find((item) => isExifSegment(bytes, item));
+
+    if (!segment) {
+        return null;
+    }
+
+    try {
+        // The TIFF data starts after the marker, length and "Exif\0\0"
+        const tiffStart = segment.start + 10;
+        const view = new DataView(bytes.buffer, bytes.byteOffset + tiffStart, segment.end - tiffStart);
+
+        // "II" means little-endian (Intel), "MM" big-endian (Motorola)
+        const littleEndian = view.getUint16(0) === 0x4949;
+        const ifd0 = readIfd(view, view.getUint32(4, littleEndian), littleEndian);
+        const exifIfd = ifd0.has(TAGS.exifPointer)
+            ? readIfd(view, ifd0.get(TAGS.exifPointer), littleEndian)
+            : new Map();
+
+        const exposureTime = fromRational(exifIfd.get(TAGS.exposureTime));
+        const fNumber = fromRational(exifIfd.get(TAGS.fNumber));
+        const focalLength = fromRational(exifIfd.get(TAGS.focalLength));
+        const lens = joinMakeAndModel(exifIfd.get(TAGS.lensMake), exifIfd.get(TAGS.lensModel));
+
+        return {
+            takenAt: toIsoDate(exifIfd.get(TAGS.dateTimeOriginal), exifIfd.get(TAGS.offsetTimeOriginal)),
+            camera: joinMakeAndModel(ifd0.get(TAGS.make), ifd0.get(TAGS.model)),
+            lens: lens || null,
+            // Short exposures read better as fractions: 0.004 -> "1/250"
+            // (a camera that writes 0 doesn't know the exposure - "1/Infinity" would be no help)
+            exposureTime: exposureTime === null || exposureTime <= 0 ? null
+                : exposureTime < 1 ? `1/${Math.round(1 / exposureTime)}` : `${roundToTenth(exposureTime)}`,
+            fNumber: fNumber === null ? null : roundToTenth(fNumber),
+            iso: exifIfd.get(TAGS.iso) || null,
+            focalLength: focalLength === null ? null : roundToTenth(focalLength),
+            orientation: ifd0.get(TAGS.orientation) || 1,
+            hasLocation: ifd0.has(TAGS.gpsPointer)
+        };
+    } catch (error) {
+        // A value pointed outside the block - the EXIF data is damaged
+        console.warn('Could not read the EXIF data:', error);
+        return null;
+    }
+}
+
+/*
+    Read EXIF
+
+    Parameters:
+    - file: The File the user chose
+
+    Returns:
+    - A Promise for { takenAt, camera, lens, exposureTime, fNumber, iso,
+      focalLength, orientation, hasLocation } (fields the camera didn't
+      record are null), or null if the file has no EXIF data.
+      This never rejects - a photo without readable EXIF simply has none
+*/
+export async function readExif(file) {
+    try {
+        return parseExif(new Uint8Array(await file.slice(0, EXIF_SEARCH_BYTES).arrayBuffer()));
+    } catch (error) {
+        console.warn(`Could not read the EXIF data of ${file.name}:`, error);
+        return null;
+    }
+}
+
+/*
+    Build an EXIF block that only says which way up the image is
+    (a TIFF header and one IFD with a single Orientation tag)
+*/
+function createOrientationSegment(orientation) {
+    const bytes = new Uint8Array(36);
+    const view = new DataView(bytes.buffer);
+
+    view.setUint16(0, 0xFFE1);        // APP1 marker
+    view.setUint16(2, 34);            // Length of everything after the marker
+    bytes.set([0x45, 0x78, 0x69, 0x66, 0, 0], 4); // "Exif\0\0"
+    view.setUint16(10, 0x4D4D);       // "MM" - big-endian
+    view.setUint16(12, 42);           // The TIFF "magic number"
+    view.setUint32(14, 8);            // IFD0 starts right after the header
+    view.setUint16(18, 1);            // One tag...
+    view.setUint16(20, TAGS.orientation);
+    view.setUint16(22, 3);            // ...a SHORT...
+    view.setUint32(24, 1);            // ...with one value
+    view.setUint16(28, orientation);
+    view.setUint32(32, 0);            // No more IFDs
+
+    return bytes;
+}
+
+/*
+    Copy EXIF
+
+    Copies the EXIF block of one JPEG into another, e.g. from the original
+    photo into the upright copy made by orientImage(). The orientation tag
+    is set to 1, because the pixels have already been turned. Some cameras
+    also store a small preview picture inside the EXIF block, which would
+    still be sideways: the link to it is removed, so nothing shows it any
+    more. Its bytes are still inside the copied block though - cutting them
+    out would mean moving everything that points past them.
+
+    Parameters:
+    - source: The File (or Blob) to take the EXIF block from
+    - target: The File to put it into
+
+    Returns:
+    - A Promise for the new File (the target unchanged if either isn't a
+      JPEG, or the source has no EXIF block)
+*/
+export async function copyExif(source, target) {
+    if (target.type !== 'image/jpeg') {
+        return target;
+    }
+
+    const sourceBytes = new Uint8Array(await source.slice(0, EXIF_SEARCH_BYTES).arrayBuffer());
+    const jpeg = listJpegSegments(sourceBytes);
+    const segment = jpeg && jpeg.segments.find((item) => isExifSegment(sourceBytes, item));
+
+    if (!segment) {
+        return target;
+    }
+
+    // A copy, so the source's bytes aren't changed
+    const exifBytes = sourceBytes.slice(segment.start, segment.end);
+
+    try {
+        const view = new DataView(exifBytes.buffer, 10);
+        const littleEndian = view.getUint16(0) === 0x4949;
+        const ifd0 = view.getUint32(4, littleEndian);
+        const count = view.getUint16(ifd0, littleEndian);
+
+        for (let index = 0; index < count; index++) {
+            const entry = ifd0 + 2 + index * 12;
+            if (view.getUint16(entry, littleEndian) === TAGS.orientation) {
+                view.setUint16(entry + 8, 1, littleEndian);
+            }
+        }
+
+        // IFD0 ends with where the next IFD (the preview picture) starts - 0 means "none".
+        // This only unlinks the preview; its bytes stay in the block
+        view.setUint32(ifd0 + 2 + count * 12, 0, littleEndian);
+    } catch (error) {
+        console.warn('The EXIF data could not be copied:', error);
+        return target;
+    }
+
+    const targetBytes = new Uint8Array(await target.arrayBuffer());
+
+    // The EXIF block goes straight after the "start of image" marker
+    return new File([targetBytes.subarray(0, 2), exifBytes, targetBytes.subarray(2)], target.name, {
+        type: target.type,
+        lastModified: target.lastModified
+    });
+}
+
+/*
+    Strip Identifying Metadata
+
+    Removes the blocks that can hold a location or a name, and copies the
+    picture data itself unchanged:
+    - JPEG: The EXIF, XMP, IPTC and comment blocks, putting back only the orientation
+    - PNG: The eXIf chunk and the text chunks (tEXt, zTXt, iTXt - XMP is kept in iTXt)
+    - WebP: The EXIF and XMP chunks
+
+    GIF and AVIF files are left as they are (the privacy setting says so).
+
+    Parameters:
+    - file: The File (or Blob) to clean
+
+    Returns:
+    - A Promise for the cleaned File (the same file if there was nothing to remove,
+      or if it isn't a JPEG, PNG or WebP file)
+
+    Throws if the file claims to be one of those types but can't be read -
+    it is safer not to upload it than to upload it with the location still inside
+*/
+export async function stripIdentifyingMetadata(file) {
+    const strip = METADATA_STRIPPERS[file.type];
+    if (!strip) {
+        return file;
+    }
+
+    const parts = strip(new Uint8Array(await file.arrayBuffer()));
+    if (!parts) {
+        return file;
+    }
+
+    return new File(parts, file.name || `image.${getExtensionForType(file.type)}`, { type: file.type, lastModified: file.lastModified });
+}
+
+// The error for a file whose blocks can't be listed
+const unreadableMetadataError = () => new Error('The photo\'s metadata could not be read, so its location could not be removed');
+
+// Four bytes as text, e.g. a PNG chunk type ("tEXt") or a WebP chunk name ("EXIF")
+const readFourCC = (bytes, offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+/*
+    JPEG: the file's pieces without the identifying segments, or null if there are none
+*/
+function stripJpegMetadata(bytes) {
+    const jpeg = listJpegSegments(bytes);
+
+    if (!jpeg || jpeg.dataStart === null) {
+        throw unreadableMetadataError();
+    }
+
+    const removed = jpeg.segments.filter((segment) => IDENTIFYING_MARKERS.includes(segment.marker));
+    if (removed.length === 0) {
+        return null;
+    }
+
+    const exif = parseExif(bytes);
+    const orientation = exif ? exif.orientation : 1;
+
+    const parts = [bytes.subarray(0, 2)]; // The "start of image" marker
+    if (orientation !== 1) {
+        parts.push(createOrientationSegment(orientation));
+    }
+    jpeg.segments
+        .filter((segment) => !IDENTIFYING_MARKERS.includes(segment.marker))
+        .forEach((segment) => parts.push(bytes.subarray(segment.start, segment.end)));
+    parts.push(bytes.subarray(jpeg.dataStart));
+
+    return parts;
+}
+
+/*
+    PNG: an 8-byte signature, then chunks of
+    [length (4 bytes)] [type (4 letters)] [data] [checksum (4 bytes)]
+    up to the IEND chunk. Chunks are dropped whole, so no checksum changes.
+    Anything hidden after IEND is dropped too.
+*/
+function stripPngMetadata(bytes) {
+    const signature = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+    if (!signature.every((byte, index) => bytes[index] === byte)) {
+        throw unreadableMetadataError();
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const parts = [bytes.subarray(0, 8)];
+    let removed = false;
+    let offset = 8;
+
+    while (offset < bytes.length) {
+        if (offset + 12 > bytes.length) {
+            throw unreadableMetadataError();
+        }
+
+        const type = readFourCC(bytes, offset + 4);
+        const end = offset + 12 + view.getUint32(offset);
+        if (end > bytes.length) {
+            throw unreadableMetadataError();
+        }
+
+        if (PNG_IDENTIFYING_CHUNKS.includes(type)) {
+            removed = true;
+        } else {
+            parts.push(bytes.subarray(offset, end));
+        }
+        offset = end;
+
+        if (type === 'IEND') {
+            removed = removed || offset < bytes.length;
+            break;
+        }
+    }
+
+    return removed ? parts : null;
+}
+
+/*
+    WebP: a RIFF file - "RIFF", the size of what follows, "WEBP", then chunks
+    of [name (4 letters)] [size (4 bytes)] [data, padded to an even length].
+    Metadata chunks only appear in the "extended" layout, whose VP8X chunk
+    has a flag for each kind - those flags are cleared along with the chunks.
+*/
+function stripWebpMetadata(bytes) {
+    if (readFourCC(bytes, 0) !== 'RIFF' || readFourCC(bytes, 8) !== 'WEBP') {
+        throw unreadableMetadataError();
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const riffEnd = Math.min(bytes.length, 8 + view.getUint32(4, true));
+    const chunks = [];
+    let removed = false;
+    let offset = 12;
+
+    while (offset < riffEnd) {
+        if (offset + 8 > riffEnd) {
+            throw unreadableMetadataError();
+        }
+
+        const name = readFourCC(bytes, offset);
+        const size = view.getUint32(offset + 4, true);
+        if (offset + 8 + size > riffEnd) {
+            throw unreadableMetadataError();
+        }
+        const end = Math.min(offset + 8 + size + (size % 2), riffEnd);
+
+        if (name === 'EXIF' || name === 'XMP ') {
+            removed = true;
+        } else if (name === 'VP8X') {
+            // A copy, so the flags can be changed: bit 3 is "has EXIF", bit 2 "has XMP"
+            const vp8x = bytes.slice(offset, end);
+            vp8x[8] &= ~(0x08 | 0x04);
+            chunks.push(vp8x);
+        } else {
+            chunks.push(bytes.subarray(offset, end));
+        }
+        offset = end;
+    }
+
+    if (!removed) {
+        return null;
+    }
+
+    const header = new Uint8Array(12);
+    const headerView = new DataView(header.buffer);
+    header.set([0x52, 0x49, 0x46, 0x46], 0); // "RIFF"
+    headerView.setUint32(4, 4 + chunks.reduce((total, chunk) => total + chunk.length, 0), true);
+    header.set([0x57, 0x45, 0x42, 0x50], 8); // "WEBP"
+
+    return [header, ...chunks];
+}
+
+/*
+    How stripIdentifyingMetadata() cleans each type
+    Each returns the pieces of the cleaned file, or null if there was nothing to remove
+*/
+const METADATA_STRIPPERS = {
+    'image/jpeg': stripJpegMetadata,
+    'image/png': stripPngMetadata,
+    'image/webp': stripWebpMetadata
+};
+
+/*
+    Convert EXIF fields into custom metadata (all values are strings)
+    Missing fields are left out; the orientation and location flag aren't saved
+*/
+export function exifToCustomMetadata(exif) {
+    const customMetadata = {};
+
+    if (exif) {
+        Object.entries(METADATA_KEYS).forEach(([field, key]) => {
+            if (exif[field] !== null && exif[field] !== undefined) {
+                customMetadata[key] = String(exif[field]);
+            }
+        });
+    }
+
+    return customMetadata;
+}
+
+/*
+    Read EXIF fields back out of custom metadata
+
+    Returns:
+    - { takenAt, camera, lens, exposureTime, fNumber, iso, focalLength },
+      or null for images without any (uploaded before EXIF was read, or
+      from a camera that doesn't write it)
+*/
+export function exifFromCustomMetadata(customMetadata = {}) {
+    if (!Object.values(METADATA_KEYS).some((key) => customMetadata[key])) {
+        return null;
+    }
+
+    const number = (key) => (customMetadata[key] ? Number(customMetadata[key]) : null);
+
+    return {
+        takenAt: customMetadata[METADATA_KEYS.takenAt] || null,
+        camera: customMetadata[METADATA_KEYS.camera] || null,
+        lens: customMetadata[METADATA_KEYS.lens] || null,
+        exposureTime: customMetadata[METADATA_KEYS.exposureTime] || null,
+        fNumber: number(METADATA_KEYS.fNumber),
+        iso: number(METADATA_KEYS.iso),
+        focalLength: number(METADATA_KEYS.focalLength)
+    };
+}
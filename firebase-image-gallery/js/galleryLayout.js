@@ -0,0 +1,161 @@
+/*
+    Gallery Layout
+    The ways the gallery can lay out its cards, and which one the user chose
+
+    - Grid: every card the same size, with the image cropped to 4:3
+    - Masonry: columns of cards, each image in its own shape (like a pinboard)
+    - Justified rows: rows that fill the width, each image in its own shape
+      and every image in a row the same height (like Flickr or Google Photos)
+    - List: one compact row per image, with name, date, size and type columns
+
+    An image's shape comes from the width and height saved when it was
+    uploaded. Images uploaded before those were saved are shown as 4:3.
+
+    The choice is saved in localStorage, so the gallery opens with the same
+    layout next time.
+*/
+
+/*
+    The layouts offered in the toolbar, in the order they are listed
+*/
+export const LAYOUT_OPTIONS = [
+    { id: 'grid', label: 'Grid' },
+    { id: 'masonry', label: 'Masonry' },
+    { id: 'justified', label: 'Rows' },
+    { id: 'list', label: 'List' }
+];
+
+export const DEFAULT_LAYOUT_ID = 'grid';
+
+// The shape of an image whose size isn't known (the same as a grid card)
+export const DEFAULT_ASPECT_RATIO = 4 / 3;
+
+// Where the chosen layout is remembered between visits
+const LAYOUT_KEY = 'gallery-layout';
+
+/*
+    Get Layout Option
+    Looks up a layout by its id (unknown ids give the default layout)
+*/
+export function getLayoutOption(id) {
+    return LAYOUT_OPTIONS.find((option) => option.id === id)
+        || LAYOUT_OPTIONS.find((option) => option.id === DEFAULT_LAYOUT_ID);
+}
+
+/*
+    Get Gallery Layout
+    The layout the user chose last time (or the default)
+*/
+export function getGalleryLayout() {
+    return getLayoutOption(localStorage.getItem(LAYOUT_KEY));
+}
+
+/*
+    Set Gallery Layout
+    Remembers the chosen layout for this browser
+
+    Returns:
+    - The layout option for the id
+*/
+export function setGalleryLayout(id) {
+    const option = getLayoutOption(id);
+    localStorage.setItem(LAYOUT_KEY, option.id);
+    return option;
+}
+
+/*
+    Get Aspect Ratio
+    An image's width divided by its height (1.5 for a 3:2 landscape photo)
+*/
+export function getAspectRatio(image) {
+    return image.width > 0 && image.height > 0
+        ? image.width / image.height
+        : DEFAULT_ASPECT_RATIO;
+}
+
+/*
+    Get Justified Rows
+    Splits items into rows the same way the browser wraps the justified
+    layout (see .layout-justified in style.css): every item starts out
+    rowHeight tall, as many as fit go in a row, and then the row grows
+    until it fills the width. The last row keeps rowHeight.
+
+    Parameters:
+    - aspectRatios: The aspect ratio of each item, in order
+    - options:
+        - width: Width of the grid, in pixels
+        - rowHeight: Height items start at, in pixels
+        - gap: Space between items, in pixels
+
+    Returns:
+    - Array of { first, last, imageHeight }: the row holds items first to
+      last - 1, and its images end up imageHeight tall
+
+    Example:
+    getJustifiedRows([1.5, 0.75, 1.5], { width: 500, rowHeight: 200, gap: 10 })
+    // -> [{ first: 0, last: 2, imageHeight: 217.8 }, { first: 2, last: 3, imageHeight: 200 }]
+*/
+export function getJustifiedRows(aspectRatios, { width, rowHeight, gap }) {
+    const rows = [];
+    let first = 0;
+    let lineWidth = 0;   // Width of the row so far, at rowHeight
+    let lineRatio = 0;   // The aspect ratios of the row added up
+
+    aspectRatios.forEach((ratio, index) => {
+        const itemWidth = ratio * rowHeight;
+
+        if (index > first && lineWidth + gap + itemWidth > width) {
+            // Every image in the row grows by the same factor, until the row is as wide as the grid
+            rows.push({ first, last: index, imageHeight: (width - (index - first - 1) * gap) / lineRatio });
+            first = index;
+            lineWidth = itemWidth;
+            lineRatio = ratio;
+        } else {
+            lineWidth += (index > first ? gap : 0) + itemWidth;
+            lineRatio += ratio;
+        }
+    });
+
+    if (first < aspectRatios.length) {
+        // The last row doesn't grow - unless even one image is too wide for the grid
+        const fits = lineWidth <= width;
+        rows.push({
+            first,
+            last: aspectRatios.length,
+            imageHeight: fits ? rowHeight : (width - (aspectRatios.length - first - 1) * gap) / lineRatio
+        });
+    }
+
+    return rows;
+}
+
+/*
+    Get Masonry Positions
+    Puts each item, in order, at the bottom of the shortest column
+    (the leftmost one if several are equally short), so the gallery still
+    reads from left to right and top to bottom
+
+    Parameters:
+    - heights: The height of each item, in order, in pixels
+    - columns: How many columns there are
+    - gap: Space between items in a column, in pixels
+
+    Returns:
+    - { positions, height }: the column and top of each item, and how tall
+      the tallest column is
+*/
+export function getMasonryPositions(heights, columns, gap) {
+    const columnHeights = new Array(Math.max(1, columns)).fill(0);
+
+    const positions = heights.map((height) => {
+        const column = columnHeights.indexOf(Math.min(...columnHeights));
+        const top = columnHeights[column];
+        columnHeights[column] = top + height + gap;
+        return { column, top };
+    });
+
+    return {
+        positions,
+        height: Math.max(0, Math.max(...columnHeights) - (heights.length > 0 ? gap : 0))
+    };
+}
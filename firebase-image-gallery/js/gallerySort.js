@@ -0,0 +1,90 @@
+/*
+    Gallery Sort
+    The orders the gallery can be shown in, and which one the user chose
+
+    Each sort is one of the index's sort fields (see INDEX_SORT_FIELDS in
+    js/imageIndex.js) plus a direction, so the index hands back pages that
+    are already in that order - a gallery with thousands of images never
+    has to be sorted in the browser.
+
+    The choice is saved in localStorage, so the gallery opens in the same
+    order next time.
+*/
+
+import { compareImages } from './imageIndex.js';
+
+/*
+    The sorts offered in the toolbar, in the order they are listed
+*/
+export const SORT_OPTIONS = [
+    { id: 'newest', label: 'Newest first', orderBy: 'uploadedAt', direction: 'desc' },
+    { id: 'oldest', label: 'Oldest first', orderBy: 'uploadedAt', direction: 'asc' },
+    { id: 'name-asc', label: 'Name A–Z', orderBy: 'sortName', direction: 'asc' },
+    { id: 'name-desc', label: 'Name Z–A', orderBy: 'sortName', direction: 'desc' },
+    { id: 'largest', label: 'Largest first', orderBy: 'size', direction: 'desc' },
+    { id: 'smallest', label: 'Smallest first', orderBy: 'size', direction: 'asc' }
+];
+
+export const DEFAULT_SORT_ID = 'newest';
+
+// Where the chosen sort is remembered between visits
+const SORT_KEY = 'gallery-sort';
+
+/*
+    Get Sort Option
+    Looks up a sort by its id (unknown ids give the default sort)
+*/
+export function getSortOption(id) {
+    return SORT_OPTIONS.find((option) => option.id === id)
+        || SORT_OPTIONS.find((option) => option.id === DEFAULT_SORT_ID);
+}
+
+/*
+    Get Gallery Sort
+    The sort the user chose last time (or the default)
+*/
+export function getGallerySort() {
+    return getSortOption(localStorage.getItem(SORT_KEY));
+}
+
+/*
+    Set Gallery Sort
+    Remembers the chosen sort for this browser
+
+    Returns:
+    - The sort option for the id
+*/
+export function setGallerySort(id) {
+    const option = getSortOption(id);
+    localStorage.setItem(SORT_KEY, option.id);
+    return option;
+}
+
+/*
+    Sort Images
+    Returns a sorted copy of an array of images (the original is left alone)
+
+    Parameters:
+    - images: Array of image objects
+    - sort: One of SORT_OPTIONS
+*/
+export function sortImages(images, sort) {
+    return [...images].sort((a, b) => compareImages(a, b, sort.orderBy, sort.direction));
+}
+
+/*
+    Find Sorted Index
+    Where an image belongs in an already sorted array
+
+    Parameters:
+    - images: Array of image objects, in the order of sort
+    - image: The image to place
+    - sort: One of SORT_OPTIONS
+
+    Returns:
+    - The position to insert it at (images.length if it goes after all of them)
+*/
+export function findSortedIndex(images, image, sort) {
+    const index = images.findIndex((item) => compareImages(image, item, sort.orderBy, sort.direction) < 0);
+    return index === -1 ? images.length : index;
+}
@@ -0,0 +1,95 @@
+/*
+    Image Details
+    Helpers for the title, caption and tags that users can attach to an image
+
+    Where are the details stored?
+    Storage backends let every file carry "custom metadata" - a small set of
+    extra key/value pairs saved alongside the file. Custom metadata values
+    must be strings, so:
+    - title and caption are stored as they are
+    - tags (an array) are stored as one comma-separated string: "beach,summer,family"
+
+    Keeping the conversion in one file means the upload form, the card editor
+    and the storage module all agree on the format.
+*/
+
+/*
+    Limits that keep the details a sensible size
+    Custom metadata is sent with every request, so it should stay small
+*/
+export const DETAILS_LIMITS = {
+    title: 100,
+    caption: 500,
+    tagLength: 30,
+    tagCount: 20
+};
+
+/*
+    Parse Tags
+    Turns what the user typed ("Beach, summer ,, beach") into a clean array
+
+    - Splits on commas
+    - Trims spaces and drops empty tags
+    - Removes duplicates (ignoring upper/lower case)
+    - Applies the length and count limits
+
+    Example:
+    parseTags('Beach, summer ,, beach') -> ['Beach', 'summer']
+*/
+export function parseTags(text = '') {
+    const seen = new Set();
+    const tags = [];
+
+    text.split(',').forEach((rawTag) => {
+        const tag = rawTag.trim().slice(0, DETAILS_LIMITS.tagLength);
+        const key = tag.toLowerCase();
+
+        if (tag && !seen.has(key) && tags.length < DETAILS_LIMITS.tagCount) {
+            seen.add(key);
+            tags.push(tag);
+        }
+    });
+
+    return tags;
+}
+
+/*
+    Normalize Details
+    Cleans up a { title, caption, tags } object before it is saved
+    tags may be an array or a comma-separated string
+*/
+export function normalizeDetails(details = {}) {
+    const tags = Array.isArray(details.tags) ? details.tags.join(',') : details.tags;
+
+    return {
+        title: (details.title || '').trim().slice(0, DETAILS_LIMITS.title),
+        caption: (details.caption || '').trim().slice(0, DETAILS_LIMITS.caption),
+        tags: parseTags(tags || '')
+    };
+}
+
+/*
+    Convert details into custom metadata (all values are strings)
+*/
+export function detailsToCustomMetadata(details = {}) {
+    const { title, caption, tags } = normalizeDetails(details);
+
+    return {
+        title,
+        caption,
+        tags: tags.join(',')
+    };
+}
+
+/*
+    Read details back out of custom metadata
+    Missing values become empty strings / an empty array, so images
+    uploaded before details existed still work
+*/
+export function detailsFromCustomMetadata(customMetadata = {}) {
+    return {
+        title: customMetadata.title || '',
+        caption: customMetadata.caption || '',
+        tags: parseTags(customMetadata.tags || '')
+    };
+}
@@ -0,0 +1,203 @@
+/*
+    Image Index
+    A database of every image in the gallery, kept next to the files themselves
+
+    Why not just list storage?
+    Storage can only list a folder in name order, and every listed file then
+    needs its own requests for its metadata and URL - 24 images cost about
+    50 requests before anything can be shown. Storage also can't sort by size
+    or find "the newest 24 images".
+
+    So every upload also saves a small record (a "document") describing the
+    image: its URLs, path, size, type, dimensions, who uploaded it and when.
+    The gallery asks the index for one sorted page of records, which is a
+    single request, and never has to touch storage to show the grid.
+
+    Storage is still the source of truth: reconcileImageIndex() (see
+    js/indexReconciliation.js) rebuilds the index from storage, e.g. for
+    images uploaded before the index existed.
+
+    Like storage and auth, the app talks to an "index provider":
+
+    - name: A short label such as 'firestore' or 'local'
+    - save(uid, record)
+        Adds a record, or replaces the one with the same fullPath
+    - remove(uid, fullPath)
+        Deletes a record (removing one that doesn't exist is not an error)
+    - query(uid, { album, orderBy, direction, limit, cursor })
+        Resolves with { records, nextCursor }
+        album is an album name or null (the top level) - leave it out for every album
+        Without limit every matching record is returned; with it, one page is
+        returned and nextCursor (null on the last page) is passed back as cursor
+    - watch(uid, { album, orderBy, direction, limit }, callback)
+        Like query(), but calls callback(records) now and again every time
+        the matching records change - e.g. when an image is uploaded from
+        another tab or device. Returns a function that stops watching
+    - findByContentHash(uid, contentHash)
+        Resolves with a record whose file has this SHA-256 hash (in any
+        album), or null - used to warn about duplicate uploads
+    - getStatus(uid) / setStatus(uid, status)
+        Read and save bookkeeping about a user's index, e.g. { reconciledAt }
+
+    Available providers (see js/adapters/):
+    - firestore: Cloud Firestore, at users/{uid}/images/{id} (used with the firebase backend)
+    - local:     A JavaScript Map (used with the other backends)
+*/
+
+import { createFirestoreIndex } from './adapters/firestoreIndex.js';
+import { createLocalIndex } from './adapters/localIndex.js';
+import { readObjectName } from './objectNames.js';
+
+/*
+    The fields a query can be sorted by
+    Records also have a fullPath, used to break ties between equal values
+
+    sortName is the original name in lower case. Firestore compares text
+    letter code by letter code, so sorting by originalName itself would put
+    every name starting with a capital ("Zebra.jpg") before the lower case
+    ones ("apple.jpg")
+*/
+export const INDEX_SORT_FIELDS = ['uploadedAt', 'sortName', 'size'];
+
+/*
+    The index currently in use
+    This is set once at startup by initializeApp() in app.js
+*/
+let activeIndex = null;
+
+/*
+    Create the index provider that goes with a storage backend
+
+    Parameters:
+    - backend: One of STORAGE_BACKENDS (see js/storage.js)
+
+    Returns:
+    - A Promise for the provider
+*/
+export async function createImageIndex(backend) {
+    switch (backend) {
+        case 'firebase':
+            return createFirestoreIndex();
+        case 'memory':
+        case 'indexeddb':
+            return createLocalIndex();
+        default:
+            throw new Error(`Unknown storage backend: ${backend}`);
+    }
+}
+
+/*
+    Choose which index the storage functions will use
+*/
+export function setImageIndex(index) {
+    activeIndex = index;
+    console.log(`Using '${index.name}' image index`);
+}
+
+/*
+    Get the index currently in use
+    Throws if initializeApp() hasn't chosen one yet
+*/
+export function getImageIndex() {
+    if (!activeIndex) {
+        throw new Error('No image index selected. Call setImageIndex() first.');
+    }
+    return activeIndex;
+}
+
+/*
+    Turn a gallery image object into an index record
+
+    The record is the image object (including its contentHash and exif,
+    null for images uploaded before those were saved) plus:
+    - uploaderId: The id of the user who uploaded it
+    - uploadedAt: When it was uploaded, in milliseconds since 1970 (so it sorts as a number)
+    - sortName: The name to sort by (see INDEX_SORT_FIELDS)
+
+    Databases can't store undefined, so missing values become null
+*/
+export function toIndexRecord(image, uid) {
+    return {
+        fullPath: image.fullPath,
+        name: image.name,
+        originalName: image.originalName || image.name,
+        sortName: getSortName(image),
+        album: image.album || null,
+        url: image.url,
+        thumbnailUrl: image.thumbnailUrl || null,
+        thumbnails: (image.thumbnails || []).map(({ size, width, url }) => ({ size, width, url })),
+        size: image.size || 0,
+        contentType: image.contentType || null,
+        width: image.width || null,
+        height: image.height || null,
+        title: image.title || '',
+        caption: image.caption || '',
+        tags: image.tags || [],
+        contentHash: image.contentHash || null,
+        exif: image.exif || null,
+        uploaderId: uid,
+        uploadedAt: image.uploadedAt || Date.now()
+    };
+}
+
+/*
+    Turn an index record back into the image object the gallery uses
+    (the same shape listImagesPage() has always returned)
+
+    Records saved before original names were kept have a timestamp field
+    instead - the name is worked out from the old-style file name
+*/
+export function fromIndexRecord(record) {
+    const { uploaderId, timestamp, sortName, ...image } = record;
+    return {
+        ...image,
+        originalName: image.originalName || readObjectName(image.name).originalName
+    };
+}
+
+/*
+    The name an image is sorted by: its original name in lower case
+*/
+export function getSortName(image) {
+    return (image.originalName || image.name || '').toLowerCase();
+}
+
+/*
+    Compare two strings the way Firestore does: character codes, in order.
+    localeCompare() would follow the browser's language rules instead
+    ("é" next to "e", punctuation ignored), so the order on screen would
+    not match the order of the index's pages.
+    Ties are broken like Firestore too: by document id, which is the
+    fullPath with its slashes encoded (see js/adapters/firestoreIndex.js)
+*/
+const compareText = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+/*
+    Compare Images
+    Compares two images (or records) the way the index sorts them, so a
+    list on screen can be kept in the same order as the pages it came from
+
+    Parameters:
+    - a, b: Image objects
+    - orderBy: One of INDEX_SORT_FIELDS
+    - direction: 'asc' or 'desc'
+
+    Returns:
+    - A negative number if a comes first, positive if b does
+      (equal values are ordered by fullPath, like the index does)
+*/
+export function compareImages(a, b, orderBy, direction) {
+    const valueA = orderBy === 'sortName' ? getSortName(a) : a[orderBy];
+    const valueB = orderBy === 'sortName' ? getSortName(b) : b[orderBy];
+    let result = 0;
+
+    if (valueA !== valueB) {
+        result = typeof valueA === 'string'
+            ? compareText(valueA, valueB)
+            : (valueA || 0) - (valueB || 0);
+    }
+    if (result === 0) {
+        result = compareText(encodeURIComponent(a.fullPath), encodeURIComponent(b.fullPath));
+    }
+    return direction === 'asc' ? result : -result;
+}
@@ -0,0 +1,357 @@
+/*
+    Image Processing
+    Makes smaller copies of images in the browser, before they are uploaded
+
+    Why make thumbnails?
+    A photo straight off a phone can be several megabytes and thousands of
+    pixels wide, but a card in the grid is only a few hundred pixels wide.
+    Loading the original into every card wastes bandwidth and memory, so we
+    save small copies ("thumbnails") next to each original and show those
+    in the grid instead. The original is still used for the full-size view.
+
+    How does the browser resize an image?
+    1. createImageBitmap() decodes the file into pixels
+    2. The pixels are drawn onto a smaller canvas
+    3. The canvas is encoded back into a compressed file (a Blob)
+
+    OffscreenCanvas is used when the browser has it, because it doesn't need
+    to be part of the page. Older browsers fall back to a normal <canvas>.
+
+    The same steps are used to shrink images that are too big to upload
+    (see resizeToFit()), and to turn sideways photos upright (see orientImage()
+    at the bottom of this file).
+
+    Which way up?
+    Phones often save portrait photos with the pixels lying on their side,
+    plus an EXIF "orientation" tag saying how to turn them (see js/exif.js).
+    createImageBitmap() is asked to apply that tag while decoding, so every
+    copy made here - thumbnails, resized and rotated images - comes out upright.
+*/
+
+/*
+    Sizes (in pixels, along the longest side) of the thumbnails made for each upload
+    The grid picks the right one for the screen using srcset
+*/
+export const THUMBNAIL_SIZES = [320, 640];
+
+/*
+    WebP gives the smallest files, but not every browser can encode it
+    JPEG is the fallback that works everywhere
+*/
+const WEBP_TYPE = 'image/webp';
+const JPEG_TYPE = 'image/jpeg';
+const THUMBNAIL_QUALITY = 0.8;
+
+/*
+    Default settings for shrinking images that are over the upload limit
+    - maxDimension: The longest side (in pixels) a resized image may have
+    - quality: The encoding quality to start with (0 to 1)
+    - minQuality: The lowest quality we accept before making the image smaller instead
+*/
+export const RESIZE_DEFAULTS = {
+    maxDimension: 3840,
+    quality: 0.85,
+    minQuality: 0.55
+};
+
+// Each time the lowest quality is still too big, the image shrinks by this much
+const SHRINK_STEP = 0.8;
+const QUALITY_STEP = 0.1;
+const MAX_RESIZE_ATTEMPTS = 15;
+
+// Rotated photos are encoded again - high enough that the difference can't be seen
+const ROTATE_QUALITY = 0.92;
+
+// The types a rotated image can keep; anything else becomes a JPEG
+const ROTATE_TYPES = [JPEG_TYPE, 'image/png', WEBP_TYPE];
+
+/*
+    Check whether this browser can make thumbnails at all
+    (false in very old browsers, and in Node.js where there is no canvas)
+*/
+export function canProcessImages() {
+    return typeof createImageBitmap === 'function' &&
+        (typeof OffscreenCanvas === 'function' || typeof document !== 'undefined');
+}
+
+/*
+    Work out the size of an image shrunk to fit inside a square box
+    The aspect ratio is kept, and images are never made bigger
+
+    Example: fitWithin(4000, 3000, 320) -> { width: 320, height: 240 }
+*/
+export function fitWithin(width, height, maxSize) {
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale))
+    };
+}
+
+/*
+    Create a canvas of the given size
+*/
+function createCanvas(width, height) {
+    if (typeof OffscreenCanvas === 'function') {
+        return new OffscreenCanvas(width, height);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/*
+    Encode a canvas into a Blob
+    OffscreenCanvas has convertToBlob() (a Promise), <canvas> has toBlob() (a callback)
+*/
+function canvasToBlob(canvas, type, quality) {
+    if (typeof canvas.convertToBlob === 'function') {
+        return canvas.convertToBlob({ type, quality });
+    }
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('The image could not be encoded'));
+            }
+        }, type, quality);
+    });
+}
+
+/*
+    Check (once) whether this browser can encode WebP
+    Browsers that can't quietly give back a PNG instead, so we try a 1x1 image
+*/
+let webpSupported = null;
+
+async function canEncodeWebp() {
+    if (webpSupported === null) {
+        const blob = await canvasToBlob(createCanvas(1, 1), WEBP_TYPE, THUMBNAIL_QUALITY);
+        webpSupported = blob.type === WEBP_TYPE;
+    }
+    return webpSupported;
+}
+
+/*
+    Decode an image into pixels, turned the way its EXIF orientation says
+    ('from-image' is the default in current browsers, but older ones ignored the tag)
+*/
+function decodeImage(file) {
+    return createImageBitmap(file, { imageOrientation: 'from-image' });
+}
+
+/*
+    Draw an image onto a new canvas of the given size and encode it
+*/
+async function drawScaled(bitmap, width, height, type, quality) {
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext('2d');
+
+    // JPEG has no transparency, so paint a white background first
+    // (otherwise transparent parts of a PNG would turn black)
+    if (type === JPEG_TYPE) {
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, width, height);
+    }
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(bitmap, 0, 0, width, height);
+
+    return canvasToBlob(canvas, type, quality);
+}
+
+/*
+    Create Thumbnails
+
+    Parameters:
+    - file: The image File (or Blob) to shrink
+    - sizes: The thumbnail sizes to make (defaults to THUMBNAIL_SIZES)
+
+    Returns:
+    - { width, height, thumbnails }
+        width and height are the original image's size in pixels
+        thumbnails is an array of { size, blob }
+
+    Sizes that are as big as the original are skipped, because a
+    "thumbnail" that isn't smaller than the image would be pointless.
+    Throws if the browser can't decode the image.
+*/
+export async function createThumbnails(file, sizes = THUMBNAIL_SIZES) {
+    if (!canProcessImages()) {
+        throw new Error('This browser cannot resize images');
+    }
+
+    const bitmap = await decodeImage(file);
+
+    try {
+        const { width, height } = bitmap;
+        const longestSide = Math.max(width, height);
+        const type = await canEncodeWebp() ? WEBP_TYPE : JPEG_TYPE;
+        const thumbnails = [];
+
+        // One at a time, so only one extra canvas is in memory at once
+        for (const size of sizes) {
+            if (size >= longestSide) {
+                continue;
+            }
+
+            const scaled = fitWithin(width, height, size);
+            const blob = await drawScaled(bitmap, scaled.width, scaled.height, type, THUMBNAIL_QUALITY);
+            thumbnails.push({ size, blob });
+        }
+
+        return { width, height, thumbnails };
+    } finally {
+        // Decoded images use a lot of memory - free it straight away
+        bitmap.close();
+    }
+}
+
+/*
+    Check whether an image can be shrunk with resizeToFit()
+    Animated GIFs would lose their animation, so GIFs are never resized
+*/
+export function canResize(file) {
+    return canProcessImages() && file.type !== 'image/gif';
+}
+
+/*
+    Give a file name the extension that matches its new type
+    Example: ("holiday.png", "image/webp") -> "holiday.webp"
+*/
+function renameForType(name, type) {
+    const extension = type === JPEG_TYPE ? 'jpg' : type.split('/')[1];
+    const dotIndex = name.lastIndexOf('.');
+    const baseName = dotIndex > 0 ? name.slice(0, dotIndex) : name;
+    return `${baseName}.${extension}`;
+}
+
+/*
+    Resize To Fit
+
+    Shrinks an image until its file is no bigger than maxBytes:
+    1. Scale it down so its longest side is at most maxDimension
+    2. Encode it at the starting quality
+    3. Still too big? Lower the quality a step and try again
+    4. Reached minQuality? Make the image 20% smaller and start again at full quality
+
+    The aspect ratio is always kept. JPEGs stay JPEGs (they are usually photos);
+    other images become WebP (or JPEG where WebP isn't supported).
+
+    Parameters:
+    - file: The image File to shrink
+    - options:
+        - maxBytes: The file size to fit under (required)
+        - maxDimension, quality, minQuality: See RESIZE_DEFAULTS
+
+    Returns:
+    - { file, originalWidth, originalHeight, width, height, quality }
+        file is the new, smaller File
+
+    Throws if the image can't be decoded or still doesn't fit after many attempts
+*/
+export async function resizeToFit(file, options = {}) {
+    const { maxBytes, maxDimension, quality: startQuality, minQuality } = { ...RESIZE_DEFAULTS, ...options };
+
+    if (!canResize(file)) {
+        throw new Error('This image cannot be resized in this browser');
+    }
+
+    const bitmap = await decodeImage(file);
+
+    try {
+        const originalWidth = bitmap.width;
+        const originalHeight = bitmap.height;
+        const type = file.type === JPEG_TYPE || !(await canEncodeWebp()) ? JPEG_TYPE : WEBP_TYPE;
+
+        let longestSide = Math.min(maxDimension, Math.max(originalWidth, originalHeight));
+        let quality = startQuality;
+
+        for (let attempt = 0; attempt < MAX_RESIZE_ATTEMPTS; attempt++) {
+            const { width, height } = fitWithin(originalWidth, originalHeight, longestSide);
+            const blob = await drawScaled(bitmap, width, height, type, quality);
+
+            if (blob.size <= maxBytes) {
+                return {
+                    file: new File([blob], renameForType(file.name, type), { type, lastModified: file.lastModified }),
+                    originalWidth,
+                    originalHeight,
+                    width,
+                    height,
+                    quality
+                };
+            }
+
+            // Rounding keeps the steps tidy (0.85, 0.75, 0.65...) instead of 0.6499999
+            if (quality - QUALITY_STEP >= minQuality) {
+                quality = Math.round((quality - QUALITY_STEP) * 100) / 100;
+            } else {
+                longestSide = Math.round(longestSide * SHRINK_STEP);
+                quality = startQuality;
+            }
+        }
+
+        throw new Error('The image could not be made small enough to upload');
+    } finally {
+        bitmap.close();
+    }
+}
+
+/*
+    Orient Image
+
+    Redraws an image with upright pixels, optionally turned further by
+    quarter turns (the rotate buttons in the upload preview):
+    1. Decode it - the browser applies the EXIF orientation (see decodeImage())
+    2. Draw it onto a canvas, turned around its centre
+    3. Encode the canvas again
+
+    The new file has no EXIF data at all, so nothing can turn it a second
+    time. Put the camera details back with copyExif() (see js/exif.js).
+
+    Parameters:
+    - file: The image File
+    - quarterTurns: How many times to turn it 90° clockwise (negative for anticlockwise)
+
+    Returns:
+    - The upright File, in the same format where possible (JPEG, PNG or WebP)
+
+    Throws if the image can't be decoded
+*/
+export async function orientImage(file, quarterTurns = 0) {
+    if (!canResize(file)) {
+        throw new Error('This image cannot be rotated in this browser');
+    }
+
+    const bitmap = await decodeImage(file);
+
+    try {
+        // 0, 1, 2 or 3 - so -1 (one turn anticlockwise) becomes 3
+        const turns = ((quarterTurns % 4) + 4) % 4;
+        const sideways = turns % 2 === 1;
+        const width = sideways ? bitmap.height : bitmap.width;
+        const height = sideways ? bitmap.width : bitmap.height;
+        const type = ROTATE_TYPES.includes(file.type) ? file.type : JPEG_TYPE;
+
+        const canvas = createCanvas(width, height);
+        const context = canvas.getContext('2d');
+
+        if (type === JPEG_TYPE) {
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, width, height);
+        }
+
+        // Move to the middle, turn, then draw the image centred on that point
+        context.translate(width / 2, height / 2);
+        context.rotate(turns * Math.PI / 2);
+        context.drawImage(bitmap, -bitmap.width / 2, -bitmap.height / 2);
+
+        const blob = await canvasToBlob(canvas, type, ROTATE_QUALITY);
+        return new File([blob], renameForType(file.name, type), { type, lastModified: file.lastModified });
+    } finally {
+        bitmap.close();
+    }
+}
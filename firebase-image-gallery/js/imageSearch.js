@@ -0,0 +1,120 @@
+/*
+    Image Search
+    Decides which images match the search bar's text and filters
+
+    The text is matched against what the user can see on a card: the
+    image's name (exactly as the card shows it), its title, caption and
+    tags. Each word typed must appear somewhere, in any order, so
+    "beach 2023" finds an image named "beach.jpg" tagged "2023".
+    Capitals and accents are ignored ("cafe" finds "Café").
+
+    Why search in the browser?
+    The image index can sort and page, but it can't look for words inside
+    names and captions. So while a search is active the gallery reads every
+    record of the album from the index once (one query, like the usage
+    panel does) and filters them here - every keystroke after that is
+    instant and costs no more reads.
+
+    Filters:
+    {
+        text: 'beach',           // Words to look for ('' for any)
+        contentType: 'image/png', // One of SUPPORTED_IMAGE_TYPES ('' for any)
+        from: '2024-07-01',      // First upload day, as <input type="date"> gives it ('' for no limit)
+        to: '2024-07-31'         // Last upload day, included ('' for no limit)
+    }
+*/
+
+import { getImageDisplayName } from '../components/imageCard.js';
+
+// Filters that match every image
+export const EMPTY_FILTERS = { text: '', contentType: '', from: '', to: '' };
+
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/*
+    Is Filter Active
+    Whether the filters would hide any image at all
+*/
+export function isFilterActive(filters) {
+    return Boolean(filters && (filters.text.trim() || filters.contentType || filters.from || filters.to));
+}
+
+/*
+    Filter Images
+    Returns the images that match the filters, in the same order
+
+    Parameters:
+    - images: Array of image objects
+    - filters: { text, contentType, from, to } (see above)
+*/
+export function filterImages(images, filters) {
+    const matches = createMatcher(filters);
+    return images.filter(matches);
+}
+
+/*
+    Matches Filters
+    Whether one image matches the filters
+*/
+export function matchesFilters(image, filters) {
+    return createMatcher(filters)(image);
+}
+
+/*
+    Work out everything that doesn't depend on the image once, and
+    return a function that checks one image
+*/
+function createMatcher({ text = '', contentType = '', from = '', to = '' } = {}) {
+    const words = normalizeText(text).split(/\s+/).filter(Boolean);
+
+    // Dates are days in the user's time zone: from the start of "from" to the end of "to"
+    const start = from ? parseDay(from) : null;
+    const end = to ? parseDay(to) + MILLISECONDS_PER_DAY : null;
+
+    return (image) => {
+        if (contentType && image.contentType !== contentType) {
+            return false;
+        }
+
+        // An image whose upload time isn't known can't be in a date range
+        if ((start !== null || end !== null) && !image.uploadedAt) {
+            return false;
+        }
+        if (start !== null && image.uploadedAt < start) {
+            return false;
+        }
+        if (end !== null && image.uploadedAt >= end) {
+            return false;
+        }
+
+        if (words.length === 0) {
+            return true;
+        }
+        const searchable = normalizeText([
+            getImageDisplayName(image),
+            image.title || '',
+            image.caption || '',
+            ...(image.tags || [])
+        ].join('\n'));
+
+        return words.every((word) => searchable.includes(word));
+    };
+}
+
+/*
+    Lower case, with accents removed
+    normalize('NFD') splits "é" into "e" plus an accent mark, and
+    \u0300-\u036f is the range of those accent marks
+*/
+function normalizeText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/*
+    "2024-07-01" -> midnight at the start of that day, in the user's time zone
+    (new Date('2024-07-01') would be midnight in UTC instead)
+*/
+function parseDay(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(year, month - 1, date).getTime();
+}
@@ -0,0 +1,345 @@
+/*
+    Image Validation
+    Checks that a file really is an image before it is uploaded
+
+    Why not just check file.type?
+    file.type is a guess the browser makes from the file's name. Rename
+    "program.exe" to "program.png" and the browser says "image/png".
+    Some real images (often from phones or other apps) have no type at all.
+
+    Instead we read the first bytes of the file. Every image format starts
+    with its own "magic bytes" (a PNG always starts with 89 50 4E 47...),
+    and just after them is a header that says how big the image is in pixels.
+
+    Why check the size in pixels?
+    A 5MB file can contain a 50,000 × 50,000 pixel image that needs
+    10GB of memory to open - a "decompression bomb". Reading the header
+    lets us refuse it before the browser ever tries to decode it.
+
+    Results use error codes (like 'validation/unsupported-type') instead of
+    sentences, the same way storage errors do. getValidationMessage() turns
+    a code into a message for the user.
+*/
+
+/*
+    The largest file the gallery accepts: 5 * 1024 * 1024 = 5242880 bytes = 5MB
+    The upload form shrinks bigger images to fit (see js/imageProcessing.js)
+*/
+export const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+/*
+    The most pixels (width × height) an image may have
+    50 megapixels is bigger than any phone camera, but small enough to decode safely
+*/
+export const MAX_PIXELS = 50 * 1000 * 1000;
+
+/*
+    The image types the gallery accepts, with a friendly name for each
+*/
+export const SUPPORTED_IMAGE_TYPES = {
+    'image/jpeg': 'JPEG',
+    'image/png': 'PNG',
+    'image/gif': 'GIF',
+    'image/webp': 'WebP',
+    'image/avif': 'AVIF'
+};
+
+/*
+    How much of the file we read to find the header
+    JPEG headers can come after a large block of camera (EXIF) data,
+    so we read a generous amount - still tiny next to the whole file
+*/
+const HEADER_BYTES = 512 * 1024;
+
+/*
+    Messages for each error code
+    Each one is a function so it can include details like the image's size
+*/
+const VALIDATION_MESSAGES = {
+    'validation/no-file': () => 'No file selected',
+    'validation/empty-file': () => 'This file is empty',
+    'validation/unsupported-type': () =>
+        `This file is not a supported image (${Object.values(SUPPORTED_IMAGE_TYPES).join(', ')})`,
+    'validation/corrupt-header': ({ type }) =>
+        `This ${SUPPORTED_IMAGE_TYPES[type] || 'image'} file looks damaged and can't be read`,
+    'validation/too-many-pixels': ({ width, height }) =>
+        `This image is ${width} × ${height} pixels - the most allowed is ${MAX_PIXELS / 1000000} megapixels`,
+    'validation/file-too-large': () => `File size must be less than ${MAX_FILE_SIZE / (1024 * 1024)}MB`
+};
+
+/*
+    Get Validation Message
+
+    Parameters:
+    - result: A failed result from validateImageFile()
+
+    Returns:
+    - A message to show the user
+*/
+export function getValidationMessage(result) {
+    const message = VALIDATION_MESSAGES[result.code];
+    return message ? message(result) : 'This file cannot be uploaded';
+}
+
+/*
+    Small helpers for reading numbers out of the header
+    "BE" (big-endian) means the most significant byte comes first, "LE" the opposite
+*/
+function readUint16BE(bytes, offset) {
+    return (bytes[offset] << 8) | bytes[offset + 1];
+}
+
+function readUint16LE(bytes, offset) {
+    return bytes[offset] | (bytes[offset + 1] << 8);
+}
+
+function readUint24LE(bytes, offset) {
+    return bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+}
+
+function readUint32BE(bytes, offset) {
+    // >>> 0 keeps the result positive (JavaScript's << works on signed numbers)
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+function readText(bytes, offset, length) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function startsWith(bytes, signature, offset = 0) {
+    return signature.every((byte, index) => bytes[offset + index] === byte);
+}
+
+/*
+    Detect Image Type
+
+    Works out an image's real type from its magic bytes
+
+    Parameters:
+    - bytes: The start of the file as a Uint8Array
+
+    Returns:
+    - A MIME type from SUPPORTED_IMAGE_TYPES, or null if it isn't one of them
+*/
+export function detectImageType(bytes) {
+    if (startsWith(bytes, [0xFF, 0xD8, 0xFF])) {
+        return 'image/jpeg';
+    }
+    if (startsWith(bytes, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+        return 'image/png';
+    }
+    if (readText(bytes, 0, 6) === 'GIF87a' || readText(bytes, 0, 6) === 'GIF89a') {
+        return 'image/gif';
+    }
+    if (readText(bytes, 0, 4) === 'RIFF' && readText(bytes, 8, 4) === 'WEBP') {
+        return 'image/webp';
+    }
+    if (readText(bytes, 4, 4) === 'ftyp' && getFtypBrands(bytes).some((brand) => brand === 'avif' || brand === 'avis')) {
+        return 'image/avif';
+    }
+    return null;
+}
+
+/*
+    AVIF files start with an "ftyp" box listing the formats ("brands") they follow
+    Layout: size (4 bytes), "ftyp", major brand, version (4 bytes), compatible brands...
+*/
+function getFtypBrands(bytes) {
+    const boxSize = Math.min(readUint32BE(bytes, 0), bytes.length);
+    const brands = [readText(bytes, 8, 4)];
+
+    for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+        brands.push(readText(bytes, offset, 4));
+    }
+    return brands;
+}
+
+/*
+    Read the width and height from each format's header
+    Each returns { width, height }, or null if the header doesn't make sense
+*/
+function readPngSize(bytes) {
+    // The first chunk is always IHDR, which starts with the width and height
+    if (readText(bytes, 12, 4) !== 'IHDR') {
+        return null;
+    }
+    return { width: readUint32BE(bytes, 16), height: readUint32BE(bytes, 20) };
+}
+
+function readGifSize(bytes) {
+    return { width: readUint16LE(bytes, 6), height: readUint16LE(bytes, 8) };
+}
+
+/*
+    A JPEG is a list of "segments", each starting with 0xFF and a marker byte
+    We skip from segment to segment until we reach a "start of frame" (SOF),
+    which holds the image size
+*/
+function readJpegSize(bytes) {
+    let offset = 2;
+
+    while (offset + 9 <= bytes.length) {
+        if (bytes[offset] !== 0xFF) {
+            return null;
+        }
+
+        const marker = bytes[offset + 1];
+
+        // Padding bytes - just move on
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+
+        // Markers with no data after them
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) {
+            offset += 2;
+            continue;
+        }
+
+        // SOF markers are 0xC0-0xCF, except 0xC4, 0xC8 and 0xCC which mean other things
+        if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+            return { height: readUint16BE(bytes, offset + 5), width: readUint16BE(bytes, offset + 7) };
+        }
+
+        // Any other segment: its length follows the marker, so jump over it
+        offset += 2 + readUint16BE(bytes, offset + 2);
+    }
+
+    return null;
+}
+
+/*
+    WebP comes in three flavours, each with the size stored differently:
+    - "VP8 " (lossy), "VP8L" (lossless) and "VP8X" (extended, e.g. with transparency or animation)
+*/
+function readWebpSize(bytes) {
+    const chunk = readText(bytes, 12, 4);
+
+    if (chunk === 'VP8 ' && startsWith(bytes, [0x9D, 0x01, 0x2A], 23)) {
+        return { width: readUint16LE(bytes, 26) & 0x3FFF, height: readUint16LE(bytes, 28) & 0x3FFF };
+    }
+    if (chunk === 'VP8L' && bytes[20] === 0x2F) {
+        const [b0, b1, b2, b3] = bytes.subarray(21, 25);
+        return {
+            width: 1 + (((b1 & 0x3F) << 8) | b0),
+            height: 1 + (((b3 & 0x0F) << 10) | (b2 << 2) | ((b1 & 0xC0) >> 6))
+        };
+    }
+    if (chunk === 'VP8X') {
+        return { width: 1 + readUint24LE(bytes, 24), height: 1 + readUint24LE(bytes, 27) };
+    }
+    return null;
+}
+
+/*
+    AVIF stores the size in "ispe" (image spatial extents) boxes
+    A file can have several (e.g. one for a built-in thumbnail), so we use the biggest
+*/
+function readAvifSize(bytes) {
+    let largest = null;
+
+    for (let offset = 4; offset + 16 <= bytes.length; offset++) {
+        if (bytes[offset] === 0x69 && readText(bytes, offset, 4) === 'ispe') {
+            // "ispe", then 4 bytes of version/flags, then width and height
+            const width = readUint32BE(bytes, offset + 8);
+            const height = readUint32BE(bytes, offset + 12);
+
+            if (!largest || width * height > largest.width * largest.height) {
+                largest = { width, height };
+            }
+        }
+    }
+    return largest;
+}
+
+const SIZE_READERS = {
+    'image/jpeg': readJpegSize,
+    'image/png': readPngSize,
+    'image/gif': readGifSize,
+    'image/webp': readWebpSize,
+    'image/avif': readAvifSize
+};
+
+/*
+    Read Image Size
+
+    Parameters:
+    - bytes: The start of the file as a Uint8Array
+    - type: The type returned by detectImageType()
+
+    Returns:
+    - { width, height } in pixels, or null if the header can't be read
+*/
+export function readImageSize(bytes, type) {
+    const size = SIZE_READERS[type](bytes);
+    return size && size.width > 0 && size.height > 0 ? size : null;
+}
+
+/*
+    Validate Image File
+
+    Checks, in this order:
+    1. There is a file and it isn't empty
+    2. Its magic bytes say it is a JPEG, PNG, GIF, WebP or AVIF
+    3. Its header can be read, and it isn't too many pixels
+    4. It is no bigger than MAX_FILE_SIZE
+
+    The size check comes last on purpose: a file that is only too big can
+    still be shrunk by the upload form, and by then we know it is safe to decode.
+
+    Parameters:
+    - file: The File (or Blob) to check
+
+    Returns a Promise for:
+    - { valid: true, type, width, height }, or
+    - { valid: false, code, ... } where code is one of the 'validation/...' codes above
+      (type, width and height are included when they are known)
+
+    type is the real type found in the file, which may differ from file.type
+*/
+export async function validateImageFile(file) {
+    if (!file) {
+        return { valid: false, code: 'validation/no-file' };
+    }
+    if (file.size === 0) {
+        return { valid: false, code: 'validation/empty-file' };
+    }
+
+    const bytes = new Uint8Array(await file.slice(0, HEADER_BYTES).arrayBuffer());
+    const type = detectImageType(bytes);
+
+    if (!type) {
+        return { valid: false, code: 'validation/unsupported-type' };
+    }
+
+    if (file.type && file.type !== type) {
+        console.warn(`${file.name} says it is ${file.type} but is really ${type}`);
+    }
+
+    const size = readImageSize(bytes, type);
+
+    if (!size) {
+        return { valid: false, code: 'validation/corrupt-header', type };
+    }
+    if (size.width * size.height > MAX_PIXELS) {
+        return { valid: false, code: 'validation/too-many-pixels', type, ...size };
+    }
+    if (file.size > MAX_FILE_SIZE) {
+        return { valid: false, code: 'validation/file-too-large', type, ...size };
+    }
+
+    return { valid: true, type, ...size };
+}
+
+/*
+    Give a file the type we detected
+    Storage saves file.type as the content type, so a file with a wrong
+    or missing type gets a corrected copy (the bytes are not copied)
+*/
+export function withDetectedType(file, type) {
+    if (file.type === type) {
+        return file;
+    }
+    return new File([file], file.name, { type, lastModified: file.lastModified });
+}
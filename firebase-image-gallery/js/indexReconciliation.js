@@ -0,0 +1,147 @@
+/*
+    Index Reconciliation
+    Makes the image index match what is really in storage
+
+    The index (see js/imageIndex.js) is only a copy of information about
+    the files in storage, and copies can drift:
+    - Images uploaded before the index existed have no record
+    - An upload whose index write failed has no record
+    - A file deleted in the Firebase console still has a record
+    - Records saved by an older version of the gallery lack newer fields
+      (such as sortName, which the index sorts by)
+
+    reconcileImageIndex() walks through the user's storage folder, adds a
+    record for every image that is missing one and removes records whose
+    file is gone. It reads every image's metadata and URLs, so it is slow
+    for big galleries - app.js only runs it automatically the first time
+    a user signs in, or when INDEX_VERSION has gone up since the last
+    time (and it can be run again from the console).
+*/
+
+import {
+    getStorageAdapter,
+    getStorageUser,
+    getAlbumPath,
+    getImageData,
+    isHiddenFile,
+    addImageToIndex
+} from './storage.js';
+import { getImageIndex, toIndexRecord, fromIndexRecord } from './imageIndex.js';
+import { RESERVED_FOLDER_NAMES } from './albums.js';
+
+/*
+    How many images are read from storage at the same time
+    A few at once is much faster than one by one, without flooding the network
+*/
+const RECONCILE_CONCURRENCY = 4;
+
+/*
+    The version of the index record layout
+    Raise it when records gain a field that queries depend on, so every
+    user's index is reconciled (and its old records updated) once more
+    2: Records have originalName
+    3: Records have sortName
+*/
+const INDEX_VERSION = 3;
+
+/*
+    List the path of every image in the user's gallery: the top level and every album
+    (thumbnail folders and hidden files are skipped)
+*/
+async function listStoredImagePaths(adapter, userRoot) {
+    const { items, prefixes } = await adapter.list(userRoot);
+    const albums = prefixes.filter((folder) => !RESERVED_FOLDER_NAMES.includes(folder.name));
+
+    const albumItems = await Promise.all(albums.map(async (folder) => {
+        const result = await adapter.list(`${userRoot}${folder.name}/`);
+        return result.items;
+    }));
+
+    return [items, ...albumItems]
+        .flat()
+        .filter((item) => !isHiddenFile(item.name))
+        .map((item) => item.fullPath);
+}
+
+/*
+    Is the Image Index Ready?
+    Whether the signed-in user's index has been reconciled since INDEX_VERSION last changed
+
+    Returns:
+    - A Promise for true or false
+*/
+export async function isImageIndexReady() {
+    const status = await getImageIndex().getStatus(getStorageUser());
+    return Boolean(status && status.reconciledAt && status.version >= INDEX_VERSION);
+}
+
+/*
+    Reconcile Image Index
+
+    Parameters:
+    - options:
+        - onProgress: Called with { done, total } as missing images are added
+
+    Returns:
+    - A Promise for { added, removed, updated, total }
+      (total is how many images storage holds)
+*/
+export async function reconcileImageIndex(options = {}) {
+    const { onProgress = () => {} } = options;
+
+    // Read the user once - if someone else signs in half-way, we keep working on the first user
+    const uid = getStorageUser();
+    const userRoot = getAlbumPath(null);
+    const adapter = getStorageAdapter();
+    const index = getImageIndex();
+
+    try {
+        const [storedPaths, { records }] = await Promise.all([
+            listStoredImagePaths(adapter, userRoot),
+            index.query(uid)
+        ]);
+
+        const indexedPaths = new Set(records.map((record) => record.fullPath));
+        const storedSet = new Set(storedPaths);
+
+        const missing = storedPaths.filter((path) => !indexedPaths.has(path));
+        const stale = [...indexedPaths].filter((path) => !storedSet.has(path));
+
+        /*
+            Records from before originalName or sortName was saved
+            fromIndexRecord() works the name out from the old-style file name,
+            and toIndexRecord() adds the sortName
+        */
+        const outdated = records.filter((record) => !record.sortName && storedSet.has(record.fullPath));
+
+        /*
+            Add the missing images, a few at a time
+            Each worker takes the next path from the list until none are left
+        */
+        let next = 0;
+        let done = 0;
+        const addNext = async () => {
+            while (next < missing.length) {
+                const path = missing[next++];
+                try {
+                    await addImageToIndex(await getImageData(path), uid);
+                } catch (error) {
+                    console.warn(`Could not index ${path}:`, error);
+                }
+                onProgress({ done: ++done, total: missing.length });
+            }
+        };
+        await Promise.all(Array.from({ length: RECONCILE_CONCURRENCY }, addNext));
+
+        await Promise.all(stale.map((path) => index.remove(uid, path)));
+        await Promise.all(outdated.map((record) => index.save(uid, toIndexRecord(fromIndexRecord(record), uid))));
+        await index.setStatus(uid, { reconciledAt: Date.now(), version: INDEX_VERSION });
+
+        console.log(`Image index reconciled: ${missing.length} added, ${stale.length} removed, ${outdated.length} updated`);
+
+        return { added: missing.length, removed: stale.length, updated: outdated.length, total: storedPaths.length };
+    } catch (error) {
+        console.error('Error reconciling the image index:', error);
+        throw error; // Re-throw so calling code can handle it
+    }
+}
@@ -0,0 +1,147 @@
+/*
+    Live Updates
+    Keeps the gallery on screen in step with the image index
+
+    Instead of asking for the listing again every few seconds, the gallery
+    "watches" the first page of the index (see watchImagesPage() in
+    js/storage.js). The index sends the page again whenever it changes - an
+    upload from another tab, a delete on another device, an edited caption -
+    and diffImageListing() works out which cards need to change, so only
+    those are touched. Rebuilding the whole grid would lose the scroll
+    position and flash every image.
+
+    Watching is paused while the page is hidden (another browser tab is in
+    front, or the window is minimised): nobody can see the changes, and an
+    open listener costs network and battery. When the page is shown again
+    the watch starts over, and its first result catches up on anything
+    missed in the meantime.
+*/
+
+import { watchImagesPage, DEFAULT_PAGE_SIZE } from './storage.js';
+import { compareImages } from './imageIndex.js';
+
+/*
+    The fields that change what an image's card shows
+    If any of them differ, the card is rebuilt
+*/
+const DISPLAYED_FIELDS = ['url', 'thumbnailUrl', 'title', 'caption', 'tags', 'size', 'width', 'height', 'exif'];
+
+// Whether an image's card would look different with the latest data
+function hasDisplayChanges(current, latest) {
+    return DISPLAYED_FIELDS.some((field) => JSON.stringify(current[field]) !== JSON.stringify(latest[field]));
+}
+
+/*
+    Diff Image Listing
+
+    Compares the images on screen with the latest first page from the index
+
+    The latest page only covers the first pageSize images, while the screen
+    may show several pages. An image missing from the latest page has only
+    been deleted (or moved away) if it would have been inside that page -
+    otherwise it has simply been pushed onto a later page by newer images.
+
+    Parameters:
+    - currentImages: The images on screen, in grid order (appState.images)
+    - latestImages: The first page from the index
+    - options: { pageSize, orderBy, direction } - the same as the watch used
+
+    Returns:
+    - { added, removed, updated }
+        - added: [{ image, index }] - apply in order; each index is the
+          position in the grid after the removals and earlier additions
+        - removed: fullPaths of images to take off the screen
+        - updated: images whose card should be rebuilt
+*/
+export function diffImageListing(currentImages, latestImages, {
+    pageSize = DEFAULT_PAGE_SIZE,
+    orderBy = 'uploadedAt',
+    direction = 'desc'
+} = {}) {
+    const latestByPath = new Map(latestImages.map((image) => [image.fullPath, image]));
+    const currentByPath = new Map(currentImages.map((image) => [image.fullPath, image]));
+
+    // A page shorter than pageSize is the whole listing
+    const lastLatest = latestImages[latestImages.length - 1];
+    const isInsideLatestPage = (image) => latestImages.length < pageSize
+        || compareImages(image, lastLatest, orderBy, direction) < 0;
+
+    const removed = currentImages
+        .filter((image) => !latestByPath.has(image.fullPath) && isInsideLatestPage(image))
+        .map((image) => image.fullPath);
+
+    const updated = latestImages.filter((image) => {
+        const current = currentByPath.get(image.fullPath);
+        return current && hasDisplayChanges(current, image);
+    });
+
+    /*
+        Each new image goes straight after the image that comes before it
+        in the latest page (or first, if nothing does)
+    */
+    const removedPaths = new Set(removed);
+    const order = currentImages
+        .map((image) => image.fullPath)
+        .filter((fullPath) => !removedPaths.has(fullPath));
+    const added = [];
+
+    latestImages.forEach((image, position) => {
+        if (currentByPath.has(image.fullPath)) {
+            return;
+        }
+        const previous = latestImages[position - 1];
+        const index = previous ? order.indexOf(previous.fullPath) + 1 : 0;
+
+        order.splice(index, 0, image.fullPath);
+        added.push({ image, index });
+    });
+
+    return { added, removed, updated };
+}
+
+/*
+    Watch Gallery
+
+    Watches the first page of the gallery while the page is visible
+
+    Parameters:
+    - options: { album, pageSize, orderBy, direction } (see watchImagesPage())
+    - onChange: Called with the latest first page each time it changes
+
+    Returns:
+    - A function that stops watching for good
+*/
+export function watchGallery(options, onChange) {
+    let unsubscribe = null;
+
+    const start = () => {
+        if (!unsubscribe) {
+            unsubscribe = watchImagesPage(options, onChange);
+        }
+    };
+
+    const stop = () => {
+        if (unsubscribe) {
+            unsubscribe();
+            unsubscribe = null;
+        }
+    };
+
+    const handleVisibilityChange = () => {
+        if (document.hidden) {
+            stop();
+        } else {
+            start();
+        }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    if (!document.hidden) {
+        start();
+    }
+
+    return () => {
+        document.removeEventListener('visibilitychange', handleVisibilityChange);
+        stop();
+    };
+}
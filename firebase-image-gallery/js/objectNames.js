@@ -0,0 +1,108 @@
+/*
+    Object Names
+    How uploaded files are named in storage, and how to read the names back
+
+    Each upload is saved under a random ID instead of the name it had on
+    the user's computer:
+
+        images/<uid>/3f2b8c1e-7d4a-4e9b-a1c2-5b6d7e8f9a0b.jpg
+
+    - No two uploads can ever get the same name, even if they start in the
+      same millisecond
+    - The path only contains letters, digits and dashes, so characters like
+      #, ? or é (which need escaping in URLs) never end up in it
+    - The original file name and the upload time are kept in the file's
+      custom metadata (originalName and uploadedAt), where they can't be
+      confused with each other
+
+    Older uploads were named "<milliseconds>_<original name>", e.g.
+    "1700000000000_my_photo.jpg". readObjectName() still understands those.
+*/
+
+/*
+    The file extension to use for each image type
+    Only the extension comes from the type - the original name is never used in the path
+*/
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/avif': 'avif'
+};
+
+/*
+    Old-style names: at least 10 digits (a time in milliseconds), an
+    underscore, then the original name. Names that merely contain an
+    underscore (like "IMG_1234.jpg") don't match
+*/
+const LEGACY_NAME_PATTERN = /^(\d{10,})_(.+)$/;
+
+/*
+    A random ID (version 4 UUID)
+    crypto.randomUUID() is only available on https:// and localhost pages
+    (and in newer browsers), so the same thing is built from random bytes otherwise
+*/
+function createId() {
+    if (typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // Variant bits
+    const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/*
+    Create Object Name
+
+    Parameters:
+    - file: The File being uploaded (its type picks the extension)
+
+    Returns:
+    - A new name like "3f2b8c1e-7d4a-4e9b-a1c2-5b6d7e8f9a0b.jpg"
+*/
+export function createObjectName(file) {
+    const extension = getExtensionForType(file.type);
+    return extension ? `${createId()}.${extension}` : createId();
+}
+
+/*
+    Get Extension For Type
+    The file extension for an image type, without the dot
+
+    Example:
+    getExtensionForType('image/jpeg') -> 'jpg'
+    getExtensionForType('text/plain') -> null
+*/
+export function getExtensionForType(contentType) {
+    return EXTENSIONS[contentType] || null;
+}
+
+/*
+    Read Object Name
+    Works out the original file name and upload time of a stored file
+
+    Parameters:
+    - name: The file's name in storage (the last part of its path)
+    - customMetadata: Its custom metadata (may be empty for old uploads)
+
+    Returns:
+    - { originalName, uploadedAt }
+        uploadedAt is in milliseconds, or null if neither the metadata
+        nor the name says (the caller can fall back to the storage's own time)
+
+    Example:
+    readObjectName('1700000000000_my_photo.jpg', {})
+    -> { originalName: 'my_photo.jpg', uploadedAt: 1700000000000 }
+*/
+export function readObjectName(name, customMetadata = {}) {
+    const legacy = LEGACY_NAME_PATTERN.exec(name || '');
+
+    return {
+        originalName: customMetadata.originalName || (legacy ? legacy[2] : name),
+        uploadedAt: Number(customMetadata.uploadedAt) || (legacy ? Number(legacy[1]) : null)
+    };
+}
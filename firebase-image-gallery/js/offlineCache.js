@@ -0,0 +1,156 @@
+/*
+    Offline Cache
+    Remembers the last gallery listing so it can be shown without a network
+
+    Two kinds of things are kept on the device:
+    1. Listings - the image objects (URLs, names, details) of the first page
+       of each album, saved in IndexedDB by this file
+    2. The image files themselves - saved by the service worker (sw.js)
+       the first time the browser downloads them
+
+    With both, the gallery can show the last images it saw straight away,
+    then check with the server for anything new ("stale-while-revalidate").
+    If the server can't be reached, the saved copy is all the user sees.
+
+    Everything is saved per user and deleted on sign out, so the next
+    person to use the browser can't see it.
+*/
+
+const DATABASE_NAME = 'firebase-image-gallery-cache';
+const DATABASE_VERSION = 1;
+const LISTINGS_STORE = 'listings';
+
+/*
+    The Cache Storage name the service worker saves image files in
+    (sw.js uses the same name)
+*/
+export const IMAGE_CACHE_NAME = 'gallery-images';
+
+/*
+    IndexedDB uses events, not Promises - see js/adapters/indexedDbAdapter.js
+*/
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/*
+    Open the database once and share it
+    Resolves with null in browsers without IndexedDB, so callers can just skip caching
+*/
+let databasePromise = null;
+
+function openDatabase() {
+    if (!databasePromise) {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.resolve(null);
+        }
+
+        const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+        request.onupgradeneeded = () => {
+            // Each record is { key, uid, images, albums, savedAt }, keyed by "uid/album"
+            request.result.createObjectStore(LISTINGS_STORE, { keyPath: 'key' });
+        };
+        databasePromise = requestToPromise(request);
+    }
+    return databasePromise;
+}
+
+async function withStore(mode, operation) {
+    const db = await openDatabase();
+    if (!db) {
+        return null;
+    }
+    const transaction = db.transaction(LISTINGS_STORE, mode);
+    return requestToPromise(operation(transaction.objectStore(LISTINGS_STORE)));
+}
+
+// The top level is saved under an empty album name
+const listingKey = (uid, album) => `${uid}/${album || ''}`;
+
+/*
+    Save Cached Listing
+
+    Parameters:
+    - uid: The signed-in user's id
+    - album: The album the listing belongs to (null for the top level)
+    - listing: { images, albums } as shown in the gallery
+
+    Caching is a nice extra, so failures are only logged
+*/
+export async function saveCachedListing(uid, album, { images, albums = [] }) {
+    try {
+        await withStore('readwrite', (store) => store.put({
+            key: listingKey(uid, album),
+            uid,
+            images,
+            albums,
+            savedAt: Date.now()
+        }));
+    } catch (error) {
+        console.warn('Could not save the gallery for offline use:', error);
+    }
+}
+
+/*
+    Load Cached Listing
+
+    Returns:
+    - A Promise for { images, albums, savedAt }, or null if nothing was saved
+*/
+export async function loadCachedListing(uid, album) {
+    try {
+        return await withStore('readonly', (store) => store.get(listingKey(uid, album))) || null;
+    } catch (error) {
+        console.warn('Could not read the saved gallery:', error);
+        return null;
+    }
+}
+
+/*
+    Clear Offline Cache
+
+    Deletes the saved listings of one user and every saved image file
+    (the service worker's cache isn't split by user, so it is emptied completely)
+
+    Parameters:
+    - uid: The user whose listings should go
+*/
+export async function clearOfflineCache(uid) {
+    try {
+        const range = IDBKeyRange.bound(`${uid}/`, `${uid}/\uffff`);
+        await withStore('readwrite', (store) => store.delete(range));
+
+        if (typeof caches !== 'undefined') {
+            await caches.delete(IMAGE_CACHE_NAME);
+        }
+    } catch (error) {
+        console.warn('Could not clear the offline cache:', error);
+    }
+}
+
+/*
+    Register Service Worker
+
+    The service worker (sw.js) sits between the page and the network. It
+    keeps copies of the app's own files and of every image the gallery
+    shows, and hands those copies back when the network is down.
+
+    Service workers only run over https:// or on localhost, so this
+    quietly does nothing anywhere else.
+*/
+export async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        console.log('Service workers are not supported - the gallery will not work offline');
+        return;
+    }
+
+    try {
+        await navigator.serviceWorker.register('sw.js');
+        console.log('Service worker registered');
+    } catch (error) {
+        console.warn('Service worker registration failed:', error);
+    }
+}
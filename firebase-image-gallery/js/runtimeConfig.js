@@ -0,0 +1,294 @@
+/*
+    Runtime Configuration
+    Loads the Firebase settings when the page opens, instead of baking them into the code
+
+    Why?
+    Different copies of the gallery talk to different Firebase projects:
+    your laptop uses the local emulators, the staging site uses a test
+    project and the live site uses the real one. Keeping the settings out of
+    the JavaScript means the same code runs everywhere - only the
+    configuration changes.
+
+    Where the configuration comes from (the first one found is used):
+    1. A <script type="application/json" id="gallery-config"> block in index.html
+    2. The file config.json next to index.html
+
+    The configuration names one or more environments:
+
+    {
+        "defaultEnvironment": "prod",
+        "environments": {
+            "dev": {
+                "firebase": { "apiKey": "...", "projectId": "demo-gallery", ... },
+                "emulators": {
+                    "auth":      { "host": "127.0.0.1", "port": 9099 },
+                    "firestore": { "host": "127.0.0.1", "port": 8080 },
+                    "storage":   { "host": "127.0.0.1", "port": 9199 }
+                }
+            },
+            "prod": { "firebase": { ... } }
+        }
+    }
+
+    A configuration with only one environment can leave out "environments"
+    and just contain { "firebase": { ... }, "emulators": { ... } }.
+
+    The environment is picked from:
+    1. The ?env= query parameter, e.g. index.html?env=dev
+    2. The last environment chosen with the query parameter (saved in localStorage)
+    3. defaultEnvironment (or the first environment listed)
+
+    Nothing here throws: every problem found (a missing file, a field left
+    as a placeholder, a port that isn't a number...) is collected in
+    config.problems as { field, message }, so they can all be shown at once.
+*/
+
+// The id of the <script type="application/json"> block in index.html
+export const CONFIG_ELEMENT_ID = 'gallery-config';
+
+// The configuration file, relative to index.html
+export const CONFIG_URL = 'config.json';
+
+/*
+    The fields every environment needs in its "firebase" section
+    (the values are in Firebase Console → Project settings → Your apps)
+*/
+export const REQUIRED_FIREBASE_FIELDS = ['apiKey', 'authDomain', 'projectId', 'storageBucket', 'appId'];
+
+// The Firebase services that can be pointed at a local emulator
+export const EMULATOR_SERVICES = ['auth', 'firestore', 'storage'];
+
+// Values copied from an example instead of the Firebase Console
+const PLACEHOLDER_PATTERN = /your[-_ ]|^<.*>$|^x+$/i;
+
+/*
+    The configuration in use
+    This is set once at startup by loadRuntimeConfig()
+*/
+let activeConfig = null;
+
+/*
+    Load Runtime Configuration
+
+    Returns:
+    - A Promise for the configuration:
+        - source: Where it came from ('script' or 'config.json'), null if nowhere
+        - environment: Name of the chosen environment (null if there isn't one)
+        - environments: Names of every environment in the configuration
+        - firebase: The chosen environment's Firebase settings
+        - emulators: { auth, firestore, storage } - each { host, port } or null
+        - problems: [{ field, message }] - empty when everything is fine
+*/
+export async function loadRuntimeConfig() {
+    const { source, raw, problem } = await readRawConfig();
+
+    activeConfig = problem
+        ? { ...emptyConfig(), source, problems: [problem] }
+        : { ...resolveEnvironment(raw), source };
+
+    if (activeConfig.environment) {
+        console.log(`Using the '${activeConfig.environment}' configuration from ${source}`);
+    }
+    return activeConfig;
+}
+
+/*
+    Get the configuration loaded by loadRuntimeConfig()
+    Throws if it hasn't been loaded yet
+*/
+export function getRuntimeConfig() {
+    if (!activeConfig) {
+        throw new Error('No configuration loaded. Call loadRuntimeConfig() first.');
+    }
+    return activeConfig;
+}
+
+/*
+    Validate One Environment
+
+    Checks the firebase and emulators sections field by field
+
+    Parameters:
+    - environment: One environment's settings ({ firebase, emulators })
+
+    Returns:
+    - An array of { field, message } - empty if the environment is usable
+*/
+export function validateEnvironment(environment) {
+    const problems = [];
+    const firebase = environment.firebase;
+
+    if (!isObject(firebase)) {
+        problems.push({ field: 'firebase', message: 'is missing - copy the firebaseConfig object from Project settings' });
+    } else {
+        REQUIRED_FIREBASE_FIELDS.forEach((field) => {
+            const message = checkFirebaseField(field, firebase[field]);
+            if (message) {
+                problems.push({ field: `firebase.${field}`, message });
+            }
+        });
+    }
+
+    const emulators = environment.emulators || {};
+    if (!isObject(emulators)) {
+        problems.push({ field: 'emulators', message: 'must be an object like { "storage": { "host": "127.0.0.1", "port": 9199 } }' });
+        return problems;
+    }
+
+    Object.entries(emulators).forEach(([service, emulator]) => {
+        const field = `emulators.${service}`;
+
+        if (!EMULATOR_SERVICES.includes(service)) {
+            problems.push({ field, message: `is not a service that can be emulated (use ${EMULATOR_SERVICES.join(', ')})` });
+        } else if (!isObject(emulator)) {
+            problems.push({ field, message: 'must be an object like { "host": "127.0.0.1", "port": 9199 }' });
+        } else {
+            if (typeof emulator.host !== 'string' || emulator.host.trim() === '') {
+                problems.push({ field: `${field}.host`, message: 'is missing - usually "127.0.0.1"' });
+            }
+            if (!Number.isInteger(emulator.port) || emulator.port < 1 || emulator.port > 65535) {
+                problems.push({ field: `${field}.port`, message: 'must be a whole number between 1 and 65535 (without quotes)' });
+            }
+        }
+    });
+
+    return problems;
+}
+
+/*
+    Read the configuration from the page, or failing that from config.json
+
+    Returns:
+    - { source, raw } on success, or { source, problem } if it can't be read
+*/
+async function readRawConfig() {
+    const element = document.getElementById(CONFIG_ELEMENT_ID);
+
+    if (element) {
+        try {
+            return { source: 'script', raw: JSON.parse(element.textContent) };
+        } catch (error) {
+            return {
+                source: 'script',
+                problem: { field: `<script id="${CONFIG_ELEMENT_ID}">`, message: `is not valid JSON (${error.message})` }
+            };
+        }
+    }
+
+    try {
+        // no-cache: always check for a newer copy, so configuration changes show up straight away
+        const response = await fetch(CONFIG_URL, { cache: 'no-cache' });
+
+        if (!response.ok) {
+            return {
+                source: null,
+                problem: { field: CONFIG_URL, message: `could not be loaded (HTTP ${response.status}) - copy config.example.json to ${CONFIG_URL}` }
+            };
+        }
+        return { source: CONFIG_URL, raw: await response.json() };
+    } catch (error) {
+        return {
+            source: CONFIG_URL,
+            problem: { field: CONFIG_URL, message: `could not be read (${error.message})` }
+        };
+    }
+}
+
+/*
+    Pick the environment to use and check it
+*/
+function resolveEnvironment(raw) {
+    if (!isObject(raw)) {
+        return { ...emptyConfig(), problems: [{ field: 'configuration', message: 'must be a JSON object' }] };
+    }
+
+    // A configuration without "environments" is one unnamed environment (and ?env= is ignored)
+    const isSingle = raw.environments === undefined;
+    const environments = isSingle ? { default: raw } : raw.environments;
+    if (!isObject(environments) || Object.keys(environments).length === 0) {
+        return { ...emptyConfig(), problems: [{ field: 'environments', message: 'must list at least one environment, e.g. { "prod": { "firebase": { ... } } }' }] };
+    }
+
+    const names = Object.keys(environments);
+    const { name, problem } = isSingle ? { name: 'default' } : chooseEnvironment(names, raw.defaultEnvironment);
+
+    if (problem) {
+        return { ...emptyConfig(), environments: names, problems: [problem] };
+    }
+
+    const environment = isObject(environments[name]) ? environments[name] : {};
+    const emulators = isObject(environment.emulators) ? environment.emulators : {};
+
+    return {
+        environment: name,
+        environments: names,
+        firebase: isObject(environment.firebase) ? { ...environment.firebase } : {},
+        emulators: Object.fromEntries(EMULATOR_SERVICES.map((service) => [service, emulators[service] || null])),
+        problems: validateEnvironment(environment)
+    };
+}
+
+/*
+    Choose the environment from the ?env= parameter, the last one chosen,
+    or the default - in that order
+*/
+function chooseEnvironment(names, defaultEnvironment) {
+    const requested = new URLSearchParams(window.location.search).get('env');
+
+    if (requested) {
+        if (!names.includes(requested)) {
+            return { problem: { field: '?env', message: `"${requested}" is not one of the environments (${names.join(', ')})` } };
+        }
+        localStorage.setItem('gallery-environment', requested);
+        return { name: requested };
+    }
+
+    const remembered = localStorage.getItem('gallery-environment');
+    if (names.includes(remembered)) {
+        return { name: remembered };
+    }
+
+    if (defaultEnvironment !== undefined && !names.includes(defaultEnvironment)) {
+        return { problem: { field: 'defaultEnvironment', message: `"${defaultEnvironment}" is not one of the environments (${names.join(', ')})` } };
+    }
+    return { name: defaultEnvironment || names[0] };
+}
+
+/*
+    Check one Firebase setting
+    Returns a message describing what is wrong, or null if it looks right
+*/
+function checkFirebaseField(field, value) {
+    if (value === undefined || value === null || value === '') {
+        return 'is missing';
+    }
+    if (typeof value !== 'string') {
+        return 'must be text (in quotes)';
+    }
+    if (PLACEHOLDER_PATTERN.test(value)) {
+        return `still has the placeholder value "${value}" - copy the real value from Project settings`;
+    }
+    if (field === 'authDomain' && /^https?:\/\//.test(value)) {
+        return 'should be just the domain, without https:// (e.g. my-project.firebaseapp.com)';
+    }
+    if (field === 'storageBucket' && value.startsWith('gs://')) {
+        return 'should be just the bucket name, without gs:// (e.g. my-project.appspot.com)';
+    }
+    if (field === 'projectId' && !/^[a-z0-9-]+$/.test(value)) {
+        return 'can only contain lowercase letters, numbers and dashes';
+    }
+    return null;
+}
+
+function emptyConfig() {
+    return {
+        source: null,
+        environment: null,
+        environments: [],
+        firebase: {},
+        emulators: Object.fromEntries(EMULATOR_SERVICES.map((service) => [service, null])),
+        problems: []
+    };
+}
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
@@ -0,0 +1,732 @@
+/*
+    Storage Module
+    The one place the rest of the app goes to upload, list and validate images
+
+    The components never talk to Firebase directly. Instead they call the
+    functions in this file, which pass the work on to a "storage adapter".
+
+    What is a storage adapter?
+    An adapter is an object that knows how to store files in one particular
+    place. Every adapter has the same methods, so this file doesn't care
+    which one it is talking to:
+
+    - name: A short label such as 'firebase', 'memory' or 'indexeddb'
+    - upload(path, file, { metadata, onProgress })
+        Starts an upload and returns a task: { promise, pause(), resume(), cancel() }
+        onProgress receives { bytesTransferred, totalBytes, state }
+        The promise resolves with the stored file's metadata
+    - list(prefix, { maxResults, pageToken })
+        Resolves with { items, prefixes, nextPageToken }
+        items and prefixes are files and subfolders, each { name, fullPath }
+        Without maxResults everything is returned; with it, one page is returned
+        and nextPageToken (null on the last page) is passed back to get the next one
+    - getURL(path)
+        Resolves with a URL the browser can display
+    - remove(path)
+        Deletes the file (rejects with 'storage/object-not-found' if it doesn't exist)
+    - getMetadata(path)
+        Resolves with { name, fullPath, size, contentType, timeCreated, updated, customMetadata }
+    - updateMetadata(path, { customMetadata })
+        Merges new custom metadata (string values; null removes a key) and resolves with the result
+    - download(path)
+        Resolves with the file's contents as a Blob
+
+    Available adapters (see js/adapters/):
+    - firebase:  Firebase Storage in the cloud
+    - memory:    A JavaScript Map - nothing is saved, great for demos and tests
+    - indexeddb: The browser's built-in database - survives reloads, works offline
+*/
+
+import { createFirebaseAdapter } from './adapters/firebaseAdapter.js';
+import { createMemoryAdapter } from './adapters/memoryAdapter.js';
+import { createIndexedDbAdapter } from './adapters/indexedDbAdapter.js';
+import { detailsToCustomMetadata, detailsFromCustomMetadata } from './imageDetails.js';
+import { exifToCustomMetadata, exifFromCustomMetadata } from './exif.js';
+import { createObjectName, readObjectName } from './objectNames.js';
+import { createThumbnails, fitWithin } from './imageProcessing.js';
+import { createRetryingUpload } from './uploadRetry.js';
+import { createStorageError } from './adapters/localBackend.js';
+import { getImageIndex, toIndexRecord, fromIndexRecord } from './imageIndex.js';
+
+/*
+    File validation lives in its own module, but is also available from
+    here so components can get everything upload-related from one place
+*/
+export { validateImageFile, getValidationMessage, MAX_FILE_SIZE } from './imageValidation.js';
+
+/*
+    Names of the backends createStorageAdapter() understands
+*/
+export const STORAGE_BACKENDS = ['firebase', 'memory', 'indexeddb'];
+
+/*
+    Where images live in storage
+    Every user has their own folder inside this one, named after their user id.
+    Images at the top level of a gallery are saved directly in that folder, and
+    each album is a subfolder of it: "images/{uid}/holiday/3f2b8c1e-7d4a-4e9b-a1c2-5b6d7e8f9a0b.jpg"
+    (every upload is named with a random ID - see js/objectNames.js)
+*/
+export const GALLERY_ROOT = 'images/';
+
+/*
+    The id of the signed-in user, or null when nobody is signed in
+    This is set by app.js whenever someone signs in or out
+*/
+let currentUserId = null;
+
+/*
+    Choose whose gallery the storage functions below work with
+
+    Parameters:
+    - uid: The signed-in user's id, or null after signing out
+*/
+export function setStorageUser(uid) {
+    currentUserId = uid || null;
+}
+
+/*
+    Get the signed-in user's id
+    Throws a 'storage/unauthenticated' error if nobody is signed in
+*/
+export function getStorageUser() {
+    if (!currentUserId) {
+        throw createStorageError('storage/unauthenticated', 'Sign in to use the gallery.');
+    }
+    return currentUserId;
+}
+
+/*
+    Files whose names start with a dot are the app's own bookkeeping
+    (like the ".album" marker that keeps an empty album folder alive)
+    and are never shown as images
+*/
+export function isHiddenFile(name) {
+    return name.startsWith('.');
+}
+
+/*
+    Get the storage folder for an album in the signed-in user's gallery
+    - getAlbumPath(null)      -> "images/{uid}/"
+    - getAlbumPath('holiday') -> "images/{uid}/holiday/"
+
+    Pass uid for another user's gallery (e.g. the user who started an upload).
+    Throws a 'storage/unauthenticated' error if it is left out and nobody is signed in
+*/
+export function getAlbumPath(album = null, uid = getStorageUser()) {
+    const userRoot = `${GALLERY_ROOT}${uid}/`;
+    return album ? `${userRoot}${album}/` : userRoot;
+}
+
+/*
+    Work out which album an image is in from its path
+    The first folder after images/ is the user's id, so the album comes next
+    - "images/{uid}/3f2b8c1e-7d4a-4e9b-a1c2-5b6d7e8f9a0b.jpg"         -> null (top level)
+    - "images/{uid}/holiday/3f2b8c1e-7d4a-4e9b-a1c2-5b6d7e8f9a0b.jpg" -> "holiday"
+*/
+export function getAlbumFromPath(fullPath) {
+    const folders = fullPath.slice(GALLERY_ROOT.length).split('/').slice(1, -1);
+    return folders.length > 0 ? folders[0] : null;
+}
+
+/*
+    Where thumbnails live
+    Each folder keeps its thumbnails in a "thumbs" subfolder, one folder per size:
+    "images/{uid}/holiday/3f2b8c1e-7d4a-4e9b-a1c2-5b6d7e8f9a0b.jpg"
+        -> "images/{uid}/holiday/thumbs/320/3f2b8c1e-7d4a-4e9b-a1c2-5b6d7e8f9a0b.jpg"
+*/
+export const THUMBNAILS_FOLDER = 'thumbs';
+
+export function getThumbnailPath(fullPath, size) {
+    const slashIndex = fullPath.lastIndexOf('/');
+    const folder = fullPath.slice(0, slashIndex + 1);
+    const fileName = fullPath.slice(slashIndex + 1);
+    return `${folder}${THUMBNAILS_FOLDER}/${size}/${fileName}`;
+}
+
+/*
+    Read which thumbnail sizes an image has from its custom metadata
+    Images uploaded before thumbnails existed have none: []
+*/
+export function getThumbnailSizes(customMetadata = {}) {
+    return (customMetadata.thumbnails || '')
+        .split(',')
+        .map(Number)
+        .filter((size) => size > 0);
+}
+
+/*
+    The adapter currently in use
+    This is set once at startup by initializeApp() in app.js
+*/
+let activeAdapter = null;
+
+/*
+    Create a storage adapter by name
+
+    Parameters:
+    - backend: One of STORAGE_BACKENDS
+    - options: Passed through to the adapter's factory function
+
+    Returns:
+    - A Promise for the adapter
+*/
+export async function createStorageAdapter(backend, options = {}) {
+    switch (backend) {
+        case 'firebase':
+            return createFirebaseAdapter(options);
+        case 'memory':
+            return createMemoryAdapter(options);
+        case 'indexeddb':
+            return createIndexedDbAdapter(options);
+        default:
+            throw new Error(`Unknown storage backend: ${backend}`);
+    }
+}
+
+/*
+    Choose which adapter the storage functions below will use
+*/
+export function setStorageAdapter(adapter) {
+    activeAdapter = adapter;
+    console.log(`Using '${adapter.name}' storage backend`);
+}
+
+/*
+    Get the adapter currently in use
+    Throws if initializeApp() hasn't chosen one yet - this makes
+    "forgot to set up storage" mistakes easy to spot in the console
+*/
+export function getStorageAdapter() {
+    if (!activeAdapter) {
+        throw new Error('No storage backend selected. Call setStorageAdapter() first.');
+    }
+    return activeAdapter;
+}
+
+/*
+    Upload File
+
+    This function handles the complete upload process:
+    1. Creates a unique filename (see js/objectNames.js)
+    2. Decides where the file will be saved (its path)
+    3. Starts the upload using the active storage adapter
+    4. Monitors progress
+    5. Retries automatically if the network or server has a temporary problem
+    6. Makes and uploads thumbnails once the original is saved
+    7. Adds the image to the image index (see js/imageIndex.js)
+    8. Returns the download URL when complete
+
+    Parameters:
+    - file: The File object from the input element
+    - onProgress: Callback function that receives progress percentage
+    - onError: Callback function that receives error information
+    - onComplete: Callback function that receives the new image object
+      (the same shape listImagesPage() returns)
+    - options: Optional settings
+        - details: { title, caption, tags } saved as custom metadata
+        - album: Name of the album to upload into (leave out for the top level)
+        - retry: Retry settings { maxAttempts, baseDelay, maxDelay } (see js/uploadRetry.js)
+        - onRetry: Called with { attempt, maxAttempts, delay, error } when a retry is coming up
+        - contentHash: The SHA-256 of the file the user chose (see js/contentHash.js),
+          saved in the custom metadata so duplicates can be found later
+        - exif: Camera details from readExif() (see js/exif.js), saved as custom metadata
+        - originalName: The name to remember for the file (defaults to file.name -
+          pass the chosen file's name when uploading a resized copy)
+        - uid: Whose gallery to upload into (defaults to the signed-in user).
+          The upload queue passes the user who added the file, so a file that
+          was waiting never ends up in the next user's gallery
+
+    Why use callbacks?
+    File uploads are asynchronous (take time), so we use callbacks to handle
+    different stages of the upload process without blocking the rest of the app
+
+    Returns:
+    - The upload task, so it can be paused, resumed or canceled if needed
+      (this keeps working across retries)
+*/
+export function uploadFile(file, onProgress, onError, onComplete, options = {}) {
+    const { details = {}, album = null, retry = {}, onRetry = () => {}, contentHash = null, exif = null, originalName = file && file.name, uid: ownerUid = null } = options;
+
+    // Validate that we have a file
+    if (!file) {
+        onError(new Error('No file provided'));
+        return;
+    }
+
+    // Remember who is uploading - they may sign out before it finishes
+    let uid;
+    try {
+        uid = ownerUid || getStorageUser();
+    } catch (error) {
+        onError(error); // Nobody is signed in
+        return;
+    }
+
+    const adapter = getStorageAdapter();
+
+    // Create a unique filename from a random ID
+    // This prevents files with the same name from overwriting each other
+    // Example: "3f2b8c1e-7d4a-4e9b-a1c2-5b6d7e8f9a0b.jpg"
+    const filename = createObjectName(file);
+    const fullPath = `${getAlbumPath(album, uid)}${filename}`;
+
+    // The name the user knows the file by, and when it was uploaded, are kept as metadata
+    const customMetadata = {
+        ...detailsToCustomMetadata(details),
+        ...exifToCustomMetadata(exif),
+        originalName: originalName || filename,
+        uploadedAt: String(Date.now())
+    };
+    if (contentHash) {
+        customMetadata.contentHash = contentHash;
+    }
+
+    /*
+        Each try uploads the whole file again from the start
+        createRetryingUpload() decides when (and whether) to try again
+    */
+    const startUpload = () => adapter.upload(fullPath, file, {
+        metadata: { contentType: file.type, customMetadata },
+
+        // Progress callback - called multiple times as upload progresses
+        onProgress: ({ bytesTransferred, totalBytes }) => {
+            /*
+                Calculate upload progress as a percentage
+                Example: 50KB uploaded out of 100KB = 50% progress
+            */
+            const progress = totalBytes > 0 ? (bytesTransferred / totalBytes) * 100 : 100;
+
+            // Call the onProgress callback with the percentage
+            // This allows the UI to update a progress bar
+            onProgress(Math.round(progress));
+        }
+    });
+
+    const uploadTask = createRetryingUpload(startUpload, { ...retry, onRetry });
+
+    uploadTask.promise
+        .then(async (metadata) => {
+            console.log('File uploaded successfully');
+
+            // Thumbnails are a nice extra - the upload has succeeded even if they fail
+            const finalMetadata = await storeThumbnails(adapter, file, metadata);
+
+            const imageData = await loadImageData(adapter, finalMetadata);
+            await addImageToIndex(imageData, uid);
+
+            // Call the onComplete callback with the file information
+            onComplete(imageData);
+        })
+        .catch((error) => {
+            console.error('Upload error:', error);
+
+            // Keep the code so callers can tell e.g. a cancel from a real failure
+            const friendlyError = new Error(getUploadErrorMessage(error));
+            friendlyError.code = error.code;
+            friendlyError.attempts = error.attempts;
+            onError(friendlyError);
+        });
+
+    return uploadTask;
+}
+
+/*
+    Store Thumbnails
+
+    Makes the thumbnails for a file that has just been uploaded, saves them
+    in the thumbs/ folder and records their sizes (plus the original's width
+    and height) in the original's custom metadata.
+
+    This never throws: if the browser can't decode the image, or a thumbnail
+    upload fails, the image simply has no thumbnails and the gallery shows
+    the original instead.
+
+    Returns:
+    - The original's metadata, updated if thumbnails were saved
+*/
+async function storeThumbnails(adapter, file, metadata) {
+    try {
+        const { width, height, thumbnails } = await createThumbnails(file);
+        const storedSizes = [];
+
+        for (const { size, blob } of thumbnails) {
+            await adapter.upload(getThumbnailPath(metadata.fullPath, size), blob, {
+                metadata: { contentType: blob.type }
+            }).promise;
+            storedSizes.push(size);
+        }
+
+        return await adapter.updateMetadata(metadata.fullPath, {
+            customMetadata: {
+                width: String(width),
+                height: String(height),
+                thumbnails: storedSizes.join(',') || null
+            }
+        });
+    } catch (error) {
+        console.warn('Thumbnails could not be created:', error);
+        return metadata;
+    }
+}
+
+/*
+    Friendly messages for storage error codes (every adapter uses Firebase's codes)
+    The full list is in the Firebase docs: "Handle errors" for Cloud Storage
+*/
+const UPLOAD_ERROR_MESSAGES = {
+    'storage/unauthorized': 'Permission denied. Check Firebase Storage rules.',
+    'storage/unauthenticated': 'You need to sign in before uploading.',
+    'storage/canceled': 'Upload was canceled.',
+    'storage/quota-exceeded': 'The storage quota has been used up, so nothing more can be uploaded. Delete some images or upgrade the Firebase plan.',
+    'storage/retry-limit-exceeded': 'The connection kept dropping. Check your internet connection and try again.',
+    'storage/server-file-wrong-size': 'Part of the file got lost on the way. Please try again.',
+    'storage/invalid-checksum': 'The file was damaged on the way to the server. Please try again.',
+    'storage/invalid-format': 'The file is not in a format that can be uploaded.',
+    'storage/invalid-argument': 'The file could not be read for uploading.',
+    'storage/cannot-slice-blob': 'The file changed on your device while uploading. Please choose it again.',
+    'storage/bucket-not-found': 'Firebase Storage is not set up for this project. Check storageBucket in config.json.',
+    'storage/project-not-found': 'The Firebase project could not be found. Check projectId in config.json.',
+    'storage/no-default-bucket': 'Firebase Storage is not set up for this project. Check storageBucket in config.json.',
+    'storage/unknown': 'An unknown error occurred during upload.'
+};
+
+/*
+    Turn a storage error into a friendly message
+    If it was retried, say so - "it failed 5 times" is more useful than "it failed"
+*/
+function getUploadErrorMessage(error) {
+    const message = UPLOAD_ERROR_MESSAGES[error.code] || error.message || 'Upload failed. Please try again.';
+
+    if (error.attempts > 1) {
+        return `${message} (gave up after ${error.attempts} attempts)`;
+    }
+    return message;
+}
+
+/*
+    How many images one page of the gallery contains by default
+*/
+export const DEFAULT_PAGE_SIZE = 24;
+
+/*
+    Turn one stored file into an image object for the gallery
+    We need its URL, its thumbnails and its metadata (size, type, title, caption, tags)
+
+    Image objects have two kinds of URL:
+    - url: The full-size original (for the lightbox and downloads)
+    - thumbnailUrl: The smallest thumbnail, or null if the image has none
+    thumbnails lists every size as { size, width, url } so cards can use srcset
+*/
+function toImageData(url, metadata, thumbnails = []) {
+    const customMetadata = metadata.customMetadata || {};
+    const width = Number(customMetadata.width) || null;
+    const height = Number(customMetadata.height) || null;
+    const { originalName, uploadedAt } = readObjectName(metadata.name, customMetadata);
+
+    return {
+        url: url,
+        thumbnailUrl: thumbnails.length > 0 ? thumbnails[0].url : null,
+        thumbnails: thumbnails.map((thumbnail) => ({
+            ...thumbnail,
+            // srcset needs each thumbnail's real width, which depends on the image's shape
+            width: width && height ? fitWithin(width, height, thumbnail.size).width : thumbnail.size
+        })),
+        name: metadata.name,
+        // The file's name on the user's computer, for showing and downloading
+        originalName: originalName,
+        fullPath: metadata.fullPath,
+        album: getAlbumFromPath(metadata.fullPath),
+        // When it was uploaded, in milliseconds (for files without the metadata
+        // or an old-style name, when storage says the file was created)
+        uploadedAt: uploadedAt || Date.parse(metadata.timeCreated) || null,
+        size: metadata.size,
+        contentType: metadata.contentType,
+        width: width,
+        height: height,
+        // SHA-256 of the original file (null for images uploaded before hashes were saved)
+        contentHash: customMetadata.contentHash || null,
+        // Camera details read when it was uploaded (null if there weren't any)
+        exif: exifFromCustomMetadata(customMetadata),
+        ...detailsFromCustomMetadata(customMetadata)
+    };
+}
+
+/*
+    Build the image object for a file we already have the metadata for
+    The original's URL and every thumbnail URL are requested together
+
+    A missing thumbnail isn't an error - that size is just left out
+*/
+async function loadImageData(adapter, metadata) {
+    const sizes = getThumbnailSizes(metadata.customMetadata);
+
+    const [url, ...thumbnailUrls] = await Promise.all([
+        adapter.getURL(metadata.fullPath),
+        ...sizes.map((size) => adapter.getURL(getThumbnailPath(metadata.fullPath, size)).catch(() => null))
+    ]);
+
+    const thumbnails = sizes
+        .map((size, index) => ({ size, url: thumbnailUrls[index] }))
+        .filter((thumbnail) => thumbnail.url)
+        .sort((a, b) => a.size - b.size);
+
+    return toImageData(url, metadata, thumbnails);
+}
+
+/*
+    Get Image Data
+
+    Builds the gallery's image object for a single stored file
+
+    Parameters:
+    - fullPath: The image's storage path
+
+    Returns:
+    - The image object (the same shape listImagesPage() returns)
+*/
+export async function getImageData(fullPath) {
+    const adapter = getStorageAdapter();
+    const metadata = await adapter.getMetadata(fullPath);
+    return loadImageData(adapter, metadata);
+}
+
+/*
+    Add an image to the index, or replace its record
+    The image is already safely in storage, so a failure here is only logged -
+    reconcileImageIndex() will add it the next time it runs
+
+    Parameters:
+    - image: The gallery image object
+    - uid: The owner's user id (defaults to the signed-in user)
+*/
+export async function addImageToIndex(image, uid = getStorageUser()) {
+    try {
+        await getImageIndex().save(uid, toIndexRecord(image, uid));
+    } catch (error) {
+        console.warn(`Could not add ${image.fullPath} to the image index:`, error);
+    }
+}
+
+/*
+    Remove an image's record from the index
+    Like addImageToIndex(), this only logs failures
+*/
+export async function removeImageFromIndex(fullPath, uid = getStorageUser()) {
+    try {
+        await getImageIndex().remove(uid, fullPath);
+    } catch (error) {
+        console.warn(`Could not remove ${fullPath} from the image index:`, error);
+    }
+}
+
+/*
+    List One Page of Images
+
+    Loading thousands of images (and their URLs) at once would stall the page,
+    so the gallery asks for one page at a time instead.
+
+    The page comes from the image index (see js/imageIndex.js), not from
+    storage: one query returns the images already sorted, with their URLs.
+
+    Parameters:
+    - options:
+        - album: Which album to list (leave out for the top level)
+        - pageSize: How many images to return (null for every image, e.g. to search them)
+        - pageToken: The nextPageToken from the previous page (leave out for the first page)
+        - orderBy: 'uploadedAt' (default), 'sortName' or 'size' (see INDEX_SORT_FIELDS)
+        - direction: 'desc' (default, newest/largest first) or 'asc'
+
+    Returns:
+    - { images, nextPageToken } - nextPageToken is null when there are no more pages
+*/
+export async function listImagesPage({
+    album = null,
+    pageSize = DEFAULT_PAGE_SIZE,
+    pageToken = null,
+    orderBy = 'uploadedAt',
+    direction = 'desc'
+} = {}) {
+    try {
+        const { records, nextCursor } = await getImageIndex().query(getStorageUser(), {
+            album,
+            orderBy,
+            direction,
+            limit: pageSize,
+            cursor: pageToken
+        });
+        const images = records.map(fromIndexRecord);
+
+        console.log(`Loaded page of ${images.length} images`);
+
+        return { images, nextPageToken: nextCursor };
+
+    } catch (error) {
+        console.error('Error listing images:', error);
+        throw error; // Re-throw so calling code can handle it
+    }
+}
+
+/*
+    Watch the First Page of Images
+
+    Like listImagesPage() for the first page, but keeps listening: onChange
+    is called with the images straight away and again whenever the page
+    changes - including changes made in another tab or on another device.
+
+    Parameters:
+    - options: album, pageSize, orderBy and direction, as for listImagesPage()
+    - onChange: Called with the array of images each time
+
+    Returns:
+    - A function that stops watching
+*/
+export function watchImagesPage({
+    album = null,
+    pageSize = DEFAULT_PAGE_SIZE,
+    orderBy = 'uploadedAt',
+    direction = 'desc'
+} = {}, onChange) {
+    return getImageIndex().watch(
+        getStorageUser(),
+        { album, orderBy, direction, limit: pageSize },
+        (records) => onChange(records.map(fromIndexRecord))
+    );
+}
+
+/*
+    Find Image By Content Hash
+
+    Looks through the signed-in user's whole gallery (every album) for an
+    image with the same SHA-256 hash - the same file, uploaded before
+
+    Parameters:
+    - contentHash: The hash from hashFile() (see js/contentHash.js)
+    - uid: Whose gallery to look in (defaults to the signed-in user)
+
+    Returns:
+    - The image object, or null if there is no such image
+*/
+export async function findImageByContentHash(contentHash, uid = getStorageUser()) {
+    const record = await getImageIndex().findByContentHash(uid, contentHash);
+    return record ? fromIndexRecord(record) : null;
+}
+
+/*
+    List All Images
+
+    Retrieves all images at the top level of the signed-in user's gallery
+    ("images/{uid}/"), newest first
+    Returns an array of objects containing image information,
+    including both the original's URL and its thumbnail's URL
+
+    Prefer listImagesPage() for the gallery - this returns every image at once
+*/
+export async function listAllImages() {
+    try {
+        const { records } = await getImageIndex().query(getStorageUser(), { album: null });
+        const images = records.map(fromIndexRecord);
+
+        console.log(`Found ${images.length} images`);
+
+        return images;
+
+    } catch (error) {
+        console.error('Error listing images:', error);
+        throw error; // Re-throw so calling code can handle it
+    }
+}
+
+/*
+    Update Image Details
+
+    Changes the title, caption and tags of an image that is already uploaded
+
+    Parameters:
+    - image: The image object from the gallery (needs url and fullPath)
+    - details: The new { title, caption, tags }
+
+    Returns:
+    - The updated image object
+*/
+export async function updateImageDetails(image, details) {
+    try {
+        const metadata = await getStorageAdapter().updateMetadata(image.fullPath, {
+            customMetadata: detailsToCustomMetadata(details)
+        });
+
+        console.log(`Updated details for: ${image.fullPath}`);
+
+        const updatedImage = { ...image, ...toImageData(image.url, metadata, image.thumbnails) };
+        await addImageToIndex(updatedImage);
+        return updatedImage;
+    } catch (error) {
+        console.error('Error updating image details:', error);
+        throw error; // Re-throw so calling code can handle it
+    }
+}
+
+/*
+    Download Image
+
+    Reads an image's original file into the browser, e.g. to put it in a ZIP
+    (a download URL is enough to show an image, but not to read its bytes)
+
+    On Firebase this needs the bucket's CORS configuration - see the note
+    on getBlob in js/adapters/firebaseAdapter.js
+
+    Parameters:
+    - fullPath: The image's storage path
+
+    Returns:
+    - A Promise for the file's contents as a Blob
+*/
+export async function downloadImage(fullPath) {
+    try {
+        return await getStorageAdapter().download(fullPath);
+    } catch (error) {
+        console.error('Error downloading image:', error);
+        throw error; // Re-throw so calling code can handle it
+    }
+}
+
+/*
+    Delete Image
+
+    Permanently removes an image from storage
+    The gallery waits for a short "undo" window before calling this,
+    because once the file is deleted it can't be brought back
+
+    Its thumbnails and its index record are deleted too. A thumbnail that
+    fails to delete is only logged - it is invisible, so it doesn't stop the delete.
+
+    Parameters:
+    - fullPath: The image's storage path, e.g. "images/{uid}/3f2b8c1e-7d4a-4e9b-a1c2-5b6d7e8f9a0b.jpg"
+*/
+export async function deleteImage(fullPath) {
+    try {
+        const adapter = getStorageAdapter();
+        const metadata = await adapter.getMetadata(fullPath);
+
+        await adapter.remove(fullPath);
+        await removeThumbnails(adapter, fullPath, getThumbnailSizes(metadata.customMetadata));
+        await removeImageFromIndex(fullPath);
+
+        console.log(`Deleted image: ${fullPath}`);
+    } catch (error) {
+        console.error('Error deleting image:', error);
+        throw error; // Re-throw so calling code can handle it
+    }
+}
+
+/*
+    Remove an image's thumbnails
+    Used when an image is deleted, and by moveImage() for the original once
+    the copies are made (or for the copies, if the move fails)
+*/
+export async function removeThumbnails(adapter, fullPath, sizes) {
+    await Promise.all(sizes.map((size) =>
+        adapter.remove(getThumbnailPath(fullPath, size)).catch((error) => {
+            console.warn(`Could not delete ${size}px thumbnail of ${fullPath}:`, error);
+        })
+    ));
+}
@@ -0,0 +1,219 @@
+/*
+    Upload Retry
+    Tries an upload again when it fails for a reason that might go away
+
+    Some errors are worth retrying: the Wi-Fi dropped for a moment, or the
+    server was busy. Others never will be: no permission, or a broken file.
+    Retrying those just wastes time, so they fail straight away.
+
+    What is "exponential backoff with jitter"?
+    After each failure we wait longer before trying again: about 1s, 2s, 4s,
+    8s... (the wait doubles - "exponential"). This gives a struggling network
+    or server time to recover instead of hammering it.
+    Each wait is also partly random ("jitter"). If a hundred people lose
+    their connection at the same moment, the random part stops all their
+    retries from hitting the server at exactly the same time again.
+*/
+
+import { createStorageError } from './adapters/localBackend.js';
+
+/*
+    Default retry settings
+    - maxAttempts: How many times to try in total (the first try counts)
+    - baseDelay: Wait before the first retry, in milliseconds
+    - maxDelay: The longest we ever wait between tries
+*/
+export const RETRY_DEFAULTS = {
+    maxAttempts: 5,
+    baseDelay: 1000,
+    maxDelay: 30000
+};
+
+/*
+    Error codes that mean "try again later might work"
+    - retry-limit-exceeded: Firebase gave up after the network kept failing
+    - server-file-wrong-size: Some data got lost on the way
+
+    quota-exceeded is not on the list: the bucket is full (or the plan's
+    limit is reached), and that doesn't change by waiting a few seconds.
+*/
+const RETRYABLE_CODES = [
+    'storage/retry-limit-exceeded',
+    'storage/server-file-wrong-size'
+];
+
+/*
+    Check whether an upload error is worth retrying
+
+    "unknown" covers anything Firebase can't name, from a dropped connection
+    to a bug in the server's rules. Only the connection kind can fix itself,
+    so it is retried only when the request never got an answer.
+*/
+export function isRetryableError(error) {
+    if (error.code === 'storage/unknown') {
+        return isNetworkFailure(error);
+    }
+    return RETRYABLE_CODES.includes(error.code);
+}
+
+/*
+    Whether an error happened because the request never reached the server
+    Firebase errors carry the HTTP status of the answer - 0 means there wasn't one
+*/
+function isNetworkFailure(error) {
+    return isOffline() || error.status === 0;
+}
+
+/*
+    How long to wait before the next try
+
+    The wait doubles each time (up to maxDelay), and the second half of it
+    is random - so the wait before retry 3 is somewhere between 2s and 4s
+
+    Parameters:
+    - attempt: The try that just failed (1 for the first)
+    - options: { baseDelay, maxDelay }
+*/
+export function getRetryDelay(attempt, options = {}) {
+    const { baseDelay, maxDelay } = { ...RETRY_DEFAULTS, ...options };
+    const cap = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+    return Math.round(cap / 2 + Math.random() * (cap / 2));
+}
+
+/*
+    The browser knows when it has no connection at all
+    (navigator doesn't exist outside the browser, so check first)
+*/
+function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/*
+    Create Retrying Upload
+
+    Works like adapter.upload(), but starts a fresh upload each time a
+    retryable error happens. The task it returns looks exactly like a normal
+    upload task, so callers don't need to know retries are happening:
+    pause(), resume() and cancel() are passed on to whichever try is running,
+    and also work during the wait between tries.
+
+    While the browser is offline we don't count down at all - the next try
+    starts as soon as the connection comes back.
+
+    Parameters:
+    - startUpload: Function that starts one try and returns an upload task
+    - options:
+        - maxAttempts, baseDelay, maxDelay: See RETRY_DEFAULTS
+        - onRetry: Called with { attempt, maxAttempts, delay, error } before each wait
+
+    Returns:
+    - An upload task: { promise, pause(), resume(), cancel() }
+      If every try fails, the promise rejects with the last error,
+      with error.attempts set to how many tries were made
+*/
+export function createRetryingUpload(startUpload, options = {}) {
+    const { maxAttempts, onRetry = () => {}, ...delayOptions } = { ...RETRY_DEFAULTS, ...options };
+
+    let currentTask = null;
+    let waitingRetry = null;  // The next try, while we are waiting to start it
+    let retryTimer = null;
+    let listeningForOnline = false;
+    let paused = false;
+    let canceled = false;
+    let rejectUpload = null;
+
+    // Stop waiting (timer or "back online" listener) without starting the next try
+    const stopWaiting = () => {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+        if (listeningForOnline) {
+            window.removeEventListener('online', startWaitingRetry);
+            listeningForOnline = false;
+        }
+    };
+
+    // Start the try we were waiting for
+    function startWaitingRetry() {
+        stopWaiting();
+        const retry = waitingRetry;
+        waitingRetry = null;
+        if (retry) {
+            retry();
+        }
+    }
+
+    const promise = new Promise((resolve, reject) => {
+        rejectUpload = reject;
+
+        const attempt = (attemptNumber) => {
+            currentTask = startUpload();
+
+            // Pause pressed during the wait - the new try starts paused too
+            if (paused) {
+                currentTask.pause();
+            }
+
+            currentTask.promise.then(resolve, (error) => {
+                if (canceled || !isRetryableError(error) || attemptNumber >= maxAttempts) {
+                    error.attempts = attemptNumber;
+                    reject(error);
+                    return;
+                }
+
+                const delay = getRetryDelay(attemptNumber, delayOptions);
+                console.warn(`Upload attempt ${attemptNumber} failed (${error.code}), retrying in ${delay}ms`);
+                onRetry({ attempt: attemptNumber, maxAttempts, delay, error });
+
+                currentTask = null;
+                waitingRetry = () => attempt(attemptNumber + 1);
+
+                // While paused, resume() starts the next try instead
+                if (paused) {
+                    return;
+                }
+                if (isOffline()) {
+                    window.addEventListener('online', startWaitingRetry);
+                    listeningForOnline = true;
+                } else {
+                    retryTimer = setTimeout(startWaitingRetry, delay);
+                }
+            });
+        };
+
+        attempt(1);
+    });
+
+    return {
+        promise,
+
+        pause() {
+            paused = true;
+            if (currentTask) {
+                return currentTask.pause();
+            }
+            stopWaiting();
+            return true;
+        },
+
+        resume() {
+            paused = false;
+            if (currentTask) {
+                return currentTask.resume();
+            }
+            // Paused while waiting - the user wants to go now, so don't wait any longer
+            startWaitingRetry();
+            return true;
+        },
+
+        cancel() {
+            canceled = true;
+            if (currentTask) {
+                return currentTask.cancel();
+            }
+            stopWaiting();
+            waitingRetry = null;
+            rejectUpload(createStorageError('storage/canceled', 'User canceled the upload.'));
+            return true;
+        }
+    };
+}
@@ -0,0 +1,170 @@
+/*
+    Usage Statistics
+    Adds up how much storage the signed-in user's gallery takes, and what it is made of
+
+    Where do the numbers come from?
+    Every image's index record (see js/imageIndex.js) is a copy of its
+    storage metadata: size, content type and upload time. Reading the whole
+    index is one query, instead of asking storage about every file.
+    Thumbnails aren't counted - they are a small fraction of each original.
+
+    summarizeUsage() does the adding up. It only works on an array of
+    images, so it can be tried out in the console with any list.
+
+    The quota
+    Firebase's free plan includes 5 GB of storage; teams on a paid plan
+    may want a warning at their own budget. The limit is saved per browser
+    in localStorage and can be changed in the usage panel.
+*/
+
+import { getStorageUser } from './storage.js';
+import { getImageIndex, fromIndexRecord } from './imageIndex.js';
+import { SUPPORTED_IMAGE_TYPES } from './imageValidation.js';
+
+// The storage included in Firebase's free plan
+export const DEFAULT_QUOTA_BYTES = 5 * 1024 * 1024 * 1024;
+
+// Past this share of the quota the panel starts warning
+export const NEAR_QUOTA_RATIO = 0.8;
+
+// How many of the biggest images are listed
+export const LARGEST_IMAGE_COUNT = 5;
+
+// Where the quota is remembered between visits
+const QUOTA_KEY = 'gallery-usage-quota';
+
+/*
+    Get Usage Quota
+    The storage limit to warn about, in bytes
+*/
+export function getUsageQuota() {
+    const saved = Number(localStorage.getItem(QUOTA_KEY));
+    return saved > 0 ? saved : DEFAULT_QUOTA_BYTES;
+}
+
+/*
+    Set Usage Quota
+    Remembers a new storage limit (in bytes) for this browser
+*/
+export function setUsageQuota(bytes) {
+    if (!(bytes > 0)) {
+        throw new Error('The storage limit must be more than 0');
+    }
+    localStorage.setItem(QUOTA_KEY, String(Math.round(bytes)));
+}
+
+/*
+    Summarize Usage
+
+    Parameters:
+    - images: Array of image objects (each needs size, contentType and uploadedAt)
+    - options:
+        - quotaBytes: The storage limit to compare against (default getUsageQuota())
+        - largestCount: How many of the biggest images to list (default LARGEST_IMAGE_COUNT)
+
+    Returns:
+    - totalBytes, imageCount, averageBytes
+    - byType: [{ contentType, label, count, bytes }], biggest share first
+    - byMonth: [{ month: '2024-07', count, bytes }], newest first
+      (images with no upload time are grouped under month null)
+    - largest: The biggest images, biggest first
+    - quota: { bytes, ratio, isNear, isOver } - ratio is the share used (1 = all of it)
+*/
+export function summarizeUsage(images, options = {}) {
+    const { quotaBytes = getUsageQuota(), largestCount = LARGEST_IMAGE_COUNT } = options;
+
+    const types = new Map();
+    const months = new Map();
+    let totalBytes = 0;
+
+    images.forEach((image) => {
+        const size = image.size || 0;
+        totalBytes += size;
+
+        const contentType = image.contentType || null;
+        const type = types.get(contentType) || {
+            contentType,
+            label: SUPPORTED_IMAGE_TYPES[contentType] || contentType || 'Unknown',
+            count: 0,
+            bytes: 0
+        };
+        type.count++;
+        type.bytes += size;
+        types.set(contentType, type);
+
+        const month = toMonth(image.uploadedAt);
+        const monthTotal = months.get(month) || { month, count: 0, bytes: 0 };
+        monthTotal.count++;
+        monthTotal.bytes += size;
+        months.set(month, monthTotal);
+    });
+
+    const ratio = totalBytes / quotaBytes;
+
+    return {
+        totalBytes,
+        imageCount: images.length,
+        averageBytes: images.length > 0 ? Math.round(totalBytes / images.length) : 0,
+        byType: [...types.values()].sort((a, b) => b.bytes - a.bytes),
+        // "2024-07" sorts correctly as text; the unknown month goes last
+        byMonth: [...months.values()].sort((a, b) => (b.month || '').localeCompare(a.month || '')),
+        largest: [...images].sort((a, b) => (b.size || 0) - (a.size || 0)).slice(0, largestCount),
+        quota: {
+            bytes: quotaBytes,
+            ratio,
+            isNear: ratio >= NEAR_QUOTA_RATIO,
+            isOver: ratio > 1
+        }
+    };
+}
+
+/*
+    Load Usage Stats
+    Reads every image in the signed-in user's index (all albums) and summarizes it
+
+    Parameters:
+    - options: Passed on to summarizeUsage()
+
+    Returns:
+    - A Promise for the summary from summarizeUsage()
+*/
+export async function loadUsageStats(options = {}) {
+    try {
+        const { records } = await getImageIndex().query(getStorageUser());
+        return summarizeUsage(records.map(fromIndexRecord), options);
+    } catch (error) {
+        console.error('Error loading storage usage:', error);
+        throw error; // Re-throw so calling code can handle it
+    }
+}
+
+/*
+    Helper Function: formatFileSize
+    Turns a number of bytes into something readable
+
+    Example: 8421376 -> "8.0 MB"
+*/
+export function formatFileSize(bytes) {
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+    if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(0)} KB`;
+    }
+    if (bytes < 1024 * 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+/*
+    The month an upload time falls in, as "YYYY-MM" in the user's time zone
+    (null if the time isn't known)
+*/
+function toMonth(uploadedAt) {
+    if (!uploadedAt) {
+        return null;
+    }
+    const date = new Date(uploadedAt);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
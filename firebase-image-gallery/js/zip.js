@@ -0,0 +1,220 @@
+/*
+    ZIP Files
+    Packs several files into one .zip file, right in the browser
+
+    The ZIP format is simple enough to write by hand:
+    - Each file is stored as a "local file header" followed by its bytes
+    - After the last file comes the "central directory": one entry per file,
+      saying where that file's header starts
+    - The ZIP ends with an "end of central directory" record that says where
+      the central directory is, and how many entries it has
+
+    Files are stored as they are, without compressing them ("stored" method).
+    Photos are already compressed (JPEG, PNG, WebP...), so squeezing them again
+    would take a lot of time and save almost nothing.
+
+    Every file needs a CRC-32 checksum of its bytes, so the program that
+    unpacks the ZIP can tell whether a file got damaged on the way.
+
+    Limits: this is plain ZIP, not ZIP64, so the whole ZIP must stay under
+    4 GB and hold at most 65,535 files.
+*/
+
+// The biggest number a 4-byte ZIP field can hold, and the most entries a ZIP can list
+const MAX_ZIP_SIZE = 0xffffffff;
+const MAX_ZIP_ENTRIES = 0xffff;
+
+// General purpose flag 11: the file names are UTF-8 (so "café.jpg" survives)
+const UTF8_FLAG = 0x0800;
+
+/*
+    CRC-32 lookup table
+    The checksum is worked out one byte at a time; the table holds the
+    result for every possible byte value, so each byte costs one lookup
+*/
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let value = n;
+        for (let bit = 0; bit < 8; bit++) {
+            value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+        }
+        table[n] = value;
+    }
+    return table;
+})();
+
+/*
+    CRC-32
+    The checksum ZIP uses for each file's bytes
+
+    Parameters:
+    - bytes: A Uint8Array
+
+    Returns:
+    - The checksum as an unsigned 32-bit number
+*/
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/*
+    Convert a date to the MS-DOS format ZIP stores
+    DOS dates start in 1980 and only count seconds in steps of two
+*/
+function toDosDateTime(date) {
+    const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/*
+    Get Safe Zip Name
+    A name inside a ZIP is really a path: "a/b.jpg" unpacks into a folder,
+    and "../b.jpg" would land outside the folder the ZIP is unpacked into.
+    Image names come from the user's computer, so every name is made into
+    one plain file name:
+    - "/" and "\" (and the other characters Windows forbids) become "_"
+    - Leading dots are removed, so "." and ".." can't be used, and the file isn't hidden
+    - Trailing dots and spaces are removed (Windows drops them anyway)
+
+    Parameters:
+    - name: The file name
+
+    Returns:
+    - The safe name ("file" if nothing is left of it)
+
+    Example:
+    getSafeZipName('../holiday/beach.jpg') -> '_holiday_beach.jpg'
+*/
+export function getSafeZipName(name) {
+    const safeName = String(name)
+        .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_')
+        .replace(/^[.\s]+/, '')
+        .replace(/[.\s]+$/, '');
+
+    return safeName || 'file';
+}
+
+/*
+    Get Unique Zip Names
+    Two images can have the same name (in different albums, or uploaded twice),
+    but a ZIP would unpack them on top of each other. Later copies get a number:
+    "beach.jpg", "beach (2).jpg", "beach (3).jpg"
+
+    Parameters:
+    - names: The file names, in order
+
+    Returns:
+    - The names, with repeats numbered
+*/
+export function getUniqueZipNames(names) {
+    const used = new Set();
+
+    return names.map((name) => {
+        const dot = name.lastIndexOf('.');
+        const base = dot > 0 ? name.slice(0, dot) : name;
+        const extension = dot > 0 ? name.slice(dot) : '';
+
+        let unique = name;
+        for (let copy = 2; used.has(unique.toLowerCase()); copy++) {
+            unique = `${base} (${copy})${extension}`;
+        }
+
+        used.add(unique.toLowerCase());
+        return unique;
+    });
+}
+
+/*
+    Create Zip
+
+    Parameters:
+    - files: Array of { name, data, lastModified }
+        - name: The file's name inside the ZIP (made safe by getSafeZipName(),
+          then repeats are numbered)
+        - data: The file's bytes, as a Uint8Array
+        - lastModified: A Date (defaults to now, as does an invalid date)
+
+    Returns:
+    - A Blob of type application/zip
+
+    Example:
+    const zip = createZip([{ name: 'hello.txt', data: new TextEncoder().encode('Hi!') }]);
+*/
+export function createZip(files) {
+    if (files.length > MAX_ZIP_ENTRIES) {
+        throw new Error(`A ZIP can hold at most ${MAX_ZIP_ENTRIES} files`);
+    }
+
+    const encoder = new TextEncoder();
+    const names = getUniqueZipNames(files.map((file) => getSafeZipName(file.name)));
+    const parts = [];            // Local headers and file bytes, in order
+    const directory = [];        // Central directory entries
+    let offset = 0;              // Where the next local header starts
+
+    files.forEach((file, index) => {
+        const name = encoder.encode(names[index]);
+        const data = file.data;
+        const crc = crc32(data);
+        const modified = file.lastModified && !isNaN(file.lastModified) ? file.lastModified : new Date();
+        const { time, date } = toDosDateTime(modified);
+
+        if (offset + 30 + name.length + data.length > MAX_ZIP_SIZE) {
+            throw new Error('These files are too big to put in one ZIP (over 4 GB)');
+        }
+
+        // Local file header: 30 bytes, then the name
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);    // Signature "PK\3\4"
+        header.setUint16(4, 20, true);            // Version needed to extract (2.0)
+        header.setUint16(6, UTF8_FLAG, true);
+        header.setUint16(8, 0, true);             // Method 0: stored
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);  // Compressed size (same: stored)
+        header.setUint32(22, data.length, true);  // Uncompressed size
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);            // No extra field
+
+        // Central directory entry: 46 bytes, then the name
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);     // Signature "PK\1\2"
+        entry.setUint16(4, 20, true);             // Version made by
+        entry.setUint16(6, 20, true);             // Version needed to extract
+        entry.setUint16(8, UTF8_FLAG, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, time, true);
+        entry.setUint16(14, date, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        // Extra field, comment, disk number and attributes are all 0
+        entry.setUint32(42, offset, true);        // Where the local header is
+
+        parts.push(header, name, data);
+        directory.push(entry, name);
+        offset += 30 + name.length + data.length;
+    });
+
+    const directorySize = directory.reduce((total, part) => total + part.byteLength, 0);
+
+    // End of central directory record: 22 bytes
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);           // Signature "PK\5\6"
+    end.setUint16(8, files.length, true);         // Entries on this disk
+    end.setUint16(10, files.length, true);        // Entries in total
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);              // Where the central directory starts
+
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
@@ -0,0 +1,188 @@
+/*
+    Service Worker
+    Lets the gallery open, and show the images it has seen, without a network
+
+    A service worker is a script the browser runs in the background, separate
+    from the page. Every request the page makes (for HTML, CSS, JavaScript
+    and images) goes through its "fetch" event first, so it can answer from
+    a saved copy instead of the network.
+
+    It uses two caches:
+    - gallery-app-v1: The app's own files. Always asks the network first,
+      so changes to the code show up straight away, and only uses the saved
+      copy when the network is down ("network first")
+    - gallery-images: Image files and the Firebase SDK. These never change
+      once uploaded (every upload gets a new name), so a saved copy is used
+      whenever there is one ("cache first")
+
+    Requests to Firebase's APIs (Firestore, Authentication) are left alone -
+    the Firebase SDK deals with being offline by itself.
+
+    This file must sit next to index.html: a service worker only controls
+    pages in its own folder and below.
+*/
+
+// Change the version to throw away the old copies of the app's files
+const APP_CACHE_NAME = 'gallery-app-v1';
+// js/offlineCache.js uses the same name when it clears the cache on sign out
+const IMAGE_CACHE_NAME = 'gallery-images';
+
+// The most image files kept - the oldest are removed after that
+const MAX_CACHED_IMAGES = 500;
+
+/*
+    Files saved as soon as the service worker is installed,
+    so the page can open offline even if it was only visited once
+*/
+const APP_SHELL = [
+    './',
+    'index.html',
+    'css/style.css',
+    'js/app.js'
+];
+
+/*
+    Which requests are saved cache-first
+    - The Firebase SDK from www.gstatic.com (its URL includes the version number)
+    - Image files from Firebase Storage - download URLs end in "?alt=media&token=...".
+      Other Storage requests (listing files, reading metadata) must stay fresh
+*/
+function isCacheFirst(url) {
+    if (url.hostname === 'www.gstatic.com') {
+        return true;
+    }
+    return url.hostname === 'firebasestorage.googleapis.com' && url.searchParams.get('alt') === 'media';
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(APP_CACHE_NAME)
+            .then((cache) => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+/*
+    Remove the caches of older versions (and the opaque images they saved),
+    then start handling requests from pages that are already open
+*/
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((names) => Promise.all(names
+                .filter((name) => name.startsWith('gallery-app-') && name !== APP_CACHE_NAME)
+                .map((name) => caches.delete(name))))
+            .then(removeOpaqueImages)
+            .then(() => self.clients.claim())
+    );
+});
+
+/*
+    Older versions saved opaque image responses - see fetchReadable() for why they are removed
+*/
+async function removeOpaqueImages() {
+    const cache = await caches.open(IMAGE_CACHE_NAME);
+
+    for (const key of await cache.keys()) {
+        const response = await cache.match(key);
+        if (response && response.type === 'opaque') {
+            await cache.delete(key);
+        }
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+
+    // Only plain downloads can be saved - never uploads or other changes
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    } else if (isCacheFirst(url)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/*
+    Network first: try the network and save what comes back,
+    fall back to the saved copy if the network fails
+*/
+async function networkFirst(request) {
+    const cache = await caches.open(APP_CACHE_NAME);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/*
+    Cache first: use the saved copy if there is one, otherwise download and save it
+    Only complete, readable responses are saved (see fetchReadable())
+*/
+async function cacheFirst(request) {
+    const cache = await caches.open(IMAGE_CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetchReadable(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+        trimCache(cache);
+    }
+    return response;
+}
+
+/*
+    Images shown with <img> from another site are requested without CORS
+    ("no-cors") and come back "opaque" (status 0 - the page isn't allowed to
+    look inside them). Browsers can't tell how big an opaque response is, so
+    they count each one as several megabytes of the site's storage. A few
+    hundred would use it all up, and the browser would then throw away other
+    saved data - like the gallery listing in IndexedDB.
+
+    So the image is asked for again with CORS, which gives a normal response
+    that can be saved at its real size. If that isn't allowed (the storage
+    bucket has no CORS configuration), the original request is made instead:
+    the image is still shown, it just isn't saved.
+*/
+async function fetchReadable(request) {
+    if (request.mode !== 'no-cors') {
+        return fetch(request);
+    }
+
+    try {
+        return await fetch(request.url, { mode: 'cors', credentials: 'omit' });
+    } catch (error) {
+        return fetch(request);
+    }
+}
+
+/*
+    Keep the image cache from growing forever
+    cache.keys() lists entries oldest first, so the first ones go
+*/
+async function trimCache(cache) {
+    const keys = await cache.keys();
+    const extra = keys.length - MAX_CACHED_IMAGES;
+
+    for (let index = 0; index < extra; index++) {
+        await cache.delete(keys[index]);
+    }
+}